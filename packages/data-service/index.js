@@ -12,6 +12,7 @@ const express = require('express');
 // Import providers
 const eppoProvider = require('./providers/eppo');
 const ingredientseuProvider = require('./providers/ingredientseu');
+const mrlProvider = require('./providers/mrl');
 
 const app = express();
 app.use(express.json());
@@ -27,13 +28,14 @@ app.use((req, res, next) => {
 // Mount providers
 app.use('/eppo', eppoProvider.router);
 app.use('/ingredientseu', ingredientseuProvider.router);
+app.use('/mrl', mrlProvider.router);
 
 // Root health check - aggregates all providers
 app.get('/health', (req, res) => {
 	const mem = process.memoryUsage();
 	res.json({
 		service: 'data-service',
-		providers: ['eppo', 'ingredientseu'],
+		providers: ['eppo', 'ingredientseu', 'mrl'],
 		dataDir: config.dataDir,
 		memory: {
 			heapUsed: Math.round(mem.heapUsed / 1024 / 1024) + ' MB',
@@ -49,7 +51,8 @@ app.get('/', (req, res) => {
 		version: require('./package.json').version,
 		providers: {
 			eppo: '/eppo - EPPO plant codes database',
-			ingredientseu: '/ingredientseu - EU active substances/pesticides database'
+			ingredientseu: '/ingredientseu - EU active substances/pesticides database',
+			mrl: '/mrl - EU maximum residue limits by substance and crop'
 		},
 		endpoints: {
 			'/health': 'Service health check',
@@ -58,7 +61,10 @@ app.get('/', (req, res) => {
 			'/eppo/code/:eppocode': 'Get EPPO code details',
 			'/ingredientseu/health': 'EU ingredients provider health',
 			'/ingredientseu/search': 'Search EU substances',
-			'/ingredientseu/substance/:id': 'Get substance details'
+			'/ingredientseu/substance/:id': 'Get substance details',
+			'/mrl/health': 'MRL provider health',
+			'/mrl/search': 'Search maximum residue limits',
+			'/mrl/lookup': 'Get limits for a substance on a crop'
 		}
 	});
 });
@@ -74,7 +80,8 @@ process.on('unhandledRejection', e => console.error('Unhandled:', e));
 	// Initialize all providers
 	await Promise.all([
 		eppoProvider.initialize(config.eppo),
-		ingredientseuProvider.initialize(config.ingredientseu)
+		ingredientseuProvider.initialize(config.ingredientseu),
+		mrlProvider.initialize(config.mrl)
 	]);
 
 	app.listen(config.port, '127.0.0.1', () => console.log(`Data service on :${config.port}`));
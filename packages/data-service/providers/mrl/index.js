@@ -0,0 +1,437 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const Database = require('better-sqlite3');
+const { removeDiacritics, acquireLock, releaseLock } = require('../../shared/utils');
+
+const router = express.Router();
+
+// Configuration (set by initialize)
+let config = null;
+const DB_BASE = 'mrl';
+
+let db, stmts;
+let currentDbPath = null;
+let rebuilding = false;
+let ready = false;
+let meta = { builtAt: null, recordCount: null, sourceModifiedAt: null };
+
+// MRL values at the limit of determination are marked with an asterisk (e.g. "0.01*")
+const LOD_MARK = '*';
+
+function getDbPath() {
+	return path.join(config.dir, `${DB_BASE}_${Date.now()}.db`);
+}
+
+function getDatasetPath() {
+	return path.join(config.dir, 'mrl.json');
+}
+
+function getLockPath(operation) {
+	return path.join(config.dir, `${operation}.lock`);
+}
+
+function findLatestDb() {
+	if (!fs.existsSync(config.dir)) return null;
+	const files = fs.readdirSync(config.dir)
+		.filter(f => f.startsWith(DB_BASE + '_') && f.endsWith('.db'))
+		.sort()
+		.reverse();
+	return files.length ? path.join(config.dir, files[0]) : null;
+}
+
+function cleanupOldDbs(keepPath) {
+	try {
+		const files = fs.readdirSync(config.dir)
+			.filter(f => f.startsWith(DB_BASE + '_') && f.endsWith('.db'))
+			.map(f => path.join(config.dir, f))
+			.filter(f => f !== keepPath);
+		for (const f of files) {
+			try { fs.unlinkSync(f); } catch (e) { /* ignore locked files */ }
+		}
+	} catch (e) { /* ignore */ }
+}
+
+// Split "0.01*" into { value: 0.01, lod: true }
+function parseMrlValue(raw) {
+	if (raw === null || raw === undefined || raw === '') return { value: null, lod: false };
+	if (typeof raw === 'number') return { value: raw, lod: false };
+
+	const text = String(raw).trim();
+	const value = parseFloat(text.replace(LOD_MARK, '').replace(',', '.'));
+	return { value: isNaN(value) ? null : value, lod: text.includes(LOD_MARK) };
+}
+
+function normalize(str) {
+	return removeDiacritics(str || '').toLowerCase().trim();
+}
+
+// --- Build ---
+
+function buildDb(targetPath, data, sourceModifiedAt) {
+	console.log('[MRL] Building', targetPath);
+
+	const tmpDb = new Database(targetPath);
+	tmpDb.pragma('journal_mode = OFF');
+	tmpDb.pragma('synchronous = OFF');
+
+	tmpDb.exec(`
+		CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT);
+		CREATE TABLE mrls (
+			id INTEGER PRIMARY KEY,
+			substance_id INTEGER,
+			substance_name TEXT NOT NULL,
+			substance_name_norm TEXT NOT NULL,
+			as_cas_number TEXT,
+			product_code TEXT,
+			product_name TEXT,
+			product_name_norm TEXT,
+			eppo_code TEXT,
+			mrl_value REAL,
+			mrl_text TEXT,
+			lod INTEGER,
+			applicability_date TEXT,
+			regulation TEXT
+		);
+	`);
+
+	const insertMrl = tmpDb.prepare(`
+		INSERT INTO mrls (
+			substance_id, substance_name, substance_name_norm, as_cas_number,
+			product_code, product_name, product_name_norm, eppo_code,
+			mrl_value, mrl_text, lod, applicability_date, regulation
+		) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+	`);
+
+	const insertMeta = tmpDb.prepare('INSERT INTO meta VALUES (?, ?)');
+
+	let inserted = 0;
+	const insertBatch = tmpDb.transaction((items) => {
+		for (const r of items) {
+			if (!r.substance_name) continue;
+			const { value, lod } = parseMrlValue(r.mrl_value);
+			insertMrl.run(
+				r.substance_id ? Number(r.substance_id) : null,
+				r.substance_name,
+				normalize(r.substance_name),
+				r.as_cas_number || null,
+				r.product_code || null,
+				r.product_name || null,
+				normalize(r.product_name),
+				r.eppo_code ? String(r.eppo_code).trim().toUpperCase() : null,
+				value,
+				r.mrl_value != null ? String(r.mrl_value) : null,
+				lod ? 1 : 0,
+				r.applicability_date || null,
+				r.regulation || null
+			);
+			inserted++;
+		}
+	});
+
+	// Process in batches
+	const batchSize = 1000;
+	for (let i = 0; i < data.length; i += batchSize) {
+		insertBatch(data.slice(i, i + batchSize));
+	}
+
+	const builtAt = new Date().toISOString();
+	insertMeta.run('builtAt', builtAt);
+	insertMeta.run('recordCount', String(inserted));
+	insertMeta.run('sourceModifiedAt', sourceModifiedAt);
+
+	console.log(`[MRL] Inserted ${inserted} limits`);
+
+	// Create indexes
+	tmpDb.exec(`
+		CREATE INDEX idx_mrls_substance_id ON mrls(substance_id);
+		CREATE INDEX idx_mrls_cas ON mrls(as_cas_number);
+		CREATE INDEX idx_mrls_substance_norm ON mrls(substance_name_norm);
+		CREATE INDEX idx_mrls_eppo ON mrls(eppo_code);
+		CREATE INDEX idx_mrls_product_code ON mrls(product_code);
+		CREATE VIRTUAL TABLE mrls_fts USING fts5(
+			substance_name_norm,
+			product_name_norm,
+			eppo_code,
+			tokenize='unicode61 remove_diacritics 2'
+		);
+		INSERT INTO mrls_fts(rowid, substance_name_norm, product_name_norm, eppo_code)
+			SELECT id, substance_name_norm, product_name_norm, eppo_code FROM mrls;
+	`);
+
+	tmpDb.close();
+	return { recordCount: inserted, meta: { builtAt, recordCount: inserted, sourceModifiedAt } };
+}
+
+function openDb(dbPath) {
+	const newDb = new Database(dbPath, { readonly: true });
+	const metaRows = newDb.prepare('SELECT key, value FROM meta').all();
+	const newMeta = {};
+	for (const row of metaRows) newMeta[row.key] = row.value;
+
+	const newStmts = {
+		countMrls: newDb.prepare('SELECT COUNT(*) FROM mrls').pluck(),
+		countSubstances: newDb.prepare('SELECT COUNT(DISTINCT substance_name_norm) FROM mrls').pluck(),
+		countProducts: newDb.prepare('SELECT COUNT(DISTINCT product_code) FROM mrls').pluck()
+	};
+	return { db: newDb, stmts: newStmts, meta: newMeta };
+}
+
+async function rebuild() {
+	if (rebuilding) return { ok: false, error: 'already rebuilding' };
+
+	const lockPath = getLockPath('rebuild');
+	if (!acquireLock(lockPath)) {
+		console.log('[MRL] Rebuild locked by another node, skipping');
+		return { ok: false, error: 'locked by another node' };
+	}
+
+	rebuilding = true;
+
+	console.log('[MRL] Rebuilding from dataset...');
+
+	const datasetPath = getDatasetPath();
+	const newPath = getDbPath();
+
+	try {
+		if (!fs.existsSync(datasetPath)) {
+			throw new Error(`Dataset file not found: ${datasetPath}`);
+		}
+
+		const raw = fs.readFileSync(datasetPath, 'utf8');
+
+		// Accept a JSON array or line-delimited JSON objects
+		let data;
+		try {
+			data = JSON.parse(raw);
+		} catch (e) {
+			data = raw.trim().split('\n')
+				.filter(line => line.trim())
+				.map(line => JSON.parse(line));
+		}
+
+		if (!Array.isArray(data)) {
+			data = [data];
+		}
+
+		const sourceModifiedAt = fs.statSync(datasetPath).mtime.toISOString();
+		const result = buildDb(newPath, data, sourceModifiedAt);
+		const newOpened = openDb(newPath);
+
+		const oldDb = db;
+
+		db = newOpened.db;
+		stmts = newOpened.stmts;
+		meta = newOpened.meta;
+		currentDbPath = newPath;
+
+		if (oldDb) oldDb.close();
+		setTimeout(() => cleanupOldDbs(newPath), 1000);
+
+		console.log('[MRL] Rebuild complete');
+		rebuilding = false;
+		releaseLock(lockPath);
+		return { ok: true, recordCount: result.recordCount, meta };
+	} catch (e) {
+		console.error('[MRL] Rebuild failed:', e);
+		try { fs.unlinkSync(newPath); } catch (e2) { /* ignore */ }
+		rebuilding = false;
+		releaseLock(lockPath);
+		return { ok: false, error: e.message };
+	}
+}
+
+// FTS5 prefix match on a single column
+function columnMatch(column, text) {
+	const escaped = normalize(text).replace(/"/g, '""');
+	return `${column} : "${escaped}"*`;
+}
+
+// --- Routes ---
+
+// Middleware to add meta to responses
+router.use((req, res, next) => {
+	const originalJson = res.json.bind(res);
+	res.json = (data) => originalJson({
+		_meta: { provider: 'mrl', builtAt: meta.builtAt, recordCount: meta.recordCount, sourceModifiedAt: meta.sourceModifiedAt },
+		...data
+	});
+	next();
+});
+
+// Guard endpoints when db is not available
+router.use((req, res, next) => {
+	if (!db && req.path !== '/health' && req.path !== '/rebuild') {
+		return res.status(503).json({ error: 'database not ready - place mrl.json in the data directory and run rebuild' });
+	}
+	next();
+});
+
+// GET /search?q=...&limit=...&offset=... - full-text search across substances and crops
+router.get('/search', (req, res) => {
+	try {
+		const { q, limit = 100, offset = 0 } = req.query;
+		if (!q) return res.status(400).json({ error: 'q required' });
+
+		const escaped = normalize(q).replace(/"/g, '""');
+		const matchExpr = `"${escaped}"*`;
+
+		const total = db.prepare('SELECT COUNT(*) FROM mrls_fts WHERE mrls_fts MATCH ?').pluck().get(matchExpr);
+		const results = db.prepare(`
+			SELECT m.id, m.substance_id, m.substance_name, m.as_cas_number, m.product_code, m.product_name,
+				m.eppo_code, m.mrl_value, m.mrl_text, m.lod, m.applicability_date, m.regulation
+			FROM mrls_fts f
+			JOIN mrls m ON f.rowid = m.id
+			WHERE mrls_fts MATCH ?
+			ORDER BY bm25(mrls_fts)
+			LIMIT ? OFFSET ?`).all(matchExpr, +limit, +offset);
+
+		res.json({ results: results.map(r => ({ ...r, lod: !!r.lod })), total, limit: +limit, offset: +offset });
+	} catch (e) {
+		console.error('[MRL] Search error:', e);
+		res.status(500).json({ error: 'search failed' });
+	}
+});
+
+// GET /lookup?substanceId=...|cas=...|substance=...&eppo=...|crop=...
+// Limits for an active substance on a crop. The substance is matched by
+// IngredientsEU id, then CAS number, then name; the crop by EPPO code or name.
+router.get('/lookup', (req, res) => {
+	try {
+		const { substanceId, cas, substance, eppo, crop } = req.query;
+		if (!substanceId && !cas && !substance) {
+			return res.status(400).json({ error: 'substanceId, cas or substance required' });
+		}
+		if (!eppo && !crop) {
+			return res.status(400).json({ error: 'eppo or crop required' });
+		}
+
+		const cropWhere = eppo ? 'm.eppo_code = ?' : null;
+		const cropParam = eppo ? String(eppo).trim().toUpperCase() : null;
+
+		// Try each way of identifying the substance until one finds limits
+		const attempts = [];
+		if (substanceId && !isNaN(parseInt(substanceId, 10))) {
+			attempts.push({ by: 'substanceId', where: 'm.substance_id = ?', params: [parseInt(substanceId, 10)] });
+		}
+		if (cas) {
+			attempts.push({ by: 'cas', where: 'm.as_cas_number = ?', params: [String(cas).trim()] });
+		}
+		if (substance) {
+			attempts.push({ by: 'substance', where: 'm.substance_name_norm = ?', params: [normalize(substance)] });
+		}
+
+		let results = [];
+		let matchedBy = null;
+
+		for (const attempt of attempts) {
+			const sql = cropWhere
+				? `SELECT m.* FROM mrls m WHERE ${attempt.where} AND ${cropWhere} ORDER BY m.product_name`
+				: `SELECT m.* FROM mrls_fts f JOIN mrls m ON f.rowid = m.id
+					WHERE mrls_fts MATCH ? AND ${attempt.where} ORDER BY bm25(mrls_fts) LIMIT 20`;
+			const params = cropWhere
+				? [...attempt.params, cropParam]
+				: [columnMatch('product_name_norm', crop), ...attempt.params];
+
+			results = db.prepare(sql).all(...params);
+			if (results.length) {
+				matchedBy = attempt.by;
+				break;
+			}
+		}
+
+		res.json({
+			results: results.map(({ substance_name_norm, product_name_norm, ...r }) => ({ ...r, lod: !!r.lod })),
+			matchedBy
+		});
+	} catch (e) {
+		console.error('[MRL] Lookup error:', e);
+		res.status(500).json({ error: 'lookup failed' });
+	}
+});
+
+// POST /rebuild - rebuild from the dataset file
+router.post('/rebuild', async (req, res) => {
+	res.json(await rebuild());
+});
+
+// GET /health
+router.get('/health', (req, res) => {
+	const mem = process.memoryUsage();
+
+	if (!db) {
+		return res.json({
+			ok: false,
+			provider: 'mrl',
+			error: 'database not loaded - place mrl.json in the data directory and run POST /rebuild',
+			rebuilding,
+			memory: { heapUsed: Math.round(mem.heapUsed / 1024 / 1024) + ' MB', rss: Math.round(mem.rss / 1024 / 1024) + ' MB' }
+		});
+	}
+
+	res.json({
+		ok: !rebuilding,
+		provider: 'mrl',
+		rebuilding,
+		stats: {
+			total: stmts.countMrls.get(),
+			substances: stmts.countSubstances.get(),
+			products: stmts.countProducts.get()
+		},
+		memory: { heapUsed: Math.round(mem.heapUsed / 1024 / 1024) + ' MB', rss: Math.round(mem.rss / 1024 / 1024) + ' MB' },
+		dbFile: path.basename(currentDbPath),
+		dbSize: Math.round(fs.statSync(currentDbPath).size / 1024 / 1024) + ' MB',
+		sourceModifiedAt: meta.sourceModifiedAt
+	});
+});
+
+// --- Initialize ---
+async function initialize(cfg) {
+	config = cfg;
+
+	console.log(`[MRL] Data directory: ${config.dir}`);
+
+	const datasetPath = getDatasetPath();
+	let existing = findLatestDb();
+	let existingMeta = null;
+
+	if (existing) {
+		try {
+			const testDb = new Database(existing, { readonly: true });
+			existingMeta = Object.fromEntries(
+				testDb.prepare('SELECT key, value FROM meta').all().map(row => [row.key, row.value])
+			);
+			testDb.close();
+		} catch (e) {
+			console.log('[MRL] Invalid db, will rebuild...');
+			existing = null;
+		}
+	}
+
+	// The dataset is replaced by hand, so rebuild when it changed since the last build
+	const datasetChanged = fs.existsSync(datasetPath) &&
+		fs.statSync(datasetPath).mtime.toISOString() !== existingMeta?.sourceModifiedAt;
+
+	if (existing && !datasetChanged) {
+		// Use existing database
+		const opened = openDb(existing);
+		db = opened.db;
+		stmts = opened.stmts;
+		meta = opened.meta;
+		currentDbPath = existing;
+		cleanupOldDbs(currentDbPath);
+		console.log('[MRL] Provider ready (using existing database)');
+	} else if (fs.existsSync(datasetPath)) {
+		console.log('[MRL] Building database from dataset file...');
+		const result = await rebuild();
+		if (!result.ok) {
+			console.error('[MRL] Failed to build database:', result.error);
+		}
+	} else {
+		console.log(`[MRL] No dataset found at ${datasetPath} - provider started without data`);
+	}
+
+	ready = true;
+}
+
+module.exports = { router, initialize };
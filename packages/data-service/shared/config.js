@@ -53,6 +53,7 @@ function ensureDataDir() {
 	// Create provider subdirectories
 	const eppoDir = path.join(dataDir, 'eppo');
 	const ingredientseuDir = path.join(dataDir, 'ingredientseu');
+	const mrlDir = path.join(dataDir, 'mrl');
 
 	if (!fs.existsSync(eppoDir)) {
 		fs.mkdirSync(eppoDir, { recursive: true });
@@ -60,11 +61,15 @@ function ensureDataDir() {
 	if (!fs.existsSync(ingredientseuDir)) {
 		fs.mkdirSync(ingredientseuDir, { recursive: true });
 	}
+	if (!fs.existsSync(mrlDir)) {
+		fs.mkdirSync(mrlDir, { recursive: true });
+	}
 
 	return {
 		dataDir,
 		eppoDir,
-		ingredientseuDir
+		ingredientseuDir,
+		mrlDir
 	};
 }
 
@@ -83,6 +88,9 @@ function getConfig() {
 		ingredientseu: {
 			dir: dirs.ingredientseuDir,
 			fetchUrl: process.env.INGREDIENTSEU_URL
+		},
+		mrl: {
+			dir: dirs.mrlDir
 		}
 	};
 }
@@ -16,11 +16,13 @@ import './src/globals/i18n';
 
 // Import screens
 import { SplashScreen, EntryScreen, SignUpScreen } from './src/components/screens/auth';
-import { FirstSetupScreen, SettingsScreen, EmailSettingsScreen } from './src/components/screens/settings';
-import { SowJobScreen, HarvestJobScreen, CustomJobScreen, SprayJobScreen, IrrigationJobScreen, JobSummaryScreen, JobDetailScreen } from './src/components/screens/jobs';
+import { FirstSetupScreen, SettingsScreen, EmailSettingsScreen, DeleteAccountScreen, SessionsScreen, TwoFactorScreen } from './src/components/screens/settings';
+import { SowJobScreen, HarvestJobScreen, CustomJobScreen, SprayJobScreen, IrrigationJobScreen, FertilizeJobScreen, JobSummaryScreen, JobDetailScreen, PlannedJobScreen } from './src/components/screens/jobs';
 import { FieldGroupsScreen, EditFieldGroupScreen, FieldRedrawScreen, CultivationScreen, FiltersScreen } from './src/components/screens/fields';
-import { CreateReportScreen } from './src/components/screens/reports';
+import { CreateReportScreen, ReportSubscriptionsScreen, EditReportSubscriptionScreen } from './src/components/screens/reports';
 import { EditEntityScreen } from './src/components/screens/entities';
+import { ProductStockScreen, StockPurchaseScreen } from './src/components/screens/inputs';
+import { CostsScreen } from './src/components/screens/costs';
 
 // Core components
 import Field from './src/components/Field';
@@ -165,16 +167,26 @@ const App = () => {
 											<Stack.Screen name="SprayJobScreen" component={SprayJobScreen} />
 											<Stack.Screen name="HarvestJobScreen" component={HarvestJobScreen} />
 											<Stack.Screen name="IrrigationJobScreen" component={IrrigationJobScreen} />
+											<Stack.Screen name="FertilizeJobScreen" component={FertilizeJobScreen} />
 											<Stack.Screen name="CustomJobScreen" component={CustomJobScreen} />
 											<Stack.Screen name="JobSummaryScreen" component={JobSummaryScreen} />
+											<Stack.Screen name="PlannedJobScreen" component={PlannedJobScreen} />
 											<Stack.Screen name="FieldGroupsScreen" component={FieldGroupsScreen} />
 											<Stack.Screen name="EditFieldGroupScreen" component={EditFieldGroupScreen} />
 											<Stack.Screen name="FieldRedrawScreen" component={FieldRedrawScreen} />
 											<Stack.Screen name="EditEntityScreen" component={EditEntityScreen} />
+											<Stack.Screen name="ProductStockScreen" component={ProductStockScreen} />
+											<Stack.Screen name="StockPurchaseScreen" component={StockPurchaseScreen} />
+											<Stack.Screen name="CostsScreen" component={CostsScreen} />
 											<Stack.Screen name="CreateReportScreen" component={CreateReportScreen} />
+											<Stack.Screen name="ReportSubscriptionsScreen" component={ReportSubscriptionsScreen} />
+											<Stack.Screen name="EditReportSubscriptionScreen" component={EditReportSubscriptionScreen} />
 											<Stack.Screen name="JobDetailScreen" component={JobDetailScreen} />
 											<Stack.Screen name="CultivationScreen" component={CultivationScreen} />
 											<Stack.Screen name="EmailSettingsScreen" component={EmailSettingsScreen} />
+											<Stack.Screen name="SessionsScreen" component={SessionsScreen} />
+											<Stack.Screen name="TwoFactorScreen" component={TwoFactorScreen} />
+											<Stack.Screen name="DeleteAccountScreen" component={DeleteAccountScreen} />
 											<Stack.Screen name="FiltersScreen" component={FiltersScreen} />
 											<Stack.Screen name="TemplateWizardScreen" component={TemplateWizardScreen} />
 										</Stack.Navigator>
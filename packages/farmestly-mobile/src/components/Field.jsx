@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { useApi } from '../hooks/useApi';
-import { View, StyleSheet, Dimensions, Text, ScrollView, TouchableOpacity } from 'react-native';
+import { View, StyleSheet, Dimensions, Text, ScrollView, TouchableOpacity, Alert } from 'react-native';
 import { useNavigation, useRoute } from '@react-navigation/core';
 import { useTranslation } from 'react-i18next';
 import { Storage } from '../utils/storage';
@@ -46,7 +46,7 @@ const farmingTypes = [
 const Field = () => {
 	const { t } = useTranslation(['screens', 'common', 'validation', 'alerts']);
 	const route = useRoute();
-	const { farmData, setFarmData, tmpFirstSetup, setTmpFirstSetup, } = useGlobalContext();
+	const { farmData, setFarmData, tmpFirstSetup, setTmpFirstSetup, applyUpdates } = useGlobalContext();
 	const navigation = useNavigation();
 	const { api } = useApi();
 	const { forFirstSetup, polygonId, selectedFieldData } = route.params;
@@ -251,6 +251,52 @@ const Field = () => {
 		return translatedFarmingTypes.find(type => type._id === farmingTypeId);
 	};
 
+	// Drop a removed field from every stored field group
+	const removeFromFieldGroups = (fieldId) => {
+		return Storage.getItem(FIELD_GROUPS_STORAGE_KEY)
+			.then(storedGroupsJson => {
+				if (!storedGroupsJson) return;
+				const groups = JSON.parse(storedGroupsJson).map(group => ({
+					...group,
+					fieldIds: (group.fieldIds || []).filter(id => id !== fieldId)
+				}));
+				return Storage.setItem(FIELD_GROUPS_STORAGE_KEY, JSON.stringify(groups));
+			})
+			.catch(err => {
+				console.error('Error updating field groups:', err);
+			});
+	};
+
+	const removeField = async (archive) => {
+		setIsLoading(true);
+		const params = archive ? '&archive=true&cascade=true' : '';
+		const result = await api(`${BASE_URL}/deleteField?_id=${selectedFieldData._id}${params}`, {
+			method: 'DELETE',
+			headers: {
+				'Content-Type': 'application/json',
+			}
+		});
+		setIsLoading(false);
+
+		if (result.ok) {
+			applyUpdates(result.raw?.UPDATES);
+			await removeFromFieldGroups(selectedFieldData._id);
+			navigation.navigate('Main');
+		}
+	};
+
+	const handleRemoveField = () => {
+		Alert.alert(
+			t('screens:field.removeConfirmTitle', { name: selectedFieldData?.name || '' }),
+			t('screens:field.removeConfirmMessage'),
+			[
+				{ text: t('common:buttons.cancel'), style: 'cancel' },
+				{ text: t('screens:field.archiveButton'), onPress: () => removeField(true) },
+				{ text: t('screens:field.deleteButton'), style: 'destructive', onPress: () => removeField(false) }
+			]
+		);
+	};
+
 	const handleRedrawField = () => {
 		navigation.navigate('FieldRedrawScreen', {
 			fieldData: selectedFieldData
@@ -361,6 +407,21 @@ const Field = () => {
 						</>
 					)}
 				</FormikHelper>
+
+				{!forFirstSetup && selectedFieldData?._id && (
+					<View style={styles.removeSection}>
+						<Text style={styles.redrawSectionTitle}>{t('screens:field.removeFieldTitle')}</Text>
+						<Text style={styles.redrawSectionDescription}>
+							{t('screens:field.removeFieldDescription')}
+						</Text>
+						<PrimaryButton
+							text={t('screens:field.removeButton')}
+							variant="outline"
+							onPress={handleRemoveField}
+							disabled={isLoading}
+						/>
+					</View>
+				)}
 			</ScrollView>
 		</View>
 	);
@@ -406,6 +467,12 @@ const styles = StyleSheet.create({
 		color: colors.PRIMARY,
 		marginBottom: 8,
 	},
+	removeSection: {
+		marginTop: 24,
+		paddingTop: 24,
+		borderTopWidth: 1,
+		borderTopColor: colors.PRIMARY + '15',
+	},
 	redrawSectionDescription: {
 		fontFamily: 'Geologica-Regular',
 		fontSize: 14,
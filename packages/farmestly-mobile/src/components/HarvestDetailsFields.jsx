@@ -0,0 +1,80 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { FormInput } from './ui/form';
+import OptionPicker from './ui/core/OptionPicker';
+import { useUnits } from '../providers/UnitsProvider';
+import { useGlobalContext } from './context/GlobalContextProvider';
+
+const WHOLE_NUMBER = { maximumFractionDigits: 0 };
+
+/**
+ * HarvestDetailsFields - Harvest quantity, quality, destination and sale price inputs
+ * Must be rendered inside a FormikHelper whose values come from harvestFormValues()
+ * @param {string} quantityType - 'mass' or 'volume', the unit the quantity is entered in
+ * @param {function} onQuantityTypeChange - Called with the new quantity type
+ */
+const HarvestDetailsFields = ({ quantityType, onQuantityTypeChange }) => {
+	const { t } = useTranslation(['screens', 'common']);
+	const { symbol } = useUnits();
+	const { farmData } = useGlobalContext();
+	const currency = farmData?.costRates?.currency || 'EUR';
+
+	return (
+		<>
+			<OptionPicker
+				label={t('screens:harvestDetails.measuredBy')}
+				options={[
+					{ key: 'mass', label: t('screens:harvestDetails.byMass') },
+					{ key: 'volume', label: t('screens:harvestDetails.byVolume') }
+				]}
+				value={quantityType}
+				onChange={onQuantityTypeChange}
+				allowNoneSelected={false}
+			/>
+			<FormInput
+				name="amount"
+				label={t('screens:harvestDetails.amount')}
+				placeholder="0"
+				unit={symbol(quantityType)}
+				numeric={true}
+			/>
+			<FormInput
+				name="moisture"
+				label={t('screens:harvestDetails.moisture')}
+				placeholder="0"
+				unit="%"
+				numeric={true}
+			/>
+			<FormInput
+				name="loads"
+				label={t('screens:harvestDetails.loads')}
+				placeholder="0"
+				numeric={true}
+				numericOptions={WHOLE_NUMBER}
+			/>
+			<FormInput
+				name="grade"
+				label={t('screens:harvestDetails.grade')}
+				placeholder={t('screens:harvestDetails.gradePlaceholder')}
+				maxLength={50}
+			/>
+			<FormInput
+				name="destination"
+				label={t('screens:harvestDetails.destination')}
+				placeholder={t('screens:harvestDetails.destinationPlaceholder')}
+				maxLength={200}
+			/>
+			<FormInput
+				name="salePrice"
+				label={t('screens:harvestDetails.salePrice')}
+				description={t('screens:harvestDetails.salePriceDescription')}
+				placeholder="0"
+				unit={`${currency}/${symbol(quantityType)}`}
+				numeric={true}
+				isLast={true}
+			/>
+		</>
+	);
+};
+
+export default HarvestDetailsFields;
@@ -3,6 +3,7 @@ import { Storage } from '../../utils/storage';
 import NetInfo from '@react-native-community/netinfo';
 import { api, clearCookie } from '../../globals/api';
 import JobService from '../../utils/JobService';
+import TrackRecorder from '../../utils/TrackRecorder';
 
 const GlobalContext = createContext();
 
@@ -23,7 +24,8 @@ export const GlobalContextProvider = ({ children }) => {
 
 	// Local preferences (not synced to server)
 	const [localPreferences, setLocalPreferencesRaw] = useState({
-		uiPerformanceMode: 'pretty' // 'pretty' | 'balanced'
+		uiPerformanceMode: 'pretty', // 'pretty' | 'balanced'
+		gpsTracking: false
 	});
 
 	// Legacy state for job recordings and first setup
@@ -42,6 +44,11 @@ export const GlobalContextProvider = ({ children }) => {
 			.catch(() => { });
 	}, []);
 
+	// GPS track capture for new recordings follows the local preference
+	useEffect(() => {
+		TrackRecorder.setEnabled(!!localPreferences.gpsTracking);
+	}, [localPreferences.gpsTracking]);
+
 	// Helper function to get recording for a specific field
 	const getRecordingForField = useCallback((fieldId) => {
 		return activeRecordings[fieldId] || null;
@@ -309,6 +316,33 @@ export const GlobalContextProvider = ({ children }) => {
 		return result;
 	}, []);
 
+	// Apply an UPDATES payload to farm state: merge partial docs by _id,
+	// and drop docs flagged with `_deleted: true`
+	const applyUpdates = useCallback((updates) => {
+		if (!updates || typeof updates !== 'object') return;
+
+		setFarmRaw(prev => {
+			if (!prev) return prev;
+
+			const next = { ...prev };
+			Object.entries(updates).forEach(([collection, docs]) => {
+				if (!Array.isArray(docs) || !prev[collection]) return;
+
+				const deletedIds = docs.filter(d => d?._deleted).map(d => String(d._id));
+
+				next[collection] = prev[collection]
+					.filter(item => !deletedIds.includes(String(item._id)))
+					.map(item => {
+						const update = docs.find(d => String(d._id) === String(item._id));
+						if (!update) return item;
+						return mergeWithProtocol(item, update);
+					});
+			});
+
+			return next;
+		});
+	}, [mergeWithProtocol]);
+
 	// Listen to JobService events
 	useEffect(() => {
 		const removeListener = JobService.on((event, data) => {
@@ -340,25 +374,7 @@ export const GlobalContextProvider = ({ children }) => {
 
 				case 'sync':
 					// Handle incremental updates from server after job sync
-					const { updates } = data || {};
-					if (!updates || typeof updates !== 'object') break;
-
-					setFarmRaw(prev => {
-						if (!prev) return prev;
-
-						const next = { ...prev };
-						Object.entries(updates).forEach(([collection, docs]) => {
-							if (!Array.isArray(docs) || !prev[collection]) return;
-
-							next[collection] = prev[collection].map(item => {
-								const update = docs.find(d => String(d._id) === String(item._id));
-								if (!update) return item;
-								return mergeWithProtocol(item, update);
-							});
-						});
-
-						return next;
-					});
+					applyUpdates(data?.updates);
 					break;
 
 				default:
@@ -367,7 +383,7 @@ export const GlobalContextProvider = ({ children }) => {
 		});
 
 		return () => removeListener();
-	}, [mergeWithProtocol]);
+	}, [applyUpdates]);
 
 	// ============================================
 	// BACKWARDS COMPATIBILITY
@@ -417,6 +433,7 @@ export const GlobalContextProvider = ({ children }) => {
 		setFarm,
 		updatePreferences,
 		updateAccountField,
+		applyUpdates,
 
 		// Computed values
 		totalArea,
@@ -462,6 +479,7 @@ export const GlobalContextProvider = ({ children }) => {
 		setFarm,
 		updatePreferences,
 		updateAccountField,
+		applyUpdates,
 		totalArea,
 		localPreferences,
 		setLocalPreference,
@@ -1,6 +1,7 @@
 import React, { useRef, useState, useEffect, useCallback } from 'react';
 import { useApi } from '../../../hooks/useApi';
-import { View, StyleSheet, Dimensions, Text, Image, BackHandler, TouchableOpacity } from 'react-native';
+import { useTranslation } from 'react-i18next';
+import { View, StyleSheet, Dimensions, Text, Image, BackHandler, TouchableOpacity, Alert } from 'react-native';
 import { FlatList } from 'react-native-gesture-handler';
 import { BottomSheetModal, BottomSheetView, BottomSheetModalProvider, BottomSheetBackdrop } from '@gorhom/bottom-sheet';
 import colors from '../../../globals/colors'
@@ -38,6 +39,7 @@ let wizardPages;
 
 const SignUpScreen = ({ navigation, route }) => {
 
+	const { t } = useTranslation(['screens', 'common']);
 	const { api } = useApi();
 
 	let buttonText;
@@ -72,6 +74,26 @@ const SignUpScreen = ({ navigation, route }) => {
 		bottomSheetRef.current?.close();
 	};
 
+	// Logging in to an account scheduled for deletion offers to cancel the deletion
+	const promptRestoreAccount = useCallback((purgeAfter) => {
+		Alert.alert(
+			t('screens:restoreAccount.title'),
+			t('screens:restoreAccount.message', { date: new Date(purgeAfter).toLocaleDateString() }),
+			[
+				{ text: t('common:buttons.cancel'), style: 'cancel' },
+				{
+					text: t('screens:restoreAccount.restore'),
+					onPress: async () => {
+						const result = await api('/restoreAccount', { method: 'POST' });
+						if (result.ok) {
+							navigation.replace('Splash');
+						}
+					}
+				}
+			]
+		);
+	}, [api, navigation, t]);
+
 	// Shared submit logic for both button tap and keyboard submit
 	const handlePageSubmit = useCallback(() => {
 		const isValid = currentIndex === 0 ? phoneIsValid : otpIsValid;
@@ -129,12 +151,15 @@ const SignUpScreen = ({ navigation, route }) => {
 					setIsLoading(false);
 					flatlistRef.current.scrollToIndex({ animated: true, index: 0 });
 					setCurrentIndex(0);
+				} else if (result.code === 'ACCOUNT_PENDING_DELETION') {
+					setIsLoading(false);
+					promptRestoreAccount(result.data?.purgeAfter);
 				} else {
 					setIsLoading(false);
 				}
 			});
 		}
-	}, [currentIndex, phoneIsValid, otpIsValid, isLoading, phoneNumber, country, otp, route.params.for, navigation, api]);
+	}, [currentIndex, phoneIsValid, otpIsValid, isLoading, phoneNumber, country, otp, route.params.for, navigation, api, promptRestoreAccount]);
 
 	const backOverride = useCallback(() => {
 		// console.log(isLoading)
@@ -0,0 +1,312 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, Platform } from 'react-native';
+import { KeyboardAwareScrollView } from 'react-native-keyboard-controller';
+import { useFocusEffect } from '@react-navigation/native';
+import { useTranslation } from 'react-i18next';
+import { FormikHelper, FormInput } from '../../ui/form';
+import colors from '../../../globals/colors';
+import { useApi } from '../../../hooks/useApi';
+import { useGlobalContext } from '../../context/GlobalContextProvider';
+import { useUnits } from '../../../providers/UnitsProvider';
+import { useLocale } from '../../../providers/LocaleProvider';
+import PrimaryButton from '../../ui/core/PrimaryButton';
+import OptionPicker from '../../ui/core/OptionPicker';
+import EmptyState from '../../ui/core/EmptyState';
+
+const GROUPINGS = ['field', 'cultivation', 'season'];
+
+const CostsScreen = () => {
+	const { t } = useTranslation(['screens', 'common']);
+	const { api } = useApi();
+	const { farmData, setFarmData } = useGlobalContext();
+	const { format: formatUnit, formatValue, symbol } = useUnits();
+	const { format: formatNumber } = useLocale();
+
+	const canEdit = !farmData?.role || ['owner', 'manager'].includes(farmData.role);
+	const rates = farmData?.costRates || {};
+	const currency = rates.currency || 'EUR';
+
+	const [groupBy, setGroupBy] = useState('field');
+	const [summary, setSummary] = useState(null);
+	const [isLoading, setIsLoading] = useState(true);
+	const [isSaving, setIsSaving] = useState(false);
+
+	const formatMoney = (value) => (
+		value != null
+			? formatNumber(value, { style: 'currency', currency: summary?.currency || currency, minDecimals: 2, maxDecimals: 2 })
+			: '—'
+	);
+
+	// Reload when coming back from a job that may have changed costs
+	useFocusEffect(
+		useCallback(() => {
+			let cancelled = false;
+
+			const load = async () => {
+				setIsLoading(true);
+				const result = await api(`/costs/summary?groupBy=${groupBy}`);
+				if (cancelled) return;
+				if (result.ok) {
+					setSummary(result.data);
+				}
+				setIsLoading(false);
+			};
+
+			load();
+			return () => { cancelled = true; };
+		}, [api, groupBy])
+	);
+
+	const handleSaveRates = async (values) => {
+		setIsSaving(true);
+
+		const result = await api('/costs/rates', {
+			method: 'PUT',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({
+				currency: values.currency.trim().toUpperCase() || null,
+				labourHourly: values.labourHourly ?? null,
+				waterPerM3: values.waterPerM3 ?? null
+			})
+		});
+
+		setIsSaving(false);
+
+		if (result.ok) {
+			setFarmData(prev => ({ ...prev, costRates: result.data }));
+		}
+
+		return result;
+	};
+
+	const getGroupTitle = (group) => {
+		if (group.season) return group.season;
+		const crop = group.cultivation?.crop;
+		const field = group.fieldName || t('screens:costs.unknownField');
+		return crop ? `${field} · ${crop}` : field;
+	};
+
+	const renderGroup = (group) => {
+		const areaValue = group.area ? formatValue(group.area, 'area') : null;
+		return (
+			<View key={group.key} style={styles.groupCard}>
+				<View style={styles.groupHeader}>
+					<Text style={styles.groupTitle}>{getGroupTitle(group)}</Text>
+					<Text style={styles.groupTotal}>{formatMoney(group.total)}</Text>
+				</View>
+				<Text style={styles.groupSubtitle}>
+					{t('screens:costs.jobCount', { count: group.jobCount })}
+					{group.area ? ` · ${formatUnit(group.area, 'area')}` : ''}
+					{areaValue ? ` · ${formatMoney(group.total / areaValue)}/${symbol('area')}` : ''}
+				</Text>
+
+				{['products', 'machinery', 'labour', 'water'].filter(part => group[part] > 0).map(part => (
+					<View key={part} style={styles.row}>
+						<Text style={styles.label}>{t(`screens:costs.parts.${part}`)}</Text>
+						<Text style={styles.value}>{formatMoney(group[part])}</Text>
+					</View>
+				))}
+
+				{group.revenue != null && (
+					<>
+						<View style={styles.row}>
+							<Text style={styles.label}>{t('screens:costs.revenue')}</Text>
+							<Text style={styles.value}>{formatMoney(group.revenue)}</Text>
+						</View>
+						<View style={styles.row}>
+							<Text style={styles.label}>{t('screens:costs.grossMargin')}</Text>
+							<Text style={[styles.value, group.grossMargin < 0 && styles.negative]}>
+								{formatMoney(group.grossMargin)}
+							</Text>
+						</View>
+					</>
+				)}
+
+				{group.uncostedJobs > 0 && (
+					<Text style={styles.infoText}>{t('screens:costs.uncostedJobs', { count: group.uncostedJobs })}</Text>
+				)}
+			</View>
+		);
+	};
+
+	return (
+		<KeyboardAwareScrollView
+			style={styles.container}
+			contentContainerStyle={styles.content}
+			bottomOffset={100}
+			keyboardShouldPersistTaps="handled"
+		>
+			<Text style={styles.title}>{t('screens:costs.title')}</Text>
+			<Text style={styles.subtitle}>{t('screens:costs.subtitle')}</Text>
+
+			{/* Summary */}
+			<OptionPicker
+				label={t('screens:costs.groupBy')}
+				options={GROUPINGS.map(key => ({ key, label: t(`screens:costs.groupings.${key}`) }))}
+				value={groupBy}
+				onChange={setGroupBy}
+				allowNoneSelected={false}
+			/>
+
+			<View style={styles.section}>
+				{isLoading ? (
+					<EmptyState loading={true} />
+				) : !summary?.groups?.length ? (
+					<Text style={styles.infoText}>{t('screens:costs.noJobs')}</Text>
+				) : (
+					summary.groups.map(renderGroup)
+				)}
+			</View>
+
+			{/* Farm-wide rates */}
+			<View style={styles.section}>
+				<Text style={styles.sectionTitle}>{t('screens:costs.rates')}</Text>
+				<Text style={styles.infoText}>{t('screens:costs.ratesDescription')}</Text>
+
+				<FormikHelper
+					initialValues={{
+						currency,
+						labourHourly: rates.labourHourly ?? null,
+						waterPerM3: rates.waterPerM3 ?? null
+					}}
+					onSubmit={handleSaveRates}
+					enableReinitialize={true}
+				>
+					{({ handleSubmit }) => (
+						<>
+							<FormInput
+								name="labourHourly"
+								label={t('screens:costs.labourHourly')}
+								placeholder="0"
+								unit={`${currency}/h`}
+								numeric={true}
+								editable={canEdit}
+							/>
+							<FormInput
+								name="waterPerM3"
+								label={t('screens:costs.waterPerM3')}
+								placeholder="0"
+								unit={`${currency}/m³`}
+								numeric={true}
+								editable={canEdit}
+							/>
+							<FormInput
+								name="currency"
+								label={t('screens:costs.currency')}
+								description={t('screens:costs.currencyDescription')}
+								placeholder="EUR"
+								maxLength={3}
+								autoCapitalize="characters"
+								editable={canEdit}
+								isLast={true}
+							/>
+
+							{canEdit && (
+								<PrimaryButton
+									text={t('common:buttons.save')}
+									onPress={handleSubmit}
+									loading={isSaving}
+									fullWidth
+								/>
+							)}
+						</>
+					)}
+				</FormikHelper>
+			</View>
+		</KeyboardAwareScrollView>
+	);
+};
+
+const styles = StyleSheet.create({
+	container: {
+		flex: 1,
+		backgroundColor: 'white'
+	},
+	content: {
+		padding: 24,
+		paddingBottom: Platform.select({
+			ios: 100,
+			android: 85,
+		}),
+	},
+	title: {
+		fontSize: 28,
+		fontFamily: 'Geologica-Bold',
+		color: colors.PRIMARY,
+		marginBottom: 8
+	},
+	subtitle: {
+		fontSize: 16,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginBottom: 24
+	},
+	section: {
+		marginTop: 16,
+		marginBottom: 24
+	},
+	sectionTitle: {
+		fontSize: 18,
+		fontFamily: 'Geologica-Bold',
+		color: colors.PRIMARY,
+		marginBottom: 8
+	},
+	groupCard: {
+		borderWidth: 1,
+		borderColor: '#F3F4F6',
+		borderRadius: 8,
+		padding: 12,
+		marginBottom: 12
+	},
+	groupHeader: {
+		flexDirection: 'row',
+		justifyContent: 'space-between',
+		alignItems: 'center'
+	},
+	groupTitle: {
+		flex: 1,
+		marginRight: 12,
+		fontSize: 16,
+		fontFamily: 'Geologica-Medium',
+		color: colors.PRIMARY
+	},
+	groupTotal: {
+		fontSize: 16,
+		fontFamily: 'Geologica-Bold',
+		color: colors.PRIMARY
+	},
+	groupSubtitle: {
+		fontSize: 13,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginTop: 2,
+		marginBottom: 8
+	},
+	row: {
+		flexDirection: 'row',
+		justifyContent: 'space-between',
+		paddingVertical: 4
+	},
+	label: {
+		fontSize: 14,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT
+	},
+	value: {
+		fontSize: 14,
+		fontFamily: 'Geologica-Medium',
+		color: colors.PRIMARY
+	},
+	negative: {
+		color: '#D32F2F'
+	},
+	infoText: {
+		fontSize: 14,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		lineHeight: 20,
+		marginTop: 8
+	}
+});
+
+export default CostsScreen;
@@ -0,0 +1,2 @@
+// Cost Screens
+export { default as CostsScreen } from './CostsScreen';
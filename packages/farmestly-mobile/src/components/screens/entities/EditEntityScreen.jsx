@@ -18,6 +18,9 @@ import { useUnits } from '../../../providers/UnitsProvider';
 import OptionPicker from '../../ui/core/OptionPicker';
 import SearchableListSheet from '../../ui/list/SearchableListSheet';
 import IngredientsEUSearchSheet, { PRODUCT_TYPE_CODES, getCategoryFilterFromType, transformToActiveIngredient } from '../../sheets/IngredientsEUSearchSheet';
+import { getSubstanceWarning } from '../../../utils/compliance';
+import { getActiveIngredients, CONCENTRATION_UNITS, MAX_ACTIVE_INGREDIENTS } from '../../../utils/activeSubstances';
+import { MAIN_NUTRIENTS, MICRONUTRIENTS, NUTRIENT_LABELS } from '../../../utils/nutrients';
 
 const BASE_URL = config.BASE_URL;
 const { width } = Dimensions.get('screen');
@@ -31,7 +34,8 @@ const EditEntityScreen = () => {
 	const { openBottomSheet, closeBottomSheet } = useBottomSheet();
 	const { api } = useApi();
 	const [isLoading, setIsLoading] = useState(false);
-	const { parseRate, formatRateValue, parseProductRate, formatProductRateValue, rateSymbol, symbol, parse, formatValue } = useUnits();
+	const { parseRate, formatRateValue, parseProductRate, formatProductRateValue, parsePrice, formatPriceValue, rateSymbol, symbol, parse, formatValue } = useUnits();
+	const currency = farmData?.costRates?.currency || 'EUR';
 
 
 	// Extract entity type and data from route params
@@ -98,7 +102,7 @@ const EditEntityScreen = () => {
 				case 'product':
 					return {
 						title: 'Add a Product',
-						subtitle: 'This product can be used in spray jobs.'
+						subtitle: 'This product can be used in spray and fertilize jobs.'
 					};
 				case 'jobTemplate':
 					return {
@@ -152,6 +156,7 @@ const EditEntityScreen = () => {
 						make: '',
 						licenceNo: '',
 						powerOnTime: '',
+						hourlyRate: '',
 						tankCapacity: '',
 						boomWidth: '',
 						defaultCarrierRate: '',
@@ -163,6 +168,7 @@ const EditEntityScreen = () => {
 						make: '',
 						type: '',
 						powerOnTime: '',
+						hourlyRate: '',
 						// 'usedFor' can be 'spray' | 'irrigate' or '' (not used)
 						// Pre-fill from route params if provided (from wizard)
 						usedFor: presetUsedFor || '',
@@ -179,17 +185,24 @@ const EditEntityScreen = () => {
 						brand: '',
 						model: '',
 						powerOnTime: '',
+						hourlyRate: '',
 						notes: ''
 					};
 				case 'product':
 					return {
 						name: '',
 						type: null, // { code: '2-letter', name: 'type name' }
-						activeIngredient: null, // { provider, id, code, name, cas }
+						activeIngredients: [], // [{ provider, id, code, name, cas, concentration, concentrationUnit, seasonLimit }]
+						authorisationNumber: '',
 						defaultRate: '',
 						isVolume: true, // default to liquid
+						unitPrice: '',
 						rei: '',
 						phi: '',
+						maxApplications: '',
+						maxSeasonRate: '',
+						nutrients: { n: '', p: '', k: '', s: '', micronutrients: [] }, // % by weight, P as P2O5 and K as K2O
+						density: '', // kg/L, for liquid fertilizers
 						notes: ''
 					};
 				case 'jobTemplate':
@@ -211,6 +224,7 @@ const EditEntityScreen = () => {
 						make: entity.make || '',
 						licenceNo: entity.licenceNo || '',
 						powerOnTime: entity.powerOnTime ? formatValue(entity.powerOnTime, 'time')?.toString() : '',
+						hourlyRate: entity.hourlyRate != null ? entity.hourlyRate.toString() : '',
 						tankCapacity: entity.tankCapacity ? formatValue(entity.tankCapacity, 'volume')?.toString() : '',
 						boomWidth: entity.boomWidth ? formatValue(entity.boomWidth, 'length')?.toString() : '',
 						defaultCarrierRate: entity.defaultCarrierRate ? formatRateValue(entity.defaultCarrierRate)?.toString() : '',
@@ -222,6 +236,7 @@ const EditEntityScreen = () => {
 						make: entity.make || '',
 						type: entity.type || '',
 						powerOnTime: entity.powerOnTime ? formatValue(entity.powerOnTime, 'time')?.toString() : '',
+						hourlyRate: entity.hourlyRate != null ? entity.hourlyRate.toString() : '',
 						usedFor: entity.usedFor || (entity.usedInSpraying ? 'spray' : '') || '',
 						litersPerHour: entity.litersPerHour ? formatValue(entity.litersPerHour, 'volume')?.toString() : '',
 						tankCapacity: entity.tankCapacity ? formatValue(entity.tankCapacity, 'volume')?.toString() : '',
@@ -236,6 +251,7 @@ const EditEntityScreen = () => {
 						brand: entity.brand || '',
 						model: entity.model || '',
 						powerOnTime: entity.powerOnTime ? formatValue(entity.powerOnTime, 'time')?.toString() : '',
+						hourlyRate: entity.hourlyRate != null ? entity.hourlyRate.toString() : '',
 						notes: entity.notes || ''
 					};
 				case 'product': {
@@ -249,7 +265,7 @@ const EditEntityScreen = () => {
 								'fungicide': PRODUCT_TYPE_CODES.FU,
 								'insecticide': PRODUCT_TYPE_CODES.IN,
 								'adjuvant': { code: 'XX', name: 'Adjuvant' },
-								'fertilizer': { code: 'XX', name: 'Fertilizer' },
+								'fertilizer': PRODUCT_TYPE_CODES.FE,
 								'other': PRODUCT_TYPE_CODES.OT,
 							};
 							type = legacyTypeMap[entity.type] || { code: 'XX', name: entity.type };
@@ -259,41 +275,38 @@ const EditEntityScreen = () => {
 						}
 					}
 
-					// Handle activeIngredient migration: support old string format and new object format
-					// New schema: { provider, id, code, name, cas }
-					let activeIngredient = null;
-					if (entity.activeIngredient) {
-						if (typeof entity.activeIngredient === 'string') {
-							// Old string format: convert to new schema as custom entry
-							activeIngredient = {
-								provider: null,
-								id: null,
-								code: null,
-								name: entity.activeIngredient,
-								cas: null
-							};
-						} else if (entity.activeIngredient.provider !== undefined) {
-							// Already new format: { provider, id, code, name, cas }
-							activeIngredient = entity.activeIngredient;
-						} else if (entity.activeIngredient.code !== undefined) {
-							// Intermediate format: { code, name } - migrate to new schema
-							activeIngredient = {
-								provider: null,
-								id: null,
-								code: entity.activeIngredient.code,
-								name: entity.activeIngredient.name,
-								cas: null
-							};
-						}
-					}
+					// Products saved by older versions have a single activeIngredient
+					const activeIngredients = getActiveIngredients(entity).map(ai => ({
+						provider: ai.provider ?? null,
+						id: ai.id ?? null,
+						code: ai.code ?? null,
+						name: ai.name,
+						cas: ai.cas ?? null,
+						concentration: ai.concentration ?? null,
+						concentrationUnit: ai.concentrationUnit || (entity.isVolume === false ? 'g/kg' : 'g/L'),
+						seasonLimit: ai.seasonLimit ?? null,
+						approval: ai.approval ?? null
+					}));
 					return {
 						name: entity.name || '',
 						type,
-						activeIngredient,
+						activeIngredients,
+						authorisationNumber: entity.authorisationNumber || '',
 						defaultRate: entity.defaultRate ? formatProductRateValue(entity.defaultRate, entity.isVolume)?.toString() : '',
 						isVolume: entity.isVolume ?? true, // default to liquid
+						unitPrice: entity.unitPrice != null ? formatPriceValue(entity.unitPrice, entity.isVolume === false ? 'mass' : 'volume')?.toString() : '',
 						rei: entity.rei ? entity.rei.toString() : '',
 						phi: entity.phi ? entity.phi.toString() : '',
+						maxApplications: entity.maxApplications ? entity.maxApplications.toString() : '',
+						maxSeasonRate: entity.maxSeasonRate ? formatProductRateValue(entity.maxSeasonRate, entity.isVolume)?.toString() : '',
+						nutrients: {
+							n: entity.nutrients?.n ? entity.nutrients.n.toString() : '',
+							p: entity.nutrients?.p ? entity.nutrients.p.toString() : '',
+							k: entity.nutrients?.k ? entity.nutrients.k.toString() : '',
+							s: entity.nutrients?.s ? entity.nutrients.s.toString() : '',
+							micronutrients: entity.nutrients?.micronutrients || []
+						},
+						density: entity.density ? entity.density.toString() : '',
 						notes: entity.notes || ''
 					};
 				}
@@ -478,6 +491,10 @@ const EditEntityScreen = () => {
 			} else {
 				payload.powerOnTime = 0;
 			}
+
+			// Parse hourlyRate (cost per operating hour)
+			const hourlyRate = parseFloat(payload.hourlyRate);
+			payload.hourlyRate = !isNaN(hourlyRate) ? hourlyRate : undefined;
 		}
 
 		// Handle sprayer fields for machines and attachments
@@ -522,8 +539,23 @@ const EditEntityScreen = () => {
 				payload.defaultRate = undefined;
 			}
 
-			// Remove old field if present
+			// Remove old fields if present
 			delete payload.defaultRateUnit;
+			delete payload.activeIngredient;
+
+			// Approval status is worked out by the server
+			payload.activeIngredients = payload.activeIngredients.map(({ approval, ...ai }) => ({
+				...ai,
+				concentration: ai.concentration > 0 ? ai.concentration : null,
+				seasonLimit: ai.seasonLimit > 0 ? ai.seasonLimit : null
+			}));
+
+			// Parse unitPrice - convert from price per display unit to price per L or kg
+			if (payload.unitPrice) {
+				payload.unitPrice = parsePrice(payload.unitPrice, payload.isVolume ? 'volume' : 'mass') ?? undefined;
+			} else {
+				payload.unitPrice = undefined;
+			}
 
 			// Parse REI (hours)
 			if (payload.rei) {
@@ -540,6 +572,39 @@ const EditEntityScreen = () => {
 			} else {
 				payload.phi = undefined;
 			}
+
+			// Season limits: applications per field, and total dose in the same units as the rate
+			if (payload.maxApplications) {
+				const maxApplications = parseInt(payload.maxApplications);
+				payload.maxApplications = !isNaN(maxApplications) ? maxApplications : undefined;
+			} else {
+				payload.maxApplications = undefined;
+			}
+
+			if (payload.maxSeasonRate) {
+				payload.maxSeasonRate = parseProductRate(payload.maxSeasonRate, payload.isVolume) ?? undefined;
+			} else {
+				payload.maxSeasonRate = undefined;
+			}
+
+			// Composition and density only apply to fertilizers
+			if (payload.type?.code === 'FE') {
+				const percent = (value) => {
+					const num = parseFloat(value);
+					return num > 0 ? num : 0;
+				};
+				payload.nutrients = {
+					...Object.fromEntries(MAIN_NUTRIENTS.map(key => [key, percent(payload.nutrients[key])])),
+					micronutrients: payload.nutrients.micronutrients
+						.map(m => ({ element: m.element, percent: percent(m.percent) }))
+						.filter(m => m.percent > 0)
+				};
+				const density = parseFloat(payload.density);
+				payload.density = payload.isVolume && density > 0 ? density : null;
+			} else {
+				payload.nutrients = null;
+				payload.density = null;
+			}
 		}
 
 		// Transform jobTemplate payload to match new API schema
@@ -753,6 +818,15 @@ const EditEntityScreen = () => {
 						invalidMessage={t('validation:powerOnHoursMustBeNumber')}
 					/>
 
+					<FormInput
+						name="hourlyRate"
+						label={`${t('common:labels.hourlyRate')} (${currency}/${symbol('time')})`}
+						description={t('common:descriptions.hourlyRate')}
+						placeholder="e.g. 40"
+						numeric={true}
+						invalidMessage=""
+					/>
+
 					<FormInput
 						name="notes"
 						label={t('common:labels.notesOptional')}
@@ -802,6 +876,15 @@ const EditEntityScreen = () => {
 						invalidMessage="Power-on-Hours must be a number"
 					/>
 
+					<FormInput
+						name="hourlyRate"
+						label={`${t('common:labels.hourlyRate')} (${currency}/${symbol('time')})`}
+						description={t('common:descriptions.hourlyRate')}
+						placeholder="e.g. 15"
+						numeric={true}
+						invalidMessage=""
+					/>
+
 					{/* Usage Type Picker */}
 					<OptionPicker
 						label="Used For"
@@ -916,6 +999,15 @@ const EditEntityScreen = () => {
 						invalidMessage="Power-On-Hours must be a number"
 					/>
 
+					<FormInput
+						name="hourlyRate"
+						label={`${t('common:labels.hourlyRate')} (${currency}/${symbol('time')})`}
+						description={t('common:descriptions.hourlyRate')}
+						placeholder="e.g. 5"
+						numeric={true}
+						invalidMessage=""
+					/>
+
 					<FormInput
 						name="notes"
 						label={t('common:labels.notesOptional')}
@@ -939,6 +1031,7 @@ const EditEntityScreen = () => {
 				{ code: 'PG', name: 'Plant growth regulator', label: t('common:productTypes.pgr') || 'Plant Growth Regulator', description: t('common:productTypeDescriptions.pgr') || 'Regulates plant growth' },
 				{ code: 'NE', name: 'Nematicide', label: t('common:productTypes.nematicide') || 'Nematicide', description: t('common:productTypeDescriptions.nematicide') || 'Controls nematodes' },
 				{ code: 'MO', name: 'Molluscicide', label: t('common:productTypes.molluscicide') || 'Molluscicide', description: t('common:productTypeDescriptions.molluscicide') || 'Controls slugs and snails' },
+				{ code: 'FE', name: 'Fertilizer', label: t('common:productTypes.fertilizer'), description: t('common:productTypeDescriptions.fertilizer') },
 				{ code: 'OT', name: 'Other', label: t('common:productTypes.other'), description: t('common:productTypeDescriptions.other') || 'Other product types' },
 				{ code: 'XX', name: 'Custom', label: t('common:productTypes.custom') || 'Custom', description: t('common:productTypeDescriptions.custom') || 'User-defined product type' }
 			], [t]);
@@ -1012,42 +1105,115 @@ const EditEntityScreen = () => {
 						</Pressable>
 					</View>
 
-					{/* Active Ingredient - using IngredientsEUSearchSheet */}
-					<View style={formStyles.inputContainer}>
-						<Text style={formStyles.formLabel}>{t('common:labels.activeIngredient')}:</Text>
-						<Text style={formStyles.formDescription}>{t('common:descriptions.activeIngredient')}</Text>
-						<Pressable
-							style={styles.dropdownField}
-							onPress={() => {
-								// Get category filter based on selected product type (new { code, name } format)
-								const categoryFilter = getCategoryFilterFromType(values.type);
-								openBottomSheet(
-									<IngredientsEUSearchSheet
-										categoryFilter={categoryFilter}
-										onSelect={(item) => {
-											// Transform to new schema: { provider, id, code, name, cas }
-											const ingredientData = transformToActiveIngredient(item);
-											setFieldValue('activeIngredient', ingredientData);
-										}}
-										onCancel={closeBottomSheet}
-									/>,
-									{
-										snapPoints: ['100%'],
-										enablePanDownToClose: true,
-										index: 0
-									}
+					{/* Active substances - picked with IngredientsEUSearchSheet, each with its concentration */}
+					{values.type?.code !== 'FE' && (
+						<View style={formStyles.inputContainer}>
+							<Text style={formStyles.formLabel}>{t('common:labels.activeIngredients')}:</Text>
+							<Text style={formStyles.formDescription}>{t('common:descriptions.activeIngredients')}</Text>
+
+							{values.activeIngredients.map((ingredient, index) => {
+								// Approval status is checked by the server when the product is saved
+								const warning = getSubstanceWarning(values, ingredient);
+								return (
+									<View key={`${ingredient.id || ingredient.name}-${index}`} style={styles.ingredientRow}>
+										<View style={styles.ingredientHeader}>
+											<Text style={styles.ingredientName}>
+												{ingredient.name}
+												{ingredient.cas ? ` · CAS ${ingredient.cas}` : ''}
+											</Text>
+											<Pressable
+												onPress={() => setFieldValue('activeIngredients', values.activeIngredients.filter((_, i) => i !== index))}
+												hitSlop={8}
+											>
+												<Text style={styles.ingredientRemove}>✕</Text>
+											</Pressable>
+										</View>
+										{warning && (
+											<Text style={styles.substanceWarning}>
+												{t('common:compliance.substanceStatus.' + warning.status)}
+											</Text>
+										)}
+										<FormInput
+											name={`activeIngredients[${index}].concentration`}
+											label={t('common:labels.concentration')}
+											placeholder="π.χ. 500"
+											unit={ingredient.concentrationUnit}
+											numeric={true}
+											inline={true}
+											inputStyle={{ width: 120 }}
+											invalidMessage=""
+										/>
+										<OptionPicker
+											options={CONCENTRATION_UNITS.map(unit => ({ key: unit, label: unit }))}
+											value={ingredient.concentrationUnit}
+											onChange={(unit) => setFieldValue(`activeIngredients[${index}].concentrationUnit`, unit)}
+											allowNoneSelected={false}
+										/>
+										<FormInput
+											name={`activeIngredients[${index}].seasonLimit`}
+											label={t('common:labels.seasonLimit')}
+											placeholder="π.χ. 4000"
+											unit="g/ha"
+											numeric={true}
+											inline={true}
+											inputStyle={{ width: 120 }}
+											invalidMessage=""
+										/>
+									</View>
 								);
-							}}
-						>
-							<Text style={[
-								styles.dropdownFieldText,
-								!values.activeIngredient && styles.dropdownFieldPlaceholder
-							]}>
-								{values.activeIngredient?.name || t('common:placeholders.searchActiveIngredient') || 'Search or enter active ingredient...'}
-							</Text>
-							<Text style={styles.dropdownChevron}>▼</Text>
-						</Pressable>
-					</View>
+							})}
+
+							{values.activeIngredients.length < MAX_ACTIVE_INGREDIENTS && (
+								<Pressable
+									style={styles.dropdownField}
+									onPress={() => {
+										// Get category filter based on selected product type (new { code, name } format)
+										const categoryFilter = getCategoryFilterFromType(values.type);
+										openBottomSheet(
+											<IngredientsEUSearchSheet
+												categoryFilter={categoryFilter}
+												onSelect={(item) => {
+													// Transform to new schema: { provider, id, code, name, cas }
+													const ingredientData = transformToActiveIngredient(item);
+													setFieldValue('activeIngredients', [
+														...values.activeIngredients,
+														{
+															...ingredientData,
+															concentration: null,
+															concentrationUnit: values.isVolume ? 'g/L' : 'g/kg',
+															seasonLimit: null,
+															approval: null
+														}
+													]);
+												}}
+												onCancel={closeBottomSheet}
+											/>,
+											{
+												snapPoints: ['100%'],
+												enablePanDownToClose: true,
+												index: 0
+											}
+										);
+									}}
+								>
+									<Text style={[styles.dropdownFieldText, styles.dropdownFieldPlaceholder]}>
+										{values.activeIngredients.length > 0
+											? t('common:placeholders.addActiveIngredient')
+											: t('common:placeholders.searchActiveIngredient') || 'Search or enter active ingredient...'}
+									</Text>
+									<Text style={styles.dropdownChevron}>＋</Text>
+								</Pressable>
+							)}
+						</View>
+					)}
+
+					<FormInput
+						name="authorisationNumber"
+						label={t('common:labels.authorisationNumber')}
+						description={t('common:descriptions.authorisationNumber')}
+						placeholder="π.χ. 12345"
+						invalidMessage=""
+					/>
 
 					{/* Product Type Toggle */}
 					<OptionPicker
@@ -1062,6 +1228,78 @@ const EditEntityScreen = () => {
 						allowNoneSelected={false}
 					/>
 
+					{/* Fertilizer composition as on the label, used for the nutrients applied per hectare */}
+					{values.type?.code === 'FE' && (
+						<View style={formStyles.inputContainer}>
+							<Text style={formStyles.formLabel}>{t('common:labels.nutrientComposition')}:</Text>
+							<Text style={formStyles.formDescription}>{t('common:descriptions.nutrientComposition')}</Text>
+
+							{MAIN_NUTRIENTS.map(key => (
+								<FormInput
+									key={key}
+									name={`nutrients.${key}`}
+									label={NUTRIENT_LABELS[key]}
+									placeholder="0"
+									unit="%"
+									numeric={true}
+									inline={true}
+									inputStyle={{ width: 120 }}
+									invalidMessage=""
+								/>
+							))}
+
+							{values.nutrients.micronutrients.map((micronutrient, index) => (
+								<View key={micronutrient.element} style={styles.ingredientRow}>
+									<View style={styles.ingredientHeader}>
+										<Text style={styles.ingredientName}>{micronutrient.element}</Text>
+										<Pressable
+											onPress={() => setFieldValue('nutrients.micronutrients', values.nutrients.micronutrients.filter((_, i) => i !== index))}
+											hitSlop={8}
+										>
+											<Text style={styles.ingredientRemove}>✕</Text>
+										</Pressable>
+									</View>
+									<FormInput
+										name={`nutrients.micronutrients[${index}].percent`}
+										label={t('common:labels.concentration')}
+										placeholder="0"
+										unit="%"
+										numeric={true}
+										inline={true}
+										inputStyle={{ width: 120 }}
+										invalidMessage=""
+									/>
+								</View>
+							))}
+
+							{values.nutrients.micronutrients.length < MICRONUTRIENTS.length && (
+								<OptionPicker
+									label={t('common:labels.addMicronutrient')}
+									options={MICRONUTRIENTS
+										.filter(element => !values.nutrients.micronutrients.some(m => m.element === element))
+										.map(element => ({ key: element, label: element }))}
+									value={null}
+									onChange={(element) => setFieldValue('nutrients.micronutrients', [
+										...values.nutrients.micronutrients,
+										{ element, percent: '' }
+									])}
+								/>
+							)}
+
+							{values.isVolume && (
+								<FormInput
+									name="density"
+									label={t('common:labels.density')}
+									description={t('common:descriptions.density')}
+									placeholder="π.χ. 1.3"
+									unit="kg/L"
+									numeric={true}
+									invalidMessage=""
+								/>
+							)}
+						</View>
+					)}
+
 					<FormInput
 						name="defaultRate"
 						label={`${t('common:labels.defaultRate')} (${rateSymbol(values.isVolume)})`}
@@ -1071,6 +1309,15 @@ const EditEntityScreen = () => {
 						invalidMessage=""
 					/>
 
+					<FormInput
+						name="unitPrice"
+						label={`${t('common:labels.unitPrice')} (${currency}/${symbol(values.isVolume ? 'volume' : 'mass')})`}
+						description={t('common:descriptions.unitPrice')}
+						placeholder="π.χ. 12.5"
+						numeric={true}
+						invalidMessage=""
+					/>
+
 					<FormInput
 						name="rei"
 						label={t('common:labels.rei')}
@@ -1089,6 +1336,24 @@ const EditEntityScreen = () => {
 						invalidMessage=""
 					/>
 
+					<FormInput
+						name="maxApplications"
+						label={t('common:labels.maxApplications')}
+						description={t('common:descriptions.maxApplications')}
+						placeholder="π.χ. 3"
+						numeric={true}
+						invalidMessage=""
+					/>
+
+					<FormInput
+						name="maxSeasonRate"
+						label={`${t('common:labels.maxSeasonRate')} (${rateSymbol(values.isVolume)})`}
+						description={t('common:descriptions.maxSeasonRate')}
+						placeholder="π.χ. 6"
+						numeric={true}
+						invalidMessage=""
+					/>
+
 					<FormInput
 						name="notes"
 						label={t('common:labels.notesOptional')}
@@ -1445,6 +1710,35 @@ const styles = StyleSheet.create({
 		fontSize: 22,
 		color: colors.SECONDARY,
 		fontWeight: 'bold',
+	},
+	substanceWarning: {
+		fontFamily: 'Geologica-Medium',
+		fontSize: 14,
+		color: '#D32F2F',
+		marginTop: 6,
+	},
+	ingredientRow: {
+		borderWidth: 1,
+		borderColor: colors.SECONDARY_LIGHT,
+		borderRadius: 10,
+		padding: 12,
+		marginBottom: 10,
+	},
+	ingredientHeader: {
+		flexDirection: 'row',
+		alignItems: 'center',
+		justifyContent: 'space-between',
+	},
+	ingredientName: {
+		flex: 1,
+		fontSize: 16,
+		fontFamily: 'Geologica-Medium',
+		color: colors.PRIMARY,
+		marginRight: 8,
+	},
+	ingredientRemove: {
+		fontSize: 18,
+		color: colors.PRIMARY_LIGHT,
 	}
 });
 
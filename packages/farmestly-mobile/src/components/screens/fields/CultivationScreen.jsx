@@ -6,6 +6,7 @@ import { useGlobalContext } from '../../context/GlobalContextProvider';
 import { useUnits } from '../../../providers/UnitsProvider';
 import colors from '../../../globals/colors';
 import config from '../../../globals/config';
+import { getActiveIngredients } from '../../../utils/activeSubstances';
 
 const BASE_URL = config.BASE_URL;
 
@@ -15,12 +16,15 @@ const CultivationScreen = () => {
 	const { cultivation } = route.params;
 	const { farmData } = useGlobalContext();
 	const { api } = useApi();
-	const { format } = useUnits();
+	const { format, formatProductRate } = useUnits();
 	
 
 	const [loading, setLoading] = useState(false);
 	const [timelineJobs, setTimelineJobs] = useState([]);
 	const [field, setField] = useState(null);
+	const [sprayJobs, setSprayJobs] = useState([]);
+	const [residueLimits, setResidueLimits] = useState({});
+	const [limitsLoading, setLimitsLoading] = useState(false);
 
 	// Find the field for this cultivation
 	useEffect(() => {
@@ -34,6 +38,7 @@ const CultivationScreen = () => {
 	useEffect(() => {
 		if (cultivation._id) {
 			loadTimelineJobs();
+			loadResidueLimits();
 		}
 	}, [cultivation]);
 
@@ -48,12 +53,76 @@ const CultivationScreen = () => {
 		});
 
 		if (result.ok) {
-			setTimelineJobs(result.data?.jobs || []);
+			setTimelineJobs(result.data?.records || []);
 		}
 
 		setLoading(false);
 	};
 
+	// Sprays of this cultivation, with the EU maximum residue limits (MRL) of each
+	// product's active substance on the crop. Limits are looked up once per product.
+	const loadResidueLimits = async () => {
+		setLimitsLoading(true);
+
+		const result = await api(`${BASE_URL}/job/records?cultivationId=${cultivation._id}&type=spray&limit=100&page=1`, {
+			method: 'GET',
+			headers: {
+				'Content-Type': 'application/json',
+			},
+		});
+
+		if (!result.ok) {
+			setLimitsLoading(false);
+			return;
+		}
+
+		const jobs = result.data?.records || [];
+		setSprayJobs(jobs);
+
+		const cropParam = cultivation.eppoCode
+			? `eppo=${encodeURIComponent(cultivation.eppoCode)}`
+			: `crop=${encodeURIComponent(cultivation.crop || '')}`;
+		const productIds = [...new Set(jobs.flatMap(job => (job.data?.spray?.products || []).map(p => p.productId)))];
+
+		// One lookup per active substance of each product
+		const entries = await Promise.all(productIds.map(async (productId) => {
+			const ingredients = getActiveIngredients(farmData?.products?.find(p => p._id === productId))
+				.filter(ingredient => ingredient.id || ingredient.name);
+
+			const substances = await Promise.all(ingredients.map(async (ingredient) => {
+				const params = [cropParam];
+				if (ingredient.id) params.push(`substanceId=${ingredient.id}`);
+				if (ingredient.cas) params.push(`cas=${encodeURIComponent(ingredient.cas)}`);
+				if (ingredient.name) params.push(`substance=${encodeURIComponent(ingredient.name)}`);
+
+				const lookup = await api(`${BASE_URL}/data/mrl/lookup?${params.join('&')}`, {
+					method: 'GET',
+					headers: {
+						'Content-Type': 'application/json',
+					},
+				});
+
+				return lookup.ok ? { substance: ingredient.name, limits: lookup.data?.results || [] } : null;
+			}));
+
+			return [productId, substances.filter(Boolean)];
+		}));
+
+		setResidueLimits(Object.fromEntries(entries));
+		setLimitsLoading(false);
+	};
+
+	// Strictest limit found, e.g. "0.01* mg/kg" (* = limit of determination)
+	const formatResidueLimit = (entry) => {
+		if (!entry) return 'No active substance';
+
+		const limits = entry.limits.filter(l => l.mrl_value != null);
+		if (!limits.length) return 'No EU limit found';
+
+		const strictest = limits.reduce((min, l) => (l.mrl_value < min.mrl_value ? l : min));
+		return `${strictest.mrl_value}${strictest.lod ? '*' : ''} mg/kg`;
+	};
+
 	// Navigate to Jobs tab with cultivation filter
 	const handleViewFullTimeline = () => {
 		navigation.navigate('Main', {
@@ -132,6 +201,9 @@ const CultivationScreen = () => {
 
 	const statusInfo = getStatusInfo();
 
+	// Rolled up from the harvest jobs when the cultivation is completed
+	const harvestTotals = cultivation.harvestTotals;
+
 	return (
 		<View style={[styles.container, ]}>
 			<View style={styles.header}>
@@ -181,6 +253,59 @@ const CultivationScreen = () => {
 					</View>
 				)}
 
+				{/* Harvest Totals */}
+				{harvestTotals && (
+					<View style={styles.card}>
+						<Text style={styles.cardTitle}>Harvest</Text>
+						{harvestTotals.mass > 0 && (
+							<View style={styles.infoRow}>
+								<Text style={styles.infoLabel}>Harvested:</Text>
+								<Text style={styles.infoValue}>{format(harvestTotals.mass, 'mass')}</Text>
+							</View>
+						)}
+						{harvestTotals.mass > 0 && harvestTotals.area > 0 && (
+							<View style={styles.infoRow}>
+								<Text style={styles.infoLabel}>Yield:</Text>
+								<Text style={styles.infoValue}>{formatProductRate(harvestTotals.mass / harvestTotals.area, false)}</Text>
+							</View>
+						)}
+						{harvestTotals.volume > 0 && (
+							<View style={styles.infoRow}>
+								<Text style={styles.infoLabel}>Harvested (volume):</Text>
+								<Text style={styles.infoValue}>{format(harvestTotals.volume, 'volume')}</Text>
+							</View>
+						)}
+						{harvestTotals.volume > 0 && harvestTotals.area > 0 && (
+							<View style={styles.infoRow}>
+								<Text style={styles.infoLabel}>Yield (volume):</Text>
+								<Text style={styles.infoValue}>{formatProductRate(harvestTotals.volume / harvestTotals.area, true)}</Text>
+							</View>
+						)}
+						{harvestTotals.moisture != null && (
+							<View style={styles.infoRow}>
+								<Text style={styles.infoLabel}>Avg. Moisture:</Text>
+								<Text style={styles.infoValue}>{harvestTotals.moisture}%</Text>
+							</View>
+						)}
+						<View style={styles.infoRow}>
+							<Text style={styles.infoLabel}>Harvests:</Text>
+							<Text style={styles.infoValue}>{harvestTotals.harvestCount}</Text>
+						</View>
+						{harvestTotals.loads > 0 && (
+							<View style={styles.infoRow}>
+								<Text style={styles.infoLabel}>Loads:</Text>
+								<Text style={styles.infoValue}>{harvestTotals.loads}</Text>
+							</View>
+						)}
+						{harvestTotals.destinations?.length > 0 && (
+							<View style={styles.infoRow}>
+								<Text style={styles.infoLabel}>Destination:</Text>
+								<Text style={styles.infoValue}>{harvestTotals.destinations.join(', ')}</Text>
+							</View>
+						)}
+					</View>
+				)}
+
 				{/* Timeline Information */}
 				<TouchableOpacity style={styles.card} onPress={handleViewFullTimeline} activeOpacity={0.7}>
 					<View style={styles.cardHeader}>
@@ -271,6 +396,42 @@ const CultivationScreen = () => {
 					</View>
 				</TouchableOpacity>
 
+				{/* Residue Limits */}
+				{(limitsLoading || sprayJobs.length > 0) && (
+					<View style={styles.card}>
+						<Text style={styles.cardTitle}>Residue Limits (MRL)</Text>
+						{limitsLoading ? (
+							<View style={styles.loadingContainer}>
+								<ActivityIndicator size="small" color={colors.SECONDARY} />
+								<Text style={styles.loadingText}>Loading residue limits...</Text>
+							</View>
+						) : (
+							sprayJobs.map(job => (
+								<View key={job._id} style={styles.sprayItem}>
+									<Text style={styles.sprayDate}>{formatDate(job.endedAt || job.startedAt)}</Text>
+									{(job.data?.spray?.products || []).flatMap((product, index) => {
+										const substances = residueLimits[product.productId]?.length
+											? residueLimits[product.productId]
+											: [null];
+										return substances.map((entry, subIndex) => (
+											<View key={`${job._id}-${index}-${subIndex}`} style={styles.infoRow}>
+												<Text style={styles.infoLabel}>
+													{product.name}
+													{entry?.substance ? ` (${entry.substance})` : ''}
+												</Text>
+												<Text style={styles.infoValue}>{formatResidueLimit(entry)}</Text>
+											</View>
+										));
+									})}
+								</View>
+							))
+						)}
+						<Text style={styles.limitsNote}>
+							Limits for {cultivation.eppoCode ? `EPPO ${cultivation.eppoCode}` : cultivation.crop}. * = limit of determination.
+						</Text>
+					</View>
+				)}
+
 				{/* Additional Information */}
 				<View style={styles.card}>
 					<Text style={styles.cardTitle}>Additional Information</Text>
@@ -457,6 +618,24 @@ const styles = StyleSheet.create({
 		color: colors.PRIMARY_LIGHT,
 		marginTop: 2,
 	},
+	sprayItem: {
+		borderBottomWidth: 1,
+		borderBottomColor: colors.SECONDARY_LIGHT,
+		paddingBottom: 8,
+		marginBottom: 12,
+	},
+	sprayDate: {
+		fontSize: 14,
+		fontFamily: 'Geologica-Medium',
+		color: colors.SECONDARY,
+		marginBottom: 6,
+	},
+	limitsNote: {
+		fontSize: 12,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginTop: 4,
+	},
 	timelineNotes: {
 		fontSize: 12,
 		fontFamily: 'Geologica-Regular',
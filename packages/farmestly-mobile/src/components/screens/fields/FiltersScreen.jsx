@@ -105,6 +105,7 @@ const FiltersScreen = () => {
 			{ id: 'harvest', label: t('screens:filters.harvest') },
 			{ id: 'spray', label: t('screens:filters.spray') },
 			{ id: 'irrigate', label: t('screens:filters.irrigate') || 'Irrigate' },
+			{ id: 'fertilize', label: t('screens:filters.fertilize') },
 			...templateFilters
 		];
 
@@ -5,3 +5,5 @@ export * from './jobs';
 export * from './fields';
 export * from './reports';
 export * from './entities';
+export * from './inputs';
+export * from './costs';
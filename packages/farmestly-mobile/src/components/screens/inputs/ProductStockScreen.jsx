@@ -0,0 +1,273 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, StyleSheet, Alert, Platform } from 'react-native';
+import { useNavigation, useRoute, useFocusEffect } from '@react-navigation/native';
+import { useTranslation } from 'react-i18next';
+import colors from '../../../globals/colors';
+import { useApi } from '../../../hooks/useApi';
+import { useGlobalContext } from '../../context/GlobalContextProvider';
+import { useUnits } from '../../../providers/UnitsProvider';
+import PrimaryButton from '../../ui/core/PrimaryButton';
+import EmptyState from '../../ui/core/EmptyState';
+
+const ProductStockScreen = () => {
+	const { t } = useTranslation(['screens', 'common']);
+	const navigation = useNavigation();
+	const route = useRoute();
+	const { api } = useApi();
+	const { farmData, applyUpdates } = useGlobalContext();
+	const { format } = useUnits();
+
+	const { productId } = route.params;
+	const product = farmData?.products?.find(p => p._id === productId);
+	const category = product?.isVolume === false ? 'mass' : 'volume';
+	const canEdit = !farmData?.role || ['owner', 'manager'].includes(farmData.role);
+
+	const [entries, setEntries] = useState([]);
+	const [isLoading, setIsLoading] = useState(true);
+
+	// Reload when returning from the purchase screen
+	useFocusEffect(
+		useCallback(() => {
+			let cancelled = false;
+
+			const load = async () => {
+				const result = await api(`/stock?productId=${productId}`);
+				if (cancelled) return;
+				if (result.ok) {
+					setEntries(result.data || []);
+				}
+				setIsLoading(false);
+			};
+
+			load();
+			return () => { cancelled = true; };
+		}, [api, productId])
+	);
+
+	const formatDate = (date) => date ? new Date(date).toLocaleDateString() : '-';
+
+	const getFieldName = (fieldId) => (
+		farmData?.fields?.find(f => String(f._id) === String(fieldId))?.name || t('screens:productStock.unknownField')
+	);
+
+	const handleDeletePurchase = (entry) => {
+		Alert.alert(
+			t('screens:productStock.deleteConfirmTitle'),
+			t('screens:productStock.deleteConfirmMessage'),
+			[
+				{ text: t('common:buttons.cancel'), style: 'cancel' },
+				{
+					text: t('common:buttons.delete'),
+					style: 'destructive',
+					onPress: async () => {
+						const result = await api(`/stock/entry?_id=${entry._id}`, { method: 'DELETE' });
+						if (result.ok) {
+							applyUpdates(result.raw?.UPDATES);
+							setEntries(prev => prev.filter(e => e._id !== entry._id));
+						}
+					}
+				}
+			]
+		);
+	};
+
+	if (!product) {
+		return (
+			<View style={styles.container}>
+				<EmptyState title={t('screens:productStock.notFound')} />
+			</View>
+		);
+	}
+
+	const stock = product.stock;
+	const now = new Date();
+
+	return (
+		<View style={styles.container}>
+			<ScrollView
+				contentContainerStyle={styles.content}
+				showsVerticalScrollIndicator={false}
+			>
+				<Text style={styles.title}>{product.name}</Text>
+				<Text style={styles.subtitle}>
+					{stock
+						? t('screens:inputs.stockOnHand', { amount: format(stock.onHand, category) })
+						: t('screens:inputs.stockNotTracked')}
+				</Text>
+
+				{stock && stock.onHand < 0 && (
+					<View style={styles.warningCard}>
+						<Text style={styles.warningText}>{t('screens:productStock.negativeStock')}</Text>
+					</View>
+				)}
+
+				{/* Lots still in stock */}
+				{stock?.lots?.length > 0 && (
+					<View style={styles.section}>
+						<Text style={styles.sectionTitle}>{t('screens:productStock.lots')}</Text>
+						{stock.lots.map(lot => {
+							const expired = lot.expiryDate && new Date(lot.expiryDate) < now;
+							return (
+								<View key={String(lot.entryId)} style={styles.row}>
+									<View style={styles.rowText}>
+										<Text style={styles.rowTitle}>{lot.lotNumber || t('screens:productStock.noLotNumber')}</Text>
+										{!!lot.supplier && <Text style={styles.rowSubtitle}>{lot.supplier}</Text>}
+										{!!lot.expiryDate && (
+											<Text style={[styles.rowSubtitle, expired && styles.expiredText]}>
+												{t(expired ? 'screens:productStock.expired' : 'screens:productStock.expires', { date: formatDate(lot.expiryDate) })}
+											</Text>
+										)}
+									</View>
+									<Text style={styles.rowValue}>{format(lot.remaining, category)}</Text>
+								</View>
+							);
+						})}
+					</View>
+				)}
+
+				{/* Ledger */}
+				<View style={styles.section}>
+					<Text style={styles.sectionTitle}>{t('screens:productStock.history')}</Text>
+					{isLoading ? (
+						<EmptyState loading={true} />
+					) : entries.length === 0 ? (
+						<Text style={styles.infoText}>{t('screens:productStock.noEntries')}</Text>
+					) : (
+						entries.map(entry => {
+							const isPurchase = entry.type === 'purchase';
+							const details = isPurchase
+								? [entry.lotNumber, entry.supplier, entry.price != null ? t('screens:productStock.price', { price: entry.price }) : null]
+								: [getFieldName(entry.fieldId)];
+							return (
+								<TouchableOpacity
+									key={entry._id}
+									style={styles.row}
+									disabled={!isPurchase || !canEdit}
+									onLongPress={() => handleDeletePurchase(entry)}
+								>
+									<View style={styles.rowText}>
+										<Text style={styles.rowTitle}>
+											{isPurchase ? t('screens:productStock.purchase') : t('screens:productStock.usage')}
+											{' · '}{formatDate(entry.date)}
+										</Text>
+										<Text style={styles.rowSubtitle} numberOfLines={1}>
+											{details.filter(Boolean).join(' · ')}
+										</Text>
+									</View>
+									<Text style={[styles.rowValue, !isPurchase && styles.usageValue]}>
+										{isPurchase ? '+' : '−'}{format(Math.abs(entry.quantity), category)}
+									</Text>
+								</TouchableOpacity>
+							);
+						})
+					)}
+					{canEdit && entries.some(e => e.type === 'purchase') && (
+						<Text style={styles.infoText}>{t('screens:productStock.deleteHint')}</Text>
+					)}
+				</View>
+
+				{canEdit && (
+					<View style={styles.buttonContainer}>
+						<PrimaryButton
+							text={t('screens:productStock.addPurchase')}
+							onPress={() => navigation.navigate('StockPurchaseScreen', { productId })}
+							fullWidth
+						/>
+					</View>
+				)}
+			</ScrollView>
+		</View>
+	);
+};
+
+const styles = StyleSheet.create({
+	container: {
+		flex: 1,
+		backgroundColor: 'white'
+	},
+	content: {
+		padding: 24,
+		paddingBottom: Platform.select({
+			ios: 100,
+			android: 85,
+		}),
+	},
+	title: {
+		fontSize: 28,
+		fontFamily: 'Geologica-Bold',
+		color: colors.PRIMARY,
+		marginBottom: 8
+	},
+	subtitle: {
+		fontSize: 16,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginBottom: 24
+	},
+	section: {
+		marginBottom: 24
+	},
+	sectionTitle: {
+		fontSize: 18,
+		fontFamily: 'Geologica-Bold',
+		color: colors.PRIMARY,
+		marginBottom: 8
+	},
+	row: {
+		flexDirection: 'row',
+		alignItems: 'center',
+		justifyContent: 'space-between',
+		paddingVertical: 12,
+		borderBottomWidth: 1,
+		borderBottomColor: '#F3F4F6'
+	},
+	rowText: {
+		flex: 1,
+		marginRight: 12
+	},
+	rowTitle: {
+		fontSize: 15,
+		fontFamily: 'Geologica-Medium',
+		color: colors.PRIMARY
+	},
+	rowSubtitle: {
+		fontSize: 13,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginTop: 2
+	},
+	rowValue: {
+		fontSize: 15,
+		fontFamily: 'Geologica-Medium',
+		color: colors.PRIMARY
+	},
+	usageValue: {
+		color: colors.PRIMARY_LIGHT
+	},
+	expiredText: {
+		color: '#D32F2F'
+	},
+	infoText: {
+		fontSize: 14,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		lineHeight: 20,
+		marginTop: 8
+	},
+	warningCard: {
+		backgroundColor: '#FFF3E0',
+		borderRadius: 8,
+		padding: 12,
+		marginBottom: 24
+	},
+	warningText: {
+		fontSize: 14,
+		fontFamily: 'Geologica-Medium',
+		color: '#E65100'
+	},
+	buttonContainer: {
+		marginTop: 8
+	}
+});
+
+export default ProductStockScreen;
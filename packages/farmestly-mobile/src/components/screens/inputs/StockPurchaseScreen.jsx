@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { KeyboardAwareScrollView } from 'react-native-keyboard-controller';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { useTranslation } from 'react-i18next';
+import DatePicker from 'react-native-date-picker';
+import { FormikHelper, FormInput, formStyles } from '../../ui/form';
+import colors from '../../../globals/colors';
+import { useApi } from '../../../hooks/useApi';
+import { useGlobalContext } from '../../context/GlobalContextProvider';
+import { useUnits } from '../../../providers/UnitsProvider';
+import PrimaryButton from '../../ui/core/PrimaryButton';
+import ButtonStack from '../../ui/core/ButtonGroup';
+
+const StockPurchaseScreen = () => {
+	const { t } = useTranslation(['screens', 'common']);
+	const navigation = useNavigation();
+	const route = useRoute();
+	const { api } = useApi();
+	const { farmData, applyUpdates } = useGlobalContext();
+	const { symbol, parse } = useUnits();
+
+	const { productId } = route.params;
+	const product = farmData?.products?.find(p => p._id === productId);
+	const category = product?.isVolume === false ? 'mass' : 'volume';
+
+	const [purchaseDate, setPurchaseDate] = useState(new Date());
+	const [expiryDate, setExpiryDate] = useState(null);
+	const [openPicker, setOpenPicker] = useState(null);  // 'purchase' | 'expiry' | null
+	const [isSubmitting, setIsSubmitting] = useState(false);
+
+	const handleSubmit = async (values) => {
+		setIsSubmitting(true);
+
+		const result = await api('/stock/purchase', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({
+				productId,
+				quantity: parse(values.quantity, category),
+				date: purchaseDate.toISOString(),
+				expiryDate: expiryDate ? expiryDate.toISOString() : null,
+				lotNumber: values.lotNumber.trim() || null,
+				supplier: values.supplier.trim() || null,
+				price: values.price ?? null,
+				notes: values.notes.trim() || null
+			})
+		});
+
+		setIsSubmitting(false);
+
+		if (result.ok) {
+			applyUpdates(result.raw?.UPDATES);
+			navigation.goBack();
+		}
+
+		return result;
+	};
+
+	const renderDateRow = (label, date, picker, placeholder) => (
+		<View style={formStyles.inputContainer}>
+			<Text style={formStyles.formLabel}>{label}</Text>
+			<TouchableOpacity style={styles.dateButton} onPress={() => setOpenPicker(picker)}>
+				<Text style={[styles.dateText, !date && styles.datePlaceholder]}>
+					{date ? date.toLocaleDateString() : placeholder}
+				</Text>
+			</TouchableOpacity>
+		</View>
+	);
+
+	return (
+		<KeyboardAwareScrollView
+			style={styles.container}
+			contentContainerStyle={styles.content}
+			bottomOffset={100}
+			keyboardShouldPersistTaps="handled"
+		>
+			<Text style={styles.title}>{t('screens:stockPurchase.title')}</Text>
+			<Text style={styles.subtitle}>{product?.name}</Text>
+
+			<FormikHelper
+				initialValues={{
+					quantity: null,
+					price: null,
+					lotNumber: '',
+					supplier: '',
+					notes: ''
+				}}
+				onSubmit={handleSubmit}
+			>
+				{({ handleSubmit: formikSubmit, values }) => (
+					<>
+						<FormInput
+							name="quantity"
+							label={t('screens:stockPurchase.quantity')}
+							placeholder="0"
+							unit={symbol(category)}
+							numeric={true}
+						/>
+						<FormInput
+							name="lotNumber"
+							label={t('screens:stockPurchase.lotNumber')}
+							placeholder={t('screens:stockPurchase.lotNumberPlaceholder')}
+							maxLength={50}
+						/>
+						<FormInput
+							name="supplier"
+							label={t('screens:stockPurchase.supplier')}
+							placeholder={t('screens:stockPurchase.supplierPlaceholder')}
+							maxLength={100}
+						/>
+						<FormInput
+							name="price"
+							label={t('screens:stockPurchase.price')}
+							description={t('screens:stockPurchase.priceDescription')}
+							placeholder="0"
+							numeric={true}
+						/>
+
+						{renderDateRow(t('screens:stockPurchase.purchaseDate'), purchaseDate, 'purchase')}
+						{renderDateRow(t('screens:stockPurchase.expiryDate'), expiryDate, 'expiry', t('screens:stockPurchase.noExpiry'))}
+
+						<FormInput
+							name="notes"
+							label={t('screens:stockPurchase.notes')}
+							placeholder={t('screens:stockPurchase.notesPlaceholder')}
+							maxLength={500}
+							multiline={true}
+							isLast={true}
+						/>
+
+						<ButtonStack>
+							<PrimaryButton
+								text={t('common:buttons.save')}
+								onPress={formikSubmit}
+								loading={isSubmitting}
+								disabled={!(values.quantity > 0)}
+							/>
+							{expiryDate && (
+								<PrimaryButton
+									text={t('screens:stockPurchase.clearExpiry')}
+									variant="outline"
+									onPress={() => setExpiryDate(null)}
+								/>
+							)}
+							<PrimaryButton
+								text={t('common:buttons.cancel')}
+								variant="outline"
+								onPress={() => navigation.goBack()}
+							/>
+						</ButtonStack>
+					</>
+				)}
+			</FormikHelper>
+
+			<DatePicker
+				modal
+				open={openPicker !== null}
+				date={(openPicker === 'expiry' ? expiryDate : purchaseDate) || new Date()}
+				mode="date"
+				onConfirm={(date) => {
+					if (openPicker === 'expiry') {
+						setExpiryDate(date);
+					} else {
+						setPurchaseDate(date);
+					}
+					setOpenPicker(null);
+				}}
+				onCancel={() => setOpenPicker(null)}
+				title={openPicker === 'expiry' ? t('screens:stockPurchase.expiryDate') : t('screens:stockPurchase.purchaseDate')}
+			/>
+		</KeyboardAwareScrollView>
+	);
+};
+
+const styles = StyleSheet.create({
+	container: {
+		flex: 1,
+		backgroundColor: '#fff'
+	},
+	content: {
+		padding: 24,
+		paddingBottom: 40
+	},
+	title: {
+		fontSize: 28,
+		fontFamily: 'Geologica-Bold',
+		color: colors.PRIMARY,
+		marginBottom: 8
+	},
+	subtitle: {
+		fontSize: 16,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginBottom: 24
+	},
+	dateButton: {
+		height: 46,
+		justifyContent: 'center',
+		backgroundColor: colors.SECONDARY_LIGHT,
+		borderColor: colors.PRIMARY,
+		borderWidth: 1,
+		borderRadius: 10,
+		paddingHorizontal: 12
+	},
+	dateText: {
+		fontSize: 17,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY
+	},
+	datePlaceholder: {
+		color: colors.PRIMARY_LIGHT
+	}
+});
+
+export default StockPurchaseScreen;
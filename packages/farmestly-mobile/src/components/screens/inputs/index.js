@@ -0,0 +1,3 @@
+// Input Screens
+export { default as ProductStockScreen } from './ProductStockScreen';
+export { default as StockPurchaseScreen } from './StockPurchaseScreen';
@@ -14,7 +14,7 @@ const CustomJobScreen = () => {
 	const { t } = useTranslation(['common']);
 	const navigation = useNavigation();
 	const route = useRoute();
-	const { field, jobTemplate } = route.params;
+	const { field, jobTemplate, plannedJobId } = route.params;
 	const { farmData } = useGlobalContext();
 
 	// Initial form values
@@ -31,6 +31,7 @@ const CustomJobScreen = () => {
 		const recordingData = {
 			type: 'custom',
 			fieldId: field._id,
+			plannedJobId: plannedJobId || null,
 			template: { id: jobTemplate._id, name: jobTemplate.name },
 			machine: equipment.machine,
 			attachment: equipment.attachment,
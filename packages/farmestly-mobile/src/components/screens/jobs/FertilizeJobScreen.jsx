@@ -0,0 +1,376 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Pressable, Alert } from 'react-native';
+import { KeyboardAwareScrollView } from 'react-native-keyboard-controller';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { useTranslation } from 'react-i18next';
+import { useGlobalContext } from '../../context/GlobalContextProvider';
+import { useBottomSheet } from '../../sheets/BottomSheetContextProvider';
+import { useUnits } from '../../../providers/UnitsProvider';
+import { useApi } from '../../../hooks/useApi';
+import colors from '../../../globals/colors';
+import PrimaryButton from '../../ui/core/PrimaryButton';
+import ListItem from '../../ui/list/ListItem';
+import SearchableListSheet from '../../ui/list/SearchableListSheet';
+import { FormikHelper, FormInput } from '../../ui/form';
+import { resolveEquipment, buildCultivation } from '../../../utils/jobHelpers';
+import { MAIN_NUTRIENTS, NUTRIENT_LABELS, isFertilizer, formatNutrientGrade, getAppliedNutrients } from '../../../utils/nutrients';
+import { fertilizeJobSchema } from '../../../validation';
+
+const SQ_M_PER_HA = 10000;
+
+/**
+ * FertilizeJobScreen - Fertilizers applied to one field, at their rates.
+ *
+ * The nutrients per hectare are previewed from the products' N-P-K
+ * compositions, together with what the field already received this season
+ * when online. The server works them out again when the job is recorded.
+ */
+const FertilizeJobScreen = () => {
+	const { t } = useTranslation(['screens', 'common', 'validation']);
+	const navigation = useNavigation();
+	const route = useRoute();
+	const { field, templateId, plannedJobId } = route.params || {};
+	const { farmData, isOffline } = useGlobalContext();
+	const { openBottomSheet, closeBottomSheet } = useBottomSheet();
+	const { api } = useApi();
+	const { format, formatProductRate, formatProductRateValue, parseProductRate, rateSymbol } = useUnits();
+
+	// Nutrients already applied to the field this season, in kg/ha
+	const [seasonPerHa, setSeasonPerHa] = useState(null);
+
+	const fertilizers = useMemo(
+		() => (farmData.products || []).filter(isFertilizer),
+		[farmData.products]
+	);
+
+	useEffect(() => {
+		if (isOffline || !field?._id) return;
+		let cancelled = false;
+
+		api(`/nutrients/use?season=${new Date().getFullYear()}&fieldId=${field._id}`).then(result => {
+			if (cancelled || !result.ok) return;
+			setSeasonPerHa(result.data?.fields?.[0]?.perHa || null);
+		});
+
+		return () => { cancelled = true; };
+	}, [api, field?._id, isOffline]);
+
+	const handleSubmit = (values) => {
+		const template = templateId ? farmData.jobTemplates?.find(t => t._id === templateId) : null;
+		const equipment = template ? resolveEquipment(farmData, template) : { machine: null, attachment: null, tool: null };
+
+		navigation.navigate('Main', {
+			screen: 'Home',
+			params: {
+				startJobRecording: {
+					type: 'fertilize',
+					fieldId: field._id,
+					plannedJobId: plannedJobId || null,
+					template: template ? { id: template._id, name: template.name } : null,
+					machine: equipment.machine,
+					attachment: equipment.attachment,
+					tool: equipment.tool,
+					cultivation: buildCultivation(field),
+					data: {
+						fertilize: {
+							products: values.products.map(p => ({
+								productId: p.productId,
+								name: p.name,
+								rate: parseProductRate(p.rate, p.isVolume),
+								isVolume: p.isVolume
+							}))
+						}
+					},
+					notes: values.notes.trim()
+				}
+			}
+		});
+	};
+
+	const handleAddProduct = (products, setFieldValue) => {
+		if (fertilizers.length === 0) {
+			Alert.alert(
+				t('screens:fertilizeJob.noProductsAvailable'),
+				t('screens:fertilizeJob.noProductsMessage'),
+				[
+					{ text: t('common:buttons.ok') },
+					{
+						text: t('screens:fertilizeJob.goToInputs'),
+						onPress: () => navigation.navigate('Main', { screen: 'Inputs' })
+					}
+				]
+			);
+			return;
+		}
+
+		const handleSelectProduct = (product) => {
+			setFieldValue('products', [
+				...products,
+				{
+					productId: product._id,
+					name: product.name,
+					rate: product.defaultRate ? formatProductRateValue(product.defaultRate, product.isVolume)?.toString() || '' : '',
+					isVolume: product.isVolume
+				}
+			]);
+			closeBottomSheet();
+		};
+
+		openBottomSheet(
+			<SearchableListSheet
+				localData={fertilizers.filter(p => !products.some(selected => selected.productId === p._id))}
+				searchKeys={['name']}
+				searchPlaceholder={t('screens:fertilizeJob.searchProducts')}
+				title={t('screens:fertilizeJob.selectProductSheet')}
+				onSelect={handleSelectProduct}
+				renderItem={({ item, onSelect }) => (
+					<TouchableOpacity onPress={() => onSelect(item)} style={{ marginBottom: 8 }}>
+						<ListItem
+							icon={item.isVolume === false
+								? require('../../../assets/icons/productsolid_brown.png')
+								: require('../../../assets/icons/productliquid_brown.png')}
+							title={item.name}
+							subTitle1={formatNutrientGrade(item) || t('screens:fertilizeJob.noComposition')}
+							showChevron={true}
+						/>
+					</TouchableOpacity>
+				)}
+				keyExtractor={(item) => item._id}
+				cancelLabel={t('common:buttons.cancel')}
+				onCancel={closeBottomSheet}
+				emptyTitle={t('screens:fertilizeJob.noProductsFound')}
+				emptySubtitle={t('screens:fertilizeJob.tryDifferentSearch')}
+			/>,
+			{ snapPoints: ['95%'], enablePanDownToClose: true }
+		);
+	};
+
+	// kg/m² of each nutrient the selected products apply
+	const sumApplied = (products) => products.reduce((sum, selected) => {
+		const product = fertilizers.find(p => p._id === selected.productId);
+		const applied = getAppliedNutrients(product, parseProductRate(selected.rate, selected.isVolume));
+		MAIN_NUTRIENTS.forEach(key => { sum[key] += applied[key]; });
+		return sum;
+	}, { n: 0, p: 0, k: 0, s: 0 });
+
+	return (
+		<KeyboardAwareScrollView
+			style={styles.safeArea}
+			contentContainerStyle={styles.container}
+			bottomOffset={100}
+			keyboardShouldPersistTaps="handled"
+		>
+			<Text style={styles.title}>{t('screens:fertilizeJob.title')}</Text>
+			<Text style={styles.fieldName}>{field.name} • {format(field.area, 'area')}</Text>
+
+			<FormikHelper
+				initialValues={{ products: [], notes: '' }}
+				validationSchema={fertilizeJobSchema}
+				onSubmit={handleSubmit}
+			>
+				{({ values, errors, touched, setFieldValue, handleSubmit }) => {
+					const applied = sumApplied(values.products);
+					return (
+						<>
+							<Text style={styles.sectionTitle}>{t('screens:fertilizeJob.products')}</Text>
+							{values.products.map((selected, index) => {
+								const product = fertilizers.find(p => p._id === selected.productId);
+								return (
+									<View key={selected.productId} style={styles.productRow}>
+										<View style={styles.productHeader}>
+											<View style={styles.productInfo}>
+												<Text style={styles.productName}>{selected.name}</Text>
+												<Text style={styles.productGrade}>
+													{formatNutrientGrade(product) || t('screens:fertilizeJob.noComposition')}
+												</Text>
+											</View>
+											<Pressable
+												onPress={() => setFieldValue('products', values.products.filter((_, i) => i !== index))}
+												hitSlop={8}
+											>
+												<Text style={styles.productRemove}>✕</Text>
+											</Pressable>
+										</View>
+										<FormInput
+											name={`products[${index}].rate`}
+											label={t('screens:fertilizeJob.rate')}
+											placeholder="0"
+											unit={rateSymbol(selected.isVolume)}
+											numeric={true}
+											inline={true}
+											inputStyle={{ width: 120 }}
+										/>
+									</View>
+								);
+							})}
+
+							<PrimaryButton
+								text={t('screens:fertilizeJob.addProduct')}
+								variant="outline"
+								onPress={() => handleAddProduct(values.products, setFieldValue)}
+							/>
+							{typeof errors.products === 'string' && touched.products && (
+								<Text style={styles.errorText}>{t(`validation:${errors.products}`)}</Text>
+							)}
+
+							{values.products.length > 0 && (
+								<View style={styles.nutrientCard}>
+									<Text style={styles.nutrientTitle}>{t('screens:fertilizeJob.nutrientsApplied')}</Text>
+									<Text style={styles.nutrientDescription}>{t('screens:fertilizeJob.nutrientsDescription')}</Text>
+									{MAIN_NUTRIENTS.map(key => (
+										<View key={key} style={styles.nutrientRow}>
+											<Text style={styles.nutrientLabel}>{NUTRIENT_LABELS[key]}</Text>
+											<Text style={styles.nutrientValue}>{formatProductRate(applied[key], false)}</Text>
+										</View>
+									))}
+
+									{seasonPerHa && (
+										<>
+											<Text style={styles.nutrientSubtitle}>{t('screens:fertilizeJob.seasonTotal')}</Text>
+											{MAIN_NUTRIENTS.map(key => (
+												<View key={key} style={styles.nutrientRow}>
+													<Text style={styles.nutrientLabel}>{NUTRIENT_LABELS[key]}</Text>
+													<Text style={styles.nutrientValue}>
+														{formatProductRate((seasonPerHa[key] || 0) / SQ_M_PER_HA + applied[key], false)}
+													</Text>
+												</View>
+											))}
+										</>
+									)}
+								</View>
+							)}
+
+							<FormInput
+								name="notes"
+								label={t('common:labels.notesOptional')}
+								placeholder={t('screens:fertilizeJob.notesPlaceholder')}
+								multiline={true}
+								maxLength={500}
+								isLast={true}
+							/>
+
+							<View style={styles.buttonsContainer}>
+								<PrimaryButton
+									text={t('screens:fertilizeJob.startFertilizing')}
+									onPress={handleSubmit}
+								/>
+							</View>
+						</>
+					);
+				}}
+			</FormikHelper>
+		</KeyboardAwareScrollView>
+	);
+};
+
+const styles = StyleSheet.create({
+	safeArea: {
+		flex: 1,
+		backgroundColor: '#fff',
+	},
+	container: {
+		padding: 20,
+		paddingBottom: 60,
+	},
+	title: {
+		fontSize: 24,
+		color: colors.PRIMARY,
+		marginBottom: 8,
+		fontFamily: 'Geologica-Bold',
+	},
+	fieldName: {
+		fontSize: 18,
+		color: colors.PRIMARY_LIGHT,
+		marginBottom: 24,
+		fontFamily: 'Geologica-Regular',
+	},
+	sectionTitle: {
+		fontSize: 18,
+		color: colors.PRIMARY,
+		marginBottom: 12,
+		fontFamily: 'Geologica-Bold',
+	},
+	productRow: {
+		borderWidth: 1,
+		borderColor: colors.SECONDARY_LIGHT,
+		borderRadius: 10,
+		padding: 12,
+		marginBottom: 10,
+	},
+	productHeader: {
+		flexDirection: 'row',
+		alignItems: 'center',
+		justifyContent: 'space-between',
+	},
+	productInfo: {
+		flex: 1,
+		marginRight: 8,
+	},
+	productName: {
+		fontSize: 16,
+		color: colors.PRIMARY,
+		fontFamily: 'Geologica-Medium',
+	},
+	productGrade: {
+		fontSize: 14,
+		color: colors.PRIMARY_LIGHT,
+		fontFamily: 'Geologica-Regular',
+	},
+	productRemove: {
+		fontSize: 18,
+		color: colors.PRIMARY_LIGHT,
+	},
+	errorText: {
+		fontSize: 14,
+		color: '#D32F2F',
+		marginTop: 6,
+		fontFamily: 'Geologica-Regular',
+	},
+	nutrientCard: {
+		backgroundColor: '#F8F9FA',
+		padding: 16,
+		borderRadius: 12,
+		marginTop: 20,
+		marginBottom: 20,
+	},
+	nutrientTitle: {
+		fontSize: 16,
+		color: colors.PRIMARY,
+		marginBottom: 4,
+		fontFamily: 'Geologica-Bold',
+	},
+	nutrientDescription: {
+		fontSize: 13,
+		color: colors.PRIMARY_LIGHT,
+		marginBottom: 12,
+		fontFamily: 'Geologica-Regular',
+	},
+	nutrientSubtitle: {
+		fontSize: 14,
+		color: colors.PRIMARY,
+		marginTop: 12,
+		marginBottom: 4,
+		fontFamily: 'Geologica-Medium',
+	},
+	nutrientRow: {
+		flexDirection: 'row',
+		justifyContent: 'space-between',
+		paddingVertical: 4,
+	},
+	nutrientLabel: {
+		fontSize: 15,
+		color: colors.PRIMARY,
+		fontFamily: 'Geologica-Medium',
+	},
+	nutrientValue: {
+		fontSize: 15,
+		color: colors.PRIMARY,
+		fontFamily: 'Geologica-Regular',
+	},
+	buttonsContainer: {
+		marginTop: 32,
+		alignItems: 'center',
+	},
+});
+
+export default FertilizeJobScreen;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import { KeyboardAwareScrollView } from 'react-native-keyboard-controller';
 import { useNavigation, useRoute } from '@react-navigation/native';
@@ -8,15 +8,30 @@ import colors from '../../../globals/colors';
 import PrimaryButton from '../../ui/core/PrimaryButton';
 import { FormikHelper, FormInput } from '../../ui/form';
 import { resolveEquipment, buildCultivation } from '../../../utils/jobHelpers';
+import { getFieldCompliance, formatComplianceDate } from '../../../utils/compliance';
+import { harvestJobSchema } from '../../../validation/schemas/harvestJob';
 
 const HarvestJobScreen = () => {
 	const { t } = useTranslation(['screens', 'common']);
 	const navigation = useNavigation();
 	const route = useRoute();
-	const { field, templateId } = route.params || {};
+	const { field, templateId, plannedJobId } = route.params || {};
 	const { farmData } = useGlobalContext();
 
 	const [isFinalHarvest, setIsFinalHarvest] = useState(true);
+	const [phi, setPhi] = useState(null);
+
+	// Harvesting inside a PHI needs a reason, kept with the record on the server
+	useEffect(() => {
+		let cancelled = false;
+		const latestField = farmData?.fields?.find(f => f._id === field._id) || field;
+
+		getFieldCompliance(latestField).then(compliance => {
+			if (!cancelled) setPhi(compliance.phi);
+		});
+
+		return () => { cancelled = true; };
+	}, [farmData?.fields, field]);
 
 	const handleSubmit = (values) => {
 		const template = templateId ? farmData.jobTemplates?.find(t => t._id === templateId) : null;
@@ -29,6 +44,8 @@ const HarvestJobScreen = () => {
 				startJobRecording: {
 					type: 'harvest',
 					fieldId: field._id,
+					plannedJobId: plannedJobId || null,
+					complianceOverride: phi?.isActive ? { reason: values.overrideReason.trim() } : null,
 					template: template ? { id: template._id, name: template.name } : null,
 					machine: equipment.machine,
 					attachment: equipment.attachment,
@@ -69,12 +86,36 @@ const HarvestJobScreen = () => {
 				)}
 			</View>
 
+			{phi?.isActive && (
+				<View style={styles.phiWarning}>
+					<Text style={styles.phiWarningTitle}>{t('common:compliance.phiTitle')}</Text>
+					<Text style={styles.phiWarningText}>
+						{t('screens:harvestJob.phiActiveUntil', {
+							date: formatComplianceDate(phi.endDate),
+							product: phi.productName || '—'
+						})}
+					</Text>
+					<Text style={styles.phiWarningText}>{t('screens:harvestJob.phiFlagged')}</Text>
+				</View>
+			)}
+
 			<FormikHelper
-				initialValues={{ notes: '' }}
+				initialValues={{ notes: '', overrideReason: '', phiActive: !!phi?.isActive }}
+				validationSchema={harvestJobSchema}
 				onSubmit={handleSubmit}
+				enableReinitialize={true}
 			>
 				{({ handleSubmit }) => (
 					<>
+						{phi?.isActive && (
+							<FormInput
+								name="overrideReason"
+								label={t('screens:harvestJob.overrideReason')}
+								placeholder={t('screens:harvestJob.overrideReasonPlaceholder')}
+								multiline={true}
+								maxLength={500}
+							/>
+						)}
 						<FormInput
 							name="notes"
 							label={t('common:labels.notesOptional')}
@@ -160,6 +201,27 @@ const styles = StyleSheet.create({
 		marginBottom: 12,
 		fontFamily: 'Geologica-Regular',
 	},
+	phiWarning: {
+		backgroundColor: '#FFF3E0',
+		borderLeftWidth: 4,
+		borderLeftColor: '#F57C00',
+		padding: 16,
+		borderRadius: 8,
+		marginBottom: 20,
+	},
+	phiWarningTitle: {
+		fontSize: 16,
+		color: '#E65100',
+		marginBottom: 6,
+		fontFamily: 'Geologica-Bold',
+	},
+	phiWarningText: {
+		fontSize: 14,
+		color: '#5D4037',
+		lineHeight: 20,
+		marginBottom: 4,
+		fontFamily: 'Geologica-Regular',
+	},
 	optionContainer: {
 		marginVertical: 20,
 	},
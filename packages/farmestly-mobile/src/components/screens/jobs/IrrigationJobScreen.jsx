@@ -18,7 +18,7 @@ const IrrigationJobScreen = () => {
 	const { t } = useTranslation(['screens', 'common']);
 	const navigation = useNavigation();
 	const route = useRoute();
-	const { field, fields, templateId } = route.params || {};
+	const { field, fields, templateId, plannedJobId } = route.params || {};
 	const targetFields = fields || (field ? [field] : []);
 	const isMultiField = targetFields.length > 1;
 	const totalArea = targetFields.reduce((sum, f) => sum + (f.area || 0), 0);
@@ -145,6 +145,7 @@ const IrrigationJobScreen = () => {
 			const jobPayload = {
 				type: 'irrigate',
 				fieldId: singleField._id,
+				plannedJobId: plannedJobId || null,
 				template: templateSnapshot,
 				machine: equipment.machine || null,
 				attachment: equipment.attachment || null,
@@ -14,12 +14,14 @@ import DatePicker from 'react-native-date-picker';
 import { useApi } from '../../../hooks/useApi';
 import { useGlobalContext } from '../../context/GlobalContextProvider';
 import { useUnits } from '../../../providers/UnitsProvider';
+import { useLocale } from '../../../providers/LocaleProvider';
 import { useTranslation } from 'react-i18next';
 import colors from '../../../globals/colors';
 import config from '../../../globals/config';
 import PrimaryButton from '../../ui/core/PrimaryButton';
 import { FormikHelper, FormInput } from '../../ui/form';
 import JobService from '../../../utils/JobService';
+import { MAIN_NUTRIENTS, NUTRIENT_LABELS } from '../../../utils/nutrients';
 
 const BASE_URL = config.BASE_URL;
 
@@ -30,7 +32,10 @@ const JobDetailScreen = () => {
 	const { jobRecord } = route.params || {};
 	const { farmData, setFarmData, isOffline } = useGlobalContext();
 	const { api, showError } = useApi();
-	const { formatRateValue, formatProductRateValue, parseRate, parseProductRate, formatValue, parse, symbol, rateSymbol } = useUnits();
+	const { formatRateValue, formatProductRate, formatProductRateValue, parseRate, parseProductRate, formatPriceValue, parsePrice, formatValue, format, parse, symbol, rateSymbol } = useUnits();
+	const { format: formatNumber } = useLocale();
+	const currency = farmData?.costRates?.currency || 'EUR';
+	const formatMoney = (value, code = currency) => formatNumber(value, { style: 'currency', currency: code, minDecimals: 2, maxDecimals: 2 });
 
 	const [isEditing, setIsEditing] = useState(false);
 	const [isSubmitting, setIsSubmitting] = useState(false);
@@ -130,14 +135,22 @@ const JobDetailScreen = () => {
 		return equipment;
 	}, [jobRecord, farmData]);
 
+	// Harvests are recorded by mass (kg) unless the job was entered by volume (L)
+	const harvestCategory = jobRecord?.data?.harvest?.unit === 'L' ? 'volume' : 'mass';
+
 	// Initial form values
 	const initialValues = useMemo(() => {
 		const defaults = {
 			startTime: new Date(),
 			endTime: new Date(),
 			notes: '',
-			harvestedKg: '',
+			harvestAmount: '',
 			isFinalHarvest: false,
+			moisture: '',
+			grade: '',
+			loads: '',
+			destination: '',
+			salePrice: '',
 			carrierRate: '',
 			products: [],
 			rei: '',
@@ -169,22 +182,28 @@ const JobDetailScreen = () => {
 		}
 
 		// Read harvest data from new or old schema
-		const harvestedKg = jobRecord.data?.harvest?.amount || jobRecord.harvestedKg;
-		const isFinalHarvest = jobRecord.data?.harvest?.isFinalHarvest ?? jobRecord.isFinalHarvest;
+		const harvestData = jobRecord.data?.harvest || {};
+		const harvestAmount = harvestData.amount || jobRecord.harvestedKg;
+		const isFinalHarvest = harvestData.isFinal ?? jobRecord.isFinalHarvest;
 
 		// Read spray data from new or old schema
 		const sprayData = jobRecord.data?.spray || jobRecord.sprayData;
 
 		// Format values for display using user's preferred units
-		const formattedHarvestedKg = harvestedKg != null ? formatValue(harvestedKg, 'mass')?.toString() ?? '' : '';
+		const formattedHarvestAmount = harvestAmount != null ? formatValue(harvestAmount, harvestCategory)?.toString() ?? '' : '';
 		const formattedCarrierRate = sprayData?.carrierRate != null ? formatRateValue(sprayData.carrierRate)?.toString() ?? '' : '';
 
 		return {
 			startTime,
 			endTime,
 			notes: jobRecord.notes ?? '',
-			harvestedKg: formattedHarvestedKg,
+			harvestAmount: formattedHarvestAmount,
 			isFinalHarvest: Boolean(isFinalHarvest),
+			moisture: harvestData.moisture?.toString() ?? '',
+			grade: harvestData.grade ?? '',
+			loads: harvestData.loads?.toString() ?? '',
+			destination: harvestData.destination ?? '',
+			salePrice: harvestData.salePrice != null ? formatPriceValue(harvestData.salePrice, harvestCategory)?.toString() ?? '' : '',
 			carrierRate: formattedCarrierRate,
 			products: sprayData?.products?.map(p => ({
 				...p,
@@ -193,7 +212,7 @@ const JobDetailScreen = () => {
 			rei: sprayData?.complianceInfo?.maxREI?.toString() ?? '',
 			phi: sprayData?.complianceInfo?.maxPHI?.toString() ?? '',
 		};
-	}, [jobRecord, formatValue, formatRateValue, formatProductRateValue]);
+	}, [jobRecord, harvestCategory, formatValue, formatRateValue, formatProductRateValue, formatPriceValue]);
 
 	// Calculate duration
 	const calculateDuration = (startTime, endTime) => {
@@ -238,14 +257,44 @@ const JobDetailScreen = () => {
 
 		// Harvest-specific fields
 		if (jobType === 'harvest') {
-			const harvestedKgParsed = parse(values.harvestedKg, 'mass');
-			const oldHarvestedKg = jobRecord.data?.harvest?.amount || jobRecord.harvestedKg;
-			if (harvestedKgParsed != null && harvestedKgParsed !== oldHarvestedKg) {
-				updateData.harvestedKg = harvestedKgParsed;
+			const oldHarvest = jobRecord.data?.harvest || {};
+			const harvestUpdates = {};
+
+			const amountParsed = parse(values.harvestAmount, harvestCategory);
+			if (amountParsed != null && amountParsed !== (oldHarvest.amount || jobRecord.harvestedKg)) {
+				harvestUpdates.amount = amountParsed;
+				harvestUpdates.unit = harvestCategory === 'volume' ? 'L' : 'kg';
+			}
+			if (values.isFinalHarvest !== Boolean(oldHarvest.isFinal ?? jobRecord.isFinalHarvest)) {
+				harvestUpdates.isFinal = values.isFinalHarvest;
+			}
+
+			const moistureNum = parseFloat(values.moisture);
+			const moisture = isNaN(moistureNum) ? null : moistureNum;
+			if (moisture !== (oldHarvest.moisture ?? null)) {
+				harvestUpdates.moisture = moisture;
+			}
+			const loadsNum = parseInt(values.loads, 10);
+			const loads = isNaN(loadsNum) ? null : loadsNum;
+			if (loads !== (oldHarvest.loads ?? null)) {
+				harvestUpdates.loads = loads;
 			}
-			const oldIsFinalHarvest = jobRecord.data?.harvest?.isFinalHarvest ?? jobRecord.isFinalHarvest;
-			if (values.isFinalHarvest !== oldIsFinalHarvest) {
-				updateData.isFinalHarvest = values.isFinalHarvest;
+			const salePrice = values.salePrice != null && values.salePrice !== '' ? parsePrice(values.salePrice, harvestCategory) : null;
+			if (salePrice !== (oldHarvest.salePrice ?? null)) {
+				harvestUpdates.salePrice = salePrice;
+			}
+			['grade', 'destination'].forEach(key => {
+				const value = values[key].trim() || null;
+				if (value !== (oldHarvest[key] ?? null)) {
+					harvestUpdates[key] = value;
+				}
+			});
+
+			if (Object.keys(harvestUpdates).length > 0) {
+				// Local jobs replace data as a whole, the server merges data.harvest keys
+				updateData.data = isSynced
+					? { harvest: harvestUpdates }
+					: { ...jobRecord.data, harvest: { ...oldHarvest, ...harvestUpdates } };
 			}
 		}
 
@@ -265,6 +314,7 @@ const JobDetailScreen = () => {
 				isVolume: p.isVolume,
 				rei: p.rei,
 				phi: p.phi,
+				...(p.authorisationNumber !== undefined ? { authorisationNumber: p.authorisationNumber } : {}),
 			}));
 
 			if (JSON.stringify(updatedProducts) !== JSON.stringify(sprayData.products)) {
@@ -344,7 +394,7 @@ const JobDetailScreen = () => {
 
 		const getConfirmMessage = () => {
 			const jobType = jobRecord.type || jobRecord.jobType;
-			const isFinalHarvest = jobRecord.data?.harvest?.isFinalHarvest ?? jobRecord.isFinalHarvest;
+			const isFinalHarvest = jobRecord.data?.harvest?.isFinal ?? jobRecord.isFinalHarvest;
 
 			if (jobType === 'sow') {
 				return 'This will permanently delete this sowing job and its associated cultivation. Jobs linked to this cultivation must be deleted first.';
@@ -424,6 +474,23 @@ const JobDetailScreen = () => {
 						</Text>
 					</View>
 				)}
+				{jobRecord.compliance?.phi && (
+					<View style={styles.warningBanner}>
+						<Text style={styles.warningText}>
+							Harvested during the pre-harvest interval of {jobRecord.compliance.phi.productName || 'a sprayed product'} (until {formatDateTime(jobRecord.compliance.phi.endDate)}).
+							{jobRecord.compliance.phi.overrideReason
+								? ` Reason: ${jobRecord.compliance.phi.overrideReason}`
+								: ' No reason was given.'}
+						</Text>
+					</View>
+				)}
+				{jobRecord.compliance?.seasonLimits?.length > 0 && (
+					<View style={styles.warningBanner}>
+						<Text style={styles.warningText}>
+							Sprayed over the season limit of {jobRecord.compliance.seasonLimits.map(limit => limit.name).join(', ')} on this field.
+						</Text>
+					</View>
+				)}
 
 				<FormikHelper
 					initialValues={initialValues}
@@ -504,20 +571,92 @@ const JobDetailScreen = () => {
 									<Text style={styles.sectionHeader}>Harvest Details</Text>
 
 									{isEditing ? (
-										<FormInput
-											name="harvestedKg"
-											label="Harvested"
-											unit={symbol('mass')}
-											inline={true}
-											placeholder="0"
-											numeric={true}
-											inputStyle={{ width: 120 }}
-										/>
+										<>
+											<FormInput
+												name="harvestAmount"
+												label="Harvested"
+												unit={symbol(harvestCategory)}
+												inline={true}
+												placeholder="0"
+												numeric={true}
+												inputStyle={{ width: 120 }}
+											/>
+											<FormInput
+												name="moisture"
+												label="Moisture"
+												unit="%"
+												inline={true}
+												placeholder="0"
+												numeric={true}
+												inputStyle={{ width: 120 }}
+											/>
+											<FormInput
+												name="loads"
+												label="Loads"
+												inline={true}
+												placeholder="0"
+												numeric={true}
+												inputStyle={{ width: 120 }}
+											/>
+											<FormInput
+												name="grade"
+												label="Grade"
+												placeholder="e.g. Grade A"
+												maxLength={50}
+											/>
+											<FormInput
+												name="destination"
+												label="Destination / Buyer"
+												placeholder="e.g. Cooperative silo"
+												maxLength={200}
+											/>
+											<FormInput
+												name="salePrice"
+												label="Sale Price"
+												unit={`${currency}/${symbol(harvestCategory)}`}
+												inline={true}
+												placeholder="0"
+												numeric={true}
+												inputStyle={{ width: 120 }}
+											/>
+										</>
 									) : (
-										<View style={styles.row}>
-											<Text style={styles.label}>Harvested</Text>
-											<Text style={styles.value}>{values.harvestedKg ? `${values.harvestedKg} ${symbol('mass')}` : 'N/A'}</Text>
-										</View>
+										<>
+											<View style={styles.row}>
+												<Text style={styles.label}>Harvested</Text>
+												<Text style={styles.value}>{values.harvestAmount ? `${values.harvestAmount} ${symbol(harvestCategory)}` : 'N/A'}</Text>
+											</View>
+											{values.moisture != null && values.moisture !== '' && (
+												<View style={styles.row}>
+													<Text style={styles.label}>Moisture</Text>
+													<Text style={styles.value}>{values.moisture}%</Text>
+												</View>
+											)}
+											{values.loads != null && values.loads !== '' && (
+												<View style={styles.row}>
+													<Text style={styles.label}>Loads</Text>
+													<Text style={styles.value}>{values.loads}</Text>
+												</View>
+											)}
+											{!!values.grade && (
+												<View style={styles.row}>
+													<Text style={styles.label}>Grade</Text>
+													<Text style={styles.value}>{values.grade}</Text>
+												</View>
+											)}
+											{!!values.destination && (
+												<View style={styles.row}>
+													<Text style={styles.label}>Destination</Text>
+													<Text style={styles.value}>{values.destination}</Text>
+												</View>
+											)}
+											{!!values.salePrice && (
+												<View style={styles.row}>
+													<Text style={styles.label}>Sale Price</Text>
+													<Text style={styles.value}>{values.salePrice} {currency}/{symbol(harvestCategory)}</Text>
+												</View>
+											)}
+										</>
 									)}
 
 									<View style={styles.row}>
@@ -545,6 +684,20 @@ const JobDetailScreen = () => {
 										<Text style={styles.value}>{(jobRecord.data?.spray || jobRecord.sprayData)?.sprayerName || 'N/A'}</Text>
 									</View>
 
+									{(jobRecord.data?.spray || jobRecord.sprayData)?.target ? (
+										<View style={styles.row}>
+											<Text style={styles.label}>Target</Text>
+											<Text style={styles.value}>{(jobRecord.data?.spray || jobRecord.sprayData).target}</Text>
+										</View>
+									) : null}
+
+									{(jobRecord.data?.spray || jobRecord.sprayData)?.reason ? (
+										<View style={styles.row}>
+											<Text style={styles.label}>Reason</Text>
+											<Text style={styles.value}>{(jobRecord.data?.spray || jobRecord.sprayData).reason}</Text>
+										</View>
+									) : null}
+
 									{isEditing ? (
 										<FormInput
 											name="carrierRate"
@@ -704,6 +857,31 @@ const JobDetailScreen = () => {
 								);
 							})()}
 
+							{jobRecord.type === 'fertilize' && jobRecord.data?.fertilize && (
+								<View style={styles.section}>
+									<Text style={styles.sectionHeader}>Fertilizer Details</Text>
+									<Text style={styles.subsectionHeader}>Products</Text>
+									{(jobRecord.data.fertilize.products || []).map((product, idx) => (
+										<View key={idx} style={styles.row}>
+											<Text style={styles.label}>{product.name}</Text>
+											<Text style={styles.value}>{formatProductRate(product.rate, product.isVolume)}</Text>
+										</View>
+									))}
+									{jobRecord.nutrients?.perHa && (
+										<>
+											<Text style={styles.subsectionHeader}>Nutrients Applied</Text>
+											{/* Stored in kg/ha, rates are formatted from kg/m² */}
+											{MAIN_NUTRIENTS.map(key => (
+												<View key={key} style={styles.row}>
+													<Text style={styles.label}>{NUTRIENT_LABELS[key]}</Text>
+													<Text style={styles.value}>{formatProductRate((jobRecord.nutrients.perHa[key] || 0) / 10000, false)}</Text>
+												</View>
+											))}
+										</>
+									)}
+								</View>
+							)}
+
 							{/* Equipment Section */}
 							{(getEquipmentNames.machine || getEquipmentNames.attachment || getEquipmentNames.tool) && (
 								<View style={styles.section}>
@@ -729,6 +907,77 @@ const JobDetailScreen = () => {
 								</View>
 							)}
 
+							{/* GPS Coverage Section (calculated by the server from the recorded track) */}
+							{jobRecord.coverage && (
+								<View style={styles.section}>
+									<Text style={styles.sectionHeader}>Coverage</Text>
+									<View style={styles.row}>
+										<Text style={styles.label}>Field Covered</Text>
+										<Text style={styles.value}>
+											{jobRecord.coverage.coveragePercent}% • {format(jobRecord.coverage.coveredArea, 'area')}
+										</Text>
+									</View>
+									<View style={styles.row}>
+										<Text style={styles.label}>Overlap</Text>
+										<Text style={styles.value}>
+											{jobRecord.coverage.overlapPercent}% • {format(jobRecord.coverage.overlapArea, 'area')}
+										</Text>
+									</View>
+									{jobRecord.coverage.outsideArea > 0 && (
+										<View style={styles.row}>
+											<Text style={styles.label}>Outside Field</Text>
+											<Text style={styles.value}>{format(jobRecord.coverage.outsideArea, 'area')}</Text>
+										</View>
+									)}
+									<View style={styles.row}>
+										<Text style={styles.label}>Working Width</Text>
+										<Text style={styles.value}>{format(jobRecord.coverage.width, 'length')}</Text>
+									</View>
+									<View style={styles.row}>
+										<Text style={styles.label}>Distance</Text>
+										<Text style={styles.value}>{format(jobRecord.coverage.distance, 'length')}</Text>
+									</View>
+								</View>
+							)}
+
+							{/* Cost Section (calculated by the server when the job was recorded) */}
+							{jobRecord.cost && (
+								<View style={styles.section}>
+									<Text style={styles.sectionHeader}>Cost</Text>
+									{[
+										['Products', jobRecord.cost.products],
+										['Machinery', jobRecord.cost.machinery],
+										['Labour', jobRecord.cost.labour],
+										['Water', jobRecord.cost.water]
+									].filter(([, value]) => value > 0).map(([label, value]) => (
+										<View key={label} style={styles.row}>
+											<Text style={styles.label}>{label}</Text>
+											<Text style={styles.value}>{formatMoney(value, jobRecord.cost.currency)}</Text>
+										</View>
+									))}
+									<View style={styles.row}>
+										<Text style={styles.label}>Total</Text>
+										<Text style={styles.value}>{formatMoney(jobRecord.cost.total, jobRecord.cost.currency)}</Text>
+									</View>
+								</View>
+							)}
+
+							{/* Active substances applied (from product concentrations, calculated by the server) */}
+							{jobRecord.substances?.length > 0 && (
+								<View style={styles.section}>
+									<Text style={styles.sectionHeader}>Active Substances</Text>
+									{jobRecord.substances.map(substance => (
+										<View key={substance.key} style={styles.row}>
+											<Text style={styles.label}>{substance.name}</Text>
+											<Text style={styles.value}>
+												{`${Math.round(substance.gramsPerHa)} g/ha`}
+												{substance.grams != null ? ` · ${(substance.grams / 1000).toFixed(2)} kg` : ''}
+											</Text>
+										</View>
+									))}
+								</View>
+							)}
+
 							{/* Notes Section */}
 							<View style={styles.section}>
 								<Text style={styles.sectionHeader}>Notes</Text>
@@ -774,7 +1023,7 @@ const JobDetailScreen = () => {
 									<Text style={styles.deleteSectionDescription}>
 										{(() => {
 											const jobType = jobRecord.type || jobRecord.jobType;
-											const isFinalHarvest = jobRecord.data?.harvest?.isFinalHarvest ?? jobRecord.isFinalHarvest;
+											const isFinalHarvest = jobRecord.data?.harvest?.isFinal ?? jobRecord.isFinalHarvest;
 
 											if (jobType === 'sow') {
 												return 'This will also delete the associated cultivation. Any other jobs linked to that cultivation must be deleted first.';
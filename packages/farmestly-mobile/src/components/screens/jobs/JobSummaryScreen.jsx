@@ -15,25 +15,42 @@ import ButtonStack from '../../ui/core/ButtonGroup';
 import JobService from '../../../utils/JobService';
 import config from '../../../globals/config';
 import { useGlobalContext } from '../../context/GlobalContextProvider';
-import { FormikHelper, FormInput } from '../../ui/form';
+import { FormikHelper } from '../../ui/form';
 import * as Yup from 'yup';
 import { useUnits } from '../../../providers/UnitsProvider';
 import { useTranslation } from 'react-i18next';
+import HarvestDetailsFields from '../../HarvestDetailsFields';
+import { harvestFormValues, buildHarvestDetails } from '../../../utils/jobHelpers';
+import { MAIN_NUTRIENTS, NUTRIENT_LABELS, getAppliedNutrients } from '../../../utils/nutrients';
 
 const BASE_URL = config.BASE_URL;
 
 // Validation schema for harvest data
 const harvestValidationSchema = Yup.object().shape({
-	harvestedKg: Yup.number()
+	amount: Yup.number()
 		.required('Harvested amount is required')
 		.positive('Amount must be greater than 0')
 		.typeError('Please enter a valid number'),
+	moisture: Yup.number()
+		.nullable()
+		.min(0, 'Moisture must be between 0 and 100%')
+		.max(100, 'Moisture must be between 0 and 100%')
+		.typeError('Please enter a valid number'),
+	loads: Yup.number()
+		.nullable()
+		.integer('Loads must be a whole number')
+		.min(0, 'Loads cannot be negative')
+		.typeError('Please enter a valid number'),
+	salePrice: Yup.number()
+		.nullable()
+		.min(0, 'Price cannot be negative')
+		.typeError('Please enter a valid number'),
 });
 
 const JobSummaryScreen = () => {
 	const { t } = useTranslation();
 	const { farmData, setFarmData } = useGlobalContext();
-	const { format, formatRate, formatProductRate, symbol, parse } = useUnits();
+	const { format, formatValue, formatRate, formatProductRate, formatPriceValue, symbol, parse, parsePrice } = useUnits();
 	const navigation = useNavigation();
 	const route = useRoute();
 	const { completedRecording, readOnly } = route.params;
@@ -45,6 +62,7 @@ const JobSummaryScreen = () => {
 	);
 	const [recordingWithId, setRecordingWithId] = useState(completedRecording);
 	const [isSyncingKg, setIsSyncingKg] = useState(false);
+	const [harvestQuantityType, setHarvestQuantityType] = useState('mass');
 
 	// Listen to JobService sync events
 	useEffect(() => {
@@ -67,63 +85,67 @@ const JobSummaryScreen = () => {
 	}, [completedRecording.id, readOnly, recordingWithId._id]);
 
 	const handleSubmitHarvest = async (values) => {
+		const harvest = {
+			...recordingWithId.data?.harvest,
+			...buildHarvestDetails(values, harvestQuantityType, parse, parsePrice)
+		};
+
+		setIsSyncingKg(true);
+
 		if (syncStatus !== 'synced' || !recordingWithId._id) {
-			// Store locally for later sync
-			setIsSyncingKg(true);
-			try {
-				// Update the recording locally
-				const updatedRecording = {
-					...recordingWithId,
-					harvestedKg: parse(values.harvestedKg, 'mass'),
-					isFinalHarvest: recordingWithId.isFinalHarvest
-				};
-
-				// JobService has already saved this to pending queue when job was stopped
-				// No manual intervention needed for sync
-
-				setRecordingWithId(updatedRecording);
-				setIsSyncingKg(false);
+			// Not on the server yet - update the cached job so the details go out with its sync
+			const updatedJob = await JobService.updateJob(recordingWithId.id, {
+				data: { ...recordingWithId.data, harvest }
+			});
+
+			setIsSyncingKg(false);
+			if (updatedJob) {
+				setRecordingWithId(updatedJob);
 				handleClose();
-			} catch (error) {
-				console.error('Error saving harvest data locally:', error);
-				setIsSyncingKg(false);
+				return;
+			}
+
+			// The job synced in the meantime but its server id is not known here
+			if (!recordingWithId._id) {
+				Alert.alert(
+					t('screens:jobSummary.cannotEdit'),
+					t('screens:jobSummary.cannotEditMessage')
+				);
+				return;
 			}
-		} else {
-			// Sync directly to server
 			setIsSyncingKg(true);
-			try {
-				const response = await api(`${BASE_URL}/job/record/update`, {
-					method: 'POST',
-					headers: {
-						'Content-Type': 'application/json',
-					},
-					body: JSON.stringify({
-						jobId: recordingWithId._id,
-						harvestedKg: parse(values.harvestedKg, 'mass'),
-						isFinalHarvest: recordingWithId.isFinalHarvest,
-						cultivationId: recordingWithId.cultivationId
-					})
-				});
-
-				if (response) {
-					const data = await response.json();
-					console.log(data);
-					if (data.HEADERS.STATUS_CODE === 'OK') {
-						// Update farm data if cultivation was ended
-						if (data.PAYLOAD && data.PAYLOAD.farm) {
-							setFarmData(data.PAYLOAD.farm);
-						}
-						setIsSyncingKg(false);
-						handleClose();
+		}
+
+		// Sync directly to server
+		try {
+			const response = await api(`${BASE_URL}/job/record/update`, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({
+					_id: recordingWithId._id,
+					data: { harvest }
+				})
+			});
+
+			if (response) {
+				const data = await response.json();
+				if (data.HEADERS.STATUS_CODE === 'OK') {
+					// Update farm data if cultivation was ended
+					if (data.PAYLOAD && data.PAYLOAD.farm) {
+						setFarmData(data.PAYLOAD.farm);
 					}
-				} else {
 					setIsSyncingKg(false);
-					console.error('Server error updating harvest data');
+					handleClose();
+					return;
 				}
-			} catch (error) {
-				setIsSyncingKg(false);
-				console.error('Error syncing harvest data:', error);
 			}
+			setIsSyncingKg(false);
+			console.error('Server error updating harvest data');
+		} catch (error) {
+			setIsSyncingKg(false);
+			console.error('Error syncing harvest data:', error);
 		}
 	};
 
@@ -197,6 +219,8 @@ const JobSummaryScreen = () => {
 			case 'irrigate':
 			case 'irrigation':
 				return t('screens:jobSummary.irrigation');
+			case 'fertilize':
+				return t('screens:jobSummary.fertilizing');
 			case 'custom':
 				return recordingWithId.jobTitle || t('screens:jobSummary.customJob');
 			default:
@@ -206,7 +230,9 @@ const JobSummaryScreen = () => {
 
 	// Support both old and new schema for job type and harvest data
 	const jobType = recordingWithId.type || recordingWithId.jobType;
-	const harvestedAmount = recordingWithId.data?.harvest?.amount || recordingWithId.harvestedKg;
+	const harvestData = recordingWithId.data?.harvest || {};
+	const harvestedAmount = harvestData.amount || recordingWithId.harvestedKg;
+	const harvestQuantityCategory = harvestData.unit === 'L' ? 'volume' : 'mass';
 	const needsHarvestData = (jobType === 'harvest') && !harvestedAmount;
 
 	return (
@@ -293,14 +319,51 @@ const JobSummaryScreen = () => {
 						<View style={styles.row}>
 							<Text style={styles.label}>{t('screens:jobSummary.type')}</Text>
 							<Text style={styles.value}>
-								{(recordingWithId.data?.harvest?.isFinalHarvest ?? recordingWithId.isFinalHarvest) ? t('screens:jobSummary.finalHarvest') : t('screens:jobSummary.partialHarvest')}
+								{(harvestData.isFinal ?? recordingWithId.isFinalHarvest) ? t('screens:jobSummary.finalHarvest') : t('screens:jobSummary.partialHarvest')}
 							</Text>
 						</View>
 
-						{harvestedAmount && (
+						{!!harvestedAmount && (
 							<View style={styles.row}>
 								<Text style={styles.label}>{t('screens:jobSummary.harvested')}</Text>
-								<Text style={styles.value}>{format(harvestedAmount, 'mass')}</Text>
+								<Text style={styles.value}>{format(harvestedAmount, harvestQuantityCategory)}</Text>
+							</View>
+						)}
+
+						{harvestData.moisture != null && (
+							<View style={styles.row}>
+								<Text style={styles.label}>{t('screens:harvestDetails.moisture')}</Text>
+								<Text style={styles.value}>{harvestData.moisture}%</Text>
+							</View>
+						)}
+
+						{!!harvestData.grade && (
+							<View style={styles.row}>
+								<Text style={styles.label}>{t('screens:harvestDetails.grade')}</Text>
+								<Text style={styles.value}>{harvestData.grade}</Text>
+							</View>
+						)}
+
+						{harvestData.loads != null && (
+							<View style={styles.row}>
+								<Text style={styles.label}>{t('screens:harvestDetails.loads')}</Text>
+								<Text style={styles.value}>{harvestData.loads}</Text>
+							</View>
+						)}
+
+						{!!harvestData.destination && (
+							<View style={styles.row}>
+								<Text style={styles.label}>{t('screens:harvestDetails.destination')}</Text>
+								<Text style={styles.value}>{harvestData.destination}</Text>
+							</View>
+						)}
+
+						{harvestData.salePrice != null && (
+							<View style={styles.row}>
+								<Text style={styles.label}>{t('screens:harvestDetails.salePrice')}</Text>
+								<Text style={styles.value}>
+									{formatPriceValue(harvestData.salePrice, harvestQuantityCategory)} {farmData?.costRates?.currency || 'EUR'}/{symbol(harvestQuantityCategory)}
+								</Text>
 							</View>
 						)}
 					</View>
@@ -390,6 +453,38 @@ const JobSummaryScreen = () => {
 					);
 				})()}
 
+				{/* Fertilize Details Section */}
+				{jobType === 'fertilize' && recordingWithId.data?.fertilize && (() => {
+					const fertilizeData = recordingWithId.data.fertilize;
+					const applied = (fertilizeData.products || []).reduce((sum, selected) => {
+						const product = farmData.products?.find(p => p._id === selected.productId);
+						const nutrients = getAppliedNutrients(product, selected.rate);
+						MAIN_NUTRIENTS.forEach(key => { sum[key] += nutrients[key]; });
+						return sum;
+					}, { n: 0, p: 0, k: 0, s: 0 });
+					return (
+						<View style={styles.section}>
+							<Text style={styles.sectionHeader}>{t('screens:jobSummary.fertilizeDetails')}</Text>
+
+							<Text style={styles.subsectionHeader}>{t('screens:jobSummary.productsApplied')}</Text>
+							{(fertilizeData.products || []).map((product, index) => (
+								<View key={index} style={styles.row}>
+									<Text style={styles.label}>{product.name}</Text>
+									<Text style={styles.value}>{formatProductRate(product.rate, product.isVolume)}</Text>
+								</View>
+							))}
+
+							<Text style={styles.subsectionHeader}>{t('screens:jobSummary.nutrientsApplied')}</Text>
+							{MAIN_NUTRIENTS.map(key => (
+								<View key={key} style={styles.row}>
+									<Text style={styles.label}>{NUTRIENT_LABELS[key]}</Text>
+									<Text style={styles.value}>{formatProductRate(applied[key], false)}</Text>
+								</View>
+							))}
+						</View>
+					);
+				})()}
+
 				{/* Equipment Section */}
 				{(recordingWithId.machine || recordingWithId.attachment) && (
 					<View style={styles.section}>
@@ -425,18 +520,15 @@ const JobSummaryScreen = () => {
 						<Text style={styles.sectionHeader}>{t('screens:jobSummary.enterHarvestDetails')}</Text>
 
 						<FormikHelper
-							initialValues={{ harvestedKg: '' }}
+							initialValues={harvestFormValues(harvestData, formatValue, formatPriceValue).values}
 							validationSchema={harvestValidationSchema}
 							onSubmit={handleSubmitHarvest}
 						>
 							{({ handleSubmit, isValid }) => (
 								<>
-									<FormInput
-										name="harvestedKg"
-										label={t('screens:jobSummary.totalAmountHarvested', { unit: symbol('mass') })}
-										placeholder={t('screens:jobSummary.enterTotal', { unit: symbol('mass') })}
-										numeric={true}
-										isLast={true}
+									<HarvestDetailsFields
+										quantityType={harvestQuantityType}
+										onQuantityTypeChange={setHarvestQuantityType}
 									/>
 
 									<PrimaryButton
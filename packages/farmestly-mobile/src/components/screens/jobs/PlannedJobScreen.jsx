@@ -0,0 +1,450 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { KeyboardAwareScrollView } from 'react-native-keyboard-controller';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { useTranslation } from 'react-i18next';
+import DatePicker from 'react-native-date-picker';
+import { FormikHelper, FormInput, FormDropdown, formStyles } from '../../ui/form';
+import colors from '../../../globals/colors';
+import { useApi } from '../../../hooks/useApi';
+import { useGlobalContext } from '../../context/GlobalContextProvider';
+import PrimaryButton from '../../ui/core/PrimaryButton';
+import ButtonStack from '../../ui/core/ButtonGroup';
+import OptionPicker from '../../ui/core/OptionPicker';
+import ListItem from '../../ui/list/ListItem';
+
+const JOB_TYPES = ['sow', 'harvest', 'spray', 'irrigate', 'fertilize', 'custom'];
+
+// Roles that can record the job, and so be assigned to it
+const ASSIGNABLE_ROLES = ['owner', 'manager', 'operator'];
+
+const JOB_SCREENS = {
+	sow: 'SowJobScreen',
+	harvest: 'HarvestJobScreen',
+	spray: 'SprayJobScreen',
+	irrigate: 'IrrigationJobScreen',
+	fertilize: 'FertilizeJobScreen',
+	custom: 'CustomJobScreen'
+};
+
+const PlannedJobScreen = () => {
+	const { t } = useTranslation(['screens', 'common']);
+	const navigation = useNavigation();
+	const route = useRoute();
+	const { api } = useApi();
+	const { farmData, setFarmData } = useGlobalContext();
+
+	const plannedJobId = route.params?.plannedJobId;
+	const plannedJob = plannedJobId
+		? farmData?.plannedJobs?.find(p => String(p._id) === String(plannedJobId))
+		: null;
+
+	const canPlan = !farmData?.role || ['owner', 'manager'].includes(farmData.role);
+	const canRecord = !farmData?.role || ASSIGNABLE_ROLES.includes(farmData.role);
+
+	const [fieldIds, setFieldIds] = useState(plannedJob?.fieldIds || []);
+	const [dueDate, setDueDate] = useState(plannedJob ? new Date(plannedJob.dueDate) : new Date());
+	const [isPickingDate, setIsPickingDate] = useState(false);
+	const [members, setMembers] = useState([]);
+	const [isSubmitting, setIsSubmitting] = useState(false);
+
+	const fields = farmData?.fields || [];
+	const completedFieldIds = plannedJob?.completedFieldIds || [];
+
+	// Members are only needed to pick an assignee
+	useEffect(() => {
+		if (!canPlan) return;
+		let cancelled = false;
+
+		api('/members').then(result => {
+			if (!cancelled && result.ok) {
+				setMembers((result.data?.members || []).filter(m => ASSIGNABLE_ROLES.includes(m.role)));
+			}
+		});
+
+		return () => { cancelled = true; };
+	}, [api, canPlan]);
+
+	const assigneeItems = useMemo(() => {
+		const current = plannedJob?.assignee;
+		if (current && !members.some(m => String(m.accountId) === String(current.accountId))) {
+			return [...members, { accountId: current.accountId, username: current.username, role: null }];
+		}
+		return members;
+	}, [members, plannedJob?.assignee]);
+
+	const toggleField = (fieldId) => {
+		setFieldIds(prev => prev.includes(fieldId)
+			? prev.filter(id => id !== fieldId)
+			: [...prev, fieldId]);
+	};
+
+	const handleSubmit = async (values) => {
+		setIsSubmitting(true);
+
+		const result = await api(plannedJob ? `/job/planned/${plannedJob._id}` : '/job/planned', {
+			method: plannedJob ? 'PUT' : 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({
+				type: values.type,
+				fieldIds,
+				templateId: values.templateId || null,
+				dueDate: dueDate.toISOString(),
+				assigneeId: values.assigneeId || null,
+				notes: values.notes.trim() || null
+			})
+		});
+
+		setIsSubmitting(false);
+
+		if (result.ok) {
+			const saved = result.data;
+			setFarmData(prev => {
+				const others = (prev.plannedJobs || []).filter(p => String(p._id) !== String(saved._id));
+				return {
+					...prev,
+					plannedJobs: saved.status === 'planned' ? [...others, saved] : others
+				};
+			});
+			navigation.goBack();
+		}
+
+		return result;
+	};
+
+	const handleDelete = () => {
+		Alert.alert(
+			t('screens:plannedJob.deleteConfirmTitle'),
+			t('screens:plannedJob.deleteConfirmMessage'),
+			[
+				{ text: t('common:buttons.cancel'), style: 'cancel' },
+				{
+					text: t('common:buttons.delete'),
+					style: 'destructive',
+					onPress: async () => {
+						const result = await api(`/job/planned/${plannedJob._id}`, { method: 'DELETE' });
+						if (result.ok) {
+							setFarmData(prev => ({
+								...prev,
+								plannedJobs: (prev.plannedJobs || []).filter(p => String(p._id) !== String(plannedJob._id))
+							}));
+							navigation.goBack();
+						}
+					}
+				}
+			]
+		);
+	};
+
+	// Open the job screen of the planned type for one field. The recording
+	// carries plannedJobId, so the field is marked done when the record syncs.
+	const handleStartField = (field) => {
+		const templateId = plannedJob.template?.id || null;
+		const template = templateId ? farmData.jobTemplates?.find(tpl => tpl._id === templateId) : null;
+
+		if (templateId && !template) {
+			Alert.alert(t('screens:plannedJob.cannotStart'), t('screens:plannedJob.templateMissing'));
+			return;
+		}
+		if (plannedJob.type === 'sow' && field.currentCultivation) {
+			Alert.alert(t('screens:plannedJob.cannotStart'), t('screens:recordJob.fieldHasCultivation'));
+			return;
+		}
+		if (plannedJob.type === 'harvest' && !field.currentCultivation) {
+			Alert.alert(t('screens:plannedJob.cannotStart'), t('screens:recordJob.noCultivationToHarvest'));
+			return;
+		}
+
+		const params = { field, templateId, plannedJobId: plannedJob._id };
+		if (plannedJob.type === 'custom') {
+			params.jobTemplate = template;
+		}
+		navigation.navigate(JOB_SCREENS[plannedJob.type], params);
+	};
+
+	if (plannedJobId && !plannedJob) {
+		return (
+			<View style={styles.container}>
+				<View style={styles.content}>
+					<Text style={styles.title}>{t('screens:plannedJob.notFound')}</Text>
+					<Text style={styles.subtitle}>{t('screens:plannedJob.notFoundDescription')}</Text>
+				</View>
+			</View>
+		);
+	}
+
+	const renderFieldRow = (field) => {
+		const fieldId = String(field._id);
+		const isDone = completedFieldIds.includes(fieldId);
+
+		// Existing planned jobs list their own fields with a start action per field
+		if (plannedJob && !canPlan) {
+			return (
+				<View key={fieldId} style={styles.fieldRow}>
+					<Text style={[styles.fieldName, isDone && styles.doneText]}>
+						{isDone ? `✓ ${field.name}` : field.name}
+					</Text>
+					{!isDone && canRecord && (
+						<TouchableOpacity onPress={() => handleStartField(field)}>
+							<Text style={styles.startText}>{t('common:buttons.start')}</Text>
+						</TouchableOpacity>
+					)}
+				</View>
+			);
+		}
+
+		return (
+			<View key={fieldId} style={styles.fieldRow}>
+				<View style={styles.fieldSelect}>
+					<ListItem
+						title={isDone ? `✓ ${field.name}` : field.name}
+						onPress={isDone ? undefined : () => toggleField(fieldId)}
+						simple={true}
+						showChevron={false}
+						showRadio={true}
+						isSelected={fieldIds.includes(fieldId)}
+					/>
+				</View>
+				{plannedJob && !isDone && fieldIds.includes(fieldId) && (
+					<TouchableOpacity style={styles.startButton} onPress={() => handleStartField(field)}>
+						<Text style={styles.startText}>{t('common:buttons.start')}</Text>
+					</TouchableOpacity>
+				)}
+			</View>
+		);
+	};
+
+	const listedFields = plannedJob && !canPlan
+		? fields.filter(f => plannedJob.fieldIds.includes(String(f._id)))
+		: fields;
+
+	return (
+		<KeyboardAwareScrollView
+			style={styles.container}
+			contentContainerStyle={styles.content}
+			bottomOffset={100}
+			keyboardShouldPersistTaps="handled"
+		>
+			<Text style={styles.title}>
+				{plannedJob ? t('screens:plannedJob.editTitle') : t('screens:plannedJob.title')}
+			</Text>
+			<Text style={styles.subtitle}>{t('screens:plannedJob.subtitle')}</Text>
+
+			<FormikHelper
+				initialValues={{
+					type: plannedJob?.type || 'spray',
+					templateId: plannedJob?.template?.id || '',
+					assigneeId: plannedJob?.assignee?.accountId ? String(plannedJob.assignee.accountId) : '',
+					notes: plannedJob?.notes || ''
+				}}
+				onSubmit={handleSubmit}
+			>
+				{({ handleSubmit: formikSubmit, values, setFieldValue }) => {
+					const templates = (farmData?.jobTemplates || []).filter(tpl => tpl.type === values.type);
+
+					return (
+						<>
+							{canPlan && (
+								<OptionPicker
+									label={t('screens:plannedJob.type')}
+									options={JOB_TYPES.map(key => ({ key, label: t(`common:jobTypes.${key}`) }))}
+									value={values.type}
+									onChange={(type) => {
+										if (type !== values.type) {
+											setFieldValue('templateId', '');
+										}
+										setFieldValue('type', type);
+									}}
+									allowNoneSelected={false}
+								/>
+							)}
+
+							<FormDropdown
+								name="templateId"
+								label={values.type === 'custom' ? t('screens:plannedJob.template') : t('screens:plannedJob.templateOptional')}
+								placeholder={t('screens:plannedJob.templatePlaceholder')}
+								items={templates}
+								keyExtractor={item => item._id}
+								labelExtractor={item => item.name}
+								searchKeys={['name']}
+								emptyTitle={t('screens:tabJobs.noTemplates')}
+								emptySubtitle={t('screens:tabJobs.createTemplateToStart')}
+								disabled={!canPlan}
+							/>
+
+							<View style={formStyles.inputContainer}>
+								<Text style={formStyles.formLabel}>{t('screens:plannedJob.dueDate')}</Text>
+								<TouchableOpacity
+									style={styles.dateButton}
+									disabled={!canPlan}
+									onPress={() => setIsPickingDate(true)}
+								>
+									<Text style={styles.dateText}>{dueDate.toLocaleDateString()}</Text>
+								</TouchableOpacity>
+							</View>
+
+							{canPlan ? (
+								<FormDropdown
+									name="assigneeId"
+									label={t('screens:plannedJob.assignee')}
+									placeholder={t('screens:plannedJob.unassigned')}
+									items={assigneeItems}
+									keyExtractor={item => String(item.accountId)}
+									labelExtractor={item => item.username}
+									subLabelExtractor={item => item.role ? t(`screens:plannedJob.roles.${item.role}`) : null}
+									searchKeys={['username']}
+								/>
+							) : (
+								<View style={formStyles.inputContainer}>
+									<Text style={formStyles.formLabel}>{t('screens:plannedJob.assignee')}</Text>
+									<Text style={styles.readOnlyText}>
+										{plannedJob?.assignee?.username || t('screens:plannedJob.unassigned')}
+									</Text>
+								</View>
+							)}
+
+							<View style={styles.section}>
+								<Text style={styles.sectionTitle}>{t('screens:plannedJob.fields')}</Text>
+								{plannedJob && (
+									<Text style={styles.infoText}>{t('screens:plannedJob.startHint')}</Text>
+								)}
+								{listedFields.map(renderFieldRow)}
+							</View>
+
+							<FormInput
+								name="notes"
+								label={t('screens:plannedJob.notes')}
+								placeholder={t('screens:plannedJob.notesPlaceholder')}
+								maxLength={500}
+								multiline={true}
+								editable={canPlan}
+								isLast={true}
+							/>
+
+							<ButtonStack>
+								{canPlan && (
+									<PrimaryButton
+										text={t('common:buttons.save')}
+										onPress={formikSubmit}
+										loading={isSubmitting}
+										disabled={fieldIds.length === 0 || (values.type === 'custom' && !values.templateId)}
+									/>
+								)}
+								{canPlan && plannedJob && (
+									<PrimaryButton
+										text={t('common:buttons.delete')}
+										variant="outline"
+										onPress={handleDelete}
+									/>
+								)}
+								<PrimaryButton
+									text={canPlan ? t('common:buttons.cancel') : t('common:buttons.close')}
+									variant="outline"
+									onPress={() => navigation.goBack()}
+								/>
+							</ButtonStack>
+						</>
+					);
+				}}
+			</FormikHelper>
+
+			<DatePicker
+				modal
+				open={isPickingDate}
+				date={dueDate}
+				mode="date"
+				onConfirm={(date) => {
+					setDueDate(date);
+					setIsPickingDate(false);
+				}}
+				onCancel={() => setIsPickingDate(false)}
+				title={t('screens:plannedJob.dueDate')}
+			/>
+		</KeyboardAwareScrollView>
+	);
+};
+
+const styles = StyleSheet.create({
+	container: {
+		flex: 1,
+		backgroundColor: '#fff'
+	},
+	content: {
+		padding: 24,
+		paddingBottom: 40
+	},
+	title: {
+		fontSize: 28,
+		fontFamily: 'Geologica-Bold',
+		color: colors.PRIMARY,
+		marginBottom: 8
+	},
+	subtitle: {
+		fontSize: 16,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginBottom: 24
+	},
+	section: {
+		marginBottom: 24
+	},
+	sectionTitle: {
+		fontSize: 18,
+		fontFamily: 'Geologica-Bold',
+		color: colors.PRIMARY,
+		marginBottom: 8
+	},
+	infoText: {
+		fontSize: 14,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		lineHeight: 20,
+		marginBottom: 8
+	},
+	fieldRow: {
+		flexDirection: 'row',
+		alignItems: 'center',
+		justifyContent: 'space-between',
+		minHeight: 44
+	},
+	fieldSelect: {
+		flex: 1
+	},
+	fieldName: {
+		fontSize: 16,
+		fontFamily: 'Geologica-Medium',
+		color: colors.PRIMARY
+	},
+	doneText: {
+		color: colors.PRIMARY_LIGHT
+	},
+	startButton: {
+		marginLeft: 12
+	},
+	startText: {
+		fontSize: 15,
+		fontFamily: 'Geologica-Bold',
+		color: colors.SECONDARY
+	},
+	readOnlyText: {
+		fontSize: 17,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY
+	},
+	dateButton: {
+		height: 46,
+		justifyContent: 'center',
+		backgroundColor: colors.SECONDARY_LIGHT,
+		borderColor: colors.PRIMARY,
+		borderWidth: 1,
+		borderRadius: 10,
+		paddingHorizontal: 12
+	},
+	dateText: {
+		fontSize: 17,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY
+	}
+});
+
+export default PlannedJobScreen;
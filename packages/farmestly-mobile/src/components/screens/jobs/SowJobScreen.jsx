@@ -18,7 +18,7 @@ const SowJobScreen = () => {
 	const { t } = useTranslation(['screens', 'common']);
 	const navigation = useNavigation();
 	const route = useRoute();
-	const { field, templateId } = route.params || {};
+	const { field, templateId, plannedJobId } = route.params || {};
 	const { farmData, isOffline } = useGlobalContext();
 	const { openBottomSheet, closeBottomSheet } = useBottomSheet();
 
@@ -50,6 +50,7 @@ const SowJobScreen = () => {
 				startJobRecording: {
 					type: 'sow',
 					fieldId: field._id,
+					plannedJobId: plannedJobId || null,
 					template: template ? { id: template._id, name: template.name } : null,
 					machine: equipment.machine,
 					attachment: equipment.attachment,
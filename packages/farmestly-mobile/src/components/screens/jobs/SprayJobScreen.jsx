@@ -14,6 +14,7 @@ import { useNavigation, useRoute } from '@react-navigation/native';
 import { useGlobalContext } from '../../context/GlobalContextProvider';
 import { useBottomSheet } from '../../sheets/BottomSheetContextProvider';
 import { useUnits } from '../../../providers/UnitsProvider';
+import { useApi } from '../../../hooks/useApi';
 import colors from '../../../globals/colors';
 import PrimaryButton from '../../ui/core/PrimaryButton';
 import ListItem from '../../ui/list/ListItem';
@@ -25,6 +26,9 @@ import { useTranslation } from 'react-i18next';
 import { resolveTemplate, getTemplateErrorMessage } from '../../../utils/templateResolver';
 import { resolveEquipment, buildCultivation } from '../../../utils/jobHelpers';
 import { FormikHelper } from '../../ui/form';
+import ComplianceWarningSheet from '../../sheets/ComplianceWarningSheet';
+import { getSubstanceWarnings } from '../../../utils/compliance';
+import { formatActiveIngredientNames } from '../../../utils/activeSubstances';
 import { sprayJobSchema } from '../../../validation';
 
 /**
@@ -113,6 +117,20 @@ const SprayFormContent = ({
 		}
 	}, [values.sprayer, values.carrierRate, values.products, totalArea, formatValue]);
 
+	// Products whose stock on hand does not cover the total needed for this job
+	const stockShortages = (mixingInstructions?.totalQuantities || [])
+		.map(total => {
+			const product = farmData.products?.find(p => p._id === total.productId);
+			if (!product?.stock) return null;
+
+			const category = product.isVolume === false ? 'mass' : 'volume';
+			const available = formatValue(product.stock.onHand, category);
+			if (total.totalVolume <= available) return null;
+
+			return { name: total.name, needed: total.totalVolume, available, unit: symbol(category) };
+		})
+		.filter(Boolean);
+
 	// Handle sprayer selection via bottom sheet
 	const handleSelectSprayer = () => {
 		if (availableSprayers.length === 0) {
@@ -203,7 +221,8 @@ const SprayFormContent = ({
 				rate: displayRate?.toString() || '',
 				isVolume: product.isVolume,
 				rei: product.rei,
-				phi: product.phi
+				phi: product.phi,
+				authorisationNumber: product.authorisationNumber || null
 			});
 			closeBottomSheet();
 		};
@@ -217,7 +236,7 @@ const SprayFormContent = ({
 					icon={require('../../../assets/icons/tool.png')}
 					title={item.name}
 					subTitle1={item.type?.name || item.type}
-					subTitle2={item.activeIngredient?.name || item.activeIngredient}
+					subTitle2={formatActiveIngredientNames(item)}
 					showChevron={true}
 				/>
 			</TouchableOpacity>
@@ -225,8 +244,8 @@ const SprayFormContent = ({
 
 		const content = (
 			<SearchableListSheet
-				localData={farmData.products || []}
-				searchKeys={['name', 'type.name', 'type', 'activeIngredient.name', 'activeIngredient']}
+				localData={(farmData.products || []).map(p => ({ ...p, activeIngredientNames: formatActiveIngredientNames(p) }))}
+				searchKeys={['name', 'type.name', 'type', 'activeIngredientNames']}
 				searchPlaceholder={t('screens:sprayJob.searchProducts')}
 				title={t('screens:sprayJob.selectProductSheet')}
 				onSelect={handleSelectProduct}
@@ -392,6 +411,50 @@ const SprayFormContent = ({
 					</View>
 				)}
 
+				{/* Treatment target and reason, recorded in the spray register */}
+				{values.sprayer && values.carrierRate && (
+					<View style={styles.section}>
+						<Text style={styles.sectionTitle}>{t('screens:sprayJob.treatment')}</Text>
+						<Text style={styles.sectionDescription}>{t('screens:sprayJob.treatmentDescription')}</Text>
+						<Text style={styles.inputLabel}>{t('screens:sprayJob.target')}</Text>
+						<TextInput
+							style={[
+								styles.textInput,
+								errors.target && touched.target && styles.inputError
+							]}
+							value={values.target}
+							onChangeText={(text) => setFieldValue('target', text)}
+							placeholder={t('screens:sprayJob.targetPlaceholder')}
+							placeholderTextColor={colors.PRIMARY_LIGHT}
+							cursorColor={colors.PRIMARY}
+							selectionColor={colors.SECONDARY}
+							maxLength={200}
+						/>
+						{errors.target && touched.target && (
+							<Text style={styles.errorText}>{t(`validation:${errors.target}`)}</Text>
+						)}
+						<Text style={styles.inputLabel}>{t('screens:sprayJob.reason')}</Text>
+						<TextInput
+							style={[
+								styles.textInput,
+								styles.textInputMultiline,
+								errors.reason && touched.reason && styles.inputError
+							]}
+							value={values.reason}
+							onChangeText={(text) => setFieldValue('reason', text)}
+							placeholder={t('screens:sprayJob.reasonPlaceholder')}
+							placeholderTextColor={colors.PRIMARY_LIGHT}
+							cursorColor={colors.PRIMARY}
+							selectionColor={colors.SECONDARY}
+							maxLength={500}
+							multiline={true}
+						/>
+						{errors.reason && touched.reason && (
+							<Text style={styles.errorText}>{t(`validation:${errors.reason}`)}</Text>
+						)}
+					</View>
+				)}
+
 				{/* Mixing Instructions */}
 				{mixingInstructions && (
 					<View style={styles.section}>
@@ -453,6 +516,23 @@ const SprayFormContent = ({
 							})}
 						</View>
 
+						{/* Stock warnings */}
+						{stockShortages.length > 0 && (
+							<View style={styles.stockWarningCard}>
+								<Text style={styles.stockWarningTitle}>{t('screens:sprayJob.notEnoughStock')}</Text>
+								{stockShortages.map((shortage, idx) => (
+									<Text key={idx} style={styles.stockWarningText}>
+										{t('screens:sprayJob.stockShortageLine', {
+											name: shortage.name,
+											needed: shortage.needed.toFixed(2),
+											available: shortage.available.toFixed(2),
+											unit: shortage.unit
+										})}
+									</Text>
+								))}
+							</View>
+						)}
+
 						{/* Compliance info */}
 						{complianceInfo && (complianceInfo.maxREI > 0 || complianceInfo.maxPHI > 0) && (
 							<View style={styles.complianceCard}>
@@ -493,7 +573,9 @@ const SprayJobScreen = () => {
 	const { t } = useTranslation(['screens', 'common']);
 	const navigation = useNavigation();
 	const route = useRoute();
-	const { farmData } = useGlobalContext();
+	const { farmData, isOffline } = useGlobalContext();
+	const { openBottomSheet, closeBottomSheet } = useBottomSheet();
+	const { api } = useApi();
 	const {
 		formatRateValue,
 		formatProductRateValue,
@@ -502,7 +584,7 @@ const SprayJobScreen = () => {
 	} = useUnits();
 
 	// Get field(s) and templateId from navigation params
-	const { field, fields, templateId } = route.params || {};
+	const { field, fields, templateId, plannedJobId } = route.params || {};
 	const targetFields = fields || (field ? [field] : []);
 	const isMultiField = targetFields.length > 1;
 	const totalArea = targetFields.reduce((sum, f) => sum + (f.area || 0), 0);
@@ -538,6 +620,8 @@ const SprayJobScreen = () => {
 			sprayerType: '',
 			carrierRate: '',
 			products: [],
+			target: '',
+			reason: '',
 		};
 
 		if (!templateId || !farmData) return defaults;
@@ -586,14 +670,80 @@ const SprayJobScreen = () => {
 				: (p.defaultRate ? formatProductRateValue(p.defaultRate, p.isVolume)?.toString() : ''),
 			isVolume: p.isVolume,
 			rei: p.rei,
-			phi: p.phi
+			phi: p.phi,
+			authorisationNumber: p.authorisationNumber || null
 		}));
 
-		return { sprayer, sprayerType, carrierRate, products };
+		return { sprayer, sprayerType, carrierRate, products, target: '', reason: '' };
 	}, [templateId, farmData, formatRateValue, formatProductRateValue, navigation]);
 
-	// Handle form submission - called by Formik when validation passes
-	const handleStartSpraying = (values) => {
+	// Handle form submission - called by Formik when validation passes.
+	// Season limits are checked on the server first: an exceeded limit blocks
+	// the spray, one that is nearly reached needs confirming. Offline the check
+	// is skipped and the server flags the job when it syncs.
+	const handleStartSpraying = async (values) => {
+		if (isOffline) {
+			confirmSubstances(values);
+			return;
+		}
+
+		const result = await api('/substances/check', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({
+				fieldIds: targetFields.map(f => f._id),
+				products: values.products.map(p => ({
+					productId: p.productId,
+					rate: parseProductRate(p.rate, p.isVolume)
+				}))
+			})
+		});
+		if (!result.ok) return;
+
+		const limits = result.data?.results || [];
+		if (limits.length === 0) {
+			confirmSubstances(values);
+			return;
+		}
+
+		openBottomSheet(
+			<ComplianceWarningSheet
+				type="limits"
+				limits={limits}
+				blocked={limits.some(limit => limit.status === 'exceeded')}
+				onProceed={() => {
+					closeBottomSheet();
+					confirmSubstances(values);
+				}}
+				onCancel={closeBottomSheet}
+			/>,
+			{ snapPoints: ['85%', '90%'], enablePanDownToClose: true }
+		);
+	};
+
+	// Products whose active substance is not approved need confirming
+	const confirmSubstances = (values) => {
+		const substanceWarnings = getSubstanceWarnings(values.products, farmData.products);
+		if (substanceWarnings.length === 0) {
+			startSpraying(values);
+			return;
+		}
+
+		openBottomSheet(
+			<ComplianceWarningSheet
+				type="substance"
+				substances={substanceWarnings}
+				onProceed={() => {
+					closeBottomSheet();
+					startSpraying(values);
+				}}
+				onCancel={closeBottomSheet}
+			/>,
+			{ snapPoints: ['85%', '90%'], enablePanDownToClose: true }
+		);
+	};
+
+	const startSpraying = (values) => {
 		// Calculate compliance info for submission
 		const complianceInfo = calculateComplianceDates(
 			values.products.map(p => ({ rei: p.rei, phi: p.phi }))
@@ -649,8 +799,11 @@ const SprayJobScreen = () => {
 				rate: parseProductRate(p.rate, p.isVolume),
 				isVolume: p.isVolume,
 				rei: p.rei,
-				phi: p.phi
+				phi: p.phi,
+				authorisationNumber: p.authorisationNumber || null
 			})),
+			target: values.target.trim() || null,
+			reason: values.reason.trim() || null,
 			complianceInfo
 		};
 
@@ -674,6 +827,7 @@ const SprayJobScreen = () => {
 			const jobPayload = {
 				type: 'spray',
 				fieldId: singleField._id,
+				plannedJobId: plannedJobId || null,
 				template: templateSnapshot,
 				machine: equipment.machine || null,
 				attachment: equipment.attachment || null,
@@ -687,6 +841,8 @@ const SprayJobScreen = () => {
 						tankCapacity: sharedConfig.sprayer.tankCapacity,
 						carrierRate: sharedConfig.carrierRate,
 						products: sharedConfig.products,
+						target: sharedConfig.target,
+						reason: sharedConfig.reason,
 						complianceInfo: sharedConfig.complianceInfo,
 					}
 				},
@@ -811,6 +967,36 @@ const styles = StyleSheet.create({
 		marginLeft: 1,
 		marginTop: 4,
 	},
+	sectionDescription: {
+		fontFamily: 'Geologica-Regular',
+		fontSize: 14,
+		color: colors.PRIMARY_LIGHT,
+		marginTop: -6,
+		marginBottom: 12,
+	},
+	inputLabel: {
+		fontFamily: 'Geologica-Medium',
+		fontSize: 15,
+		color: colors.PRIMARY,
+		marginTop: 8,
+		marginBottom: 6,
+	},
+	textInput: {
+		minHeight: 42,
+		fontSize: 17,
+		color: colors.PRIMARY,
+		backgroundColor: colors.SECONDARY_LIGHT,
+		borderColor: colors.PRIMARY,
+		borderWidth: 1,
+		borderRadius: 10,
+		paddingHorizontal: 12,
+		paddingVertical: 8,
+		fontFamily: 'Geologica-Regular',
+	},
+	textInputMultiline: {
+		minHeight: 84,
+		textAlignVertical: 'top',
+	},
 	productRow: {
 		marginBottom: 12,
 	},
@@ -872,6 +1058,23 @@ const styles = StyleSheet.create({
 		color: colors.PRIMARY,
 		marginBottom: 4,
 	},
+	stockWarningCard: {
+		marginTop: 16,
+		padding: 12,
+		borderRadius: 8,
+		backgroundColor: '#FFF3E0',
+	},
+	stockWarningTitle: {
+		fontFamily: 'Geologica-Bold',
+		fontSize: 16,
+		color: '#E65100',
+		marginBottom: 4,
+	},
+	stockWarningText: {
+		fontFamily: 'Geologica-Regular',
+		fontSize: 15,
+		color: '#E65100',
+	},
 	complianceCard: {
 		marginTop: 16,
 		padding: 16,
@@ -3,6 +3,8 @@ export { default as SowJobScreen } from './SowJobScreen';
 export { default as HarvestJobScreen } from './HarvestJobScreen';
 export { default as SprayJobScreen } from './SprayJobScreen';
 export { default as IrrigationJobScreen } from './IrrigationJobScreen';
+export { default as FertilizeJobScreen } from './FertilizeJobScreen';
 export { default as CustomJobScreen } from './CustomJobScreen';
 export { default as JobDetailScreen } from './JobDetailScreen';
 export { default as JobSummaryScreen } from './JobSummaryScreen';
+export { default as PlannedJobScreen } from './PlannedJobScreen';
@@ -33,7 +33,18 @@ const REPORT_TYPE_IDS = [
 	{ id: 'field', icon: require('../../../assets/icons/field.png') },
 	{ id: 'job_type', icon: require('../../../assets/icons/job_icon_builtin.png') },
 	{ id: 'machine', icon: require('../../../assets/icons/tractor_brown.png') },
-	{ id: 'attachment', icon: require('../../../assets/icons/plow_brown.png') }
+	{ id: 'attachment', icon: require('../../../assets/icons/plow_brown.png') },
+	{ id: 'ppp_register', icon: require('../../../assets/icons/job_icon_builtin_spray.png') },
+	{ id: 'yield', icon: require('../../../assets/icons/harvest.png') },
+	{ id: 'cost', icon: require('../../../assets/icons/report.png') },
+	{ id: 'substance_use', icon: require('../../../assets/icons/inputs_brown.png') }
+];
+
+// Output format options - labels will be translated in component
+const FORMAT_IDS = [
+	{ id: 'pdf' },
+	{ id: 'csv' },
+	{ id: 'xlsx' }
 ];
 
 // Date range options - labels will be translated in component
@@ -63,6 +74,7 @@ const CreateReportScreen = () => {
 	const route = useRoute();
 	// Component state
 	const [selectedReportType, setSelectedReportType] = useState('all');
+	const [selectedFormat, setSelectedFormat] = useState('pdf');
 	const [selectedDateRange, setSelectedDateRange] = useState('all');
 	const [selectedDelivery, setSelectedDelivery] = useState('download');
 	const [isGenerating, setIsGenerating] = useState(false);
@@ -86,7 +98,13 @@ const CreateReportScreen = () => {
 	// Create translated report types
 	const REPORT_TYPES = REPORT_TYPE_IDS.map(type => ({
 		...type,
-		label: t(`screens:createReport.${type.id === 'all' ? 'allJobRecords' : type.id === 'field' ? 'groupByField' : type.id === 'job_type' ? 'groupByJobType' : type.id === 'machine' ? 'groupByMachine' : 'groupByAttachment'}`)
+		label: t(`screens:createReport.${type.id === 'all' ? 'allJobRecords' : type.id === 'field' ? 'groupByField' : type.id === 'job_type' ? 'groupByJobType' : type.id === 'machine' ? 'groupByMachine' : type.id === 'ppp_register' ? 'pppRegister' : type.id === 'yield' ? 'yieldByField' : type.id === 'cost' ? 'costsByField' : type.id === 'substance_use' ? 'substanceUse' : 'groupByAttachment'}`)
+	}));
+
+	// Create translated formats
+	const FORMATS = FORMAT_IDS.map(format => ({
+		...format,
+		label: t(`screens:createReport.${format.id === 'csv' ? 'formatCsv' : format.id === 'xlsx' ? 'formatXlsx' : 'formatPdf'}`)
 	}));
 
 	// Create translated date ranges
@@ -103,6 +121,7 @@ const CreateReportScreen = () => {
 
 	useEffect(() => {
 		if (route.params?.reportType) setSelectedReportType(route.params.reportType);
+		if (route.params?.format) setSelectedFormat(route.params.format);
 		if (route.params?.dateRange) setSelectedDateRange(route.params.dateRange);
 		if (route.params?.customDateRange) {
 			// Convert ISO strings back to Date objects
@@ -159,7 +178,10 @@ const CreateReportScreen = () => {
 	};
 
 	// Helper function to get report type label
-	const getReportTypeLabel = (reportType) => {
+	const getReportTypeLabel = (reportType, format) => {
+		if (format === 'csv') return t('screens:createReport.formatCsv');
+		if (format === 'xlsx') return t('screens:createReport.formatXlsx');
+
 		switch (reportType) {
 			case 'all':
 				return t('screens:createReport.allJobRecords');
@@ -171,6 +193,16 @@ const CreateReportScreen = () => {
 				return t('screens:createReport.groupByMachine');
 			case 'attachment':
 				return t('screens:createReport.groupByAttachment');
+			case 'ppp_register':
+				return t('screens:createReport.pppRegister');
+			case 'yield':
+				return t('screens:createReport.yieldByField');
+			case 'cost':
+				return t('screens:createReport.costsByField');
+			case 'substance_use':
+				return t('screens:createReport.substanceUse');
+			case 'data_export':
+				return t('screens:createReport.dataExport');
 			default:
 				return t('screens:createReport.allJobRecords');
 		}
@@ -204,6 +236,7 @@ const CreateReportScreen = () => {
 		// Build query params
 		const params = new URLSearchParams({
 			reportType: selectedReportType,
+			format: selectedFormat,
 			dateRange: selectedDateRange
 		});
 
@@ -242,7 +275,7 @@ const CreateReportScreen = () => {
 		setTimeout(() => {
 			setIsPrecheckLoading(false);
 		}, remainingTime);
-	}, [api, selectedReportType, selectedDateRange, customDateRange, selectedDelivery]);
+	}, [api, selectedReportType, selectedFormat, selectedDateRange, customDateRange, selectedDelivery]);
 
 	// Run precheck whenever report parameters change
 	useEffect(() => {
@@ -257,6 +290,7 @@ const CreateReportScreen = () => {
 				returnTo: 'CreateReportScreen',
 				returnParams: {
 					reportType: selectedReportType,
+					format: selectedFormat,
 					dateRange: selectedDateRange,
 					customDateRange: {
 						startDate: customDateRange.startDate.toISOString(),
@@ -271,6 +305,7 @@ const CreateReportScreen = () => {
 
 		const reportData = {
 			reportType: selectedReportType,
+			format: selectedFormat,
 			dateRange: selectedDateRange,
 			delivery: selectedDelivery
 		};
@@ -323,6 +358,7 @@ const CreateReportScreen = () => {
 							returnTo: 'CreateReportScreen',
 							returnParams: {
 								reportType: selectedReportType,
+								format: selectedFormat,
 								dateRange: selectedDateRange,
 								customDateRange: {
 									startDate: customDateRange.startDate.toISOString(),
@@ -352,6 +388,7 @@ const CreateReportScreen = () => {
 					returnTo: 'CreateReportScreen',
 					returnParams: {
 						reportType: selectedReportType,
+						format: selectedFormat,
 						dateRange: selectedDateRange,
 						customDateRange: {
 							startDate: customDateRange.startDate.toISOString(),
@@ -471,7 +508,7 @@ const CreateReportScreen = () => {
 							<TouchableOpacity style={styles.latestItem} onPress={handleOpenReport}>
 								<View style={styles.latestInfo}>
 									<Text style={styles.latestName}>
-										{getReportTypeLabel(latestReport.reportType)}
+										{getReportTypeLabel(latestReport.reportType, latestReport.format)}
 									</Text>
 									<Text style={styles.latestDate}>
 										{formatReportDate(latestReport.createdAt)}
@@ -482,24 +519,49 @@ const CreateReportScreen = () => {
 						</View>
 					)}
 
-					{/* Report Type Selection */}
+					{/* Format Selection */}
 					<View style={styles.section}>
-						<Text style={styles.sectionTitle}>{t('screens:createReport.reportType')}</Text>
+						<Text style={styles.sectionTitle}>{t('screens:createReport.format')}</Text>
 						<Text style={styles.sectionDescription}>
-							{t('screens:createReport.reportTypeDescription')}
+							{t('screens:createReport.formatDescription')}
 						</Text>
 
-						{REPORT_TYPES.map((type) => (
+						{FORMATS.map((format) => (
 							<RadioButton
-								key={type.id}
-								label={type.label}
-								icon={type.icon}
-								selected={selectedReportType === type.id}
-								onPress={() => setSelectedReportType(type.id)}
+								key={format.id}
+								label={format.label}
+								selected={selectedFormat === format.id}
+								onPress={() => setSelectedFormat(format.id)}
 							/>
 						))}
+
+						{selectedFormat !== 'pdf' && (
+							<Text style={styles.formatInfoText}>
+								{t('screens:createReport.sprayRecordsNote')}
+							</Text>
+						)}
 					</View>
 
+					{/* Report Type Selection - grouping only applies to PDF reports */}
+					{selectedFormat === 'pdf' && (
+						<View style={styles.section}>
+							<Text style={styles.sectionTitle}>{t('screens:createReport.reportType')}</Text>
+							<Text style={styles.sectionDescription}>
+								{t('screens:createReport.reportTypeDescription')}
+							</Text>
+
+							{REPORT_TYPES.map((type) => (
+								<RadioButton
+									key={type.id}
+									label={type.label}
+									icon={type.icon}
+									selected={selectedReportType === type.id}
+									onPress={() => setSelectedReportType(type.id)}
+								/>
+							))}
+						</View>
+					)}
+
 					{/* Date Range Selection */}
 					<View style={styles.section}>
 						<Text style={styles.sectionTitle}>{t('screens:createReport.dateRange')}</Text>
@@ -789,6 +851,14 @@ const styles = StyleSheet.create({
 		marginTop: 24,
 		gap: 12,
 	},
+	formatInfoText: {
+		fontSize: 12,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginTop: 8,
+		marginLeft: 36,
+		lineHeight: 18,
+	},
 	emailInfoText: {
 		fontSize: 12,
 		fontFamily: 'Geologica-Regular',
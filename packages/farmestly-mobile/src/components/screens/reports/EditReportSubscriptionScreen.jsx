@@ -0,0 +1,340 @@
+import React, { useState } from 'react';
+import { View, Text, Switch, StyleSheet, Alert, Platform } from 'react-native';
+import { KeyboardAwareScrollView } from 'react-native-keyboard-controller';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useTranslation } from 'react-i18next';
+import Toast from 'react-native-toast-message';
+import { FormikHelper, FormInput } from '../../ui/form';
+import colors from '../../../globals/colors';
+import { useApi } from '../../../hooks/useApi';
+import PrimaryButton from '../../ui/core/PrimaryButton';
+import ButtonStack from '../../ui/core/ButtonGroup';
+import OptionPicker from '../../ui/core/OptionPicker';
+import RadioButton from '../../ui/core/RadioButton';
+import VerificationBadge from '../../ui/core/VerificationBadge';
+
+const FREQUENCY_IDS = ['weekly', 'monthly', 'quarterly', 'yearly'];
+const FORMAT_IDS = ['pdf', 'csv', 'xlsx'];
+const REPORT_TYPE_IDS = [
+	{ id: 'all', labelKey: 'allJobRecords' },
+	{ id: 'field', labelKey: 'groupByField' },
+	{ id: 'job_type', labelKey: 'groupByJobType' },
+	{ id: 'machine', labelKey: 'groupByMachine' },
+	{ id: 'attachment', labelKey: 'groupByAttachment' },
+	{ id: 'ppp_register', labelKey: 'pppRegister' },
+	{ id: 'yield', labelKey: 'yieldByField' },
+	{ id: 'cost', labelKey: 'costsByField' },
+	{ id: 'substance_use', labelKey: 'substanceUse' }
+];
+
+// Recipients are entered one per line (commas and spaces also separate them)
+const parseRecipients = (text) => (text || '')
+	.split(/[\s,;]+/)
+	.map(email => email.trim().toLowerCase())
+	.filter(Boolean);
+
+const EditReportSubscriptionScreen = () => {
+	const { t } = useTranslation(['screens', 'common', 'alerts']);
+	const navigation = useNavigation();
+	const route = useRoute();
+	const insets = useSafeAreaInsets();
+	const { api } = useApi();
+
+	const existing = route.params?.subscription || null;
+	const isEditing = !!existing;
+
+	const [frequency, setFrequency] = useState(existing?.frequency || 'monthly');
+	const [format, setFormat] = useState(existing?.format || 'pdf');
+	const [reportType, setReportType] = useState(existing?.reportType || 'all');
+	const [enabled, setEnabled] = useState(existing?.enabled ?? true);
+	const [isSubmitting, setIsSubmitting] = useState(false);
+	const [isResending, setIsResending] = useState(false);
+	const [isDeleting, setIsDeleting] = useState(false);
+
+	const pendingRecipients = existing?.recipients.filter(r => !r.verified) || [];
+
+	const showSuccess = (message) => {
+		Toast.show({
+			type: 'success',
+			text1: t('alerts:success'),
+			text2: message,
+			position: 'top',
+			visibilityTime: 4500,
+			topOffset: insets.top + 20,
+			autoHide: true
+		});
+	};
+
+	const handleSubmit = async (values) => {
+		setIsSubmitting(true);
+
+		const result = await api(isEditing ? `/report/subscriptions/${existing._id}` : '/report/subscriptions', {
+			method: isEditing ? 'PUT' : 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({
+				name: values.name.trim(),
+				frequency,
+				format,
+				reportType: format === 'pdf' ? reportType : 'all',
+				recipients: parseRecipients(values.recipients),
+				enabled
+			})
+		});
+
+		setIsSubmitting(false);
+
+		if (result.ok) {
+			const hasUnverified = result.data.recipients.some(r => !r.verified);
+			showSuccess(hasUnverified
+				? t('screens:reportSubscriptions.savedVerificationSent')
+				: t('screens:reportSubscriptions.saved'));
+			navigation.goBack();
+			return result;
+		}
+
+		// Per-address errors (recipients[1]) belong to the recipients input
+		if (result.validation) {
+			return {
+				...result,
+				validation: result.validation.map(error => (
+					error.path?.startsWith('recipients') ? { ...error, path: 'recipients' } : error
+				))
+			};
+		}
+
+		return result;
+	};
+
+	const handleResend = async () => {
+		setIsResending(true);
+		const result = await api(`/report/subscriptions/${existing._id}/resend`, { method: 'POST' });
+		setIsResending(false);
+
+		if (result.ok) {
+			showSuccess(t('alerts:successes.VERIFICATION_EMAIL_SENT'));
+		}
+	};
+
+	const handleDelete = () => {
+		Alert.alert(
+			t('screens:reportSubscriptions.deleteConfirmTitle'),
+			t('screens:reportSubscriptions.deleteConfirmMessage', { name: existing.name }),
+			[
+				{ text: t('common:buttons.cancel'), style: 'cancel' },
+				{
+					text: t('common:buttons.delete'),
+					style: 'destructive',
+					onPress: async () => {
+						setIsDeleting(true);
+						const result = await api(`/report/subscriptions/${existing._id}`, { method: 'DELETE' });
+						setIsDeleting(false);
+						if (result.ok) {
+							navigation.goBack();
+						}
+					}
+				}
+			]
+		);
+	};
+
+	return (
+		<KeyboardAwareScrollView
+			style={styles.container}
+			contentContainerStyle={styles.content}
+			bottomOffset={100}
+			keyboardShouldPersistTaps="handled"
+		>
+			<Text style={styles.title}>
+				{isEditing ? t('screens:reportSubscriptions.editTitle') : t('screens:reportSubscriptions.newTitle')}
+			</Text>
+			<Text style={styles.subtitle}>{t('screens:reportSubscriptions.editSubtitle')}</Text>
+
+			<FormikHelper
+				initialValues={{
+					name: existing?.name || '',
+					recipients: existing?.recipients.map(r => r.email).join('\n') || ''
+				}}
+				onSubmit={handleSubmit}
+			>
+				{({ handleSubmit: formikSubmit, values }) => (
+					<>
+						<FormInput
+							name="name"
+							label={t('screens:reportSubscriptions.name')}
+							placeholder={t('screens:reportSubscriptions.namePlaceholder')}
+							maxLength={100}
+						/>
+
+						<OptionPicker
+							label={t('screens:reportSubscriptions.frequency')}
+							description={t('screens:reportSubscriptions.frequencyDescription')}
+							options={FREQUENCY_IDS.map(id => ({
+								key: id,
+								label: t(`screens:reportSubscriptions.frequencies.${id}`)
+							}))}
+							value={frequency}
+							onChange={setFrequency}
+							allowNoneSelected={false}
+						/>
+
+						<OptionPicker
+							label={t('screens:createReport.format')}
+							options={FORMAT_IDS.map(id => ({ key: id, label: id.toUpperCase() }))}
+							value={format}
+							onChange={setFormat}
+							allowNoneSelected={false}
+						/>
+
+						{format === 'pdf' ? (
+							<View style={styles.section}>
+								<Text style={styles.sectionTitle}>{t('screens:createReport.reportType')}</Text>
+								{REPORT_TYPE_IDS.map(type => (
+									<RadioButton
+										key={type.id}
+										label={t(`screens:createReport.${type.labelKey}`)}
+										selected={reportType === type.id}
+										onPress={() => setReportType(type.id)}
+									/>
+								))}
+							</View>
+						) : (
+							<Text style={styles.infoText}>{t('screens:createReport.sprayRecordsNote')}</Text>
+						)}
+
+						<FormInput
+							name="recipients"
+							label={t('screens:reportSubscriptions.recipients')}
+							description={t('screens:reportSubscriptions.recipientsDescription')}
+							placeholder={t('screens:reportSubscriptions.recipientsPlaceholder')}
+							keyboardType="email-address"
+							autoCapitalize="none"
+							autoCorrect={false}
+							multiline={true}
+							numberOfLines={4}
+							isLast={true}
+						/>
+
+						{existing?.recipients.length > 0 && (
+							<View style={styles.section}>
+								{existing.recipients.map(recipient => (
+									<View key={recipient.email} style={styles.recipientRow}>
+										<Text style={styles.recipientEmail} numberOfLines={1}>{recipient.email}</Text>
+										<VerificationBadge verified={recipient.verified} size="small" />
+									</View>
+								))}
+							</View>
+						)}
+
+						<View style={styles.switchRow}>
+							<View style={styles.switchText}>
+								<Text style={styles.sectionTitle}>{t('screens:reportSubscriptions.enabled')}</Text>
+								<Text style={styles.infoText}>{t('screens:reportSubscriptions.enabledDescription')}</Text>
+							</View>
+							<Switch
+								value={enabled}
+								onValueChange={setEnabled}
+								trackColor={{ false: '#E5E7EB', true: colors.SECONDARY }}
+								thumbColor={Platform.OS === 'ios' ? '#FFFFFF' : enabled ? '#FFFFFF' : '#F3F4F6'}
+							/>
+						</View>
+
+						<ButtonStack>
+							<PrimaryButton
+								text={t('common:buttons.save')}
+								onPress={formikSubmit}
+								loading={isSubmitting}
+								disabled={!values.name.trim() || parseRecipients(values.recipients).length === 0}
+							/>
+							{pendingRecipients.length > 0 && (
+								<PrimaryButton
+									text={t('screens:reportSubscriptions.resendVerification')}
+									variant="outline"
+									onPress={handleResend}
+									loading={isResending}
+								/>
+							)}
+							{isEditing && (
+								<PrimaryButton
+									text={t('common:buttons.delete')}
+									variant="redOutline"
+									onPress={handleDelete}
+									loading={isDeleting}
+								/>
+							)}
+							<PrimaryButton
+								text={t('common:buttons.cancel')}
+								variant="outline"
+								onPress={() => navigation.goBack()}
+							/>
+						</ButtonStack>
+					</>
+				)}
+			</FormikHelper>
+		</KeyboardAwareScrollView>
+	);
+};
+
+const styles = StyleSheet.create({
+	container: {
+		flex: 1,
+		backgroundColor: '#fff'
+	},
+	content: {
+		padding: 24,
+		paddingBottom: 40
+	},
+	title: {
+		fontSize: 28,
+		fontFamily: 'Geologica-Bold',
+		color: colors.PRIMARY,
+		marginBottom: 8
+	},
+	subtitle: {
+		fontSize: 16,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginBottom: 24
+	},
+	section: {
+		marginBottom: 16
+	},
+	sectionTitle: {
+		fontSize: 16,
+		fontFamily: 'Geologica-Medium',
+		color: colors.PRIMARY,
+		marginBottom: 8
+	},
+	infoText: {
+		fontSize: 14,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		lineHeight: 20,
+		marginBottom: 16
+	},
+	recipientRow: {
+		flexDirection: 'row',
+		alignItems: 'center',
+		justifyContent: 'space-between',
+		paddingVertical: 6
+	},
+	recipientEmail: {
+		flex: 1,
+		fontSize: 15,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY,
+		marginRight: 8
+	},
+	switchRow: {
+		flexDirection: 'row',
+		alignItems: 'center',
+		justifyContent: 'space-between',
+		marginBottom: 16
+	},
+	switchText: {
+		flex: 1,
+		marginRight: 16
+	}
+});
+
+export default EditReportSubscriptionScreen;
@@ -0,0 +1,142 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, ScrollView, StyleSheet, Platform } from 'react-native';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { useTranslation } from 'react-i18next';
+import colors from '../../../globals/colors';
+import { useApi } from '../../../hooks/useApi';
+import PrimaryButton from '../../ui/core/PrimaryButton';
+import EmptyState from '../../ui/core/EmptyState';
+import ListItem from '../../ui/list/ListItem';
+
+const MAX_SUBSCRIPTIONS = 10;
+
+const ReportSubscriptionsScreen = () => {
+	const { t } = useTranslation(['screens', 'common']);
+	const navigation = useNavigation();
+	const { api } = useApi();
+
+	const [subscriptions, setSubscriptions] = useState([]);
+	const [isLoading, setIsLoading] = useState(true);
+
+	// Reload when returning from the edit screen
+	useFocusEffect(
+		useCallback(() => {
+			let cancelled = false;
+
+			const load = async () => {
+				const result = await api('/report/subscriptions');
+				if (cancelled) return;
+				if (result.ok) {
+					setSubscriptions(result.data || []);
+				}
+				setIsLoading(false);
+			};
+
+			load();
+			return () => { cancelled = true; };
+		}, [api])
+	);
+
+	const formatDate = (date) => date ? new Date(date).toLocaleDateString() : '-';
+
+	const getSubtitle = (subscription) => {
+		const frequency = t(`screens:reportSubscriptions.frequencies.${subscription.frequency}`);
+		const recipients = t('screens:reportSubscriptions.recipientCount', { count: subscription.recipients.length });
+		return `${frequency} · ${subscription.format.toUpperCase()} · ${recipients}`;
+	};
+
+	const getStatus = (subscription) => {
+		if (!subscription.enabled) {
+			return t('screens:reportSubscriptions.paused');
+		}
+		if (!subscription.recipients.some(r => r.verified)) {
+			return t('screens:reportSubscriptions.awaitingVerification');
+		}
+		if (subscription.lastRun && subscription.lastRun.status !== 'completed') {
+			return t('screens:reportSubscriptions.lastRunFailed', { date: formatDate(subscription.lastRun.at) });
+		}
+		return t('screens:reportSubscriptions.nextRun', { date: formatDate(subscription.nextRunAt) });
+	};
+
+	if (!isLoading && subscriptions.length === 0) {
+		return (
+			<View style={styles.container}>
+				<EmptyState
+					icon={require('../../../assets/icons/job_icon.png')}
+					title={t('screens:reportSubscriptions.emptyTitle')}
+					subtitle={t('screens:reportSubscriptions.emptyDescription')}
+					actionText={t('screens:reportSubscriptions.add')}
+					onAction={() => navigation.navigate('EditReportSubscriptionScreen')}
+				/>
+			</View>
+		);
+	}
+
+	return (
+		<View style={styles.container}>
+			<ScrollView
+				contentContainerStyle={styles.content}
+				showsVerticalScrollIndicator={false}
+			>
+				<Text style={styles.title}>{t('screens:reportSubscriptions.title')}</Text>
+				<Text style={styles.subtitle}>{t('screens:reportSubscriptions.subtitle')}</Text>
+
+				{isLoading ? (
+					<EmptyState loading={true} />
+				) : (
+					subscriptions.map(subscription => (
+						<ListItem
+							key={subscription._id}
+							title={subscription.name}
+							subTitle1={getSubtitle(subscription)}
+							subTitle2={getStatus(subscription)}
+							icon={require('../../../assets/icons/job_icon.png')}
+							simple={true}
+							onPress={() => navigation.navigate('EditReportSubscriptionScreen', { subscription })}
+						/>
+					))
+				)}
+
+				<View style={styles.buttonContainer}>
+					<PrimaryButton
+						text={t('screens:reportSubscriptions.add')}
+						onPress={() => navigation.navigate('EditReportSubscriptionScreen')}
+						disabled={isLoading || subscriptions.length >= MAX_SUBSCRIPTIONS}
+						fullWidth
+					/>
+				</View>
+			</ScrollView>
+		</View>
+	);
+};
+
+const styles = StyleSheet.create({
+	container: {
+		flex: 1,
+		backgroundColor: 'white'
+	},
+	content: {
+		padding: 24,
+		paddingBottom: Platform.select({
+			ios: 100,
+			android: 85,
+		}),
+	},
+	title: {
+		fontSize: 28,
+		fontFamily: 'Geologica-Bold',
+		color: colors.PRIMARY,
+		marginBottom: 8
+	},
+	subtitle: {
+		fontSize: 16,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginBottom: 24
+	},
+	buttonContainer: {
+		marginTop: 24
+	}
+});
+
+export default ReportSubscriptionsScreen;
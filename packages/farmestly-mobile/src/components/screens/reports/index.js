@@ -1,2 +1,4 @@
 // Report Screens
 export { default as CreateReportScreen } from './CreateReportScreen';
+export { default as ReportSubscriptionsScreen } from './ReportSubscriptionsScreen';
+export { default as EditReportSubscriptionScreen } from './EditReportSubscriptionScreen';
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { KeyboardAwareScrollView } from 'react-native-keyboard-controller';
+import { useNavigation } from '@react-navigation/native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useTranslation } from 'react-i18next';
+import Toast from 'react-native-toast-message';
+import { FormikHelper, FormInput } from '../../ui/form';
+import colors from '../../../globals/colors';
+import { clearCookie } from '../../../globals/api';
+import { useGlobalContext } from '../../context/GlobalContextProvider';
+import { useApi } from '../../../hooks/useApi';
+import { Storage } from '../../../utils/storage';
+import JobService from '../../../utils/JobService';
+import PrimaryButton from '../../ui/core/PrimaryButton';
+import ButtonStack from '../../ui/core/ButtonGroup';
+
+const DeleteAccountScreen = () => {
+	const { t } = useTranslation(['alerts', 'screens', 'common']);
+	const navigation = useNavigation();
+	const insets = useSafeAreaInsets();
+	const { api } = useApi();
+	const { account } = useGlobalContext();
+	const [isSubmitting, setIsSubmitting] = useState(false);
+	const [isSendingCode, setIsSendingCode] = useState(false);
+	const [codeSent, setCodeSent] = useState(false);
+
+	// Phone accounts confirm with an SMS code, password accounts with their password
+	const usesPhone = account?.authMethod !== 'password';
+
+	const handleSendCode = async () => {
+		setIsSendingCode(true);
+		const result = await api('/deleteAccount/code', { method: 'POST' });
+		setIsSendingCode(false);
+
+		if (result.ok) {
+			setCodeSent(true);
+			Toast.show({
+				type: 'success',
+				text1: t('alerts:success'),
+				text2: t('alerts:successes.VERIFICATION_CODE_SENT'),
+				position: 'top',
+				visibilityTime: 4500,
+				topOffset: insets.top + 20,
+				autoHide: true
+			});
+		}
+	};
+
+	const handleSubmit = async (values) => {
+		setIsSubmitting(true);
+
+		const result = await api('/deleteAccount', {
+			method: 'DELETE',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(usesPhone
+				? { verificationCode: values.verificationCode.trim() }
+				: { password: values.password })
+		});
+
+		setIsSubmitting(false);
+
+		if (result.ok) {
+			await JobService.reset();
+			const keys = await Storage.getAllKeys();
+			await Storage.multiRemove(keys);
+			await clearCookie();
+			navigation.reset({ index: 0, routes: [{ name: 'Entry' }] });
+		}
+
+		// Return result so FormikHelper can parse validation errors
+		return result;
+	};
+
+	return (
+		<KeyboardAwareScrollView
+			style={styles.container}
+			contentContainerStyle={styles.content}
+			bottomOffset={100}
+			keyboardShouldPersistTaps="handled"
+		>
+			<Text style={styles.title}>{t('screens:deleteAccount.title')}</Text>
+			<Text style={styles.subtitle}>{t('screens:deleteAccount.subtitle')}</Text>
+
+			<FormikHelper
+				initialValues={{ password: '', verificationCode: '' }}
+				onSubmit={handleSubmit}
+			>
+				{({ handleSubmit: formikSubmit, values }) => {
+					const canSubmit = usesPhone
+						? codeSent && !!values.verificationCode?.trim()
+						: !!values.password;
+
+					return (
+						<>
+							{usesPhone ? (
+								<View>
+									<Text style={styles.description}>
+										{t('screens:deleteAccount.codeDescription', { phone: account?.phone || account?.username })}
+									</Text>
+									{codeSent && (
+										<FormInput
+											name="verificationCode"
+											label={t('screens:deleteAccount.code')}
+											placeholder={t('screens:deleteAccount.codePlaceholder')}
+											keyboardType="number-pad"
+											isLast={true}
+										/>
+									)}
+								</View>
+							) : (
+								<FormInput
+									name="password"
+									label={t('screens:deleteAccount.password')}
+									placeholder={t('screens:deleteAccount.passwordPlaceholder')}
+									secureTextEntry={true}
+									autoCapitalize="none"
+									autoCorrect={false}
+									isLast={true}
+								/>
+							)}
+
+							<ButtonStack>
+								{usesPhone && (
+									<PrimaryButton
+										text={codeSent ? t('screens:deleteAccount.resendCode') : t('screens:deleteAccount.sendCode')}
+										variant={codeSent ? 'outline' : 'filled'}
+										onPress={handleSendCode}
+										loading={isSendingCode}
+										disabled={isSendingCode}
+									/>
+								)}
+								<PrimaryButton
+									text={isSubmitting ? t('screens:settings.deleting') : t('screens:deleteAccount.confirm')}
+									onPress={formikSubmit}
+									loading={isSubmitting}
+									disabled={!canSubmit || isSubmitting}
+									variant="red"
+								/>
+								<PrimaryButton
+									text={t('common:buttons.cancel')}
+									variant="outline"
+									onPress={() => navigation.goBack()}
+								/>
+							</ButtonStack>
+						</>
+					);
+				}}
+			</FormikHelper>
+		</KeyboardAwareScrollView>
+	);
+};
+
+const styles = StyleSheet.create({
+	container: {
+		flex: 1,
+		backgroundColor: '#fff'
+	},
+	content: {
+		padding: 24,
+		paddingBottom: 40
+	},
+	title: {
+		fontSize: 28,
+		fontFamily: 'Geologica-Bold',
+		color: colors.PRIMARY,
+		marginBottom: 8
+	},
+	subtitle: {
+		fontSize: 16,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginBottom: 24
+	},
+	description: {
+		fontSize: 14,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginBottom: 16,
+		lineHeight: 20
+	}
+});
+
+export default DeleteAccountScreen;
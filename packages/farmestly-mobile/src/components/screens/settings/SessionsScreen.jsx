@@ -0,0 +1,173 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, ScrollView, StyleSheet, Platform, Alert } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { useTranslation } from 'react-i18next';
+import colors from '../../../globals/colors';
+import { useApi } from '../../../hooks/useApi';
+import PrimaryButton from '../../ui/core/PrimaryButton';
+import EmptyState from '../../ui/core/EmptyState';
+import ListItem from '../../ui/list/ListItem';
+
+const SessionsScreen = () => {
+	const { t } = useTranslation(['screens', 'common']);
+	const { api } = useApi();
+
+	const [sessions, setSessions] = useState([]);
+	const [isLoading, setIsLoading] = useState(true);
+	const [isSigningOutAll, setIsSigningOutAll] = useState(false);
+
+	const load = useCallback(async () => {
+		const result = await api('/settings/sessions');
+		if (result.ok) {
+			setSessions(result.data?.sessions || []);
+		}
+		setIsLoading(false);
+	}, [api]);
+
+	useFocusEffect(
+		useCallback(() => {
+			load();
+		}, [load])
+	);
+
+	const formatDate = (date) => date ? new Date(date).toLocaleString() : '-';
+
+	const getTitle = (session) => {
+		const name = session.device.name || t('screens:sessions.unknownDevice');
+		return session.current ? `${name} (${t('screens:sessions.thisDevice')})` : name;
+	};
+
+	const getSubtitle = (session) => {
+		const platform = session.device.platform ? t(`screens:sessions.platforms.${session.device.platform}`, { defaultValue: session.device.platform }) : null;
+		return [platform, session.ip].filter(Boolean).join(' · ') || '-';
+	};
+
+	const getLastSeen = (session) => session.current
+		? t('screens:sessions.activeNow')
+		: t('screens:sessions.lastSeen', { date: formatDate(session.lastSeenAt) });
+
+	const handleSignOut = (session) => {
+		Alert.alert(
+			t('screens:sessions.signOutConfirmTitle'),
+			t('screens:sessions.signOutConfirmMessage', { name: session.device.name || t('screens:sessions.unknownDevice') }),
+			[
+				{ text: t('common:buttons.cancel'), style: 'cancel' },
+				{
+					text: t('screens:sessions.signOut'),
+					style: 'destructive',
+					onPress: async () => {
+						const result = await api(`/settings/sessions/${session.id}`, { method: 'DELETE' });
+						if (result.ok || result.code === 'SESSION_NOT_FOUND') {
+							setSessions(prev => prev.filter(s => s.id !== session.id));
+						}
+					}
+				}
+			]
+		);
+	};
+
+	const handleSignOutOthers = () => {
+		Alert.alert(
+			t('screens:sessions.signOutOthersConfirmTitle'),
+			t('screens:sessions.signOutOthersConfirmMessage'),
+			[
+				{ text: t('common:buttons.cancel'), style: 'cancel' },
+				{
+					text: t('screens:sessions.signOut'),
+					style: 'destructive',
+					onPress: async () => {
+						setIsSigningOutAll(true);
+						const result = await api('/settings/sessions', { method: 'DELETE' });
+						setIsSigningOutAll(false);
+						if (result.ok) {
+							setSessions(prev => prev.filter(s => s.current));
+						}
+					}
+				}
+			]
+		);
+	};
+
+	const otherSessions = sessions.filter(s => !s.current).length;
+
+	return (
+		<View style={styles.container}>
+			<ScrollView
+				contentContainerStyle={styles.content}
+				showsVerticalScrollIndicator={false}
+			>
+				<Text style={styles.title}>{t('screens:sessions.title')}</Text>
+				<Text style={styles.subtitle}>{t('screens:sessions.subtitle')}</Text>
+
+				{isLoading ? (
+					<EmptyState loading={true} />
+				) : (
+					sessions.map(session => (
+						<ListItem
+							key={session.id}
+							title={getTitle(session)}
+							subTitle1={getSubtitle(session)}
+							subTitle2={getLastSeen(session)}
+							icon={require('../../../assets/icons/account_orange.png')}
+							simple={true}
+							showChevron={!session.current}
+							onPress={session.current ? undefined : () => handleSignOut(session)}
+						/>
+					))
+				)}
+
+				{!isLoading && otherSessions > 0 && (
+					<Text style={styles.hint}>{t('screens:sessions.tapToSignOut')}</Text>
+				)}
+
+				<View style={styles.buttonContainer}>
+					<PrimaryButton
+						text={isSigningOutAll ? t('screens:sessions.signingOut') : t('screens:sessions.signOutOthers')}
+						onPress={handleSignOutOthers}
+						disabled={isLoading || isSigningOutAll || otherSessions === 0}
+						loading={isSigningOutAll}
+						variant="redOutline"
+						fullWidth
+					/>
+				</View>
+			</ScrollView>
+		</View>
+	);
+};
+
+const styles = StyleSheet.create({
+	container: {
+		flex: 1,
+		backgroundColor: 'white'
+	},
+	content: {
+		padding: 24,
+		paddingBottom: Platform.select({
+			ios: 100,
+			android: 85,
+		}),
+	},
+	title: {
+		fontSize: 28,
+		fontFamily: 'Geologica-Bold',
+		color: colors.PRIMARY,
+		marginBottom: 8
+	},
+	subtitle: {
+		fontSize: 16,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginBottom: 24
+	},
+	hint: {
+		fontSize: 14,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginTop: 12
+	},
+	buttonContainer: {
+		marginTop: 24
+	}
+});
+
+export default SessionsScreen;
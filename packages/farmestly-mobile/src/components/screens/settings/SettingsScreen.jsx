@@ -8,6 +8,8 @@ import {
 	ScrollView,
 	StyleSheet,
 	Platform,
+	Linking,
+	PermissionsAndroid,
 } from 'react-native';
 import { BottomSheetView } from '@gorhom/bottom-sheet';
 import { useTranslation } from 'react-i18next';
@@ -28,6 +30,7 @@ import OptionPicker from '../../ui/core/OptionPicker';
 import ListItem from '../../ui/list/ListItem';
 import JobService from '../../../utils/JobService';
 import VerificationBadge from '../../ui/core/VerificationBadge';
+import ReportPollingService from '../../../services/ReportPollingService';
 
 const BASE_URL = config.BASE_URL;
 
@@ -152,7 +155,7 @@ const SettingsScreen = () => {
 	const { unit: getCurrentUnit, setUnit, getAvailableUnits } = useUnits();
 
 	const navigation = useNavigation();
-	const { account, localPreferences, setLocalPreference, refresh, clearCache } = useGlobalContext();
+	const { account, farmData, localPreferences, setLocalPreference, refresh, clearCache } = useGlobalContext();
 
 	// Refresh account data when screen is focused (e.g., after email verification)
 	useFocusEffect(
@@ -161,10 +164,31 @@ const SettingsScreen = () => {
 		}, [refresh])
 	);
 	const [isLoading, setIsLoading] = useState(false);
-	const [isLoading2, setIsLoading2] = useState(false);
+	const [isExporting, setIsExporting] = useState(false);
 	const { openBottomSheet, closeBottomSheet } = useBottomSheet();
 	const { api } = useApi();
 
+	// GPS tracks need location access before the first recording starts
+	const handleGpsTrackingChange = async (enabled) => {
+		if (enabled && Platform.OS === 'android') {
+			const granted = await PermissionsAndroid.request(
+				PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
+				{
+					title: t('screens:settings.gpsTrackingPermissionTitle'),
+					message: t('screens:settings.gpsTrackingPermissionMessage'),
+					buttonNegative: t('common:buttons.cancel'),
+					buttonPositive: t('common:buttons.ok')
+				}
+			);
+			if (granted !== PermissionsAndroid.RESULTS.GRANTED) {
+				return { success: false };
+			}
+		}
+
+		setLocalPreference('gpsTracking', enabled);
+		return { success: true };
+	};
+
 	const handleLocaleChange = async (newLocale) => {
 		try {
 			console.log('Changing locale to:', newLocale);
@@ -437,6 +461,42 @@ const SettingsScreen = () => {
 		}
 	};
 
+	// Only the farm owner can export the farm's data
+	const canExportData = !farmData?.role || farmData.role === 'owner';
+
+	// Scheduled reports need the same permission as generating one
+	const canScheduleReports = !farmData?.role || ['owner', 'manager', 'advisor'].includes(farmData.role);
+
+	// Stop polling for the export when leaving the screen
+	useEffect(() => {
+		return () => {
+			ReportPollingService.stop();
+		};
+	}, []);
+
+	const handleExportData = async () => {
+		setIsExporting(true);
+		const result = await api('/report/export', { method: 'POST' });
+
+		if (!result.ok || !result.data?.jobId) {
+			setIsExporting(false);
+			return;
+		}
+
+		ReportPollingService.start(result.data.jobId, api, {
+			onComplete: (jobResult) => {
+				setIsExporting(false);
+				if (jobResult?.downloadUrl) {
+					Linking.openURL(`${BASE_URL}${jobResult.downloadUrl}`)
+						.catch(err => console.error('Error opening data export:', err));
+				}
+			},
+			onError: () => {
+				setIsExporting(false);
+			}
+		});
+	};
+
 	return (
 		<View style={styles.container}>
 			<ScrollView
@@ -529,6 +589,95 @@ const SettingsScreen = () => {
 					/>
 				</SettingsSection>
 
+				{/* GPS Tracking Section */}
+				<SettingsSection title={t('screens:settings.gpsTracking')}>
+					<Text style={styles.sectionDescription}>
+						{t('screens:settings.gpsTrackingDescription')}
+					</Text>
+					<SettingInput
+						fieldKey="gpsTracking"
+						label={t('screens:settings.gpsTrackingLabel')}
+						type="switch"
+						value={!!localPreferences.gpsTracking}
+						onSave={handleGpsTrackingChange}
+					/>
+				</SettingsSection>
+
+				{/* Costs Section */}
+				<SettingsSection title={t('screens:settings.costs')}>
+					<Text style={styles.sectionDescription}>
+						{t('screens:settings.costsDescription')}
+					</Text>
+					<PrimaryButton
+						text={t('screens:settings.viewCosts')}
+						onPress={() => navigation.navigate('CostsScreen')}
+						fullWidth
+						variant='outline'
+					/>
+				</SettingsSection>
+
+				{/* Scheduled Reports Section */}
+				{canScheduleReports && (
+					<SettingsSection title={t('screens:settings.reportSubscriptions')}>
+						<Text style={styles.sectionDescription}>
+							{t('screens:settings.reportSubscriptionsDescription')}
+						</Text>
+						<PrimaryButton
+							text={t('screens:settings.manageReportSubscriptions')}
+							onPress={() => navigation.navigate('ReportSubscriptionsScreen')}
+							fullWidth
+							variant='outline'
+						/>
+					</SettingsSection>
+				)}
+
+				{/* Data Export Section */}
+				{canExportData && (
+					<SettingsSection title={t('screens:settings.exportData')}>
+						<Text style={styles.sectionDescription}>
+							{t('screens:settings.exportDataDescription')}
+						</Text>
+						<PrimaryButton
+							text={isExporting ? t('screens:settings.exporting') : t('screens:settings.exportData')}
+							onPress={handleExportData}
+							disabled={isExporting}
+							loading={isExporting}
+							fullWidth
+							variant='outline'
+						/>
+					</SettingsSection>
+				)}
+
+				{/* Two-Factor Section - phone accounts already sign in with an SMS code */}
+				{account?.authMethod === 'password' && (
+					<SettingsSection title={t('screens:settings.twoFactor')}>
+						<Text style={styles.sectionDescription}>
+							{account.twoFactorEnabled
+								? t('screens:settings.twoFactorOnDescription')
+								: t('screens:settings.twoFactorDescription')}
+						</Text>
+						<PrimaryButton
+							text={t('screens:settings.manageTwoFactor')}
+							onPress={() => navigation.navigate('TwoFactorScreen')}
+							fullWidth
+							variant='outline'
+						/>
+					</SettingsSection>
+				)}
+
+				{/* Devices Section */}
+				<SettingsSection title={t('screens:settings.sessions')}>
+					<Text style={styles.sectionDescription}>
+						{t('screens:settings.sessionsDescription')}
+					</Text>
+					<PrimaryButton
+						text={t('screens:settings.manageSessions')}
+						onPress={() => navigation.navigate('SessionsScreen')}
+						fullWidth
+						variant='outline'
+					/>
+				</SettingsSection>
+
 				{/* Sign Out Section */}
 				<SettingsSection title={t('common:general.signOut')}>
 					<Text style={styles.sectionDescription}>
@@ -550,28 +699,10 @@ const SettingsScreen = () => {
 						{t('screens:settings.deleteAccountDescription')}
 					</Text>
 					<PrimaryButton
-						text={isLoading2 ? t('screens:settings.deleting') : t('screens:settings.deleteAccount')}
-						variant="outline"
-						onPress={async () => {
-							setIsLoading2(true);
-
-							const result = await api('/deleteAccount', { method: 'GET' });
-
-							console.log('_____________________');
-							console.log(result);
-							setIsLoading2(false);
-
-							if (result.ok) {
-								await JobService.reset();
-								const keys = await Storage.getAllKeys();
-								await Storage.multiRemove(keys);
-								navigation.navigate('Entry');
-							}
-						}}
-						disabled={isLoading2}
-						loading={isLoading2}
+						text={t('screens:settings.deleteAccount')}
+						variant="redOutline"
+						onPress={() => navigation.navigate('DeleteAccountScreen')}
 						fullWidth
-						style={{ borderColor: 'red' }}
 					/>
 				</SettingsSection>
 			</ScrollView>
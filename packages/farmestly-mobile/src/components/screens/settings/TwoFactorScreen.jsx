@@ -0,0 +1,568 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, Linking, Share, Alert } from 'react-native';
+import { KeyboardAwareScrollView } from 'react-native-keyboard-controller';
+import { useFocusEffect } from '@react-navigation/native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useTranslation } from 'react-i18next';
+import Toast from 'react-native-toast-message';
+import { FormikHelper, FormInput, FormPhoneInput } from '../../ui/form';
+import colors from '../../../globals/colors';
+import flagIcons from '../../../globals/flagIcons';
+import { SUPPORTED_COUNTRIES } from '../../../globals/locale/constants';
+import { getDeviceCountry } from '../../../globals/locale/deviceLocale';
+import { useGlobalContext } from '../../context/GlobalContextProvider';
+import { useApi } from '../../../hooks/useApi';
+import PrimaryButton from '../../ui/core/PrimaryButton';
+import ButtonStack from '../../ui/core/ButtonGroup';
+import EmptyState from '../../ui/core/EmptyState';
+
+const countries = SUPPORTED_COUNTRIES.map(c => ({
+	code: c.code,
+	name: c.name,
+	placeholder: c.phonePlaceholder,
+}));
+
+// Shown in groups of four so the key can be typed into an authenticator app
+const formatSecret = (secret) => secret.match(/.{1,4}/g).join(' ');
+
+/**
+ * Two-factor sign-in for password accounts: an authenticator app, recovery
+ * codes and an optional phone for SMS codes. Steps:
+ *   status        - current state and actions
+ *   setup         - add the key to the authenticator app and confirm a code
+ *   codes         - recovery codes, shown once after enabling or replacing them
+ *   password      - confirm the password to replace codes or turn two-factor off
+ *   phone         - phone number (and password) for SMS codes
+ *   phoneCode     - code sent to that phone
+ */
+const TwoFactorScreen = () => {
+	const { t } = useTranslation(['alerts', 'screens', 'common']);
+	const insets = useSafeAreaInsets();
+	const { api } = useApi();
+	const { setAccount } = useGlobalContext();
+
+	const [status, setStatus] = useState(null);
+	const [step, setStep] = useState('status');
+	const [setup, setSetup] = useState(null);
+	const [recoveryCodes, setRecoveryCodes] = useState([]);
+	// What the password step confirms: 'recoveryCodes' or 'disable'
+	const [passwordAction, setPasswordAction] = useState(null);
+	const [isSubmitting, setIsSubmitting] = useState(false);
+
+	const load = useCallback(async () => {
+		const result = await api('/settings/twoFactor');
+		if (result.ok) {
+			setStatus(result.data);
+		}
+	}, [api]);
+
+	useFocusEffect(
+		useCallback(() => {
+			load();
+		}, [load])
+	);
+
+	const showSuccess = (message) => {
+		Toast.show({
+			type: 'success',
+			text1: t('alerts:success'),
+			text2: message,
+			position: 'top',
+			visibilityTime: 4500,
+			topOffset: insets.top + 20,
+			autoHide: true
+		});
+	};
+
+	const post = (url, payload) => api(url, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: payload ? JSON.stringify(payload) : undefined
+	});
+
+	const handleStartSetup = async () => {
+		setIsSubmitting(true);
+		const result = await post('/settings/twoFactor/setup');
+		setIsSubmitting(false);
+
+		if (result.ok) {
+			setSetup(result.data);
+			setStep('setup');
+		}
+	};
+
+	const handleOpenAuthenticator = () => {
+		Linking.openURL(setup.otpauthUrl).catch(() => {
+			Alert.alert(
+				t('screens:twoFactor.noAuthenticatorTitle'),
+				t('screens:twoFactor.noAuthenticatorMessage')
+			);
+		});
+	};
+
+	const handleEnable = async (values) => {
+		setIsSubmitting(true);
+		const result = await post('/settings/twoFactor/enable', { code: values.code.trim() });
+		setIsSubmitting(false);
+
+		if (result.ok) {
+			setRecoveryCodes(result.data.recoveryCodes);
+			setSetup(null);
+			setStep('codes');
+			setAccount(prev => ({ ...prev, twoFactorEnabled: true }));
+			load();
+		}
+		return result;
+	};
+
+	const handlePasswordConfirm = async (values) => {
+		setIsSubmitting(true);
+		const url = passwordAction === 'disable' ? '/settings/twoFactor/disable' : '/settings/twoFactor/recoveryCodes';
+		const result = await post(url, { password: values.password });
+		setIsSubmitting(false);
+
+		if (result.ok) {
+			if (passwordAction === 'disable') {
+				setAccount(prev => ({ ...prev, twoFactorEnabled: false }));
+				showSuccess(t('screens:twoFactor.disabled'));
+				setStep('status');
+			} else {
+				setRecoveryCodes(result.data.recoveryCodes);
+				setStep('codes');
+			}
+			load();
+		}
+		return result;
+	};
+
+	const handleSendPhoneCode = async (values) => {
+		setIsSubmitting(true);
+		const result = await post('/settings/twoFactor/phone', {
+			phoneNumber: values.phoneNumber_phone,
+			countryCode: values.phoneNumber_country,
+			password: values.password
+		});
+		setIsSubmitting(false);
+
+		if (result.ok) {
+			showSuccess(t('alerts:successes.VERIFICATION_CODE_SENT'));
+			setStep('phoneCode');
+		}
+		return result;
+	};
+
+	const handleVerifyPhone = async (values) => {
+		setIsSubmitting(true);
+		const result = await post('/settings/twoFactor/phone/verify', { verificationCode: values.verificationCode.trim() });
+		setIsSubmitting(false);
+
+		if (result.ok) {
+			showSuccess(t('screens:twoFactor.phoneSaved'));
+			setStep('status');
+			load();
+		}
+		return result;
+	};
+
+	const handleRemovePhone = () => {
+		Alert.alert(
+			t('screens:twoFactor.removePhoneConfirmTitle'),
+			t('screens:twoFactor.removePhoneConfirmMessage'),
+			[
+				{ text: t('common:buttons.cancel'), style: 'cancel' },
+				{
+					text: t('screens:twoFactor.removePhone'),
+					style: 'destructive',
+					onPress: async () => {
+						const result = await api('/settings/twoFactor/phone', { method: 'DELETE' });
+						if (result.ok) {
+							load();
+						}
+					}
+				}
+			]
+		);
+	};
+
+	const handleShareCodes = () => {
+		Share.share({ message: `${t('screens:twoFactor.recoveryCodesShareTitle')}\n\n${recoveryCodes.join('\n')}` })
+			.catch(err => console.error('Error sharing recovery codes:', err));
+	};
+
+	const askPassword = (action) => {
+		setPasswordAction(action);
+		setStep('password');
+	};
+
+	const renderStatus = () => {
+		if (!status.available) {
+			return <Text style={styles.description}>{t('screens:twoFactor.phoneAccount')}</Text>;
+		}
+
+		if (!status.enabled) {
+			return (
+				<>
+					<Text style={styles.description}>{t('screens:twoFactor.disabledDescription')}</Text>
+					<ButtonStack>
+						<PrimaryButton
+							text={t('screens:twoFactor.setUp')}
+							onPress={handleStartSetup}
+							loading={isSubmitting}
+							disabled={isSubmitting}
+						/>
+					</ButtonStack>
+				</>
+			);
+		}
+
+		return (
+			<>
+				<View style={styles.statusSection}>
+					<View style={styles.statusRow}>
+						<Text style={styles.statusLabel}>{t('screens:twoFactor.status')}</Text>
+						<Text style={styles.statusValue}>{t('screens:twoFactor.on')}</Text>
+					</View>
+					<View style={styles.statusRow}>
+						<Text style={styles.statusLabel}>{t('screens:twoFactor.recoveryCodesLeft')}</Text>
+						<Text style={[styles.statusValue, status.recoveryCodesLeft <= 2 && styles.statusWarning]}>
+							{status.recoveryCodesLeft}
+						</Text>
+					</View>
+					<View style={styles.statusRow}>
+						<Text style={styles.statusLabel}>{t('screens:twoFactor.smsPhone')}</Text>
+						<Text style={styles.statusValue}>{status.phone || t('screens:settings.notSet')}</Text>
+					</View>
+				</View>
+
+				<Text style={styles.description}>{t('screens:twoFactor.phoneDescription')}</Text>
+
+				<ButtonStack>
+					<PrimaryButton
+						text={status.phone ? t('screens:twoFactor.changePhone') : t('screens:twoFactor.addPhone')}
+						variant="outline"
+						onPress={() => setStep('phone')}
+					/>
+					{status.phone && (
+						<PrimaryButton
+							text={t('screens:twoFactor.removePhone')}
+							variant="outline"
+							onPress={handleRemovePhone}
+						/>
+					)}
+					<PrimaryButton
+						text={t('screens:twoFactor.newRecoveryCodes')}
+						variant="outline"
+						onPress={() => askPassword('recoveryCodes')}
+					/>
+					<PrimaryButton
+						text={t('screens:twoFactor.turnOff')}
+						variant="redOutline"
+						onPress={() => askPassword('disable')}
+					/>
+				</ButtonStack>
+			</>
+		);
+	};
+
+	const renderSetup = () => (
+		<>
+			<Text style={styles.description}>{t('screens:twoFactor.setupDescription')}</Text>
+			<View style={styles.secretBox}>
+				<Text style={styles.secretLabel}>{t('screens:twoFactor.setupKey')}</Text>
+				<Text style={styles.secret} selectable={true}>{formatSecret(setup.secret)}</Text>
+			</View>
+			<PrimaryButton
+				text={t('screens:twoFactor.openAuthenticator')}
+				variant="outline"
+				onPress={handleOpenAuthenticator}
+				fullWidth
+			/>
+
+			<FormikHelper initialValues={{ code: '' }} onSubmit={handleEnable}>
+				{({ handleSubmit, values }) => (
+					<View style={styles.form}>
+						<FormInput
+							name="code"
+							label={t('screens:twoFactor.code')}
+							placeholder={t('screens:twoFactor.codePlaceholder')}
+							keyboardType="number-pad"
+							maxLength={6}
+							isLast={true}
+						/>
+						<ButtonStack>
+							<PrimaryButton
+								text={t('screens:twoFactor.enable')}
+								onPress={handleSubmit}
+								loading={isSubmitting}
+								disabled={values.code.trim().length !== 6 || isSubmitting}
+							/>
+							<PrimaryButton
+								text={t('common:buttons.cancel')}
+								variant="outline"
+								onPress={() => setStep('status')}
+							/>
+						</ButtonStack>
+					</View>
+				)}
+			</FormikHelper>
+		</>
+	);
+
+	const renderCodes = () => (
+		<>
+			<Text style={styles.description}>{t('screens:twoFactor.recoveryCodesDescription')}</Text>
+			<View style={styles.secretBox}>
+				{recoveryCodes.map(code => (
+					<Text key={code} style={styles.recoveryCode} selectable={true}>{code}</Text>
+				))}
+			</View>
+			<ButtonStack>
+				<PrimaryButton
+					text={t('screens:twoFactor.saveCodes')}
+					variant="outline"
+					onPress={handleShareCodes}
+				/>
+				<PrimaryButton
+					text={t('common:buttons.done')}
+					onPress={() => {
+						setRecoveryCodes([]);
+						setStep('status');
+					}}
+				/>
+			</ButtonStack>
+		</>
+	);
+
+	const renderPassword = () => (
+		<>
+			<Text style={styles.description}>
+				{passwordAction === 'disable'
+					? t('screens:twoFactor.turnOffDescription')
+					: t('screens:twoFactor.newRecoveryCodesDescription')}
+			</Text>
+			<FormikHelper initialValues={{ password: '' }} onSubmit={handlePasswordConfirm}>
+				{({ handleSubmit, values }) => (
+					<>
+						<FormInput
+							name="password"
+							label={t('screens:twoFactor.password')}
+							placeholder={t('screens:twoFactor.passwordPlaceholder')}
+							secureTextEntry={true}
+							autoCapitalize="none"
+							autoCorrect={false}
+							isLast={true}
+						/>
+						<ButtonStack>
+							<PrimaryButton
+								text={passwordAction === 'disable' ? t('screens:twoFactor.turnOff') : t('screens:twoFactor.newRecoveryCodes')}
+								variant={passwordAction === 'disable' ? 'red' : 'filled'}
+								onPress={handleSubmit}
+								loading={isSubmitting}
+								disabled={!values.password || isSubmitting}
+							/>
+							<PrimaryButton
+								text={t('common:buttons.cancel')}
+								variant="outline"
+								onPress={() => setStep('status')}
+							/>
+						</ButtonStack>
+					</>
+				)}
+			</FormikHelper>
+		</>
+	);
+
+	const renderPhone = () => {
+		const deviceCountry = getDeviceCountry();
+		const initialCountry = countries.find(c => c.code === deviceCountry) || countries[0];
+
+		return (
+			<>
+				<Text style={styles.description}>{t('screens:twoFactor.phoneDescription')}</Text>
+				<FormikHelper
+					initialValues={{ phoneNumber_country: initialCountry.code, phoneNumber_phone: '', password: '' }}
+					onSubmit={handleSendPhoneCode}
+				>
+					{({ handleSubmit, values }) => {
+						const currentCountry = countries.find(c => c.code === values.phoneNumber_country) || initialCountry;
+						return (
+							<>
+								<FormPhoneInput
+									name="phoneNumber"
+									label={t('screens:twoFactor.phone')}
+									placeholder={currentCountry.placeholder}
+									countries={countries}
+									flagIcons={flagIcons}
+								/>
+								<FormInput
+									name="password"
+									label={t('screens:twoFactor.password')}
+									placeholder={t('screens:twoFactor.passwordPlaceholder')}
+									secureTextEntry={true}
+									autoCapitalize="none"
+									autoCorrect={false}
+									isLast={true}
+								/>
+								<ButtonStack>
+									<PrimaryButton
+										text={t('screens:twoFactor.sendCode')}
+										onPress={handleSubmit}
+										loading={isSubmitting}
+										disabled={!values.phoneNumber_phone || !values.password || isSubmitting}
+									/>
+									<PrimaryButton
+										text={t('common:buttons.cancel')}
+										variant="outline"
+										onPress={() => setStep('status')}
+									/>
+								</ButtonStack>
+							</>
+						);
+					}}
+				</FormikHelper>
+			</>
+		);
+	};
+
+	const renderPhoneCode = () => (
+		<FormikHelper initialValues={{ verificationCode: '' }} onSubmit={handleVerifyPhone}>
+			{({ handleSubmit, values }) => (
+				<>
+					<FormInput
+						name="verificationCode"
+						label={t('screens:twoFactor.smsCode')}
+						placeholder={t('screens:twoFactor.codePlaceholder')}
+						keyboardType="number-pad"
+						maxLength={6}
+						isLast={true}
+					/>
+					<ButtonStack>
+						<PrimaryButton
+							text={t('screens:twoFactor.savePhone')}
+							onPress={handleSubmit}
+							loading={isSubmitting}
+							disabled={!values.verificationCode.trim() || isSubmitting}
+						/>
+						<PrimaryButton
+							text={t('common:buttons.cancel')}
+							variant="outline"
+							onPress={() => setStep('status')}
+						/>
+					</ButtonStack>
+				</>
+			)}
+		</FormikHelper>
+	);
+
+	const renderStep = () => {
+		switch (step) {
+			case 'setup': return renderSetup();
+			case 'codes': return renderCodes();
+			case 'password': return renderPassword();
+			case 'phone': return renderPhone();
+			case 'phoneCode': return renderPhoneCode();
+			default: return renderStatus();
+		}
+	};
+
+	return (
+		<KeyboardAwareScrollView
+			style={styles.container}
+			contentContainerStyle={styles.content}
+			bottomOffset={100}
+			keyboardShouldPersistTaps="handled"
+		>
+			<Text style={styles.title}>{t('screens:twoFactor.title')}</Text>
+			<Text style={styles.subtitle}>{t('screens:twoFactor.subtitle')}</Text>
+
+			{status ? renderStep() : <EmptyState loading={true} />}
+		</KeyboardAwareScrollView>
+	);
+};
+
+const styles = StyleSheet.create({
+	container: {
+		flex: 1,
+		backgroundColor: '#fff'
+	},
+	content: {
+		padding: 24,
+		paddingBottom: 40
+	},
+	title: {
+		fontSize: 28,
+		fontFamily: 'Geologica-Bold',
+		color: colors.PRIMARY,
+		marginBottom: 8
+	},
+	subtitle: {
+		fontSize: 16,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginBottom: 24
+	},
+	description: {
+		fontSize: 14,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginBottom: 16,
+		lineHeight: 20
+	},
+	statusSection: {
+		marginBottom: 16,
+		paddingBottom: 16,
+		borderBottomWidth: 1,
+		borderBottomColor: colors.SECONDARY_LIGHT
+	},
+	statusRow: {
+		flexDirection: 'row',
+		alignItems: 'center',
+		justifyContent: 'space-between',
+		paddingVertical: 8
+	},
+	statusLabel: {
+		fontSize: 16,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY
+	},
+	statusValue: {
+		fontSize: 16,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT
+	},
+	statusWarning: {
+		color: colors.SECONDARY
+	},
+	secretBox: {
+		backgroundColor: colors.SECONDARY_LIGHT,
+		borderRadius: 8,
+		padding: 16,
+		marginBottom: 16,
+		alignItems: 'center'
+	},
+	secretLabel: {
+		fontSize: 14,
+		fontFamily: 'Geologica-Regular',
+		color: colors.PRIMARY_LIGHT,
+		marginBottom: 8
+	},
+	secret: {
+		fontSize: 18,
+		fontFamily: 'Geologica-Bold',
+		color: colors.PRIMARY,
+		letterSpacing: 1,
+		textAlign: 'center'
+	},
+	recoveryCode: {
+		fontSize: 18,
+		fontFamily: 'Geologica-Bold',
+		color: colors.PRIMARY,
+		letterSpacing: 2,
+		paddingVertical: 2
+	},
+	form: {
+		marginTop: 24
+	}
+});
+
+export default TwoFactorScreen;
@@ -2,3 +2,6 @@
 export { default as SettingsScreen } from './SettingsScreen';
 export { default as EmailSettingsScreen } from './EmailSettingsScreen';
 export { default as FirstSetupScreen } from './FirstSetupScreen';
+export { default as DeleteAccountScreen } from './DeleteAccountScreen';
+export { default as SessionsScreen } from './SessionsScreen';
+export { default as TwoFactorScreen } from './TwoFactorScreen';
@@ -4,12 +4,121 @@ import { BottomSheetView } from '@gorhom/bottom-sheet';
 import colors from '../../globals/colors';
 import PrimaryButton from '../ui/core/PrimaryButton';
 import { formatComplianceDate } from '../../utils/compliance';
+import { useUnits } from '../../providers/UnitsProvider';
 import { useTranslation } from 'react-i18next';
 
-const ComplianceWarningSheet = ({ type, field, endDate, remaining, onProceed, onCancel }) => {
+// Substance limits are in g/ha; labels give the larger ones in kg/ha
+const formatGramsPerHa = (grams) => grams >= 1000
+	? `${parseFloat((grams / 1000).toFixed(2))} kg/ha`
+	: `${parseFloat(grams.toFixed(1))} g/ha`;
+
+/**
+ * Warning shown before starting a job that breaks a compliance rule.
+ * type 'rei' / 'phi' warn about a field's spray intervals (field, endDate, remaining);
+ * type 'substance' lists spray products whose active substance is not approved (substances).
+ * type 'limits' lists season limits a spray would reach or exceed (limits, from POST /substances/check);
+ * with blocked set the spray cannot go ahead and only cancelling is offered.
+ */
+const ComplianceWarningSheet = ({ type, field, endDate, remaining, substances = [], limits = [], blocked = false, onProceed, onCancel }) => {
 	const { t } = useTranslation();
+	const { formatProductRate } = useUnits();
 	const isREI = type === 'rei';
 
+	const actions = (
+		<>
+			<Text style={styles.question}>{t('common:compliance.proceedQuestion')}</Text>
+
+			<View style={styles.buttonContainer}>
+				<PrimaryButton
+					text={t('common:compliance.proceedAnyway')}
+					onPress={onProceed}
+				/>
+				<PrimaryButton
+					text={t('common:buttons.cancel')}
+					variant="outline"
+					onPress={onCancel}
+				/>
+			</View>
+		</>
+	);
+
+	if (type === 'limits') {
+		const formatAmount = (limit, amount) => {
+			if (limit.kind === 'applications') return String(amount);
+			if (limit.kind === 'productRate') return formatProductRate(amount, limit.isVolume);
+			return formatGramsPerHa(amount);
+		};
+
+		return (
+			<BottomSheetView style={styles.container}>
+				<Text style={styles.icon}>!</Text>
+
+				<Text style={styles.title}>
+					{blocked ? t('common:compliance.limitsExceededTitle') : t('common:compliance.limitsNearTitle')}
+				</Text>
+
+				<Text style={styles.description}>
+					{blocked ? t('common:compliance.limitsExceededDescription') : t('common:compliance.limitsNearDescription')}
+				</Text>
+
+				<View style={styles.infoContainer}>
+					{limits.map((limit, index) => (
+						<View key={`${limit.fieldId}-${limit.kind}-${limit.productId || limit.key}-${index}`} style={styles.infoRow}>
+							<View style={styles.infoLabelShrink}>
+								<Text style={styles.infoLabel}>
+									{limit.name} • {t(`common:compliance.limitKind.${limit.kind}`)}
+								</Text>
+								{limit.fieldName ? <Text style={styles.infoSubLabel}>{limit.fieldName}</Text> : null}
+							</View>
+							<Text style={[styles.infoValue, limit.status === 'exceeded' && styles.infoValueExceeded]}>
+								{formatAmount(limit, limit.used + limit.planned)} / {formatAmount(limit, limit.limit)}
+							</Text>
+						</View>
+					))}
+				</View>
+
+				{blocked ? (
+					<View style={styles.buttonContainer}>
+						<PrimaryButton
+							text={t('common:buttons.cancel')}
+							variant="outline"
+							onPress={onCancel}
+						/>
+					</View>
+				) : actions}
+			</BottomSheetView>
+		);
+	}
+
+	if (type === 'substance') {
+		return (
+			<BottomSheetView style={styles.container}>
+				<Text style={styles.icon}>!</Text>
+
+				<Text style={styles.title}>{t('common:compliance.substanceTitle')}</Text>
+
+				<Text style={styles.description}>{t('common:compliance.substanceDescription')}</Text>
+
+				<View style={styles.infoContainer}>
+					{substances.map((warning, index) => (
+						<View key={`${warning.productName}-${index}`} style={styles.infoRow}>
+							<Text style={[styles.infoLabel, styles.infoLabelShrink]}>
+								{warning.productName} ({warning.substanceName})
+							</Text>
+							<Text style={styles.infoValue}>
+								{warning.status === 'expired' && warning.expiryDate
+									? t('common:compliance.substanceExpiredOn', { date: new Date(warning.expiryDate).toLocaleDateString() })
+									: t(`common:compliance.substanceStatus.${warning.status}`)}
+							</Text>
+						</View>
+					))}
+				</View>
+
+				{actions}
+			</BottomSheetView>
+		);
+	}
+
 	const config = isREI ? {
 		title: t('common:compliance.reiTitle'),
 		description: t('common:compliance.reiDescription'),
@@ -49,19 +158,7 @@ const ComplianceWarningSheet = ({ type, field, endDate, remaining, onProceed, on
 				</View>
 			</View>
 
-			<Text style={styles.question}>{t('common:compliance.proceedQuestion')}</Text>
-
-			<View style={styles.buttonContainer}>
-				<PrimaryButton
-					text={t('common:compliance.proceedAnyway')}
-					onPress={onProceed}
-				/>
-				<PrimaryButton
-					text={t('common:buttons.cancel')}
-					variant="outline"
-					onPress={onCancel}
-				/>
-			</View>
+			{actions}
 		</BottomSheetView>
 	);
 };
@@ -106,11 +203,24 @@ const styles = StyleSheet.create({
 		fontSize: 16,
 		color: colors.SECONDARY,
 	},
+	infoLabelShrink: {
+		flexShrink: 1,
+		marginRight: 12,
+	},
+	infoSubLabel: {
+		fontFamily: 'Geologica-Regular',
+		fontSize: 14,
+		color: colors.SECONDARY,
+		marginTop: 2,
+	},
 	infoValue: {
 		fontFamily: 'Geologica-Medium',
 		fontSize: 16,
 		color: colors.PRIMARY,
 	},
+	infoValueExceeded: {
+		color: colors.ERROR,
+	},
 	question: {
 		fontFamily: 'Geologica-Regular',
 		fontSize: 16,
@@ -1,7 +1,8 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, Image } from 'react-native';
 import { useTranslation } from 'react-i18next';
 import { useGlobalContext } from '../context/GlobalContextProvider';
+import { useApi } from '../../hooks/useApi';
 import SearchableListSheet from '../ui/list/SearchableListSheet';
 import colors from '../../globals/colors';
 
@@ -25,6 +26,7 @@ export const PRODUCT_TYPE_CODES = {
 	DE: { code: 'DE', name: 'Desiccant' },
 	EL: { code: 'EL', name: 'Elicitor' },
 	ST: { code: 'ST', name: 'Soil treatment' },
+	FE: { code: 'FE', name: 'Fertilizer' }, // Product type only, no ingredient category
 	XX: { code: 'XX', name: 'Custom' }, // For custom user entries
 };
 
@@ -110,7 +112,9 @@ export const transformToActiveIngredient = (item) => {
 
 /**
  * IngredientsEUSearchSheet - Wraps SearchableListSheet for EU active substances/pesticides searching.
- * Users can search by substance name or CAS number.
+ * Users can search by substance name or CAS number. Substances already applied
+ * on the farm this season show their season total, so caps such as the copper
+ * limit in organic farming can be kept in view when choosing products.
  *
  * @param {object} props
  * @param {function} props.onSelect - Callback when a substance is selected
@@ -121,6 +125,28 @@ export const transformToActiveIngredient = (item) => {
 const IngredientsEUSearchSheet = ({ onSelect, onCancel, statusFilter, categoryFilter }) => {
 	const { t } = useTranslation('common');
 	const { isOffline } = useGlobalContext();
+	const { api } = useApi();
+
+	// Season totals keyed by IngredientsEU substance id
+	const [seasonUse, setSeasonUse] = useState({});
+
+	useEffect(() => {
+		if (isOffline) return;
+		let cancelled = false;
+
+		const load = async () => {
+			const result = await api(`/substances/use?season=${new Date().getFullYear()}`);
+			if (cancelled || !result.ok) return;
+			setSeasonUse(Object.fromEntries(
+				(result.data?.substances || [])
+					.filter(substance => substance.substanceId)
+					.map(substance => [substance.substanceId, substance])
+			));
+		};
+
+		load();
+		return () => { cancelled = true; };
+	}, [api, isOffline]);
 
 	const handleSelect = (item) => {
 		onSelect(item);
@@ -173,6 +199,14 @@ const IngredientsEUSearchSheet = ({ onSelect, onCancel, statusFilter, categoryFi
 						{getCategoryName(item.substance_category)}
 						{item.as_cas_number ? ` • CAS: ${item.as_cas_number}` : ''}
 					</Text>
+					{seasonUse[item.substance_id] && (
+						<Text style={styles.seasonUse} numberOfLines={1}>
+							{t('labels.appliedThisSeason', {
+								total: (seasonUse[item.substance_id].grams / 1000).toFixed(2),
+								perHa: (seasonUse[item.substance_id].maxGramsPerHa / 1000).toFixed(2)
+							})}
+						</Text>
+					)}
 				</View>
 			</TouchableOpacity>
 		);
@@ -244,6 +278,12 @@ const styles = StyleSheet.create({
 		fontSize: 13,
 		color: colors.PRIMARY_LIGHT,
 	},
+	seasonUse: {
+		fontFamily: 'Geologica-Medium',
+		fontSize: 13,
+		color: colors.SECONDARY,
+		marginTop: 2,
+	},
 	statusBadge: {
 		paddingHorizontal: 8,
 		paddingVertical: 3,
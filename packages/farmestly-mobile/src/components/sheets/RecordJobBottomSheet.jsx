@@ -26,6 +26,7 @@ const RecordJobBottomSheet = ({ field, jobTemplates, onSelectJob, onClose }) =>
 				return field.currentCultivation !== null;
 			case 'spray':
 			case 'irrigate':
+			case 'fertilize':
 			case 'custom':
 			default:
 				return true;
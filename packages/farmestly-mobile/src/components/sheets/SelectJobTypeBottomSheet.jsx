@@ -30,6 +30,11 @@ const SelectJobTypeBottomSheet = ({ onSelectType }) => {
 			label: t('common:jobTypes.irrigate') || 'Irrigate',
 			description: 'Watering crops or field irrigation'
 		},
+		{
+			key: 'fertilize',
+			label: t('common:jobTypes.fertilize') || 'Fertilize',
+			description: 'Spreading fertilizers, with the nutrients they apply'
+		},
 		{
 			key: 'custom',
 			label: t('common:jobTypes.custom') || 'Custom',
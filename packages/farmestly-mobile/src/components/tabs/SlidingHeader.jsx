@@ -213,7 +213,7 @@ const SlidingHeader = forwardRef(({
 			for (const field of fields) {
 				if (field?._id) {
 					try {
-						const data = await getBadgeData(field._id);
+						const data = await getBadgeData(field);
 						newBadgeData[field._id] = data;
 					} catch (err) {
 						console.error(`Failed to load badge data for field ${field._id}:`, err);
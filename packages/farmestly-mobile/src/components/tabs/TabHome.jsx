@@ -218,7 +218,7 @@ const TabHome = () => {
 		}
 
 		// JobService.start() now expects (fieldId, type, jobData)
-		// where jobData contains: fieldName, fieldArea, template, machine, attachment, tool, cultivation, data, notes
+		// where jobData contains: fieldName, fieldArea, template, machine, attachment, tool, cultivation, data, notes, plannedJobId, complianceOverride
 		JobService.start(field._id, jobConfig.type, {
 			fieldName: field.name,
 			fieldArea: field.area,
@@ -228,7 +228,9 @@ const TabHome = () => {
 			tool: jobConfig.tool,
 			cultivation: jobConfig.cultivation,
 			data: jobConfig.data,
-			notes: jobConfig.notes
+			notes: jobConfig.notes,
+			plannedJobId: jobConfig.plannedJobId,
+			complianceOverride: jobConfig.complianceOverride
 		})
 			.then(() => {
 				openRecordingSheet(field._id, () => {
@@ -378,6 +380,7 @@ const TabHome = () => {
 			spray: 'SprayJobScreen',
 			irrigate: 'IrrigationJobScreen',  // Changed from 'irrigation' to 'irrigate'
 			irrigation: 'IrrigationJobScreen', // Keep old name for backward compatibility
+			fertilize: 'FertilizeJobScreen',
 		};
 
 		if (type === 'custom') {
@@ -423,8 +426,10 @@ const TabHome = () => {
 		// Capture field NOW - don't rely on closure later
 		const fieldForJob = selectedField;
 
-		// Check compliance BEFORE showing job options
-		const { rei, phi } = await getFieldCompliance(fieldForJob._id);
+		// Check compliance BEFORE showing job options, against the latest server status
+		const { rei, phi } = await getFieldCompliance(
+			farmData?.fields?.find(f => f._id === fieldForJob._id) || fieldForJob
+		);
 
 		// REI warning blocks ALL jobs (can't enter field during REI)
 		if (rei?.isActive) {
@@ -492,7 +497,7 @@ const TabHome = () => {
 			/>,
 			{ snapPoints: ['100%'], enablePanDownToClose: true }
 		);
-	}, [selectedField, farmData?.jobTemplates, handleJobSelect, openBottomSheet, closeBottomSheet]);
+	}, [selectedField, farmData?.fields, farmData?.jobTemplates, handleJobSelect, openBottomSheet, closeBottomSheet]);
 
 
 	// ===== RENDER =====
@@ -4,14 +4,18 @@ import { useTranslation } from 'react-i18next';
 import { useNavigation } from '@react-navigation/core';
 
 import { useGlobalContext } from '../context/GlobalContextProvider';
+import { useUnits } from '../../providers/UnitsProvider';
 import SwipeableTabs from '../ui/core/SwipableTabs';
 import ListItem from '../ui/list/ListItem';
 import PrimaryButton from '../ui/core/PrimaryButton';
 import colors from '../../globals/colors';
+import { getProductSubstanceWarnings } from '../../utils/compliance';
+import { formatActiveIngredientNames } from '../../utils/activeSubstances';
 
 const TabInputs = () => {
 	const { t } = useTranslation(['screens', 'common']);
 	const { farmData } = useGlobalContext();
+	const { format } = useUnits();
 	const navigation = useNavigation();
 
 	// Guard against missing farmData (e.g., offline with no cache)
@@ -37,6 +41,71 @@ const TabInputs = () => {
 		return map[type] || type;
 	};
 
+	// Stock line of a product: quantity on hand and the next lot to expire
+	const getStockDisplay = (product) => {
+		if (!product.stock) {
+			return { onHand: t('screens:inputs.stockNotTracked'), expiry: null };
+		}
+
+		const onHand = product.stock.onHand > 0
+			? t('screens:inputs.stockOnHand', { amount: format(product.stock.onHand, product.isVolume === false ? 'mass' : 'volume') })
+			: t('screens:inputs.outOfStock');
+
+		const nextExpiry = product.stock.lots
+			?.map(lot => lot.expiryDate)
+			.filter(Boolean)
+			.sort()[0];
+
+		return {
+			onHand,
+			expiry: nextExpiry
+				? t('screens:inputs.nextExpiry', { date: new Date(nextExpiry).toLocaleDateString() })
+				: null
+		};
+	};
+
+	// Stock tab content
+	const StockTab = (
+		<View style={styles.tabContainer}>
+			{products.length === 0 ? (
+				<View style={styles.emptyTextContainer}>
+					<Image
+						source={require('../../assets/icons/inputs_brown.png')}
+						style={styles.emptyIcon}
+						resizeMode="contain"
+					/>
+					<Text style={styles.emptyText}>{t('screens:inputs.noProducts')}</Text>
+					<Text style={styles.emptyTextSub}>{t('screens:inputs.stockEmpty')}</Text>
+				</View>
+			) : (
+				<ScrollView
+					style={styles.scrollView}
+					contentContainerStyle={styles.scrollContent}
+					showsVerticalScrollIndicator={true}
+				>
+					{products.map((product) => {
+						const stock = getStockDisplay(product);
+						return (
+							<TouchableOpacity
+								key={'stock-' + product._id}
+								onPress={() => navigation.navigate('ProductStockScreen', { productId: product._id })}
+							>
+								<ListItem
+									icon={require('../../assets/icons/inputs_brown.png')}
+									timeCount={null}
+									subTitle1={stock.onHand}
+									title={product.name}
+									subTitle2={stock.expiry}
+									showChevron={true}
+								/>
+							</TouchableOpacity>
+						);
+					})}
+				</ScrollView>
+			)}
+		</View>
+	);
+
 	// Products tab content
 	const ProductsTab = (
 		<View style={styles.tabContainer}>
@@ -57,6 +126,7 @@ const TabInputs = () => {
 					showsVerticalScrollIndicator={true}
 				>
 					{products.map((product) => {
+						const [substanceWarning] = getProductSubstanceWarnings(product);
 						return (
 							<TouchableOpacity
 								key={'product-' + product.id}
@@ -73,7 +143,9 @@ const TabInputs = () => {
 									timeCount={null}
 									subTitle1={getProductTypeDisplay(product.type)}
 									title={product.name}
-									subTitle2={product.activeIngredient?.name || product.activeIngredient || product.notes}
+									subTitle2={substanceWarning
+										? `⚠ ${substanceWarning.substanceName} · ${t(`common:compliance.substanceStatus.${substanceWarning.status}`)}`
+										: formatActiveIngredientNames(product) || product.notes}
 									showChevron={true}
 								/>
 							</TouchableOpacity>
@@ -104,6 +176,11 @@ const TabInputs = () => {
 					key: 'products',
 					title: t('screens:inputs.products'),
 					content: ProductsTab
+				},
+				{
+					key: 'stock',
+					title: t('screens:inputs.stock'),
+					content: StockTab
 				}
 			]}
 		/>
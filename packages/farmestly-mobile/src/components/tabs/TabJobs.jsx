@@ -22,7 +22,9 @@ const TabJobs = () => {
 	const { t } = useTranslation();
 	const navigation = useNavigation();
 	const { openBottomSheet, closeBottomSheet } = useBottomSheet();
-	const { farmData, isOffline } = useGlobalContext();
+	const { farmData, account, isOffline } = useGlobalContext();
+
+	const canPlan = !farmData?.role || ['owner', 'manager'].includes(farmData.role);
 
 	// Local cached jobs for offline mode
 	const [cachedJobs, setCachedJobs] = useState([]);
@@ -126,6 +128,56 @@ const TabJobs = () => {
 		);
 	};
 
+	// Open planned jobs, earliest due first, with labels for search and display
+	const preparedPlannedJobs = useMemo(() => {
+		const startOfToday = new Date();
+		startOfToday.setHours(0, 0, 0, 0);
+
+		return (farmData?.plannedJobs || [])
+			.filter(plannedJob => plannedJob.status === 'planned')
+			.map(plannedJob => {
+				const fieldNames = (plannedJob.fieldIds || [])
+					.map(id => farmData.fields?.find(f => String(f._id) === String(id))?.name)
+					.filter(Boolean);
+				const remaining = plannedJob.fieldIds.length - (plannedJob.completedFieldIds?.length || 0);
+
+				return {
+					...plannedJob,
+					_title: plannedJob.template?.name || t(`common:jobTypes.${plannedJob.type}`),
+					_fieldNames: fieldNames.length > 2
+						? t('screens:plannedJob.fieldsSummary', { name: fieldNames[0], count: fieldNames.length - 1 })
+						: fieldNames.join(', '),
+					_isOverdue: new Date(plannedJob.dueDate) < startOfToday,
+					_assignee: plannedJob.assignee?.username || null,
+					_remaining: remaining
+				};
+			})
+			.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+	}, [farmData?.plannedJobs, farmData?.fields, t]);
+
+	const renderPlannedJobItem = ({ item, onSelect }) => {
+		const dueDate = new Date(item.dueDate).toLocaleDateString();
+		const assignee = item._assignee
+			? (item._assignee === account?.username ? t('screens:plannedJob.assignedToYou') : item._assignee)
+			: t('screens:plannedJob.unassigned');
+
+		return (
+			<ListItem
+				icon={getJobTypeIcon(item.type)}
+				title={`${item._title} ➜ ${item._fieldNames}`}
+				subTitle1={item._isOverdue
+					? <Text style={styles.overdueText}>{t('screens:plannedJob.overdue', { date: dueDate })}</Text>
+					: t('screens:plannedJob.due', { date: dueDate })}
+				subTitle2={item.fieldIds.length > 1
+					? `${assignee} • ${t('screens:plannedJob.fieldsRemaining', { count: item._remaining })}`
+					: assignee}
+				simple={true}
+				showChevron={true}
+				onPress={() => onSelect(item)}
+			/>
+		);
+	};
+
 	// Prepared job templates data with computed fields
 	const preparedTemplates = useMemo(() => {
 		return (farmData?.jobTemplates || []).map(template => {
@@ -187,6 +239,37 @@ const TabJobs = () => {
 						</View>
 					)
 				},
+				{
+					key: 'plannedJobs',
+					title: t('screens:tabJobs.planned'),
+					content: (
+						<View style={styles.container}>
+							{canPlan && (
+								<View style={styles.fixedAddButtonContainer}>
+									<PrimaryButton
+										text={t('screens:tabJobs.planJob')}
+										style={{ width: 260 }}
+										onPress={() => navigation.navigate('PlannedJobScreen')}
+									/>
+								</View>
+							)}
+							<SearchableListSheet
+								isBottomSheet={false}
+								localData={preparedPlannedJobs}
+								searchKeys={['_title', '_fieldNames', '_assignee']}
+								searchPlaceholder={t('screens:tabJobs.searchPlannedJobs')}
+								onSelect={(plannedJob) => {
+									navigation.navigate('PlannedJobScreen', { plannedJobId: plannedJob._id });
+								}}
+								renderItem={renderPlannedJobItem}
+								keyExtractor={(item) => item._id}
+								emptyTitle={t('screens:tabJobs.noPlannedJobs')}
+								emptySubtitle={canPlan ? t('screens:tabJobs.planJobsToStart') : t('screens:tabJobs.noPlannedJobsAssigned')}
+								style={styles.templatesListContainer}
+							/>
+						</View>
+					)
+				},
 				{
 					key: 'jobTemplates',
 					title: 'Job Templates',
@@ -265,6 +348,10 @@ const styles = StyleSheet.create({
 	templateItem: {
 		marginBottom: 8,
 	},
+	overdueText: {
+		color: '#D32F2F',
+		fontFamily: 'Geologica-Medium',
+	},
 	fixedAddButtonContainer: {
 		position: 'absolute',
 		bottom: 120,
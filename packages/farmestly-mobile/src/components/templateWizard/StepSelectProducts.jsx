@@ -4,6 +4,7 @@ import { useTranslation } from 'react-i18next';
 import colors from '../../globals/colors';
 import { useGlobalContext } from '../context/GlobalContextProvider';
 import { useUnits } from '../../providers/UnitsProvider';
+import { formatActiveIngredientNames } from '../../utils/activeSubstances';
 
 const StepSelectProducts = ({ state, updateState, onNext, onBack }) => {
 	const { t } = useTranslation(['common']);
@@ -100,7 +101,7 @@ const StepSelectProducts = ({ state, updateState, onNext, onBack }) => {
 									<View style={styles.productInfo}>
 										<Text style={styles.productName}>{product.name}</Text>
 										<Text style={styles.productDetails}>
-											{product.type?.name || product.type} • {product.activeIngredient?.name || product.activeIngredient || 'No active ingredient'}
+											{product.type?.name || product.type} • {formatActiveIngredientNames(product) || 'No active ingredient'}
 										</Text>
 									</View>
 								</TouchableOpacity>
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import ComplianceBadge from './ComplianceBadge';
 import { getBadgeData, onComplianceChange } from '../../../utils/compliance';
+import { useGlobalContext } from '../../context/GlobalContextProvider';
 
 /**
  * FieldLabel - Displays a field name with optional compliance badges (REI/PHI)
@@ -27,8 +28,13 @@ const FieldLabel = ({
 	textStyle,
 	containerStyle
 }) => {
+	const { farmData } = useGlobalContext();
 	const [badgeData, setBadgeData] = useState(null);
 
+	// Server compliance status travels on the field
+	const field = farmData?.fields?.find(f => String(f._id) === String(fieldId));
+	const serverCompliance = field?.compliance;
+
 	// Load compliance data when needed
 	useEffect(() => {
 		if (!showCompliance || !fieldId) {
@@ -41,7 +47,7 @@ const FieldLabel = ({
 		// Load initial badge data
 		const loadBadgeData = async () => {
 			try {
-				const data = await getBadgeData(fieldId);
+				const data = await getBadgeData({ _id: fieldId, compliance: serverCompliance });
 				if (isMounted) {
 					setBadgeData(data);
 				}
@@ -65,7 +71,7 @@ const FieldLabel = ({
 				unsubscribe();
 			}
 		};
-	}, [fieldId, showCompliance]);
+	}, [fieldId, showCompliance, serverCompliance]);
 
 	const hasBadges = badgeData && (badgeData.showREI || badgeData.showPHI);
 
@@ -2,6 +2,7 @@
 
 import * as Keychain from 'react-native-keychain';
 import config from './config';
+import { getDeviceHeaders } from './device';
 
 const COOKIE_SERVICE = 'session_cookie';
 
@@ -39,7 +40,7 @@ export async function api(url, options = {}) {
 	const fullUrl = url.startsWith('http') ? url : config.BASE_URL + url;
 	const cookie = await getCookie();
 
-	const headers = { ...options.headers };
+	const headers = { ...(await getDeviceHeaders()), ...options.headers };
 	if (cookie) {
 		headers['Cookie'] = cookie;
 	}
@@ -1,10 +1,11 @@
-const JOB_TYPES = ['sow', 'harvest', 'spray', 'irrigate', 'custom'];
+const JOB_TYPES = ['sow', 'harvest', 'spray', 'irrigate', 'fertilize', 'custom'];
 
 const JOB_TYPE_ICONS = {
 	sow: require('../assets/icons/sow.png'),
 	harvest: require('../assets/icons/harvest.png'),
 	spray: require('../assets/icons/spray.png'),
 	irrigate: require('../assets/icons/irrigate.png'),
+	fertilize: require('../assets/icons/inputs_brown.png'),
 	custom: require('../assets/icons/job_icon.png')
 };
 
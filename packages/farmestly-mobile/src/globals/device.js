@@ -0,0 +1,54 @@
+// globals/device.js
+
+import { Platform } from 'react-native';
+import { Storage } from '../utils/storage';
+
+const DEVICE_ID_KEY = '@DeviceId';
+
+let cachedHeaders = null;
+
+const generateDeviceId = () => {
+	const random = () => Math.random().toString(36).substring(2, 10);
+	return `dev_${Date.now().toString(36)}_${random()}${random()}`;
+};
+
+// A readable name for the device, e.g. "Samsung SM-A546B" or "iPhone (iOS 18.1)"
+const getDeviceName = () => {
+	const constants = Platform.constants || {};
+	if (Platform.OS === 'android') {
+		const manufacturer = constants.Manufacturer ? constants.Manufacturer.charAt(0).toUpperCase() + constants.Manufacturer.slice(1) : '';
+		return [manufacturer, constants.Model].filter(Boolean).join(' ') || 'Android';
+	}
+	const model = constants.interfaceIdiom === 'pad' ? 'iPad' : 'iPhone';
+	return constants.osVersion ? `${model} (iOS ${constants.osVersion})` : model;
+};
+
+/**
+ * Headers that tell the server which device a request comes from, so the
+ * account's sessions can be listed per device. The id is random, kept for the
+ * life of the install.
+ */
+export async function getDeviceHeaders() {
+	if (cachedHeaders) return cachedHeaders;
+
+	let deviceId = null;
+	try {
+		deviceId = await Storage.getItem(DEVICE_ID_KEY);
+		if (!deviceId) {
+			deviceId = generateDeviceId();
+			await Storage.setItem(DEVICE_ID_KEY, deviceId);
+		}
+	} catch (err) {
+		console.error('[Device] Failed to load device id:', err);
+	}
+
+	const headers = {
+		'X-Device-Name': getDeviceName(),
+		'X-Device-Platform': Platform.OS
+	};
+	if (deviceId) {
+		headers['X-Device-Id'] = deviceId;
+		cachedHeaders = headers;
+	}
+	return headers;
+}
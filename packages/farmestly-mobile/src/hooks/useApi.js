@@ -24,6 +24,9 @@ const HTTP_FALLBACK = {
 	504: 'GATEWAY_TIMEOUT',
 };
 
+// Codes the calling screen responds to with its own prompt
+const CALLER_HANDLED = ['ACCOUNT_PENDING_DELETION'];
+
 export function useApi() {
 	const { t } = useTranslation('alerts');
 	const { openBottomSheet, closeBottomSheet } = useBottomSheet();
@@ -76,7 +79,7 @@ export function useApi() {
 				if (code === 'SIGNED_OUT') {
 					await clearCookie();
 					navigation.reset({ index: 0, routes: [{ name: 'Entry' }] });
-				} else if (!ok && !validation) {
+				} else if (!ok && !validation && !CALLER_HANDLED.includes(code)) {
 					showError(code, json.PAYLOAD || {});
 				}
 
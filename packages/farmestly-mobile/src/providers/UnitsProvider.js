@@ -123,6 +123,21 @@ export const UnitsProvider = ({ children, preferences = {}, onPreferenceChange }
 		return parseFloat(unit(value, `${baseType}/m^2`).to(rateUnit).toNumber().toFixed(decimals));
 	}, [getUnit]);
 
+	// ============ PRICES ============
+	// Prices are stored per base unit (per L or per kg) and entered per user unit
+
+	const parsePrice = useCallback((value, category) => {
+		const num = parseFloat(value);
+		if (isNaN(num)) return null;
+		return num / unit(1, getUnit(category)).to(category === 'volume' ? 'L' : 'kg').toNumber();
+	}, [getUnit]);
+
+	const formatPriceValue = useCallback((value, category, decimals = 2) => {
+		if (value == null || isNaN(value)) return null;
+		const perUnit = value * unit(1, getUnit(category)).to(category === 'volume' ? 'L' : 'kg').toNumber();
+		return parseFloat(perUnit.toFixed(decimals));
+	}, [getUnit]);
+
 	// ============ UTILITIES ============
 
 	const symbol = useCallback((category) => {
@@ -144,6 +159,7 @@ export const UnitsProvider = ({ children, preferences = {}, onPreferenceChange }
 			format, formatValue, parse,
 			formatRate, formatRateValue, parseRate,
 			formatProductRate, formatProductRateValue, parseProductRate,
+			formatPriceValue, parsePrice,
 			symbol, rateSymbol,
 			unit: (category) => prefs[category],
 			setUnit: (category, newUnit) => onPreferenceChange?.(category, newUnit),
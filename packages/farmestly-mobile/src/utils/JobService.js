@@ -5,6 +5,7 @@ import { api } from '../globals/api';
 import config from '../globals/config';
 import { AppState } from 'react-native';
 import NetInfo from '@react-native-community/netinfo';
+import TrackRecorder from './TrackRecorder';
 
 const BASE_URL = config.BASE_URL;
 
@@ -64,6 +65,7 @@ const now = () => new Date().toISOString();
  *  - Cache completed jobs and maintain an index for quick queries (by field and by type)
  *  - Enqueue completed jobs for server sync with idempotency and exponential backoff
  *  - Support multi-field batch workflows (startBatch / advanceBatch / completeBatch)
+ *  - Drive optional GPS track capture (TrackRecorder) and attach tracks to completed jobs
  *  - Provide crash-recovery for interrupted completions and debug helpers
  *
  * Storage Keys:
@@ -170,6 +172,9 @@ class JobService {
 			// 3. Load active recordings and recover elapsed time
 			await this._loadActive();
 
+			// Pick GPS tracks back up for recordings that survived a restart
+			await TrackRecorder.restore([...this._active.values()]);
+
 			// 4. Load batch pending state
 			await this._loadBatchPending();
 
@@ -229,8 +234,8 @@ class JobService {
 	 * a `'change'` event with { type: 'start', fieldId, recording }.
 	 *
 	 * @param {string|number} fieldId - Field ID (ObjectId string) to record against.
-	 * @param {string} type - Job type (e.g. 'sow', 'harvest', 'spray', 'irrigate', 'custom').
-	 * @param {Object} [jobData={}] - Optional job payload with template, machine, attachment, tool, cultivation, data, notes.
+	 * @param {string} type - Job type (e.g. 'sow', 'harvest', 'spray', 'irrigate', 'fertilize', 'custom').
+	 * @param {Object} [jobData={}] - Optional job payload with template, machine, attachment, tool, cultivation, data, notes, plannedJobId, complianceOverride.
 	 * @returns {Promise<Object>} Resolves to the created recording object.
 	 * @throws {Error} If a recording already exists for the field or the max concurrent recordings limit is reached.
 	 */
@@ -258,6 +263,8 @@ class JobService {
 			tool: jobData.tool || null,          // { id, name, brand } | null
 			cultivation: jobData.cultivation || null,  // { id, crop, variety } | null
 			batch: jobData.batch || null,        // { id, fieldIndex, totalFields, fieldIds } | null
+			plannedJobId: jobData.plannedJobId || null,  // Planned job the recording was started from
+			complianceOverride: jobData.complianceOverride || null,  // { reason } when recorded inside an active PHI
 			startedAt: now(),  // Renamed from startTime
 			endedAt: null,     // Renamed from endTime
 			elapsedTime: 0,
@@ -270,6 +277,7 @@ class JobService {
 				harvest: jobData.data?.harvest || null,
 				spray: jobData.data?.spray || null,
 				irrigate: jobData.data?.irrigate || null,
+				fertilize: jobData.data?.fertilize || null,
 				...jobData.data,  // Spread any additional data
 			},
 			notes: jobData.notes || '',
@@ -277,6 +285,7 @@ class JobService {
 
 		this._active.set(fid, recording);
 		await this._saveActive();
+		await TrackRecorder.begin(fid);
 
 		if (!this._timer) {
 			this._startTimer();
@@ -311,6 +320,7 @@ class JobService {
 		}
 
 		await this._saveActive();
+		await TrackRecorder.pause(fid);
 		this._emit('change', { type: 'pause', fieldId: fid, recording: rec });
 		return true;
 	}
@@ -340,6 +350,7 @@ class JobService {
 		}
 
 		await this._saveActive();
+		await TrackRecorder.resume(fid);
 		this._emit('change', { type: 'resume', fieldId: fid, recording: rec });
 		return true;
 	}
@@ -377,6 +388,7 @@ class JobService {
 				endedAt: now(),  // Renamed from endTime
 				status: 'completed',
 				timestamps: [...rec.timestamps, { action: 'stop', time: now() }],
+				track: await TrackRecorder.finish(fid),
 			};
 
 			// Save to completing queue (crash recovery)
@@ -933,7 +945,7 @@ class JobService {
 	async updateJob(jobId, updates) {
 		await this._ensureInit();
 
-		const key = `${this._prefix}job_${jobId}`;
+		const key = `${STORAGE.CACHE_PREFIX}${jobId}`;
 		try {
 			const json = await Storage.getItem(key);
 			if (!json) {
@@ -956,14 +968,11 @@ class JobService {
 			await Storage.setItem(key, JSON.stringify(updatedJob));
 
 			// Also update pending queue if job is there
-			const pendingJson = await Storage.getItem(this._pendingKey);
-			if (pendingJson) {
-				const pending = JSON.parse(pendingJson);
-				const idx = pending.findIndex(p => p.id === jobId);
-				if (idx !== -1) {
-					pending[idx] = { ...pending[idx], ...updates };
-					await Storage.setItem(this._pendingKey, JSON.stringify(pending));
-				}
+			const pending = await this._loadPending();
+			const idx = pending.findIndex(p => p.id === jobId);
+			if (idx !== -1) {
+				pending[idx] = { ...pending[idx], ...updates };
+				await this._savePending(pending);
 			}
 
 			this._emit('change', { type: 'jobUpdated', jobId, job: updatedJob });
@@ -984,7 +993,7 @@ class JobService {
 	async getJob(jobId) {
 		await this._ensureInit();
 
-		const key = `${this._prefix}job_${jobId}`;
+		const key = `${STORAGE.CACHE_PREFIX}${jobId}`;
 		try {
 			const json = await Storage.getItem(key);
 			if (!json) return null;
@@ -1284,7 +1293,7 @@ class JobService {
 		await this._saveIndex();
 	}
 
-	async _markSynced(jobId, serverJobId = null) {
+	async _markSynced(jobId, serverJobId = null, coverage = null) {
 		const key = `${STORAGE.CACHE_PREFIX}${jobId}`;
 		try {
 			const json = await Storage.getItem(key);
@@ -1294,6 +1303,7 @@ class JobService {
 			job.syncStatus = 'synced';
 			job.syncedAt = now();
 			if (serverJobId) job.serverJobId = serverJobId;
+			if (coverage) job.coverage = coverage;
 
 			await Storage.setItem(key, JSON.stringify(job));
 			this._emit('jobSynced', { jobId, serverJobId, status: 'synced' });
@@ -1500,7 +1510,7 @@ class JobService {
 					const result = await this._syncOne(job);
 					if (result.success) {
 						await this._removePending(job.id);
-						await this._markSynced(job.id, result.serverJobId);
+						await this._markSynced(job.id, result.serverJobId, result.serverJob?.job?.coverage);
 
 						// Emit sync event with updates if present (guard against malformed responses)
 						if (result.updates && typeof result.updates === 'object' && Object.keys(result.updates).length > 0) {
@@ -1852,6 +1862,8 @@ class JobService {
 		this._tickCount = 0;
 		this._retryMeta = {};
 
+		await TrackRecorder.reset();
+
 		// Clear storage
 		try {
 			const allKeys = await Storage.getAllKeys();
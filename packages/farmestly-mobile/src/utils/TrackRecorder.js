@@ -0,0 +1,278 @@
+import Geolocation from '@react-native-community/geolocation';
+import { Storage } from './storage';
+
+// ============================================================
+// CONFIGURATION
+// ============================================================
+
+const STORAGE_KEY = '@tracks:active';
+
+const CONFIG = {
+	DISTANCE_FILTER_M: 3,          // Minimum movement between fixes
+	MAX_ACCURACY_M: 25,            // Fixes less accurate than this are dropped
+	SAVE_INTERVAL_MS: 10000,       // Persist tracks at most every 10 seconds
+	COORD_FACTOR: 1e5,             // 5 decimals, ~1 m
+};
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+const str = (id) => String(id);
+
+// Zigzag-encode a signed integer in the Google polyline alphabet
+const encodeValue = (value) => {
+	let v = value < 0 ? ~(value << 1) : value << 1;
+	let out = '';
+	while (v >= 0x20) {
+		out += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+		v >>= 5;
+	}
+	return out + String.fromCharCode(v + 63);
+};
+
+const newSegment = () => ({
+	startedAt: new Date().toISOString(),
+	path: '',
+	last: [0, 0, 0],  // Previous point (lat, lng in 1e-5°, seconds) for delta encoding
+});
+
+// ============================================================
+// TRACK RECORDER
+// ============================================================
+/**
+ * TrackRecorder.js
+ *
+ * Optional GPS breadcrumb capture for job recordings. JobService drives it
+ * from the recording lifecycle (begin/pause/resume/finish) and attaches the
+ * finished track to the completed job, so it is synced with the job to
+ * /job/record where the covered area is calculated.
+ *
+ * A single position watch is shared by all running recordings and is only
+ * active while at least one of them is running. Each resume starts a new
+ * segment so paused stretches (driving to the next field) are not counted.
+ *
+ * Track format (as sent to the server):
+ *   { segments: [{ startedAt: ISO, path }] }
+ *   path holds, per point, polyline-encoded deltas of latitude and longitude
+ *   (1e-5°) and of the seconds elapsed since the segment's startedAt.
+ *
+ * Storage Keys:
+ *   @tracks:active → { fieldId: { running, segments }, ... }
+ *
+ * Capture is off unless enabled from the GPS tracking setting.
+ */
+class TrackRecorder {
+	constructor() {
+		this._enabled = false;
+		this._tracks = new Map();      // fieldId → { running, segments }
+		this._watchId = null;
+		this._loadPromise = null;
+		this._lastSave = 0;
+	}
+
+	// ============================================================
+	// PUBLIC API
+	// ============================================================
+
+	/**
+	 * Turn capture for new recordings on or off. Tracks already being
+	 * recorded keep going until their recording finishes.
+	 * @param {boolean} enabled
+	 */
+	setEnabled(enabled) {
+		this._enabled = !!enabled;
+		this._updateWatch();
+	}
+
+	isEnabled() {
+		return this._enabled;
+	}
+
+	/**
+	 * Start a track for a new recording (no-op when capture is disabled).
+	 * @param {string|number} fieldId
+	 */
+	async begin(fieldId) {
+		await this._ensureLoaded();
+		if (!this._enabled) return;
+
+		this._tracks.set(str(fieldId), { running: true, segments: [newSegment()] });
+		await this._save();
+		this._updateWatch();
+	}
+
+	async pause(fieldId) {
+		await this._ensureLoaded();
+		const track = this._tracks.get(str(fieldId));
+		if (!track || !track.running) return;
+
+		track.running = false;
+		await this._save();
+		this._updateWatch();
+	}
+
+	async resume(fieldId) {
+		await this._ensureLoaded();
+		const track = this._tracks.get(str(fieldId));
+		if (!track || track.running) return;
+
+		track.running = true;
+		track.segments.push(newSegment());
+		await this._save();
+		this._updateWatch();
+	}
+
+	/**
+	 * Stop tracking a recording and return its encoded track.
+	 * @param {string|number} fieldId
+	 * @returns {Promise<Object|null>} { segments: [{ startedAt, path }] } or null if nothing was captured.
+	 */
+	async finish(fieldId) {
+		await this._ensureLoaded();
+		const fid = str(fieldId);
+		const track = this._tracks.get(fid);
+		if (!track) return null;
+
+		this._tracks.delete(fid);
+		await this._save();
+		this._updateWatch();
+
+		const segments = track.segments
+			.filter(segment => segment.path)
+			.map(({ startedAt, path }) => ({ startedAt, path }));
+
+		return segments.length ? { segments } : null;
+	}
+
+	/**
+	 * Reconcile persisted tracks with the recordings JobService restored
+	 * after an app restart. Tracks without a recording are dropped.
+	 * @param {Array<{fieldId: string, status: string}>} recordings
+	 */
+	async restore(recordings) {
+		await this._ensureLoaded();
+		const statuses = new Map(recordings.map(rec => [str(rec.fieldId), rec.status]));
+
+		for (const [fid, track] of this._tracks) {
+			if (!statuses.has(fid)) {
+				this._tracks.delete(fid);
+				continue;
+			}
+
+			const running = statuses.get(fid) === 'running';
+			if (running && !track.running) {
+				track.segments.push(newSegment());
+			}
+			track.running = running;
+		}
+
+		await this._save();
+		this._updateWatch();
+	}
+
+	/**
+	 * Clear all tracks (for logout/account switch)
+	 */
+	async reset() {
+		this._loadPromise = Promise.resolve();
+		this._tracks.clear();
+		this._updateWatch();
+		await Storage.removeItem(STORAGE_KEY).catch(() => { });
+	}
+
+	// ============================================================
+	// POSITION WATCH
+	// ============================================================
+
+	_updateWatch() {
+		const needed = [...this._tracks.values()].some(track => track.running);
+
+		if (needed && this._watchId === null) {
+			Geolocation.setRNConfiguration({
+				skipPermissionRequests: false,
+				authorizationLevel: 'always',
+				enableBackgroundLocationUpdates: true,
+				locationProvider: 'playServices'
+			});
+
+			this._watchId = Geolocation.watchPosition(
+				position => this._onPosition(position),
+				error => console.warn('[TrackRecorder] Position error:', error?.message),
+				{
+					enableHighAccuracy: true,
+					distanceFilter: CONFIG.DISTANCE_FILTER_M,
+					interval: 2000,
+					fastestInterval: 1000
+				}
+			);
+		} else if (!needed && this._watchId !== null) {
+			Geolocation.clearWatch(this._watchId);
+			this._watchId = null;
+		}
+	}
+
+	_onPosition(position) {
+		const { latitude, longitude, accuracy } = position.coords;
+		if (accuracy != null && accuracy > CONFIG.MAX_ACCURACY_M) return;
+
+		const lat = Math.round(latitude * CONFIG.COORD_FACTOR);
+		const lng = Math.round(longitude * CONFIG.COORD_FACTOR);
+
+		this._tracks.forEach(track => {
+			if (!track.running) return;
+
+			const segment = track.segments[track.segments.length - 1];
+			const seconds = Math.max(0, Math.round((position.timestamp - Date.parse(segment.startedAt)) / 1000));
+			const [lastLat, lastLng, lastSeconds] = segment.last;
+
+			segment.path += encodeValue(lat - lastLat) + encodeValue(lng - lastLng) + encodeValue(seconds - lastSeconds);
+			segment.last = [lat, lng, seconds];
+		});
+
+		if (Date.now() - this._lastSave >= CONFIG.SAVE_INTERVAL_MS) {
+			this._save().catch(err => console.error('[TrackRecorder] Failed to save:', err));
+		}
+	}
+
+	// ============================================================
+	// STORAGE
+	// ============================================================
+
+	async _ensureLoaded() {
+		if (!this._loadPromise) {
+			this._loadPromise = this._load();
+		}
+		return this._loadPromise;
+	}
+
+	async _load() {
+		try {
+			const json = await Storage.getItem(STORAGE_KEY);
+			if (!json) return;
+
+			Object.entries(JSON.parse(json)).forEach(([fid, track]) => {
+				this._tracks.set(fid, track);
+			});
+		} catch (err) {
+			console.error('[TrackRecorder] Failed to load tracks:', err);
+		}
+	}
+
+	async _save() {
+		this._lastSave = Date.now();
+		const data = {};
+		this._tracks.forEach((track, fid) => {
+			data[fid] = track;
+		});
+		await Storage.setItem(STORAGE_KEY, JSON.stringify(data));
+	}
+}
+
+// ============================================================
+// SINGLETON EXPORT
+// ============================================================
+
+const trackRecorder = new TrackRecorder();
+
+export default trackRecorder;
@@ -0,0 +1,74 @@
+/**
+ * Active Substance Helpers
+ *
+ * Products list their active substances in activeIngredients, each with its
+ * concentration in the formulation:
+ * { provider, id, code, name, cas, concentration, concentrationUnit, seasonLimit, approval }
+ * seasonLimit is the most of the substance allowed per hectare and season, in g/ha.
+ *
+ * Products saved by older versions hold a single activeIngredient instead
+ * (an object, or a plain name before that).
+ */
+
+// g/L for liquids, g/kg for solids, % (w/v or w/w) for either
+export const CONCENTRATION_UNITS = ['g/L', 'g/kg', '%'];
+
+export const MAX_ACTIVE_INGREDIENTS = 10;
+
+const SQ_M_PER_HA = 10000;
+
+/**
+ * Get the active substances of a product.
+ *
+ * @param {Object} product - Product from farmData
+ * @returns {Array<Object>}
+ */
+export const getActiveIngredients = (product) => {
+	if (Array.isArray(product?.activeIngredients)) {
+		return product.activeIngredients;
+	}
+	const legacy = product?.activeIngredient;
+	if (!legacy) return [];
+	if (typeof legacy === 'string') {
+		return [{ provider: null, id: null, code: null, name: legacy, cas: null }];
+	}
+	return legacy.name || legacy.id ? [legacy] : [];
+};
+
+/**
+ * Names of a product's active substances, e.g. "Copper hydroxide + Sulphur".
+ *
+ * @returns {string|null}
+ */
+export const formatActiveIngredientNames = (product) => {
+	const names = getActiveIngredients(product).map(ai => ai.name).filter(Boolean);
+	return names.length > 0 ? names.join(' + ') : null;
+};
+
+/**
+ * Grams of substance per L or kg of product, null without a concentration.
+ * Percentages are taken as 10 g per L or kg.
+ */
+export const getGramsPerUnit = (ingredient) => {
+	const concentration = Number(ingredient?.concentration);
+	if (!(concentration > 0)) return null;
+	return ingredient.concentrationUnit === '%' ? concentration * 10 : concentration;
+};
+
+/**
+ * Grams per hectare of each active substance applied at a product rate.
+ *
+ * @param {Object} product - Product from farmData
+ * @param {number} rate - Product rate in L/m² or kg/m²
+ * @returns {Array<{ name, gramsPerHa }>} Substances without a concentration are left out
+ */
+export const getAppliedSubstances = (product, rate) => {
+	if (!(rate > 0)) return [];
+	return getActiveIngredients(product)
+		.map(ingredient => ({ ingredient, gramsPerUnit: getGramsPerUnit(ingredient) }))
+		.filter(({ gramsPerUnit }) => gramsPerUnit !== null)
+		.map(({ ingredient, gramsPerUnit }) => ({
+			name: ingredient.name,
+			gramsPerHa: gramsPerUnit * rate * SQ_M_PER_HA
+		}));
+};
@@ -6,80 +6,155 @@
  * 
  * This is the ONLY module that knows about REI/PHI.
  * JobService is generic and knows nothing about compliance.
+ *
+ * The server works out each field's REI/PHI windows from the farm's sprays and
+ * sends them as `field.compliance`. Sprays recorded on this device that have not
+ * synced yet are added on top, so a fresh spray shows up before it reaches the
+ * server.
  */
 
 import JobService from './JobService';
+import { getActiveIngredients } from './activeSubstances';
+
+const MS_PER_HOUR = 3600000;
+const MS_PER_DAY = 86400000;
 
 // ============================================================
 // CORE COMPLIANCE CHECK
 // ============================================================
 
 /**
- * Get active compliance restrictions for a field.
- * Calculates maximum remaining REI/PHI across all spray jobs.
- * 
- * @param {string|number} fieldId
- * @returns {Promise<{ rei: object|null, phi: object|null }>}
+ * End dates of the REI/PHI windows of sprays cached on this device.
  */
-export async function getFieldCompliance(fieldId) {
-	const sprays = await JobService.getHistory(fieldId, { 
+async function getLocalWindows(fieldId) {
+	const sprays = await JobService.getHistory(fieldId, {
 		type: 'spray',
-		since: new Date(Date.now() - 90 * 86400000) // Last 90 days
+		since: new Date(Date.now() - 90 * MS_PER_DAY) // Last 90 days
 	});
 
-	if (!sprays.length) {
-		return { rei: null, phi: null };
-	}
-
-	const now = Date.now();
-	let maxREI = { remaining: 0, endDate: null, source: null };
-	let maxPHI = { remaining: 0, endDate: null, source: null };
+	const windows = { rei: [], phi: [] };
 
 	for (const job of sprays) {
-		const sprayData = job.data?.sprayData || job.sprayData;
-		if (!sprayData?.products) continue;
-
-		const sprayTime = new Date(job.endTime).getTime();
+		const products = job.data?.spray?.products || job.data?.sprayData?.products || [];
+		const sprayTime = new Date(job.endedAt || job.endTime).getTime();
+		if (isNaN(sprayTime)) continue;
 
-		for (const product of sprayData.products) {
+		for (const product of products) {
 			// REI (hours)
 			if (product.rei > 0) {
-				const reiEndMs = sprayTime + product.rei * 3600000;
-				if (reiEndMs > now) {
-					const remaining = Math.ceil((reiEndMs - now) / 3600000);
-					if (remaining > maxREI.remaining) {
-						maxREI = {
-							remaining,
-							endDate: new Date(reiEndMs),
-							source: { job, product },
-						};
-					}
-				}
+				windows.rei.push({ endDate: new Date(sprayTime + product.rei * MS_PER_HOUR), productName: product.name || null });
 			}
-
 			// PHI (days)
 			if (product.phi > 0) {
-				const phiEndMs = sprayTime + product.phi * 86400000;
-				if (phiEndMs > now) {
-					const remaining = Math.ceil((phiEndMs - now) / 86400000);
-					if (remaining > maxPHI.remaining) {
-						maxPHI = {
-							remaining,
-							endDate: new Date(phiEndMs),
-							source: { job, product },
-						};
-					}
-				}
+				windows.phi.push({ endDate: new Date(sprayTime + product.phi * MS_PER_DAY), productName: product.name || null });
 			}
 		}
 	}
 
+	return windows;
+}
+
+/**
+ * Latest-ending window that is still open, with the time remaining in whole
+ * hours (REI) or days (PHI).
+ */
+function latestActive(windows, unitMs) {
+	const now = Date.now();
+	let latest = null;
+
+	for (const window of windows) {
+		if (!window?.endDate) continue;
+		const endMs = new Date(window.endDate).getTime();
+		if (endMs > now && (!latest || endMs > latest.endDate.getTime())) {
+			latest = { ...window, endDate: new Date(endMs) };
+		}
+	}
+
+	if (!latest) return null;
+
+	return {
+		isActive: true,
+		remaining: Math.ceil((latest.endDate.getTime() - now) / unitMs),
+		endDate: latest.endDate,
+		productName: latest.productName || null,
+	};
+}
+
+/**
+ * Get active compliance restrictions for a field.
+ * Takes the latest-ending REI/PHI of the server status and the sprays on this device.
+ * 
+ * @param {Object} field - Field from farmData, carrying the server `compliance`
+ * @returns {Promise<{ rei: object|null, phi: object|null }>}
+ */
+export async function getFieldCompliance(field) {
+	if (!field?._id) {
+		return { rei: null, phi: null };
+	}
+
+	const local = await getLocalWindows(field._id);
+
 	return {
-		rei: maxREI.remaining > 0 ? { isActive: true, ...maxREI } : null,
-		phi: maxPHI.remaining > 0 ? { isActive: true, ...maxPHI } : null,
+		rei: latestActive([field.compliance?.rei, ...local.rei], MS_PER_HOUR),
+		phi: latestActive([field.compliance?.phi, ...local.phi], MS_PER_DAY),
 	};
 }
 
+// ============================================================
+// ACTIVE SUBSTANCE APPROVAL
+// ============================================================
+
+// Approval statuses set by the server that warrant a warning before spraying
+const SUBSTANCE_WARNING_STATUSES = ['notApproved', 'expired'];
+
+/**
+ * Get the approval warning of one active substance of a product, if it is
+ * not approved or its approval has expired.
+ *
+ * @param {Object} product - Product from farmData
+ * @param {Object} ingredient - One of the product's active substances
+ * @returns {{ productName, substanceName, status, expiryDate }|null}
+ */
+export function getSubstanceWarning(product, ingredient) {
+	const approval = ingredient?.approval;
+	if (!approval || !SUBSTANCE_WARNING_STATUSES.includes(approval.status)) {
+		return null;
+	}
+
+	return {
+		productName: product.name,
+		substanceName: ingredient.name,
+		status: approval.status,
+		expiryDate: approval.expiryDate || null,
+	};
+}
+
+/**
+ * Get the approval warnings of all active substances of a product.
+ *
+ * @param {Object} product - Product from farmData
+ * @returns {Array<Object>} Warnings as returned by getSubstanceWarning
+ */
+export function getProductSubstanceWarnings(product) {
+	return getActiveIngredients(product)
+		.map(ingredient => getSubstanceWarning(product, ingredient))
+		.filter(Boolean);
+}
+
+/**
+ * Get the approval warnings of the products picked for a spray job.
+ *
+ * @param {Array<Object>} sprayProducts - Spray products carrying productId
+ * @param {Array<Object>} farmProducts - farmData.products
+ * @returns {Array<Object>} Warnings as returned by getSubstanceWarning
+ */
+export function getSubstanceWarnings(sprayProducts, farmProducts = []) {
+	return sprayProducts.flatMap(p => {
+		const product = farmProducts.find(fp => fp._id === p.productId);
+		return product ? getProductSubstanceWarnings(product) : [];
+	});
+}
+
 // ============================================================
 // CONVENIENCE FUNCTIONS
 // ============================================================
@@ -87,24 +162,24 @@ export async function getFieldCompliance(fieldId) {
 /**
  * Check if field has active REI
  */
-export async function hasActiveREI(fieldId) {
-	const { rei } = await getFieldCompliance(fieldId);
+export async function hasActiveREI(field) {
+	const { rei } = await getFieldCompliance(field);
 	return rei?.isActive || false;
 }
 
 /**
  * Check if field has active PHI
  */
-export async function hasActivePHI(fieldId) {
-	const { phi } = await getFieldCompliance(fieldId);
+export async function hasActivePHI(field) {
+	const { phi } = await getFieldCompliance(field);
 	return phi?.isActive || false;
 }
 
 /**
  * Get badge display data for UI
  */
-export async function getBadgeData(fieldId) {
-	const { rei, phi } = await getFieldCompliance(fieldId);
+export async function getBadgeData(field) {
+	const { rei, phi } = await getFieldCompliance(field);
 
 	return {
 		showREI: rei?.isActive || false,
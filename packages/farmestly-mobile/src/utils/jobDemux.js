@@ -20,7 +20,8 @@
  *     tool: { id, name, brand } | null,  // Embedded equipment object
  *     template: { id, name } | null,  // Template reference
  *     carrierRate,  // L/m² in base SI units
- *     products: [{ productId, name, rate, isVolume, rei, phi }],  // rate in base SI (L/m² or kg/m²)
+ *     products: [{ productId, name, rate, isVolume, rei, phi, authorisationNumber }],  // rate in base SI (L/m² or kg/m²)
+ *     target, reason,  // Treatment target and justification (strings or null)
  *     complianceInfo: { maxREI, maxPHI, reentryDate, harvestDate },
  *     sprayer: { id, name, type, tankCapacity }  // For batch calculations
  *   }
@@ -64,6 +65,8 @@ export function demuxSprayJob(fields, sharedConfig) {
         tankCapacity: sharedConfig.sprayer.tankCapacity,
         carrierRate: sharedConfig.carrierRate,
         products: sharedConfig.products, // Passed through unchanged - rates are shared
+        target: sharedConfig.target,
+        reason: sharedConfig.reason,
         complianceInfo: sharedConfig.complianceInfo
       }
     },
@@ -49,3 +49,43 @@ export const buildCultivation = (field) =>
  */
 export const tempCultivationId = () =>
   `temp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Form values for HarvestDetailsFields from a job's harvest data
+ * @param {Object|null} harvest - data.harvest of a job (amount in kg or L, sale price per kg or L)
+ * @param {Function} formatValue - UnitsProvider formatValue
+ * @param {Function} formatPriceValue - UnitsProvider formatPriceValue
+ * @returns {Object} { quantityType, values } with amounts and prices in the user's units
+ */
+export const harvestFormValues = (harvest, formatValue, formatPriceValue) => {
+  const quantityType = harvest?.unit === 'L' ? 'volume' : 'mass';
+  return {
+    quantityType,
+    values: {
+      amount: harvest?.amount != null ? formatValue(harvest.amount, quantityType) : null,
+      moisture: harvest?.moisture ?? null,
+      loads: harvest?.loads ?? null,
+      grade: harvest?.grade || '',
+      destination: harvest?.destination || '',
+      salePrice: harvest?.salePrice != null ? formatPriceValue(harvest.salePrice, quantityType) : null
+    }
+  };
+};
+
+/**
+ * Build data.harvest details from HarvestDetailsFields values
+ * @param {Object} values - Form values (amount in the user's units)
+ * @param {string} quantityType - 'mass' or 'volume'
+ * @param {Function} parse - UnitsProvider parse
+ * @param {Function} parsePrice - UnitsProvider parsePrice
+ * @returns {Object} { amount, unit, moisture, loads, grade, destination, salePrice } in base units (kg or L)
+ */
+export const buildHarvestDetails = (values, quantityType, parse, parsePrice) => ({
+  amount: values.amount != null ? parse(values.amount, quantityType) : null,
+  unit: quantityType === 'volume' ? 'L' : 'kg',
+  moisture: values.moisture ?? null,
+  loads: values.loads != null ? Math.round(values.loads) : null,
+  grade: values.grade?.trim() || null,
+  destination: values.destination?.trim() || null,
+  salePrice: values.salePrice != null ? parsePrice(values.salePrice, quantityType) : null
+});
@@ -0,0 +1,63 @@
+/**
+ * Fertilizer Nutrient Helpers
+ *
+ * Fertilizer products (type code FE) list their composition as on the label,
+ * in percent by weight: { n, p, k, s, micronutrients: [{ element, percent }] }
+ * with P as P2O5 and K as K2O. Liquids have a density in kg/L to convert
+ * their rate to kg.
+ *
+ * The server works out the same figures when the job is recorded and keeps
+ * them on the job as `nutrients`; these helpers are for the preview while
+ * the job is being set up.
+ */
+
+export const MAIN_NUTRIENTS = ['n', 'p', 'k', 's'];
+
+// Micronutrients of Regulation (EU) 2019/1009
+export const MICRONUTRIENTS = ['B', 'Co', 'Cu', 'Fe', 'Mn', 'Mo', 'Zn'];
+
+export const NUTRIENT_LABELS = {
+	n: 'N',
+	p: 'P₂O₅',
+	k: 'K₂O',
+	s: 'S'
+};
+
+export const isFertilizer = (product) => product?.type?.code === 'FE';
+
+/**
+ * N-P-K grade of a product as printed on fertilizer bags, e.g. "20-10-10 +6S".
+ *
+ * @returns {string|null} null when no composition was entered
+ */
+export const formatNutrientGrade = (product) => {
+	const nutrients = product?.nutrients;
+	if (!nutrients) return null;
+
+	const grade = ['n', 'p', 'k'].map(key => nutrients[key] || 0).join('-');
+	const extras = [
+		nutrients.s > 0 ? `${nutrients.s}S` : null,
+		...(nutrients.micronutrients || []).map(m => `${m.percent}${m.element}`)
+	].filter(Boolean);
+
+	return extras.length > 0 ? `${grade} +${extras.join(' +')}` : grade;
+};
+
+/**
+ * kg of each main nutrient applied per m² at a product rate.
+ *
+ * @param {Object} product - Product from farmData
+ * @param {number} rate - Product rate in L/m² or kg/m²
+ * @returns {Object} { n, p, k, s }
+ */
+export const getAppliedNutrients = (product, rate) => {
+	const applied = { n: 0, p: 0, k: 0, s: 0 };
+	if (!(rate > 0) || !product?.nutrients) return applied;
+
+	const kgPerUnit = product.isVolume === false ? 1 : (product.density > 0 ? product.density : 1);
+	MAIN_NUTRIENTS.forEach(key => {
+		const percent = Number(product.nutrients[key]);
+		if (percent > 0) applied[key] = rate * kgPerUnit * percent / 100;
+	});
+	return applied;
+};
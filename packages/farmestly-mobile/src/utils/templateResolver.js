@@ -130,6 +130,7 @@ export function resolveTemplate(template, farmData) {
 
 		case 'sow':
 		case 'harvest':
+		case 'fertilize':
 		case 'custom':
 			// No required equipment for these types
 			break;
@@ -0,0 +1,36 @@
+/**
+ * Fertilize Job Validation Schema
+ *
+ * Validates the fertilize job form: the fertilizer products applied and
+ * their rates. Rates are validated as strings, as in the spray job schema.
+ */
+import * as Yup from 'yup';
+import { positiveNumberString } from '../helpers';
+
+/**
+ * Schema for individual fertilizer product entries
+ */
+const fertilizeProductSchema = Yup.object().shape({
+	productId: Yup.string().required('fertilize.productIdRequired'),
+	name: Yup.string().required(),
+	rate: positiveNumberString('fertilize.productRateRequired', 'fertilize.productRateInvalid'),
+	isVolume: Yup.boolean(),
+});
+
+/**
+ * Main fertilize job validation schema
+ *
+ * Fields:
+ * - products: Array of fertilizer products with rates
+ * - notes: Optional notes
+ */
+export const fertilizeJobSchema = Yup.object().shape({
+	products: Yup.array()
+		.min(1, 'fertilize.productsEmpty')
+		.of(fertilizeProductSchema),
+	notes: Yup.string()
+		.trim()
+		.nullable(),
+});
+
+export default fertilizeJobSchema;
@@ -0,0 +1,32 @@
+/**
+ * Harvest Job Validation Schema
+ *
+ * Validates the harvest job form. A reason is required when the field is
+ * still inside a pre-harvest interval (PHI).
+ */
+import * as Yup from 'yup';
+
+/**
+ * Main harvest job validation schema
+ *
+ * Fields:
+ * - notes: Optional harvest notes
+ * - phiActive: Set by the screen when the field is under an active PHI
+ * - overrideReason: Required while phiActive, at most 500 characters
+ */
+export const harvestJobSchema = Yup.object().shape({
+	notes: Yup.string()
+		.trim()
+		.nullable(),
+	phiActive: Yup.boolean(),
+	overrideReason: Yup.string()
+		.trim()
+		.max(500, 'harvest.overrideReasonTooLong')
+		.when('phiActive', {
+			is: true,
+			then: schema => schema.required('harvest.overrideReasonRequired'),
+			otherwise: schema => schema.nullable()
+		}),
+});
+
+export default harvestJobSchema;
@@ -11,9 +11,10 @@
 // Job schemas
 export { sprayJobSchema } from './sprayJob';
 export { irrigationJobSchema } from './irrigationJob';
+export { harvestJobSchema } from './harvestJob';
+export { fertilizeJobSchema } from './fertilizeJob';
 
 // Future schemas can be added here:
 // export { sowJobSchema } from './sowJob';
-// export { harvestJobSchema } from './harvestJob';
 // export { editJobSchema } from './editJob';
 // export { customJobSchema } from './customJob';
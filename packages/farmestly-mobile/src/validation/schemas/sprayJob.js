@@ -21,6 +21,7 @@ const sprayProductSchema = Yup.object().shape({
 	isVolume: Yup.boolean(),
 	rei: Yup.number().nullable(),
 	phi: Yup.number().nullable(),
+	authorisationNumber: Yup.string().nullable(),
 });
 
 /**
@@ -31,6 +32,8 @@ const sprayProductSchema = Yup.object().shape({
  * - sprayerType: 'machine' or 'attachment'
  * - carrierRate: Water/carrier rate as string (e.g., "200" for 200 L/ha)
  * - products: Array of products with rates
+ * - target: Optional target pest, disease or weed
+ * - reason: Optional justification for the treatment
  */
 export const sprayJobSchema = Yup.object().shape({
 	sprayer: Yup.object().nullable().required('spray.sprayerRequired'),
@@ -41,6 +44,8 @@ export const sprayJobSchema = Yup.object().shape({
 	products: Yup.array()
 		.min(1, 'spray.productsEmpty')
 		.of(sprayProductSchema),
+	target: Yup.string().max(200, 'spray.targetTooLong'),
+	reason: Yup.string().max(500, 'spray.reasonTooLong'),
 });
 
 export default sprayJobSchema;
@@ -8,9 +8,15 @@ const { MongoStore } = require('connect-mongo');
 const db = require('./utils/db');
 const PuppeteerService = require('./utils/PuppeteerService');
 const { ensureIndexes: ensureJobTemplateIndexes } = require('./routes/job/jobTemplate');
+const { ensureIndexes: ensureFarmMemberIndexes } = require('./routes/account/members');
+const { ensureIndexes: ensurePlannedJobIndexes } = require('./routes/job/planned');
 const { ReportJobManager } = require('./utils/ReportJobManager');
+const AccountDeletionManager = require('./utils/AccountDeletionManager');
+const { ReportScheduler } = require('./utils/ReportScheduler');
+const { recheckProductApprovals } = require('./utils/substances');
 const cron = require('node-cron');
 const { initializeRedisClient } = require('./middleware/rateLimiter');
+const { SESSION_TTL_SECONDS } = require('./utils/sessions');
 
 const app = express();
 
@@ -45,8 +51,12 @@ const corsOptions = {
 
 
 app.disable('x-powered-by');
+// Requests arrive through the reverse proxy (the server only listens on
+// 127.0.0.1), so req.ip comes from X-Forwarded-For
+app.set('trust proxy', 1);
 app.use(cors(corsOptions));
-app.use(express.json());
+// Raised from the 100kb default so recordings can carry their GPS track
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use((req, res, next) => {
@@ -66,10 +76,10 @@ db.connect()
 				client: client,
 				dbName: G_DB__DATABASE_NAME,
 				collectionName: 'sessions',
-				ttl: 30 * 24 * 60 * 60
+				ttl: SESSION_TTL_SECONDS
 			}),
 			cookie: {
-				maxAge: 30 * 24 * 60 * 60 * 1000,
+				maxAge: SESSION_TTL_SECONDS * 1000,
 				httpOnly: true,
 				sameSite: 'none',
 				secure: true
@@ -118,13 +128,28 @@ db.connect()
 		const { initializeLimiters: initEmailLimiters } = require('./routes/settings/email');
 		const { initializeLimiters: initPhoneLimiters } = require('./routes/auth/phoneVerify');
 		const { initializeLimiters: initReportLimiters } = require('./routes/report');
+		const { initializeLimiters: initDeleteAccountLimiters } = require('./routes/account/delete');
+		const { initializeLimiters: initReportSubscriptionLimiters } = require('./routes/report/subscriptions');
+		const { initializeLimiters: initPasswordResetLimiters } = require('./routes/auth/passwordReset');
+		const { initializeLimiters: initTwoFactorLimiters } = require('./routes/auth/twoFactor');
+		const { initializeLimiters: initTwoFactorSettingsLimiters } = require('./routes/settings/twoFactor');
 
 		initEmailLimiters();
 		initPhoneLimiters();
 		initReportLimiters();
-
-		// Initialize JobTemplates collection indexes
-		return ensureJobTemplateIndexes();
+		initDeleteAccountLimiters();
+		initReportSubscriptionLimiters();
+		initPasswordResetLimiters();
+		initTwoFactorLimiters();
+		initTwoFactorSettingsLimiters();
+
+		// Initialize JobTemplates, FarmMembers, PlannedJobs and reportSubscriptions collection indexes
+		return Promise.all([
+			ensureJobTemplateIndexes(),
+			ensureFarmMemberIndexes(),
+			ensurePlannedJobIndexes(),
+			ReportScheduler.getInstance().ensureIndexes()
+		]);
 	}).then(() => {
 		app.use('/', require('./routes'));
 	}).then(() => {
@@ -146,6 +171,53 @@ db.connect()
 
 			cron.schedule(`*/${cleanupIntervalMinutes} * * * *`, runCleanup, { noOverlap: true });
 			runCleanup();
+
+			// Purge accounts whose deletion grace period has ended
+			const accountPurgeCron = process.env.ACCOUNT_PURGE_CRON || '0 * * * *';
+
+			const runAccountPurge = async () => {
+				try {
+					const result = await AccountDeletionManager.getInstance().purgeDueAccounts();
+					if (result.purged || result.failed) {
+						console.log(`[AccountPurge] Purged ${result.purged} accounts, ${result.failed} failed`);
+					}
+				} catch (err) {
+					console.error('[AccountPurge] Error during purge:', err);
+				}
+			};
+
+			cron.schedule(accountPurgeCron, runAccountPurge, { noOverlap: true });
+
+			// Send scheduled reports whose period has ended
+			const reportSubscriptionCron = process.env.REPORT_SUBSCRIPTION_CRON || '*/15 * * * *';
+
+			const runReportSubscriptions = async () => {
+				try {
+					const result = await ReportScheduler.getInstance().runDueSubscriptions();
+					if (result.ran || result.failed) {
+						console.log(`[ReportSubscriptions] Ran ${result.ran} subscriptions, ${result.failed} failed`);
+					}
+				} catch (err) {
+					console.error('[ReportSubscriptions] Error running subscriptions:', err);
+				}
+			};
+
+			cron.schedule(reportSubscriptionCron, runReportSubscriptions, { noOverlap: true });
+
+			// Re-check active substance approvals of saved products. Runs nightly so
+			// it follows the weekly IngredientsEU rebuild (Sundays 3AM) within a day.
+			const substanceCheckCron = process.env.SUBSTANCE_CHECK_CRON || '30 4 * * *';
+
+			const runSubstanceCheck = async () => {
+				try {
+					const result = await recheckProductApprovals();
+					console.log(`[SubstanceCheck] Checked ${result.checked} products, ${result.updated} changed status, ${result.failed} failed`);
+				} catch (err) {
+					console.error('[SubstanceCheck] Error checking substances:', err);
+				}
+			};
+
+			cron.schedule(substanceCheckCron, runSubstanceCheck, { noOverlap: true });
 		});
 
 		process.on('SIGINT', async () => {
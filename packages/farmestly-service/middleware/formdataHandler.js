@@ -1,5 +1,5 @@
-const { ok, fail } = require('../../utils/response');
-const formidable = require('formidable');
+const { ok, fail } = require('../utils/response');
+const { formidable } = require('formidable');
 const MAGIC_NUMBERS = JSON.parse(JSON.stringify(require('./magicNumbers.json')));
 
 module.exports = (req, res, next) => {
@@ -25,7 +25,7 @@ module.exports = (req, res, next) => {
 				//part is file:
 				if (partStream.mimetype) {
 					let filenameArray = partStream.originalFilename.split('.');
-					let extension = filenameArray[filenameArray.length - 1];
+					let extension = filenameArray.length > 1 ? filenameArray[filenameArray.length - 1].toLowerCase() : null;
 					let buffers = [];
 					let once = true;
 					let magicNumberMatch = null;
@@ -77,13 +77,13 @@ module.exports = (req, res, next) => {
 }
 
 function checkMagicNumber(buffer, extension) {
-	if (extension) {
+	if (extension && MAGIC_NUMBERS[extension]) {
 		let signs = MAGIC_NUMBERS[extension].signs;
 		for (let sign of signs) {
-			let byteOffset = sign.split(',')[0];
+			let byteOffset = parseInt(sign.split(',')[0], 10);
 			let signMagicNumber = sign.split(',')[1];
-			let signMagicNumberBuffer = new Buffer.from(signMagicNumber, 'hex');
-			if (!Buffer.compare(buffer.slice(byteOffset, signMagicNumber.length / 2), signMagicNumberBuffer)) return true;
+			let signMagicNumberBuffer = Buffer.from(signMagicNumber, 'hex');
+			if (!Buffer.compare(buffer.subarray(byteOffset, byteOffset + signMagicNumberBuffer.length), signMagicNumberBuffer)) return true;
 		}
 		return false;
 	} else return false;
@@ -2,5 +2,6 @@ module.exports = {
     sessionHandler: require('./sessionHandler'),
     formdataHandler: require('./formdataHandler'),
     validate: require('./validation').validate,
-    trackUpdates: require('./trackUpdates')
+    trackUpdates: require('./trackUpdates'),
+    requirePermission: require('./permissions').requirePermission
 };
\ No newline at end of file
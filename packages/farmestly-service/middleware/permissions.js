@@ -0,0 +1,51 @@
+// middleware/permissions.js
+
+const { fail } = require('../utils/response');
+
+// Member roles, most privileged first
+const ROLES = ['owner', 'manager', 'operator', 'advisor'];
+
+// Roles that may be assigned through an invite (ownership is never transferred this way)
+const ASSIGNABLE_ROLES = ['manager', 'operator', 'advisor'];
+
+// Which roles may perform each action on the active farm.
+// Reading farm data is allowed for every member; only writes are gated.
+const PERMISSIONS = {
+	'fields.write': ['owner', 'manager'],
+	'equipment.write': ['owner', 'manager'],
+	'products.write': ['owner', 'manager'],
+	'templates.write': ['owner', 'manager'],
+	'jobs.record': ['owner', 'manager', 'operator'],
+	'jobs.edit': ['owner', 'manager'],
+	'jobs.plan': ['owner', 'manager'],
+	'cultivations.write': ['owner', 'manager', 'operator'],
+	'reports.create': ['owner', 'manager', 'advisor'],
+	'costs.write': ['owner', 'manager'],
+	'data.export': ['owner'],
+	'members.manage': ['owner', 'manager']
+};
+
+const hasPermission = (role, permission) => {
+	const allowed = PERMISSIONS[permission];
+	return Array.isArray(allowed) && allowed.includes(role);
+};
+
+/**
+ * Route middleware rejecting the request with 403 FORBIDDEN unless the
+ * role resolved by sessionHandler grants the given permission.
+ * @param {string} permission - Key of PERMISSIONS
+ */
+const requirePermission = (permission) => (req, res, next) => {
+	if (!hasPermission(req.role, permission)) {
+		return res.status(403).json(fail('FORBIDDEN'));
+	}
+	next();
+};
+
+module.exports = {
+	ROLES,
+	ASSIGNABLE_ROLES,
+	PERMISSIONS,
+	hasPermission,
+	requirePermission
+};
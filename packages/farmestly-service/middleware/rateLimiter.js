@@ -91,6 +91,23 @@ function keyByPhoneNumber(req, res) {
 	return req.body?.phoneNumber || ipKeyGenerator(req, res);
 }
 
+/**
+ * Key generator using the username being recovered (for password reset)
+ * Falls back to IP using ipKeyGenerator for proper IPv6 handling
+ */
+function keyByUsername(req, res) {
+	const username = typeof req.body?.username === 'string' ? req.body.username.trim().toLowerCase() : '';
+	return username || ipKeyGenerator(req, res);
+}
+
+/**
+ * Key generator using the account of a pending two-factor challenge
+ * Falls back to IP using ipKeyGenerator for proper IPv6 handling
+ */
+function keyByTwoFactorChallenge(req, res) {
+	return req.session?.twoFactorChallenge?.accountId || ipKeyGenerator(req, res);
+}
+
 // =============================================================================
 // Pre-configured Rate Limiters
 // =============================================================================
@@ -208,6 +225,110 @@ function createReportGenerationLimiter() {
 	});
 }
 
+/**
+ * Re-authentication Limiter
+ * Limits password / code confirmations for sensitive account actions
+ * Default: 5 attempts per 15 minutes per account
+ */
+function createReauthLimiter() {
+	const windowMs = parseInt(process.env.RATE_LIMIT_REAUTH_WINDOW_MS, 10) || 15 * 60 * 1000;
+	const max = parseInt(process.env.RATE_LIMIT_REAUTH_MAX, 10) || 5;
+
+	return rateLimit({
+		windowMs,
+		max,
+		standardHeaders: true,
+		legacyHeaders: false,
+		store: createRedisStore('reauth'),
+		keyGenerator: keyByAccountId,
+		handler: rateLimitResponse,
+		skip: (req) => process.env.NODE_ENV === 'test'
+	});
+}
+
+/**
+ * Report Subscription Limiter
+ * Limits changes to report subscriptions, which send verification emails to recipients
+ * Default: 10 requests per 15 minutes per account
+ */
+function createReportSubscriptionLimiter() {
+	const windowMs = parseInt(process.env.RATE_LIMIT_REPORT_SUBSCRIPTION_WINDOW_MS, 10) || 15 * 60 * 1000;
+	const max = parseInt(process.env.RATE_LIMIT_REPORT_SUBSCRIPTION_MAX, 10) || 10;
+
+	return rateLimit({
+		windowMs,
+		max,
+		standardHeaders: true,
+		legacyHeaders: false,
+		store: createRedisStore('report-subscription'),
+		keyGenerator: keyByAccountId,
+		handler: rateLimitResponse,
+		skip: (req) => process.env.NODE_ENV === 'test'
+	});
+}
+
+/**
+ * Password Reset Request Limiter
+ * Limits reset emails / SMS codes sent for an account
+ * Default: 3 requests per 15 minutes per username
+ */
+function createPasswordResetRequestLimiter() {
+	const windowMs = parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_WINDOW_MS, 10) || 15 * 60 * 1000;
+	const max = parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_MAX, 10) || 3;
+
+	return rateLimit({
+		windowMs,
+		max,
+		standardHeaders: true,
+		legacyHeaders: false,
+		store: createRedisStore('password-reset'),
+		keyGenerator: keyByUsername,
+		handler: rateLimitResponse,
+		skip: (req) => process.env.NODE_ENV === 'test'
+	});
+}
+
+/**
+ * Password Reset Attempt Limiter
+ * Limits token checks and new password submissions, which are not signed in
+ * Default: 10 attempts per 15 minutes per IP
+ */
+function createPasswordResetAttemptLimiter() {
+	const windowMs = parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_ATTEMPT_WINDOW_MS, 10) || 15 * 60 * 1000;
+	const max = parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_ATTEMPT_MAX, 10) || 10;
+
+	return rateLimit({
+		windowMs,
+		max,
+		standardHeaders: true,
+		legacyHeaders: false,
+		store: createRedisStore('password-reset-attempt'),
+		handler: rateLimitResponse,
+		skip: (req) => process.env.NODE_ENV === 'test'
+	});
+}
+
+/**
+ * Two-Factor Challenge Limiter
+ * Limits second-factor codes and SMS requests after a correct password
+ * Default: 10 requests per 15 minutes per challenged account
+ */
+function createTwoFactorLimiter() {
+	const windowMs = parseInt(process.env.RATE_LIMIT_TWO_FACTOR_WINDOW_MS, 10) || 15 * 60 * 1000;
+	const max = parseInt(process.env.RATE_LIMIT_TWO_FACTOR_MAX, 10) || 10;
+
+	return rateLimit({
+		windowMs,
+		max,
+		standardHeaders: true,
+		legacyHeaders: false,
+		store: createRedisStore('two-factor'),
+		keyGenerator: keyByTwoFactorChallenge,
+		handler: rateLimitResponse,
+		skip: (req) => process.env.NODE_ENV === 'test'
+	});
+}
+
 // =============================================================================
 // Exports
 // =============================================================================
@@ -223,9 +344,16 @@ module.exports = {
 	createPhoneVerifyAttemptLimiter,
 	createEmailChangeLimiter,
 	createReportGenerationLimiter,
+	createReauthLimiter,
+	createReportSubscriptionLimiter,
+	createPasswordResetRequestLimiter,
+	createPasswordResetAttemptLimiter,
+	createTwoFactorLimiter,
 
 	// Utilities
 	createRedisStore,
 	keyByAccountId,
-	keyByPhoneNumber
+	keyByPhoneNumber,
+	keyByUsername,
+	keyByTwoFactorChallenge
 };
\ No newline at end of file
@@ -1,10 +1,58 @@
 // middleware/sessionHandler.js
 
+const { ObjectId } = require('mongodb');
+const { getDb } = require('../utils/db');
 const { fail } = require('../utils/response');
 
-module.exports = (req, res, next) => {
+/**
+ * Requires a signed-in session and resolves the farm the request acts on.
+ *
+ * A farm is identified by its owner's Accounts _id, so every account owns
+ * exactly one farm. Members of other farms switch between them through
+ * req.session.activeFarmId. After this middleware runs:
+ *   req.memberId - the signed-in account (who performs the action)
+ *   req.farmId   - the account whose farm data is read and written
+ *   req.role     - the member's role on that farm
+ */
+module.exports = async (req, res, next) => {
 	if (!req.session.accountId) {
 		return res.status(401).json(fail('NO_SESSION'));
 	}
-	next();
-};
\ No newline at end of file
+
+	// Keep the last address a device was seen at for the session list
+	if (req.session.device && req.session.device.ip !== req.ip) {
+		req.session.device.ip = req.ip;
+	}
+
+	req.memberId = req.session.accountId;
+	req.farmId = req.session.accountId;
+	req.role = 'owner';
+
+	const activeFarmId = req.session.activeFarmId;
+	if (!activeFarmId || activeFarmId === req.session.accountId) {
+		return next();
+	}
+
+	try {
+		const membership = ObjectId.isValid(activeFarmId)
+			? await getDb().collection('FarmMembers').findOne({
+				farmId: new ObjectId(activeFarmId),
+				accountId: new ObjectId(req.session.accountId),
+				status: 'active'
+			})
+			: null;
+
+		if (!membership) {
+			// Membership was revoked or the farm is gone - fall back to the member's own farm
+			delete req.session.activeFarmId;
+			return next();
+		}
+
+		req.farmId = activeFarmId;
+		req.role = membership.role;
+		next();
+	} catch (err) {
+		console.error('[sessionHandler]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+};
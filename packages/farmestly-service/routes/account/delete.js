@@ -1,25 +1,151 @@
+// routes/account/delete.js
+// Account deletion with re-authentication and a restorable grace period.
+// The account is only marked here; AccountDeletionManager purges it and all
+// of its farm data once the grace period has passed.
+
 const express = require('express');
+const bcrypt = require('bcrypt');
+const { body } = require('express-validator');
 const { ObjectId } = require('mongodb');
 const { getDb } = require('../../utils/db');
 const router = express.Router();
 const { ok, fail } = require('../../utils/response');
+const { validate } = require('../../middleware/validation');
+const { createReauthLimiter } = require('../../middleware/rateLimiter');
+const { requestVerificationCode, checkVerificationCode, NO_PASSWORD } = require('../auth/phoneVerify');
+const { destroyAccountSessions } = require('../../utils/sessions');
+const { ReportJobManager } = require('../../utils/ReportJobManager');
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+// Rate limiter (initialized after Redis is ready)
+let reauthLimiter = null;
+
+/**
+ * Initialize rate limiters - call after Redis is connected
+ */
+function initializeLimiters() {
+	try {
+		reauthLimiter = createReauthLimiter();
+		console.log('[DeleteAccount] Rate limiters initialized');
+	} catch (err) {
+		console.warn('[DeleteAccount] Rate limiters not initialized (Redis not ready):', err.message);
+	}
+}
+
+/**
+ * Middleware to apply rate limiter if initialized
+ */
+function applyReauthLimiter(req, res, next) {
+	if (reauthLimiter) {
+		return reauthLimiter(req, res, next);
+	}
+	next();
+}
+
+/**
+ * Phone accounts have no password and use their phone number as username
+ */
+function isPhoneAccount(account) {
+	return account.metadata.password === NO_PASSWORD;
+}
+
+function getAccountPhone(account) {
+	return account.metadata.phone || account.metadata.username;
+}
+
+const deleteRules = [
+	body('password')
+		.optional()
+		.isString().withMessage('password.invalid')
+		.notEmpty().withMessage('password.empty'),
+	body('verificationCode')
+		.optional()
+		.isString().withMessage('auth.verificationCodeInvalid')
+		.notEmpty().withMessage('auth.verificationCodeRequired')
+];
+
+// POST /deleteAccount/code - Send an SMS code to confirm deletion of a phone account
+router.post('/code', applyReauthLimiter, async (req, res) => {
+	try {
+		const account = await getDb().collection('Accounts').findOne({
+			_id: new ObjectId(req.session.accountId)
+		});
+
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		if (!isPhoneAccount(account)) {
+			return res.status(400).json(fail('REAUTH_METHOD_INVALID'));
+		}
+
+		await requestVerificationCode(getAccountPhone(account));
+		res.json(ok());
+	} catch (err) {
+		console.error('[deleteAccount/code]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// DELETE /deleteAccount - Schedule the signed-in account for deletion
+//
+// Body: { password } for password accounts, { verificationCode } for phone
+// accounts. Every session of the account is signed out. Logging in again
+// before `purgeAfter` offers to restore the account (see /restoreAccount).
+router.delete('/', applyReauthLimiter, validate(deleteRules), async (req, res) => {
+	try {
+		const accountId = req.session.accountId;
+		const account = await getDb().collection('Accounts').findOne({
+			_id: new ObjectId(accountId)
+		});
+
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		if (isPhoneAccount(account)) {
+			if (!req.body.verificationCode) {
+				return res.status(401).json(fail('REAUTH_REQUIRED'));
+			}
+
+			const status = await checkVerificationCode(getAccountPhone(account), req.body.verificationCode);
+			if (status === 'invalid') return res.status(400).json(fail('INVALID_CODE_FORMAT'));
+			if (status === 'rejected') return res.status(401).json(fail('REJECTED'));
+			if (status === 'expired') return res.status(401).json(fail('EXPIRED'));
+		} else {
+			if (!req.body.password) {
+				return res.status(401).json(fail('REAUTH_REQUIRED'));
+			}
+
+			const matches = await bcrypt.compare(req.body.password, account.metadata.password);
+			if (!matches) {
+				return res.status(401).json(fail('LOGIN_INCORRECT'));
+			}
+		}
+
+		const requestedAt = new Date();
+		const purgeAfter = new Date(requestedAt.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
 
+		await getDb().collection('Accounts').updateOne(
+			{ _id: account._id },
+			{ $set: { 'metadata.deletion': { requestedAt, purgeAfter } } }
+		);
 
+		// Nothing should be generated or emailed for an account that is going away
+		await ReportJobManager.getInstance().cancelPendingJobs(accountId);
 
-router.get('/', (req, res) => {
-	getDb().collection('Accounts')
-		.findOneAndDelete({ _id: new ObjectId(req.session.accountId) })
-		.then(() => {
-			req.session.destroy(err => {
-				if (err) console.error(err);
-				res.clearCookie('connect.sid');
-				res.json(ok());
-			});
-		})
-		.catch(err => {
-			console.error(err);
-			res.status(500).json(fail('INTERNAL_ERROR'));
+		await destroyAccountSessions(accountId, req.sessionID);
+		req.session.destroy(err => {
+			if (err) console.error('[deleteAccount] session destroy', err);
+			res.clearCookie('connect.sid');
+			res.json(ok({ purgeAfter }));
 		});
+	} catch (err) {
+		console.error('[deleteAccount]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.initializeLimiters = initializeLimiters;
@@ -5,6 +5,9 @@ const router = express.Router();
 const { getDb } = require('../../utils/db');
 const { ok, fail } = require('../../utils/response');
 const { ObjectId } = require('mongodb');
+const { NO_PASSWORD } = require('../auth/phoneVerify');
+const { getCostRates } = require('../../utils/costs');
+const { getFieldsCompliance } = require('../../utils/compliance');
 
 router.get('/', async (req, res) => {
 	try {
@@ -21,18 +24,32 @@ router.get('/', async (req, res) => {
 			return res.status(401).json(fail('INVALID_SESSION'));
 		}
 
-		const farmData = doc.content.farmData || {};
+		// Farm data comes from the active farm, which may belong to another account
+		const farmDoc = req.farmId === req.session.accountId
+			? doc
+			: await getDb().collection('Accounts').findOne({ _id: new ObjectId(req.farmId) });
+
+		if (!farmDoc) {
+			delete req.session.activeFarmId;
+			return res.status(401).json(fail('INVALID_SESSION'));
+		}
+
+		const farmData = farmDoc.content.farmData || {};
 
 		// Fetch data from separate collections
-		const [fields, machines, attachments, tools, products, jobTemplates] = await Promise.all([
-			getDb().collection('Fields').find({ accountId: doc._id }).toArray(),
-			getDb().collection('Machines').find({ accountId: doc._id }).toArray(),
-			getDb().collection('Attachments').find({ accountId: doc._id }).toArray(),
-			getDb().collection('Tools').find({ accountId: doc._id }).toArray(),
-			getDb().collection('Products').find({ accountId: doc._id }).toArray(),
-			getDb().collection('JobTemplates').find({ accountId: doc._id }).sort({ createdAt: -1 }).toArray()
+		const [fields, machines, attachments, tools, products, jobTemplates, plannedJobs] = await Promise.all([
+			getDb().collection('Fields').find({ accountId: farmDoc._id, archived: { $ne: true } }).toArray(),
+			getDb().collection('Machines').find({ accountId: farmDoc._id }).toArray(),
+			getDb().collection('Attachments').find({ accountId: farmDoc._id }).toArray(),
+			getDb().collection('Tools').find({ accountId: farmDoc._id }).toArray(),
+			getDb().collection('Products').find({ accountId: farmDoc._id }).toArray(),
+			getDb().collection('JobTemplates').find({ accountId: farmDoc._id }).sort({ createdAt: -1 }).toArray(),
+			getDb().collection('PlannedJobs').find({ accountId: farmDoc._id, status: 'planned' }).sort({ dueDate: 1 }).toArray()
 		]);
 
+		// REI/PHI status worked out from the farm's recent sprays
+		const compliance = await getFieldsCompliance(farmDoc._id, fields.map(f => f._id.toString()));
+
 		res.json(ok({
 			account: {
 				username: doc.metadata.username,
@@ -40,21 +57,28 @@ router.get('/', async (req, res) => {
 				emailVerified: doc.metadata.emailVerified || false,
 				emailPending: doc.metadata.emailVerification?.pendingEmail || null,
 				phone: doc.metadata.phone || null,
-				setupCompleted: doc.metadata.setupCompleted || false,
+				authMethod: doc.metadata.password === NO_PASSWORD ? 'phone' : 'password',
+				twoFactorEnabled: doc.metadata.twoFactor?.enabled === true,
+				// Members working on someone else's farm skip their own farm setup
+				setupCompleted: doc.metadata.setupCompleted || farmDoc !== doc,
 				preferences: doc.metadata.preferences || {
 					units: { area: 'hectares', length: 'm', volume: 'L', mass: 'kg' },
 					language: 'en'
 				}
 			},
 			farm: {
+				id: farmDoc._id,
+				role: req.role,
 				name: farmData.farmName || '',
 				totalArea: farmData.totalArea || 0,
-				fields: fields,
+				costRates: getCostRates(farmDoc),
+				fields: fields.map(f => ({ ...f, compliance: compliance[f._id.toString()] })),
 				machines: machines,
 				attachments: attachments,
 				tools: tools,
 				products: products,
-				jobTemplates: jobTemplates
+				jobTemplates: jobTemplates,
+				plannedJobs: plannedJobs
 			}
 		}));
 	} catch (err) {
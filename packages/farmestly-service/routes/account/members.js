@@ -0,0 +1,381 @@
+// routes/account/members.js
+// Farm membership: invites, roles and switching between farms.
+// A farm is identified by its owner's Accounts _id; other members are stored
+// in the FarmMembers collection.
+
+const express = require('express');
+const crypto = require('crypto');
+const { body, param } = require('express-validator');
+const router = express.Router();
+const { getDb } = require('../../utils/db');
+const { ok, fail } = require('../../utils/response');
+const { validate } = require('../../middleware/validation');
+const { requirePermission, hasPermission, ASSIGNABLE_ROLES } = require('../../middleware/permissions');
+const { ObjectId } = require('mongodb');
+
+const INVITE_EXPIRY_DAYS = parseInt(process.env.FARM_INVITE_EXPIRY_DAYS, 10) || 7;
+
+/**
+ * Generate a short invite code that can be read out or typed on a phone
+ * @returns {string} 8-character uppercase hex code
+ */
+function generateInviteCode() {
+	return crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+// Only the owner may hand out or take away the manager role
+function canManageRole(actorRole, targetRole) {
+	return actorRole === 'owner' || targetRole !== 'manager';
+}
+
+// Initialize collection indexes (call during app startup)
+async function ensureIndexes() {
+	try {
+		const col = getDb().collection('FarmMembers');
+		await col.createIndex({ farmId: 1, accountId: 1 }, { background: true });
+		await col.createIndex({ accountId: 1, status: 1 }, { background: true });
+		await col.createIndex({ inviteCode: 1 }, { background: true, sparse: true });
+		console.log('FarmMembers indexes created');
+	} catch (err) {
+		console.error('Error creating FarmMembers indexes:', err);
+	}
+}
+
+// GET /members - List the owner, members and pending invites of the active farm
+router.get('/', async (req, res) => {
+	try {
+		const farmId = new ObjectId(req.farmId);
+
+		const owner = await getDb().collection('Accounts').findOne(
+			{ _id: farmId },
+			{ projection: { 'metadata.username': 1 } }
+		);
+
+		if (!owner) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		const memberships = await getDb().collection('FarmMembers')
+			.find({ farmId })
+			.sort({ createdAt: 1 })
+			.toArray();
+
+		const memberAccountIds = memberships.filter(m => m.accountId).map(m => m.accountId);
+		const memberAccounts = await getDb().collection('Accounts')
+			.find({ _id: { $in: memberAccountIds } }, { projection: { 'metadata.username': 1 } })
+			.toArray();
+
+		const usernames = {};
+		memberAccounts.forEach(a => { usernames[a._id.toString()] = a.metadata.username; });
+
+		const members = [
+			{ _id: owner._id, accountId: owner._id, username: owner.metadata.username, role: 'owner', status: 'active' },
+			...memberships
+				.filter(m => m.status === 'active')
+				.map(m => ({
+					_id: m._id,
+					accountId: m.accountId,
+					username: usernames[m.accountId.toString()] || null,
+					role: m.role,
+					status: m.status,
+					joinedAt: m.joinedAt
+				}))
+		];
+
+		// Invite codes are only visible to members who can manage the farm
+		const invites = hasPermission(req.role, 'members.manage')
+			? memberships
+				.filter(m => m.status === 'invited' && m.expiresAt > new Date())
+				.map(m => ({
+					_id: m._id,
+					code: m.inviteCode,
+					role: m.role,
+					expiresAt: m.expiresAt
+				}))
+			: [];
+
+		res.json(ok({ role: req.role, members, invites }));
+	} catch (err) {
+		console.error('[members/list]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /members/invite - Create an invite code for a new member
+router.post('/invite', requirePermission('members.manage'), validate([
+	body('role')
+		.exists({ checkNull: true }).withMessage('member.roleRequired')
+		.isIn(ASSIGNABLE_ROLES).withMessage('member.roleInvalid')
+]), async (req, res) => {
+	try {
+		if (!canManageRole(req.role, req.body.role)) {
+			return res.status(403).json(fail('FORBIDDEN'));
+		}
+
+		const now = new Date();
+		const invite = {
+			_id: new ObjectId(),
+			farmId: new ObjectId(req.farmId),
+			accountId: null,
+			role: req.body.role,
+			status: 'invited',
+			inviteCode: generateInviteCode(),
+			invitedBy: new ObjectId(req.memberId),
+			expiresAt: new Date(now.getTime() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
+			createdAt: now
+		};
+
+		await getDb().collection('FarmMembers').insertOne(invite);
+
+		res.json(ok({
+			_id: invite._id,
+			code: invite.inviteCode,
+			role: invite.role,
+			expiresAt: invite.expiresAt
+		}));
+	} catch (err) {
+		console.error('[members/invite]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// DELETE /members/invite/:id - Revoke a pending invite
+router.delete('/invite/:id', requirePermission('members.manage'), validate([
+	param('id')
+		.custom(value => ObjectId.isValid(value)).withMessage('member.idInvalid')
+]), async (req, res) => {
+	try {
+		const result = await getDb().collection('FarmMembers').deleteOne({
+			_id: new ObjectId(req.params.id),
+			farmId: new ObjectId(req.farmId),
+			status: 'invited'
+		});
+
+		if (result.deletedCount === 0) {
+			return res.status(404).json(fail('INVITE_NOT_FOUND'));
+		}
+
+		res.json(ok({ deleted: req.params.id }));
+	} catch (err) {
+		console.error('[members/revokeInvite]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /members/accept - Join a farm with an invite code and make it the active farm
+router.post('/accept', validate([
+	body('code')
+		.exists({ checkNull: true }).withMessage('member.codeRequired')
+		.isString().withMessage('member.codeInvalid')
+		.trim()
+		.notEmpty().withMessage('member.codeRequired')
+]), async (req, res) => {
+	try {
+		const accountId = new ObjectId(req.session.accountId);
+		const invite = await getDb().collection('FarmMembers').findOne({
+			inviteCode: req.body.code.toUpperCase(),
+			status: 'invited'
+		});
+
+		if (!invite) {
+			return res.status(404).json(fail('INVITE_NOT_FOUND'));
+		}
+
+		if (invite.expiresAt < new Date()) {
+			return res.status(410).json(fail('INVITE_EXPIRED'));
+		}
+
+		if (invite.farmId.equals(accountId)) {
+			return res.status(409).json(fail('ALREADY_MEMBER'));
+		}
+
+		const existing = await getDb().collection('FarmMembers').findOne({
+			farmId: invite.farmId,
+			accountId,
+			status: 'active'
+		});
+
+		if (existing) {
+			return res.status(409).json(fail('ALREADY_MEMBER'));
+		}
+
+		// Single use: the code is cleared once the invite is claimed
+		const result = await getDb().collection('FarmMembers').updateOne(
+			{ _id: invite._id, status: 'invited' },
+			{
+				$set: { accountId, status: 'active', joinedAt: new Date() },
+				$unset: { inviteCode: '', expiresAt: '' }
+			}
+		);
+
+		if (result.modifiedCount === 0) {
+			return res.status(404).json(fail('INVITE_NOT_FOUND'));
+		}
+
+		req.session.activeFarmId = invite.farmId.toString();
+
+		res.json(ok({ farmId: invite.farmId, role: invite.role }));
+	} catch (err) {
+		console.error('[members/accept]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /members/role - Change a member's role
+router.post('/role', requirePermission('members.manage'), validate([
+	body('memberId')
+		.exists({ checkNull: true }).withMessage('member.idRequired')
+		.custom(value => ObjectId.isValid(value)).withMessage('member.idInvalid'),
+	body('role')
+		.exists({ checkNull: true }).withMessage('member.roleRequired')
+		.isIn(ASSIGNABLE_ROLES).withMessage('member.roleInvalid')
+]), async (req, res) => {
+	try {
+		const membership = await getDb().collection('FarmMembers').findOne({
+			_id: new ObjectId(req.body.memberId),
+			farmId: new ObjectId(req.farmId),
+			status: 'active'
+		});
+
+		if (!membership) {
+			return res.status(404).json(fail('MEMBER_NOT_FOUND'));
+		}
+
+		if (membership.accountId.toString() === req.memberId) {
+			return res.status(403).json(fail('FORBIDDEN'));
+		}
+
+		if (!canManageRole(req.role, membership.role) || !canManageRole(req.role, req.body.role)) {
+			return res.status(403).json(fail('FORBIDDEN'));
+		}
+
+		await getDb().collection('FarmMembers').updateOne(
+			{ _id: membership._id },
+			{ $set: { role: req.body.role } }
+		);
+
+		res.json(ok({ _id: membership._id, role: req.body.role }));
+	} catch (err) {
+		console.error('[members/role]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// GET /members/farms - List every farm the signed-in account can work on
+router.get('/farms', async (req, res) => {
+	try {
+		const accountId = new ObjectId(req.session.accountId);
+
+		const memberships = await getDb().collection('FarmMembers')
+			.find({ accountId, status: 'active' })
+			.toArray();
+
+		const farmAccounts = await getDb().collection('Accounts')
+			.find(
+				{ _id: { $in: [accountId, ...memberships.map(m => m.farmId)] } },
+				{ projection: { 'content.farmData.farmName': 1 } }
+			)
+			.toArray();
+
+		const farmNames = {};
+		farmAccounts.forEach(a => { farmNames[a._id.toString()] = a.content?.farmData?.farmName || ''; });
+
+		const farms = [
+			{ farmId: accountId, name: farmNames[accountId.toString()] || '', role: 'owner' },
+			...memberships
+				.filter(m => farmNames[m.farmId.toString()] !== undefined)
+				.map(m => ({ farmId: m.farmId, name: farmNames[m.farmId.toString()], role: m.role }))
+		].map(f => ({ ...f, active: f.farmId.toString() === req.farmId }));
+
+		res.json(ok({ farms }));
+	} catch (err) {
+		console.error('[members/farms]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /members/switch - Make another farm the active farm for this session
+router.post('/switch', validate([
+	body('farmId')
+		.exists({ checkNull: true }).withMessage('member.farmIdRequired')
+		.custom(value => ObjectId.isValid(value)).withMessage('member.farmIdInvalid')
+]), async (req, res) => {
+	try {
+		const farmId = String(req.body.farmId);
+
+		if (farmId === req.session.accountId) {
+			delete req.session.activeFarmId;
+			return res.json(ok({ farmId, role: 'owner' }));
+		}
+
+		const membership = await getDb().collection('FarmMembers').findOne({
+			farmId: new ObjectId(farmId),
+			accountId: new ObjectId(req.session.accountId),
+			status: 'active'
+		});
+
+		if (!membership) {
+			return res.status(404).json(fail('FARM_NOT_FOUND'));
+		}
+
+		req.session.activeFarmId = farmId;
+
+		res.json(ok({ farmId, role: membership.role }));
+	} catch (err) {
+		console.error('[members/switch]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /members/leave - Leave the active farm and return to the account's own farm
+router.post('/leave', async (req, res) => {
+	try {
+		if (req.farmId === req.session.accountId) {
+			return res.status(400).json(fail('CANNOT_LEAVE_OWN_FARM'));
+		}
+
+		await getDb().collection('FarmMembers').deleteOne({
+			farmId: new ObjectId(req.farmId),
+			accountId: new ObjectId(req.session.accountId)
+		});
+
+		delete req.session.activeFarmId;
+
+		res.json(ok());
+	} catch (err) {
+		console.error('[members/leave]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// DELETE /members/:id - Remove a member from the active farm
+router.delete('/:id', requirePermission('members.manage'), validate([
+	param('id')
+		.custom(value => ObjectId.isValid(value)).withMessage('member.idInvalid')
+]), async (req, res) => {
+	try {
+		const membership = await getDb().collection('FarmMembers').findOne({
+			_id: new ObjectId(req.params.id),
+			farmId: new ObjectId(req.farmId),
+			status: 'active'
+		});
+
+		if (!membership) {
+			return res.status(404).json(fail('MEMBER_NOT_FOUND'));
+		}
+
+		if (!canManageRole(req.role, membership.role)) {
+			return res.status(403).json(fail('FORBIDDEN'));
+		}
+
+		await getDb().collection('FarmMembers').deleteOne({ _id: membership._id });
+
+		res.json(ok({ deleted: req.params.id }));
+	} catch (err) {
+		console.error('[members/remove]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
+module.exports.ensureIndexes = ensureIndexes;
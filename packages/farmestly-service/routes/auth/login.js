@@ -5,6 +5,9 @@ const router = express.Router();
 const { getDb } = require('../../utils/db');
 const { ok, fail } = require('../../utils/response');
 const { validate } = require('../../middleware/validation');
+const { pendingDeletionResponse } = require('./restoreAccount');
+const { signIn } = require('../../utils/devices');
+const { isTwoFactorEnabled, twoFactorChallengeResponse } = require('./twoFactor');
 	
 const loginRules = [
 	body('username')
@@ -28,7 +31,10 @@ router.post('/', validate(loginRules), (req, res) => {
 			return bcrypt.compare(password, doc.metadata.password)
 				.then(matches => {
 					if (!matches) return res.status(401).json(fail('LOGIN_INCORRECT'));
-					req.session.accountId = doc._id.toString();
+					// The deletion check waits until the second factor is accepted
+					if (isTwoFactorEnabled(doc)) return twoFactorChallengeResponse(req, res, doc);
+					if (doc.metadata.deletion) return pendingDeletionResponse(req, res, doc);
+					signIn(req, res, doc._id.toString());
 					res.json(ok());
 				});
 		})
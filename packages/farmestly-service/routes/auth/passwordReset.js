@@ -0,0 +1,358 @@
+// routes/auth/passwordReset.js
+// Forgotten password recovery for password accounts. The reset goes out by
+// email when the account has a verified email, otherwise as an SMS code to the
+// phone confirmed for two-factor login. Email links carry a single-use token
+// that expires; only its hash is stored. Setting the new password signs out
+// every session of the account. Phone accounts have no password and sign in by
+// SMS already.
+//
+// Requests are answered the same way whether or not the username exists and
+// however the account recovers, so the endpoint cannot be used to find out.
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { body, query } = require('express-validator');
+const router = express.Router();
+const { getDb } = require('../../utils/db');
+const { ok, fail } = require('../../utils/response');
+const { validate } = require('../../middleware/validation');
+const EmailQueue = require('../../utils/EmailQueue');
+const { escapeHtml } = require('../../utils/html');
+const { createPasswordResetRequestLimiter, createPasswordResetAttemptLimiter } = require('../../middleware/rateLimiter');
+const { requestVerificationCode, checkVerificationCode, NO_PASSWORD } = require('./phoneVerify');
+const { destroyAccountSessions } = require('../../utils/sessions');
+
+const RESET_EXPIRY_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES, 10) || 60;
+const WEB_URL = process.env.WEB_URL || 'https://my.farmestly.dev-staging.overpassconnect.com';
+
+// Rate limiters (initialized after Redis is ready)
+let resetRequestLimiter = null;
+let resetAttemptLimiter = null;
+
+/**
+ * Initialize rate limiters - call after Redis is connected
+ */
+function initializeLimiters() {
+	try {
+		resetRequestLimiter = createPasswordResetRequestLimiter();
+		resetAttemptLimiter = createPasswordResetAttemptLimiter();
+		console.log('[PasswordReset] Rate limiters initialized');
+	} catch (err) {
+		console.warn('[PasswordReset] Rate limiters not initialized (Redis not ready):', err.message);
+	}
+}
+
+/**
+ * Middleware to apply rate limiters if initialized
+ */
+function applyRequestLimiter(req, res, next) {
+	if (resetRequestLimiter) {
+		return resetRequestLimiter(req, res, next);
+	}
+	next();
+}
+
+function applyAttemptLimiter(req, res, next) {
+	if (resetAttemptLimiter) {
+		return resetAttemptLimiter(req, res, next);
+	}
+	next();
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isValidToken = (token) => typeof token === 'string' && /^[0-9a-f]{64}$/.test(token);
+
+// Phone numbers are only confirmed by SMS when they are set for two-factor login
+const getVerifiedPhone = (account) => account.metadata.twoFactor?.phone || null;
+
+/**
+ * Build the password reset email HTML
+ * @param {string} resetUrl - The full reset URL
+ * @param {string} username - Account username
+ * @returns {string} HTML email content
+ */
+function buildResetEmailHtml(resetUrl, username) {
+	return `
+<!DOCTYPE html>
+<html>
+<head>
+	<meta charset="utf-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1.0">
+	<title>Reset Your Password</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; background-color: #fbf2ec;">
+	<table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #fbf2ec;">
+		<tr>
+			<td style="padding: 40px 20px;">
+				<!-- Logo -->
+				<table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto;">
+					<tr>
+						<td style="text-align: center; padding-bottom: 32px;">
+							<img src="${WEB_URL}/assets/farmestly_logo.png" alt="Farmestly" width="180" style="display: block; margin: 0 auto;">
+						</td>
+					</tr>
+				</table>
+				<!-- Card -->
+				<table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 12px rgba(66, 33, 11, 0.12);">
+					<tr>
+						<td style="padding: 48px 40px;">
+							<h1 style="margin: 0 0 16px; color: #42210B; font-size: 22px; font-weight: 500; text-align: center;">Reset Your Password</h1>
+							<p style="margin: 0 0 24px; color: #A09085; font-size: 15px; line-height: 1.5; text-align: center;">A password reset was requested for the Farmestly account <strong>${escapeHtml(username)}</strong>. Click the button below to choose a new password. This link will expire in ${RESET_EXPIRY_MINUTES} minutes and can be used once.</p>
+							<table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%">
+								<tr>
+									<td style="padding: 16px 0; text-align: center;">
+										<a href="${resetUrl}" style="display: inline-block; padding: 12px 32px; background-color: #E37F1B; color: #ffffff; text-decoration: none; font-size: 15px; font-weight: 700; border-radius: 24px;">Reset Password</a>
+									</td>
+								</tr>
+							</table>
+							<p style="margin: 24px 0 0; color: #A09085; font-size: 13px; line-height: 1.5; text-align: center;">If the button doesn't work, copy and paste this link into your browser:</p>
+							<p style="margin: 8px 0 0; color: #E37F1B; font-size: 13px; word-break: break-all; text-align: center;">${resetUrl}</p>
+							<p style="margin: 24px 0 0; color: #A09085; font-size: 13px; line-height: 1.5; text-align: center;">If you didn't request a password reset, you can safely ignore this email. Your password will not change.</p>
+						</td>
+					</tr>
+				</table>
+				<!-- Footer -->
+				<table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto;">
+					<tr>
+						<td style="padding: 24px 0; text-align: center;">
+							<p style="margin: 0; color: #A09085; font-size: 12px;">&copy; ${new Date().getFullYear()} Farmestly. All rights reserved.</p>
+						</td>
+					</tr>
+				</table>
+			</td>
+		</tr>
+	</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Set a new password, end the reset and sign out every session of the account
+ * @param {Object} filter - Accounts filter that only matches while the reset is still valid
+ * @param {string} password - New password
+ * @returns {Promise<boolean>} false when the reset was already used or has expired
+ */
+async function completeReset(filter, password) {
+	const hash = await bcrypt.hash(password, 10);
+
+	const account = await getDb().collection('Accounts').findOneAndUpdate(
+		filter,
+		{
+			$set: {
+				'metadata.password': hash,
+				'metadata.passwordChangedAt': new Date()
+			},
+			$unset: { 'metadata.passwordReset': '' }
+		},
+		{ projection: { _id: 1 } }
+	);
+
+	if (!account) return false;
+
+	const signedOut = await destroyAccountSessions(account._id);
+	console.log(`[PasswordReset] Password reset for account ${account._id}, ${signedOut} sessions signed out`);
+	return true;
+}
+
+/**
+ * Send a reset to the verified email of the account, or else to its verified
+ * phone. Accounts with neither get nothing. Runs after the request has been
+ * answered, so failures are only logged.
+ * @param {Object} account - Accounts document of a password account
+ */
+async function sendReset(account) {
+	const requestedAt = new Date();
+	const expiresAt = new Date(requestedAt.getTime() + RESET_EXPIRY_MINUTES * 60 * 1000);
+	const phone = getVerifiedPhone(account);
+
+	try {
+		if (account.metadata.email && account.metadata.emailVerified === true) {
+			// A new request replaces the token of an earlier one
+			const token = crypto.randomBytes(32).toString('hex');
+
+			await getDb().collection('Accounts').updateOne(
+				{ _id: account._id },
+				{
+					$set: {
+						'metadata.passwordReset': {
+							channel: 'email',
+							tokenHash: hashToken(token),
+							expiresAt,
+							requestedAt
+						}
+					}
+				}
+			);
+
+			await EmailQueue.getInstance().queue({
+				to: account.metadata.email,
+				subject: 'Reset Your Password - Farmestly',
+				html: buildResetEmailHtml(`${WEB_URL}/resetPassword?token=${token}`, account.metadata.username),
+				priority: 1,
+				metadata: { type: 'password_reset' }
+			});
+		} else if (phone) {
+			await requestVerificationCode(phone);
+
+			await getDb().collection('Accounts').updateOne(
+				{ _id: account._id },
+				{ $set: { 'metadata.passwordReset': { channel: 'sms', expiresAt, requestedAt } } }
+			);
+		} else {
+			console.log(`[PasswordReset] Account ${account._id} has no verified email or phone, no reset sent`);
+		}
+	} catch (err) {
+		console.error(`[PasswordReset] Reset for account ${account._id} could not be sent:`, err);
+	}
+}
+
+const passwordRules = [
+	body('password')
+		.exists({ checkNull: true }).withMessage('password.required')
+		.notEmpty().withMessage('password.empty')
+		.isLength({ min: 1, max: 64 }).withMessage('password.length')
+		.custom(v => !/\s/.test(v)).withMessage('password.noWhitespace')
+];
+
+// POST /auth/passwordReset/request - Send a reset link by email or a code by SMS
+router.post('/request', applyRequestLimiter, validate([
+	body('username')
+		.exists({ checkNull: true }).withMessage('username.required')
+		.notEmpty().withMessage('username.empty')
+		.trim()
+]), async (req, res) => {
+	try {
+		const account = await getDb().collection('Accounts').findOne({
+			'metadata.username': req.body.username
+		});
+
+		// Sent after replying, so the response time does not tell whether the account exists
+		if (account && account.metadata.password !== NO_PASSWORD) {
+			setImmediate(() => sendReset(account));
+		}
+
+		res.json(ok());
+	} catch (err) {
+		console.error('[passwordReset/request]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// GET /auth/passwordReset/verify?token= - Whether an emailed reset link can still be used
+router.get('/verify', applyAttemptLimiter, validate([
+	query('token')
+		.custom(isValidToken).withMessage('passwordReset.tokenInvalid')
+]), async (req, res) => {
+	try {
+		const account = await getDb().collection('Accounts').findOne(
+			{ 'metadata.passwordReset.tokenHash': hashToken(req.query.token) },
+			{ projection: { 'metadata.username': 1, 'metadata.passwordReset': 1 } }
+		);
+
+		if (!account) {
+			return res.status(404).json(fail('RESET_TOKEN_NOT_FOUND'));
+		}
+
+		if (new Date() > new Date(account.metadata.passwordReset.expiresAt)) {
+			return res.status(410).json(fail('RESET_TOKEN_EXPIRED'));
+		}
+
+		res.json(ok({ username: account.metadata.username }));
+	} catch (err) {
+		console.error('[passwordReset/verify]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /auth/passwordReset/confirm - Set a new password
+//
+// Body: { token, password } for an emailed link, or
+// { username, verificationCode, password } for an SMS code.
+router.post('/confirm', applyAttemptLimiter, validate([
+	body('token')
+		.optional()
+		.custom(isValidToken).withMessage('passwordReset.tokenInvalid'),
+	body('username')
+		.optional()
+		.isString().withMessage('username.required')
+		.trim(),
+	body('verificationCode')
+		.optional()
+		.isString().withMessage('auth.verificationCodeInvalid')
+		.notEmpty().withMessage('auth.verificationCodeRequired'),
+	...passwordRules
+]), async (req, res) => {
+	try {
+		const now = new Date();
+
+		if (req.body.token) {
+			const tokenHash = hashToken(req.body.token);
+			const account = await getDb().collection('Accounts').findOne(
+				{ 'metadata.passwordReset.tokenHash': tokenHash },
+				{ projection: { 'metadata.passwordReset': 1 } }
+			);
+
+			if (!account) {
+				return res.status(404).json(fail('RESET_TOKEN_NOT_FOUND'));
+			}
+			if (now > new Date(account.metadata.passwordReset.expiresAt)) {
+				return res.status(410).json(fail('RESET_TOKEN_EXPIRED'));
+			}
+
+			// Matching the token again makes it single-use when two requests race
+			const done = await completeReset({
+				_id: account._id,
+				'metadata.passwordReset.tokenHash': tokenHash,
+				'metadata.passwordReset.expiresAt': { $gt: now }
+			}, req.body.password);
+
+			if (!done) {
+				return res.status(404).json(fail('RESET_TOKEN_NOT_FOUND'));
+			}
+
+			return res.json(ok());
+		}
+
+		if (!req.body.username || !req.body.verificationCode) {
+			return res.status(400).json(fail('RESET_CREDENTIALS_REQUIRED'));
+		}
+
+		const account = await getDb().collection('Accounts').findOne({
+			'metadata.username': req.body.username,
+			'metadata.passwordReset.channel': 'sms'
+		});
+
+		// Without a pending reset the answer is the same as for a wrong code, so
+		// it does not show which usernames exist or recover by SMS
+		const phone = account ? getVerifiedPhone(account) : null;
+		if (!phone || now > new Date(account.metadata.passwordReset.expiresAt)) {
+			return res.status(401).json(fail('REJECTED'));
+		}
+
+		const status = await checkVerificationCode(phone, req.body.verificationCode);
+		if (status === 'invalid') return res.status(400).json(fail('INVALID_CODE_FORMAT'));
+		if (status === 'rejected') return res.status(401).json(fail('REJECTED'));
+		if (status === 'expired') return res.status(401).json(fail('EXPIRED'));
+
+		const done = await completeReset({
+			_id: account._id,
+			'metadata.passwordReset.channel': 'sms',
+			'metadata.passwordReset.expiresAt': { $gt: now }
+		}, req.body.password);
+
+		if (!done) {
+			return res.status(401).json(fail('REJECTED'));
+		}
+
+		res.json(ok());
+	} catch (err) {
+		console.error('[passwordReset/confirm]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
+module.exports.initializeLimiters = initializeLimiters;
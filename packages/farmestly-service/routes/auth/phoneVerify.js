@@ -9,6 +9,8 @@ const { getDb } = require('../../utils/db');
 const { ok, fail } = require('../../utils/response');
 const G_DB_FIRST_STATE = require('../../db_first_state.json');
 const { createPhoneVerifyRequestLimiter, createPhoneVerifyAttemptLimiter } = require('../../middleware/rateLimiter');
+const { pendingDeletionResponse } = require('./restoreAccount');
+const { signIn } = require('../../utils/devices');
 
 TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
 TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
@@ -78,6 +80,66 @@ const getOptions = (action) => {
 const isOnlyNumbers = (s) => !/\D/.test(s);
 const validLength = (s) => s.length === TWILIO_CODE_LENGTH;
 
+/**
+ * Send a verification SMS outside of the signup/login flow (e.g. to confirm
+ * a sensitive action from a signed-in phone account).
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {Promise<void>}
+ */
+function requestVerificationCode(phoneNumber) {
+	if (TEST_PHONES.includes(phoneNumber)) return Promise.resolve();
+
+	return new Promise((resolve, reject) => {
+		const httpsRequest = https.request(getOptions('request'), serverRes => {
+			serverRes.on('data', () => resolve());
+		});
+		httpsRequest.on('error', reject);
+		httpsRequest.write(new URLSearchParams({
+			'To': phoneNumber,
+			'Channel': 'sms'
+		}).toString());
+		httpsRequest.end();
+	});
+}
+
+/**
+ * Check a verification code sent with requestVerificationCode.
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<'approved'|'invalid'|'rejected'|'expired'>}
+ */
+function checkVerificationCode(phoneNumber, code) {
+	if (TEST_PHONES.includes(phoneNumber)) return Promise.resolve('approved');
+
+	if (typeof code !== 'string' || !validLength(code) || !isOnlyNumbers(code)) {
+		return Promise.resolve('invalid');
+	}
+
+	return new Promise((resolve, reject) => {
+		const httpsRequest = https.request(getOptions('verify'), serverRes => {
+			serverRes.on('data', d => {
+				const twilioRes = JSON.parse(d.toString());
+
+				if (twilioRes.status === TWILIO_STATUS_APPROVED) {
+					resolve('approved');
+				} else if (twilioRes.status === TWILIO_STATUS_REJECTED) {
+					resolve('rejected');
+				} else if (twilioRes.code === TWILIO_CODE_EXPIRED) {
+					resolve('expired');
+				} else {
+					reject(new Error(`Unexpected Twilio response: ${twilioRes.status || twilioRes.code}`));
+				}
+			});
+		});
+		httpsRequest.on('error', reject);
+		httpsRequest.write(new URLSearchParams({
+			'To': phoneNumber,
+			'Code': code
+		}).toString());
+		httpsRequest.end();
+	});
+}
+
 const doRegister = (req, res, body, queries) => {
 	switch (queries.for) {
 		case 'signup': {
@@ -89,7 +151,7 @@ const doRegister = (req, res, body, queries) => {
 
 			getDb().collection('Accounts').insertOne(db_entry)
 				.then(result => {
-					req.session.accountId = result.insertedId.toString();
+					signIn(req, res, result.insertedId.toString());
 					res.status(200).json(ok());
 				})
 				.catch(err => {
@@ -103,8 +165,10 @@ const doRegister = (req, res, body, queries) => {
 				.then(doc => {
 					if (!doc) {
 						res.status(401).json(fail('INVALID_LOGIN'));
+					} else if (doc.metadata.deletion) {
+						pendingDeletionResponse(req, res, doc);
 					} else {
-						req.session.accountId = doc._id.toString();
+						signIn(req, res, doc._id.toString());
 						res.json(ok());
 					}
 				})
@@ -218,4 +282,7 @@ router.post('/', selectRateLimiter, (req, res) => {
 });
 
 module.exports = router;
-module.exports.initializeLimiters = initializeLimiters;
\ No newline at end of file
+module.exports.initializeLimiters = initializeLimiters;
+module.exports.requestVerificationCode = requestVerificationCode;
+module.exports.checkVerificationCode = checkVerificationCode;
+module.exports.NO_PASSWORD = NO_PASSWORD;
\ No newline at end of file
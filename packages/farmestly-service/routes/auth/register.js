@@ -7,6 +7,7 @@ const { getDb } = require('../../utils/db');
 const { ok, fail } = require('../../utils/response');
 const { validate } = require('../../middleware/validation');
 const { deriveLocaleFromCountry } = require('../../utils/locale');
+const { signIn } = require('../../utils/devices');
 const G_DB_FIRST_STATE = require('../../db_first_state.json');
 
 const registerRules = [
@@ -47,7 +48,7 @@ router.post('/', validate(registerRules), (req, res) => {
 			return getDb().collection('Accounts').insertOne(db_entry);
 		})
 		.then(result => {
-			req.session.accountId = result.insertedId.toString();
+			signIn(req, res, result.insertedId.toString());
 			res.json(ok());
 		})
 		.catch(err => {
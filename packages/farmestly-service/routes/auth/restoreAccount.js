@@ -0,0 +1,58 @@
+// routes/auth/restoreAccount.js
+// Cancels a pending account deletion during its grace period
+
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const router = express.Router();
+const { getDb } = require('../../utils/db');
+const { ok, fail } = require('../../utils/response');
+const { signIn } = require('../../utils/devices');
+
+/**
+ * Respond to a successful login on an account that is scheduled for deletion.
+ * The session is not signed in; it only remembers which account may be
+ * restored so the client can offer to cancel the deletion.
+ */
+function pendingDeletionResponse(req, res, doc) {
+	req.session.restoreAccountId = doc._id.toString();
+	return res.status(403).json({
+		HEADERS: { STATUS_CODE: 'ACCOUNT_PENDING_DELETION' },
+		PAYLOAD: {
+			code: 'ACCOUNT_PENDING_DELETION',
+			purgeAfter: doc.metadata.deletion.purgeAfter
+		}
+	});
+}
+
+// POST /restoreAccount - Cancel deletion of the account that just logged in
+router.post('/', async (req, res) => {
+	try {
+		const accountId = req.session.restoreAccountId;
+		if (!accountId) {
+			return res.status(401).json(fail('NO_SESSION'));
+		}
+
+		const result = await getDb().collection('Accounts').findOneAndUpdate(
+			{
+				_id: new ObjectId(accountId),
+				'metadata.deletion.purgeAfter': { $gt: new Date() }
+			},
+			{ $unset: { 'metadata.deletion': '' } }
+		);
+
+		delete req.session.restoreAccountId;
+
+		if (!result) {
+			return res.status(404).json(fail('ACCOUNT_NOT_FOUND'));
+		}
+
+		signIn(req, res, accountId);
+		res.json(ok());
+	} catch (err) {
+		console.error('[restoreAccount]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
+module.exports.pendingDeletionResponse = pendingDeletionResponse;
@@ -0,0 +1,193 @@
+// routes/auth/twoFactor.js
+// Second step of a password login for accounts with two-factor enabled. After
+// the password is checked, /login leaves a challenge in the session instead of
+// signing it in; the session is signed in once a code from the authenticator
+// app, a recovery code, or an SMS code to the account's two-factor phone is
+// accepted here.
+
+const express = require('express');
+const { body } = require('express-validator');
+const { ObjectId } = require('mongodb');
+const router = express.Router();
+const { getDb } = require('../../utils/db');
+const { ok, fail } = require('../../utils/response');
+const { validate } = require('../../middleware/validation');
+const { createTwoFactorLimiter } = require('../../middleware/rateLimiter');
+const { acceptTotpCode, useRecoveryCode } = require('../../utils/twoFactor');
+const { signIn } = require('../../utils/devices');
+const { requestVerificationCode, checkVerificationCode } = require('./phoneVerify');
+const { pendingDeletionResponse } = require('./restoreAccount');
+
+const CHALLENGE_EXPIRY_MINUTES = parseInt(process.env.TWO_FACTOR_CHALLENGE_EXPIRY_MINUTES, 10) || 10;
+// Wrong codes allowed per challenge before the password has to be entered again
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// Rate limiter (initialized after Redis is ready)
+let twoFactorLimiter = null;
+
+/**
+ * Initialize rate limiters - call after Redis is connected
+ */
+function initializeLimiters() {
+	try {
+		twoFactorLimiter = createTwoFactorLimiter();
+		console.log('[TwoFactor] Rate limiters initialized');
+	} catch (err) {
+		console.warn('[TwoFactor] Rate limiters not initialized (Redis not ready):', err.message);
+	}
+}
+
+/**
+ * Middleware to apply rate limiter if initialized
+ */
+function applyTwoFactorLimiter(req, res, next) {
+	if (twoFactorLimiter) {
+		return twoFactorLimiter(req, res, next);
+	}
+	next();
+}
+
+const maskPhone = (phoneNumber) => `•••••${phoneNumber.slice(-4)}`;
+
+function isTwoFactorEnabled(account) {
+	return account.metadata.twoFactor?.enabled === true;
+}
+
+/**
+ * Respond to a correct password on an account with two-factor enabled. The
+ * session is not signed in; it only remembers the account the challenge is for.
+ */
+function twoFactorChallengeResponse(req, res, account) {
+	const phone = account.metadata.twoFactor.phone || null;
+
+	req.session.twoFactorChallenge = {
+		accountId: account._id.toString(),
+		expiresAt: Date.now() + CHALLENGE_EXPIRY_MINUTES * 60 * 1000,
+		attempts: 0,
+		smsSent: false
+	};
+
+	return res.json(ok({
+		twoFactorRequired: true,
+		methods: phone ? ['totp', 'recovery', 'sms'] : ['totp', 'recovery'],
+		phone: phone ? maskPhone(phone) : null
+	}));
+}
+
+/**
+ * The session's challenge if it is still open, otherwise a response has been sent
+ */
+function getOpenChallenge(req, res) {
+	const challenge = req.session.twoFactorChallenge;
+	if (!challenge) {
+		res.status(401).json(fail('NO_CHALLENGE'));
+		return null;
+	}
+	if (challenge.expiresAt < Date.now() || challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+		delete req.session.twoFactorChallenge;
+		res.status(401).json(fail('CHALLENGE_EXPIRED'));
+		return null;
+	}
+	return challenge;
+}
+
+async function findChallengedAccount(challenge) {
+	return getDb().collection('Accounts').findOne({
+		_id: new ObjectId(challenge.accountId),
+		'metadata.twoFactor.enabled': true
+	});
+}
+
+const verifyRules = [
+	body('method')
+		.isIn(['totp', 'recovery', 'sms']).withMessage('twoFactor.methodInvalid'),
+	body('code')
+		.isString().withMessage('twoFactor.codeRequired')
+		.trim()
+		.notEmpty().withMessage('twoFactor.codeRequired')
+		.isLength({ max: 32 }).withMessage('twoFactor.codeInvalid')
+];
+
+// POST /auth/twoFactor/sms - Send an SMS code to the two-factor phone of the challenged account
+router.post('/sms', applyTwoFactorLimiter, async (req, res) => {
+	try {
+		const challenge = getOpenChallenge(req, res);
+		if (!challenge) return;
+
+		const account = await findChallengedAccount(challenge);
+		if (!account) {
+			delete req.session.twoFactorChallenge;
+			return res.status(401).json(fail('NO_CHALLENGE'));
+		}
+
+		const phone = account.metadata.twoFactor.phone;
+		if (!phone) {
+			return res.status(400).json(fail('NO_TWO_FACTOR_PHONE'));
+		}
+
+		await requestVerificationCode(phone);
+		challenge.smsSent = true;
+		res.json(ok({ phone: maskPhone(phone) }));
+	} catch (err) {
+		console.error('[twoFactor/sms]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /auth/twoFactor/verify - Complete the login with a second-factor code
+//
+// Body: { method: 'totp' | 'recovery' | 'sms', code }
+router.post('/verify', applyTwoFactorLimiter, validate(verifyRules), async (req, res) => {
+	try {
+		const challenge = getOpenChallenge(req, res);
+		if (!challenge) return;
+
+		const account = await findChallengedAccount(challenge);
+		if (!account) {
+			delete req.session.twoFactorChallenge;
+			return res.status(401).json(fail('NO_CHALLENGE'));
+		}
+
+		challenge.attempts += 1;
+		const { method, code } = req.body;
+		let recoveryCodesLeft = account.metadata.twoFactor.recoveryCodes?.length || 0;
+
+		if (method === 'totp') {
+			if (!(await acceptTotpCode(account, code))) {
+				return res.status(401).json(fail('INVALID_CODE'));
+			}
+		} else if (method === 'recovery') {
+			recoveryCodesLeft = await useRecoveryCode(account._id, code);
+			if (recoveryCodesLeft === null) {
+				return res.status(401).json(fail('INVALID_CODE'));
+			}
+		} else {
+			const phone = account.metadata.twoFactor.phone;
+			if (!phone || !challenge.smsSent) {
+				return res.status(400).json(fail('NO_PENDING_CODE'));
+			}
+
+			const status = await checkVerificationCode(phone, code);
+			if (status === 'invalid') return res.status(400).json(fail('INVALID_CODE_FORMAT'));
+			if (status === 'rejected') return res.status(401).json(fail('REJECTED'));
+			if (status === 'expired') return res.status(401).json(fail('EXPIRED'));
+		}
+
+		delete req.session.twoFactorChallenge;
+
+		if (account.metadata.deletion) {
+			return pendingDeletionResponse(req, res, account);
+		}
+
+		signIn(req, res, account._id.toString());
+		res.json(ok({ recoveryCodesLeft }));
+	} catch (err) {
+		console.error('[twoFactor/verify]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
+module.exports.initializeLimiters = initializeLimiters;
+module.exports.isTwoFactorEnabled = isTwoFactorEnabled;
+module.exports.twoFactorChallengeResponse = twoFactorChallengeResponse;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { getDb } = require('../../utils/db');
+const { ReportScheduler } = require('../../utils/ReportScheduler');
 
 const WEB_URL = process.env.WEB_URL || 'https://my.farmestly.dev-staging.overpassconnect.com';
 
@@ -229,7 +230,7 @@ const commonStyles = `
 /**
  * Build success HTML page
  */
-function buildSuccessHtml() {
+function buildSuccessHtml(note = 'You can now close this page and continue using the Farmestly app on your mobile device.') {
 	return `
 <!DOCTYPE html>
 <html lang="en">
@@ -250,7 +251,7 @@ function buildSuccessHtml() {
 		</div>
 		<h1>Email Verified!</h1>
 		<p>Your email has been verified successfully!</p>
-		<p class="desktop-note">You can now close this page and continue using the Farmestly app on your mobile device.</p>
+		<p class="desktop-note">${note}</p>
 	</div>
 	<footer class="footer">&copy; ${new Date().getFullYear()} Farmestly. All rights reserved.</footer>
 </body>
@@ -312,6 +313,19 @@ router.get('/', async (req, res) => {
 		});
 
 		if (!account) {
+			// Not an account email - may be a report subscription recipient
+			const recipientStatus = await ReportScheduler.getInstance().verifyRecipient(token);
+
+			if (recipientStatus === 'verified') {
+				return res.send(buildSuccessHtml('You will now receive the scheduled reports by email. You can close this page.'));
+			}
+			if (recipientStatus === 'expired') {
+				return res.status(410).send(buildErrorHtml(
+					'Link Expired',
+					'This verification link has expired.'
+				));
+			}
+
 			return res.status(404).send(buildErrorHtml(
 				'Link Not Found',
 				'This verification link has already been used or is invalid.'
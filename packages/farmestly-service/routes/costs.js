@@ -0,0 +1,130 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const router = express.Router();
+const { getDb } = require('../utils/db');
+const { ok, fail } = require('../utils/response');
+const { validate } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/permissions');
+const { COST_GROUPINGS, getCostRates, summariseCosts } = require('../utils/costs');
+const { ObjectId } = require('mongodb');
+
+const rateRules = [
+	body('currency')
+		.optional({ nullable: true, checkFalsy: true })
+		.matches(/^[A-Z]{3}$/).withMessage('costs.currencyInvalid'),
+	body('labourHourly')
+		.optional({ nullable: true })
+		.isFloat({ min: 0 }).withMessage('costs.labourHourlyInvalid')
+		.toFloat(),
+	body('waterPerM3')
+		.optional({ nullable: true })
+		.isFloat({ min: 0 }).withMessage('costs.waterPerM3Invalid')
+		.toFloat()
+];
+
+// GET /costs/rates - Farm-wide labour and water rates
+router.get('/rates', async (req, res) => {
+	try {
+		const account = await getDb().collection('Accounts').findOne(
+			{ _id: new ObjectId(req.farmId) },
+			{ projection: { 'content.farmData.costRates': 1 } }
+		);
+
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		res.json(ok(getCostRates(account)));
+	} catch (err) {
+		console.error('[costs/rates]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// PUT /costs/rates - Update the farm-wide rates. Jobs already recorded keep their cost.
+router.put('/rates', requirePermission('costs.write'), validate(rateRules), async (req, res) => {
+	try {
+		const account = await getDb().collection('Accounts').findOne(
+			{ _id: new ObjectId(req.farmId) },
+			{ projection: { 'content.farmData.costRates': 1 } }
+		);
+
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		const current = getCostRates(account);
+		const costRates = {
+			currency: req.body.currency || current.currency,
+			labourHourly: req.body.labourHourly !== undefined ? req.body.labourHourly : current.labourHourly,
+			waterPerM3: req.body.waterPerM3 !== undefined ? req.body.waterPerM3 : current.waterPerM3
+		};
+
+		await getDb().collection('Accounts').updateOne(
+			{ _id: account._id },
+			{ $set: { 'content.farmData.costRates': costRates } }
+		);
+
+		res.json(ok(costRates));
+	} catch (err) {
+		console.error('[costs/rates]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// GET /costs/summary?groupBy=field|cultivation|season&from=...&to=... - Costs, revenue and gross margin
+router.get('/summary', validate([
+	query('groupBy')
+		.optional()
+		.isIn(COST_GROUPINGS).withMessage('costs.groupByInvalid'),
+	query('from')
+		.optional()
+		.isISO8601().withMessage('costs.fromInvalid'),
+	query('to')
+		.optional()
+		.isISO8601().withMessage('costs.toInvalid')
+]), async (req, res) => {
+	try {
+		const account = await getDb().collection('Accounts').findOne(
+			{ _id: new ObjectId(req.farmId) },
+			{ projection: { 'content.farmData.costRates': 1 } }
+		);
+
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		const groupBy = req.query.groupBy || 'field';
+		const jobQuery = { accountId: account._id };
+		if (req.query.from || req.query.to) {
+			jobQuery.startedAt = {};
+			if (req.query.from) jobQuery.startedAt.$gte = new Date(req.query.from);
+			if (req.query.to) jobQuery.startedAt.$lte = new Date(req.query.to);
+		}
+
+		const [jobs, fields] = await Promise.all([
+			getDb().collection('jobs')
+				.find(jobQuery, { projection: { type: 1, fieldId: 1, cultivation: 1, startedAt: 1, cost: 1, 'data.harvest': 1 } })
+				.toArray(),
+			getDb().collection('Fields')
+				.find({ accountId: account._id }, { projection: { name: 1, area: 1 } })
+				.toArray()
+		]);
+
+		const groups = summariseCosts(jobs, {
+			groupBy,
+			fieldDocs: Object.fromEntries(fields.map(f => [f._id.toString(), f]))
+		});
+
+		res.json(ok({
+			groupBy,
+			currency: getCostRates(account).currency,
+			groups
+		}));
+	} catch (err) {
+		console.error('[costs/summary]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
@@ -3,14 +3,15 @@ const { ObjectId } = require('mongodb');
 const { getDb } = require('../utils/db');
 const router = express.Router();
 const { ok, fail } = require('../utils/response');
+const { requirePermission } = require('../middleware/permissions');
 
 
 
 // Create a cultivation
-router.post('/create', (req, res) => {
+router.post('/create', requirePermission('cultivations.write'), (req, res) => {
 	// Find account from session
 	return getDb().collection('Accounts').findOne({
-		_id: new ObjectId(req.session.accountId)
+		_id: new ObjectId(req.farmId)
 	})
 		.then(account => {
 			if (!account) {
@@ -108,10 +109,10 @@ router.post('/create', (req, res) => {
 });
 
 // End a cultivation
-router.post('/end', (req, res) => {
+router.post('/end', requirePermission('cultivations.write'), (req, res) => {
 	// Find account from session
 	return getDb().collection('Accounts').findOne({
-		_id: new ObjectId(req.session.accountId)
+		_id: new ObjectId(req.farmId)
 	})
 		.then(account => {
 			if (!account) {
@@ -151,7 +152,7 @@ router.post('/end', (req, res) => {
 });
 
 // Update BBCH growth stage for a cultivation
-router.post('/bbch', async (req, res) => {
+router.post('/bbch', requirePermission('cultivations.write'), async (req, res) => {
 	try {
 		const { cultivationId, stage } = req.body;
 
@@ -164,7 +165,7 @@ router.post('/bbch', async (req, res) => {
 		}
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -228,7 +229,7 @@ router.post('/bbch', async (req, res) => {
 router.get('/field/:fieldId', (req, res) => {
 	// Find account from session
 	return getDb().collection('Accounts').findOne({
-		_id: new ObjectId(req.session.accountId)
+		_id: new ObjectId(req.farmId)
 	})
 		.then(account => {
 			if (!account) {
@@ -1,29 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { ok, fail } = require('../utils/response');
-
-const DATA_SERVICE_URL = process.env.DATA_SERVICE_URL || process.env.EPPO_SERVICE_URL || 'http://127.0.0.1:4000';
-
-// Helper to proxy requests to data-service
-async function proxyToDataService(provider, path, query = {}) {
-	const queryString = new URLSearchParams(query).toString();
-	const url = `${DATA_SERVICE_URL}/${provider}${path}${queryString ? '?' + queryString : ''}`;
-
-	let response;
-	try {
-		response = await fetch(url);
-	} catch (fetchError) {
-		console.error(`Data service connection error (${provider}):`, fetchError.message);
-		throw new Error('DATA_SERVICE_UNAVAILABLE');
-	}
-
-	if (!response.ok) {
-		console.error(`Data service returned error (${provider}):`, response.status);
-		throw new Error('DATA_SERVICE_UNAVAILABLE');
-	}
-
-	return response.json();
-}
+const { fetchFromDataService } = require('../utils/dataService');
 
 // ============================================
 // EPPO ENDPOINTS
@@ -39,7 +17,7 @@ router.get('/eppo/search', async (req, res) => {
 			return res.json(ok({ results: [] }));
 		}
 
-		const data = await proxyToDataService('eppo', '/search', {
+		const data = await fetchFromDataService('eppo', '/search', {
 			q: search,
 			limit: req.query.limit || 50,
 			...(req.query.lang && { lang: req.query.lang }),
@@ -56,7 +34,7 @@ router.get('/eppo/search', async (req, res) => {
 // GET /data/eppo/code/:eppocode - Get EPPO code details
 router.get('/eppo/code/:eppocode', async (req, res) => {
 	try {
-		const data = await proxyToDataService('eppo', `/code/${req.params.eppocode}`, {
+		const data = await fetchFromDataService('eppo', `/code/${req.params.eppocode}`, {
 			...(req.query.lang && { lang: req.query.lang })
 		});
 		res.json(ok(data));
@@ -72,7 +50,7 @@ router.get('/eppo/name/:eppocode', async (req, res) => {
 		if (!req.query.lang) {
 			return res.status(400).json(fail('LANG_REQUIRED'));
 		}
-		const data = await proxyToDataService('eppo', `/name/${req.params.eppocode}`, {
+		const data = await fetchFromDataService('eppo', `/name/${req.params.eppocode}`, {
 			lang: req.query.lang,
 			...(req.query.country && { country: req.query.country })
 		});
@@ -97,7 +75,7 @@ router.get('/ingredientseu/search', async (req, res) => {
 			return res.json(ok({ results: [] }));
 		}
 
-		const data = await proxyToDataService('ingredientseu', '/search', {
+		const data = await fetchFromDataService('ingredientseu', '/search', {
 			q: search,
 			limit: req.query.limit || 50,
 			...(req.query.status && { status: req.query.status }),
@@ -115,7 +93,7 @@ router.get('/ingredientseu/search', async (req, res) => {
 // GET /data/ingredientseu/substance/:id - Get substance details
 router.get('/ingredientseu/substance/:id', async (req, res) => {
 	try {
-		const data = await proxyToDataService('ingredientseu', `/substance/${req.params.id}`);
+		const data = await fetchFromDataService('ingredientseu', `/substance/${req.params.id}`);
 		res.json(ok(data));
 	} catch (err) {
 		console.error('Error in IngredientsEU substance lookup:', err);
@@ -126,7 +104,7 @@ router.get('/ingredientseu/substance/:id', async (req, res) => {
 // GET /data/ingredientseu/cas/:cas - Get substance by CAS number
 router.get('/ingredientseu/cas/:cas', async (req, res) => {
 	try {
-		const data = await proxyToDataService('ingredientseu', `/cas/${req.params.cas}`);
+		const data = await fetchFromDataService('ingredientseu', `/cas/${req.params.cas}`);
 		res.json(ok(data));
 	} catch (err) {
 		console.error('Error in IngredientsEU CAS lookup:', err);
@@ -134,4 +112,58 @@ router.get('/ingredientseu/cas/:cas', async (req, res) => {
 	}
 });
 
+// ============================================
+// MRL ENDPOINTS
+// ============================================
+
+// GET /data/mrl/search - Search maximum residue limits
+router.get('/mrl/search', async (req, res) => {
+	try {
+		const search = req.query.search || req.query.q;
+
+		// Return empty results if search is empty
+		if (!search || !search.trim()) {
+			return res.json(ok({ results: [] }));
+		}
+
+		const data = await fetchFromDataService('mrl', '/search', {
+			q: search,
+			limit: req.query.limit || 50
+		});
+
+		res.json(ok({ results: data.results, total: data.total }));
+	} catch (err) {
+		console.error('Error in MRL search:', err);
+		return res.status(502).json(fail('DATA_SERVICE_UNAVAILABLE'));
+	}
+});
+
+// GET /data/mrl/lookup - Limits of an active substance on a crop
+// Substance by substanceId, cas or substance name; crop by eppo code or crop name
+router.get('/mrl/lookup', async (req, res) => {
+	try {
+		const { substanceId, cas, substance, eppo, crop } = req.query;
+
+		if (!substanceId && !cas && !substance) {
+			return res.status(400).json(fail('SUBSTANCE_REQUIRED'));
+		}
+		if (!eppo && !crop) {
+			return res.status(400).json(fail('CROP_REQUIRED'));
+		}
+
+		const data = await fetchFromDataService('mrl', '/lookup', {
+			...(substanceId && { substanceId }),
+			...(cas && { cas }),
+			...(substance && { substance }),
+			...(eppo && { eppo }),
+			...(crop && { crop })
+		});
+
+		res.json(ok({ results: data.results, matchedBy: data.matchedBy }));
+	} catch (err) {
+		console.error('Error in MRL lookup:', err);
+		return res.status(502).json(fail('DATA_SERVICE_UNAVAILABLE'));
+	}
+});
+
 module.exports = router;
@@ -23,7 +23,7 @@ const addFieldRules = [
 router.post('/', validate(addFieldRules), async (req, res) => {
 	try {
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
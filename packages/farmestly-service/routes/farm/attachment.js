@@ -11,11 +11,15 @@ const notesValidation = body('notes')
 	.isLength({ max: 500 }).withMessage('notes.tooLong')
 	.trim();
 
+const hourlyRateValidation = body('hourlyRate')
+	.optional({ nullable: true, checkFalsy: true })
+	.isFloat({ min: 0 }).withMessage('equipment.hourlyRateInvalid');
+
 // POST /attachment/add - Create a new attachment
-router.post('/add', validate([notesValidation]), async (req, res) => {
+router.post('/add', validate([notesValidation, hourlyRateValidation]), async (req, res) => {
 	try {
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -29,6 +33,7 @@ router.post('/add', validate([notesValidation]), async (req, res) => {
 			make: req.body.make || null,
 			type: req.body.type,
 			powerOnTime: 0,  // seconds
+			hourlyRate: req.body.hourlyRate ? Number(req.body.hourlyRate) : null,  // per hour of powerOnTime
 			usedFor: null,
 			tankCapacity: null,
 			boomWidth: null,
@@ -65,14 +70,14 @@ router.post('/add', validate([notesValidation]), async (req, res) => {
 });
 
 // POST /attachment/update - Update an existing attachment
-router.post('/update', validate([notesValidation]), async (req, res) => {
+router.post('/update', validate([notesValidation, hourlyRateValidation]), async (req, res) => {
 	try {
 		if (!req.body._id || !ObjectId.isValid(req.body._id)) {
 			return res.status(400).json(fail('INVALID_ID'));
 		}
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -91,6 +96,7 @@ router.post('/update', validate([notesValidation]), async (req, res) => {
 			make: req.body.make || null,
 			type: req.body.type,
 			powerOnTime: req.body.powerOnTime != null ? Number(req.body.powerOnTime) : 0,
+			hourlyRate: req.body.hourlyRate ? Number(req.body.hourlyRate) : null,
 			usedFor: req.body.usedFor === 'spray' ? 'spray' : null,
 			tankCapacity: req.body.usedFor === 'spray' ? Number(req.body.tankCapacity) : null,
 			boomWidth: req.body.usedFor === 'spray' && req.body.boomWidth != null ? Number(req.body.boomWidth) : null,
@@ -131,7 +137,7 @@ router.delete('/delete', validate([
 		}
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
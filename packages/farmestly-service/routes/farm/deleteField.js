@@ -0,0 +1,125 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { getDb } = require('../../utils/db');
+const router = express.Router();
+const { ok, fail } = require('../../utils/response');
+const { validate } = require('../../middleware/validation');
+const { ObjectId } = require('mongodb');
+
+const deleteFieldRules = [
+	query('_id')
+		.exists().withMessage('id.required')
+		.notEmpty().withMessage('id.empty'),
+	query('archive')
+		.optional()
+		.isBoolean().withMessage('field.archiveInvalid'),
+	query('cascade')
+		.optional()
+		.isBoolean().withMessage('field.cascadeInvalid')
+];
+
+// DELETE /deleteField?_id=...&archive=true|false&cascade=true|false
+//
+// Removes a field from the farm. Without `cascade` the request is refused while
+// the field has an active cultivation or any recorded jobs. With `cascade` the
+// active cultivation is closed first. Fields that have jobs are never hard
+// deleted: they are archived instead so historical jobs and reports can still
+// resolve the field's name. Pass `archive=true` to archive a field even when it
+// has no jobs.
+router.delete('/', validate(deleteFieldRules), async (req, res) => {
+	try {
+		const fieldId = req.query._id;
+
+		if (!ObjectId.isValid(fieldId)) {
+			return res.status(400).json(fail('INVALID_ID'));
+		}
+
+		const archive = req.query.archive === 'true';
+		const cascade = req.query.cascade === 'true';
+		const accountId = new ObjectId(req.farmId);
+
+		const field = await getDb().collection('Fields').findOne({
+			_id: new ObjectId(fieldId),
+			accountId,
+			archived: { $ne: true }
+		});
+
+		if (!field) {
+			return res.status(404).json(fail('FIELD_NOT_FOUND'));
+		}
+
+		const activeCultivation = await getDb().collection('cultivations').findOne({
+			accountId,
+			fieldId: fieldId,
+			status: 'active'
+		});
+
+		if ((activeCultivation || field.currentCultivation) && !cascade) {
+			return res.status(409).json(fail('FIELD_HAS_ACTIVE_CULTIVATION'));
+		}
+
+		const jobCount = await getDb().collection('jobs').countDocuments({
+			accountId,
+			fieldId: fieldId
+		});
+
+		if (jobCount > 0 && !archive && !cascade) {
+			return res.status(409).json({
+				HEADERS: { STATUS_CODE: 'FIELD_HAS_JOBS' },
+				PAYLOAD: {
+					code: 'FIELD_HAS_JOBS',
+					jobCount
+				}
+			});
+		}
+
+		// Close the running cultivation so it no longer shows as active
+		if (activeCultivation) {
+			await getDb().collection('cultivations').updateOne(
+				{ _id: activeCultivation._id },
+				{
+					$set: {
+						status: 'completed',
+						endTime: new Date(),
+						endJobId: null
+					}
+				}
+			);
+			req.trackUpdate('cultivations', { _id: activeCultivation._id, status: 'completed' });
+		}
+
+		const archived = archive || jobCount > 0;
+
+		if (archived) {
+			await getDb().collection('Fields').updateOne(
+				{ _id: field._id },
+				{
+					$set: {
+						archived: true,
+						archivedAt: new Date(),
+						currentCultivation: null
+					}
+				}
+			);
+		} else {
+			// No jobs reference the field, so its cultivations have no history worth keeping
+			await getDb().collection('cultivations').deleteMany({ accountId, fieldId: fieldId });
+			await getDb().collection('Fields').deleteOne({ _id: field._id });
+		}
+
+		// Archived fields no longer count towards the farm's area
+		await getDb().collection('Accounts').updateOne(
+			{ _id: accountId },
+			{ $inc: { 'content.farmData.totalArea': -(field.area || 0) } }
+		);
+
+		req.trackUpdate('fields', { _id: field._id, _deleted: true });
+
+		res.json(ok({ deleted: fieldId, archived }, req.updates));
+	} catch (err) {
+		console.error('[deleteField.js]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
@@ -45,7 +45,8 @@ router.post('/', validate(editFieldRules), async (req, res) => {
 		const result = await getDb().collection('Fields').findOneAndUpdate(
 			{
 				_id: new ObjectId(fieldId),
-				accountId: new ObjectId(req.session.accountId)
+				accountId: new ObjectId(req.farmId),
+				archived: { $ne: true }
 			},
 			{ $set: updateFields },
 			{ returnDocument: 'after' }
@@ -30,7 +30,8 @@ router.post('/', validate(editFieldPointsRules), async (req, res) => {
 		// Get current field to calculate area difference
 		const currentField = await getDb().collection('Fields').findOne({
 			_id: new ObjectId(fieldId),
-			accountId: new ObjectId(req.session.accountId)
+			accountId: new ObjectId(req.farmId),
+			archived: { $ne: true }
 		});
 
 		if (!currentField) {
@@ -44,7 +45,7 @@ router.post('/', validate(editFieldPointsRules), async (req, res) => {
 		const updatedField = await getDb().collection('Fields').findOneAndUpdate(
 			{
 				_id: new ObjectId(fieldId),
-				accountId: new ObjectId(req.session.accountId)
+				accountId: new ObjectId(req.farmId)
 			},
 			{
 				$set: {
@@ -61,7 +62,7 @@ router.post('/', validate(editFieldPointsRules), async (req, res) => {
 
 		// Update totalArea in Accounts
 		await getDb().collection('Accounts').updateOne(
-			{ _id: new ObjectId(req.session.accountId) },
+			{ _id: new ObjectId(req.farmId) },
 			{ $inc: { 'content.farmData.totalArea': areaDifference } }
 		);
 
@@ -0,0 +1,62 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { getDb } = require('../../utils/db');
+const router = express.Router();
+const { fail } = require('../../utils/response');
+const { validate } = require('../../middleware/validation');
+const { exportFields, EXPORT_FORMATS } = require('../../utils/FieldExport');
+const { ObjectId } = require('mongodb');
+
+const exportRules = [
+	query('format')
+		.optional()
+		.isIn(Object.keys(EXPORT_FORMATS)).withMessage('export.formatInvalid'),
+	query('fieldIds')
+		.optional()
+		.customSanitizer(value => String(value).split(',').map(id => id.trim()).filter(Boolean))
+		.custom(ids => ids.every(id => ObjectId.isValid(id))).withMessage('field.idInvalid')
+];
+
+// GET /exportFields?format=geojson|kml|shp&fieldIds=id1,id2
+// Download the farm's fields for GIS software and machine terminals.
+// Without fieldIds every active (non-archived) field is exported.
+router.get('/', validate(exportRules), async (req, res) => {
+	try {
+		const account = await getDb().collection('Accounts').findOne({
+			_id: new ObjectId(req.farmId)
+		});
+
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		const filter = { accountId: account._id };
+		if (req.query.fieldIds?.length) {
+			filter._id = { $in: req.query.fieldIds.map(id => new ObjectId(id)) };
+		} else {
+			filter.archived = { $ne: true };
+		}
+
+		const fields = await getDb().collection('Fields')
+			.find(filter)
+			.sort({ name: 1 })
+			.toArray();
+
+		if (fields.length === 0) {
+			return res.status(404).json(fail('FIELD_NOT_FOUND'));
+		}
+
+		const farmName = account.content?.farmData?.farmName || 'Farm';
+		const baseName = `${farmName}_Fields`.replace(/[^a-zA-Z0-9_\-]/g, '_');
+		const { buffer, contentType, extension } = exportFields(fields, req.query.format || 'geojson', baseName);
+
+		res.setHeader('Content-Type', contentType);
+		res.setHeader('Content-Disposition', `attachment; filename="${baseName}.${extension}"`);
+		res.send(buffer);
+	} catch (err) {
+		console.error('[exportFields]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { getDb } = require('../../utils/db');
+const router = express.Router();
+const { ok, fail } = require('../../utils/response');
+const { validate } = require('../../middleware/validation');
+const formdataHandler = require('../../middleware/formdataHandler');
+const calculatePolygonArea = require('../../shared/geo/calculatePolygonArea');
+const { parseFieldFile, isImportError, MAX_IMPORT_FEATURES } = require('../../utils/FieldImport');
+const { ObjectId } = require('mongodb');
+
+const DEFAULT_COLOR = '#FF6B6B';
+
+const commitRules = [
+	body('fields')
+		.isArray({ min: 1, max: MAX_IMPORT_FEATURES }).withMessage('field.importInvalid'),
+	body('fields.*.name')
+		.exists({ checkNull: true }).withMessage('field.nameRequired')
+		.isString().trim()
+		.notEmpty().withMessage('field.nameEmpty'),
+	body('fields.*.points')
+		.isArray({ min: 3 }).withMessage('field.pointsMinLength'),
+	body('fields.*.points.*.latitude')
+		.isFloat({ min: -90, max: 90 }).withMessage('field.pointsInvalid'),
+	body('fields.*.points.*.longitude')
+		.isFloat({ min: -180, max: 180 }).withMessage('field.pointsInvalid'),
+	body('fields.*.fieldLegalNumber')
+		.optional({ nullable: true, checkFalsy: true })
+		.matches(/^\d+$/).withMessage('field.legalNumberMustBeNumbers')
+];
+
+/**
+ * Flag candidates whose legal number already belongs to a field on the
+ * farm, or appears more than once in the file.
+ */
+async function markDuplicateLegalNumbers(accountId, fields) {
+	const legalNumbers = fields.map(f => f.fieldLegalNumber).filter(Boolean);
+	if (legalNumbers.length === 0) return;
+
+	const existing = await getDb().collection('Fields')
+		.find(
+			{ accountId, fieldLegalNumber: { $in: legalNumbers }, archived: { $ne: true } },
+			{ projection: { fieldLegalNumber: 1 } }
+		)
+		.toArray();
+	const existingNumbers = new Set(existing.map(f => f.fieldLegalNumber));
+
+	const seen = new Map();
+	for (const number of legalNumbers) {
+		seen.set(number, (seen.get(number) || 0) + 1);
+	}
+
+	for (const field of fields) {
+		if (!field.fieldLegalNumber) continue;
+		if (existingNumbers.has(field.fieldLegalNumber)) field.warnings.push('LEGAL_NUMBER_EXISTS');
+		if (seen.get(field.fieldLegalNumber) > 1) field.warnings.push('LEGAL_NUMBER_DUPLICATE');
+	}
+}
+
+// POST /importFields/preview - Parse an uploaded GeoJSON, KML or zipped
+// Shapefile and return the fields it would create. Nothing is stored.
+router.post('/preview', formdataHandler, async (req, res) => {
+	try {
+		const file = Array.isArray(req.body.file) ? req.body.file[0] : null;
+		if (!file || typeof file === 'string') {
+			return res.status(400).json(fail('INVALID_FILE'));
+		}
+
+		const account = await getDb().collection('Accounts').findOne({
+			_id: new ObjectId(req.farmId)
+		});
+
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		const result = await parseFieldFile(file, {
+			nameAttribute: req.body.nameAttribute || undefined,
+			legalNumberAttribute: req.body.legalNumberAttribute || undefined
+		});
+
+		await markDuplicateLegalNumbers(account._id, result.fields);
+
+		res.json(ok(result));
+	} catch (err) {
+		if (isImportError(err)) {
+			return res.status(400).json(fail(err.code));
+		}
+		console.error('[importFields/preview]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /importFields/commit - Create the previewed fields in one batch
+router.post('/commit', validate(commitRules), async (req, res) => {
+	try {
+		const account = await getDb().collection('Accounts').findOne({
+			_id: new ObjectId(req.farmId)
+		});
+
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		const fieldDocs = req.body.fields.map(field => {
+			const points = field.points.map(p => ({
+				latitude: Number(p.latitude),
+				longitude: Number(p.longitude)
+			}));
+
+			return {
+				_id: new ObjectId(),
+				accountId: account._id,
+				name: field.name,
+				points: points,
+				// Area is always recomputed; the preview value is not trusted
+				area: calculatePolygonArea(points),
+				color: field.color || DEFAULT_COLOR,
+				farmingType: field.farmingType || null,
+				fieldLegalNumber: field.fieldLegalNumber || null,
+				currentCultivation: null
+			};
+		});
+
+		await getDb().collection('Fields').insertMany(fieldDocs);
+
+		const totalArea = fieldDocs.reduce((sum, f) => sum + f.area, 0);
+		await getDb().collection('Accounts').updateOne(
+			{ _id: account._id },
+			{ $inc: { 'content.farmData.totalArea': totalArea } }
+		);
+
+		res.json(ok({ fields: fieldDocs }));
+	} catch (err) {
+		console.error('[importFields/commit]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
@@ -11,11 +11,15 @@ const notesValidation = body('notes')
 	.isLength({ max: 500 }).withMessage('notes.tooLong')
 	.trim();
 
+const hourlyRateValidation = body('hourlyRate')
+	.optional({ nullable: true, checkFalsy: true })
+	.isFloat({ min: 0 }).withMessage('equipment.hourlyRateInvalid');
+
 // POST /machine/add - Create a new machine
-router.post('/add', validate([notesValidation]), async (req, res) => {
+router.post('/add', validate([notesValidation, hourlyRateValidation]), async (req, res) => {
 	try {
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -29,6 +33,7 @@ router.post('/add', validate([notesValidation]), async (req, res) => {
 			make: req.body.make,
 			licenceNo: req.body.licenceNo || null,
 			powerOnTime: 0,  // seconds
+			hourlyRate: req.body.hourlyRate ? Number(req.body.hourlyRate) : null,  // per hour of powerOnTime
 			usedFor: null,
 			tankCapacity: null,
 			boomWidth: null,
@@ -61,14 +66,14 @@ router.post('/add', validate([notesValidation]), async (req, res) => {
 });
 
 // POST /machine/update - Update an existing machine
-router.post('/update', validate([notesValidation]), async (req, res) => {
+router.post('/update', validate([notesValidation, hourlyRateValidation]), async (req, res) => {
 	try {
 		if (!req.body._id || !ObjectId.isValid(req.body._id)) {
 			return res.status(400).json(fail('INVALID_ID'));
 		}
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -87,6 +92,7 @@ router.post('/update', validate([notesValidation]), async (req, res) => {
 			make: req.body.make,
 			licenceNo: req.body.licenceNo || null,
 			powerOnTime: req.body.powerOnTime != null ? Number(req.body.powerOnTime) : 0,
+			hourlyRate: req.body.hourlyRate ? Number(req.body.hourlyRate) : null,
 			usedFor: req.body.usedFor === 'spray' ? 'spray' : null,
 			tankCapacity: req.body.usedFor === 'spray' ? Number(req.body.tankCapacity) : null,
 			boomWidth: req.body.usedFor === 'spray' && req.body.boomWidth != null ? Number(req.body.boomWidth) : null,
@@ -126,7 +132,7 @@ router.delete('/delete', validate([
 		}
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
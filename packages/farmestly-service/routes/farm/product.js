@@ -5,9 +5,36 @@ const { getDb } = require('../../utils/db');
 const { ok, fail } = require('../../utils/response');
 const { validate } = require('../../middleware/validation');
 const { ObjectId } = require('mongodb');
+const { COLLECTION_NAME: STOCK_COLLECTION } = require('../../utils/stock');
+const { withApprovals } = require('../../utils/substances');
+const { CONCENTRATION_UNITS, MAX_ACTIVE_INGREDIENTS, parseActiveIngredients } = require('../../utils/activeSubstances');
+const { MAIN_NUTRIENTS, MICRONUTRIENTS, parseNutrients } = require('../../utils/nutrients');
 
-// Valid 2-letter product type codes
-const VALID_TYPE_CODES = ['HB', 'FU', 'IN', 'AC', 'AT', 'PG', 'NE', 'RO', 'RE', 'BA', 'OT', 'MO', 'DE', 'EL', 'ST', 'XX'];
+// Valid 2-letter product type codes; FE is fertilizer, the others are plant protection categories
+const VALID_TYPE_CODES = ['HB', 'FU', 'IN', 'AC', 'AT', 'PG', 'NE', 'RO', 'RE', 'BA', 'OT', 'MO', 'DE', 'EL', 'ST', 'FE', 'XX'];
+
+// Rules for one active substance at a body path
+const activeIngredientRules = (path) => [
+	body(`${path}.provider`)
+		.optional({ nullable: true, checkFalsy: true })
+		.isIn(['ingredientseu']).withMessage('product.activeIngredientProviderInvalid')
+		.trim(),
+	body(`${path}.id`)
+		.optional({ nullable: true, checkFalsy: true })
+		.isInt({ min: 1 }).withMessage('product.activeIngredientIdInvalid'),
+	body(`${path}.code`)
+		.optional({ nullable: true, checkFalsy: true })
+		.isLength({ min: 2, max: 2 }).withMessage('product.activeIngredientCodeInvalid')
+		.trim(),
+	body(`${path}.name`)
+		.optional({ nullable: true, checkFalsy: true })
+		.isLength({ max: 200 }).withMessage('product.activeIngredientNameTooLong')
+		.trim(),
+	body(`${path}.cas`)
+		.optional({ nullable: true, checkFalsy: true })
+		.matches(/^\d{2,7}-\d{2}-\d$/).withMessage('product.activeIngredientCasInvalid')
+		.trim()
+];
 
 const productRules = [
 	body('name')
@@ -24,30 +51,33 @@ const productRules = [
 		.exists({ checkNull: true }).withMessage('product.typeNameRequired')
 		.isLength({ min: 1, max: 50 }).withMessage('product.typeNameInvalid')
 		.trim(),
-	body('activeIngredient')
-		.optional({ nullable: true }),
-	body('activeIngredient.provider')
-		.optional({ nullable: true, checkFalsy: true })
-		.isIn(['ingredientseu']).withMessage('product.activeIngredientProviderInvalid')
-		.trim(),
-	body('activeIngredient.id')
+	body('activeIngredients')
+		.optional({ nullable: true })
+		.isArray({ max: MAX_ACTIVE_INGREDIENTS }).withMessage('product.activeIngredientsInvalid'),
+	...activeIngredientRules('activeIngredients.*'),
+	body('activeIngredients.*.concentration')
 		.optional({ nullable: true, checkFalsy: true })
-		.isInt({ min: 1 }).withMessage('product.activeIngredientIdInvalid'),
-	body('activeIngredient.code')
+		.isFloat({ gt: 0 }).withMessage('product.concentrationInvalid'),
+	body('activeIngredients.*.concentrationUnit')
 		.optional({ nullable: true, checkFalsy: true })
-		.isLength({ min: 2, max: 2 }).withMessage('product.activeIngredientCodeInvalid')
-		.trim(),
-	body('activeIngredient.name')
+		.isIn(CONCENTRATION_UNITS).withMessage('product.concentrationUnitInvalid'),
+	body('activeIngredients.*.seasonLimit')
 		.optional({ nullable: true, checkFalsy: true })
-		.isLength({ max: 200 }).withMessage('product.activeIngredientNameTooLong')
-		.trim(),
-	body('activeIngredient.cas')
+		.isFloat({ gt: 0 }).withMessage('product.seasonLimitInvalid'),
+	// Single substance sent by older app versions
+	body('activeIngredient')
+		.optional({ nullable: true }),
+	...activeIngredientRules('activeIngredient'),
+	body('authorisationNumber')
 		.optional({ nullable: true, checkFalsy: true })
-		.matches(/^\d{2,7}-\d{2}-\d$/).withMessage('product.activeIngredientCasInvalid')
+		.isLength({ max: 50 }).withMessage('product.authorisationNumberTooLong')
 		.trim(),
 	body('defaultRate')
 		.optional({ nullable: true, checkFalsy: true })
 		.isFloat({ gt: 0 }).withMessage('product.defaultRateInvalid'),
+	body('unitPrice')
+		.optional({ nullable: true, checkFalsy: true })
+		.isFloat({ min: 0 }).withMessage('product.unitPriceInvalid'),
 	body('isVolume')
 		.optional({ nullable: true })
 		.isBoolean().withMessage('product.isVolumeInvalid'),
@@ -57,6 +87,29 @@ const productRules = [
 	body('phi')
 		.optional({ nullable: true, checkFalsy: true })
 		.isInt({ min: 0 }).withMessage('product.phiInvalid'),
+	body('maxApplications')
+		.optional({ nullable: true, checkFalsy: true })
+		.isInt({ min: 1 }).withMessage('product.maxApplicationsInvalid'),
+	body('maxSeasonRate')
+		.optional({ nullable: true, checkFalsy: true })
+		.isFloat({ gt: 0 }).withMessage('product.maxSeasonRateInvalid'),
+	// Fertilizer composition in percent by weight, and density of liquids in kg/L
+	body('nutrients')
+		.optional({ nullable: true })
+		.isObject().withMessage('product.nutrientsInvalid'),
+	...MAIN_NUTRIENTS.map(key => body(`nutrients.${key}`)
+		.optional({ nullable: true, checkFalsy: true })
+		.isFloat({ min: 0, max: 100 }).withMessage('product.nutrientPercentInvalid')),
+	body('nutrients.micronutrients')
+		.optional({ nullable: true })
+		.isArray({ max: MICRONUTRIENTS.length }).withMessage('product.micronutrientsInvalid'),
+	body('nutrients.micronutrients.*.element')
+		.isIn(MICRONUTRIENTS).withMessage('product.micronutrientInvalid'),
+	body('nutrients.micronutrients.*.percent')
+		.isFloat({ gt: 0, max: 100 }).withMessage('product.nutrientPercentInvalid'),
+	body('density')
+		.optional({ nullable: true, checkFalsy: true })
+		.isFloat({ gt: 0, max: 5 }).withMessage('product.densityInvalid'),
 	body('notes')
 		.optional({ nullable: true, checkFalsy: true })
 		.isLength({ max: 500 }).withMessage('product.notesTooLong')
@@ -67,25 +120,15 @@ const productRules = [
 router.post('/add', validate(productRules), async (req, res) => {
 	try {
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
 			return res.status(401).json(fail('SIGNED_OUT'));
 		}
 
-		// Build activeIngredient object if provided
-		let activeIngredient = null;
-		const ai = req.body.activeIngredient;
-		if (ai && (ai.name || ai.id)) {
-			activeIngredient = {
-				provider: ai.provider?.trim() || null,   // 'ingredientseu' or null for custom
-				id: ai.id ? Number(ai.id) : null,        // EU substance_id
-				code: ai.code?.trim() || null,           // 2-letter category code
-				name: ai.name?.trim() || null,           // Substance name
-				cas: ai.cas?.trim() || null              // CAS number
-			};
-		}
+		// Active substances with their EU approval status
+		const activeIngredients = await withApprovals(parseActiveIngredients(req.body));
 
 		const productDoc = {
 			_id: new ObjectId(),
@@ -95,11 +138,17 @@ router.post('/add', validate(productRules), async (req, res) => {
 				code: req.body.type.code.trim(),
 				name: req.body.type.name.trim()
 			},
-			activeIngredient,
+			activeIngredients,
+			authorisationNumber: req.body.authorisationNumber || null,
 			defaultRate: req.body.defaultRate ? Number(req.body.defaultRate) : null,
 			isVolume: req.body.isVolume ?? true,
+			unitPrice: req.body.unitPrice ? Number(req.body.unitPrice) : null,  // per L or kg
 			rei: req.body.rei ? Number(req.body.rei) : null,
 			phi: req.body.phi ? Number(req.body.phi) : null,
+			maxApplications: req.body.maxApplications ? Number(req.body.maxApplications) : null,
+			maxSeasonRate: req.body.maxSeasonRate ? Number(req.body.maxSeasonRate) : null,  // per m² and season
+			nutrients: parseNutrients(req.body),
+			density: req.body.density ? Number(req.body.density) : null,  // kg/L
 			notes: req.body.notes || null
 		};
 
@@ -125,25 +174,15 @@ router.post('/update', validate([
 		}
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
 			return res.status(401).json(fail('SIGNED_OUT'));
 		}
 
-		// Build activeIngredient object if provided
-		let activeIngredient = null;
-		const ai = req.body.activeIngredient;
-		if (ai && (ai.name || ai.id)) {
-			activeIngredient = {
-				provider: ai.provider?.trim() || null,   // 'ingredientseu' or null for custom
-				id: ai.id ? Number(ai.id) : null,        // EU substance_id
-				code: ai.code?.trim() || null,           // 2-letter category code
-				name: ai.name?.trim() || null,           // Substance name
-				cas: ai.cas?.trim() || null              // CAS number
-			};
-		}
+		// Active substances with their EU approval status
+		const activeIngredients = await withApprovals(parseActiveIngredients(req.body));
 
 		const updateFields = {
 			name: req.body.name.trim(),
@@ -151,11 +190,17 @@ router.post('/update', validate([
 				code: req.body.type.code.trim(),
 				name: req.body.type.name.trim()
 			},
-			activeIngredient,
+			activeIngredients,
+			authorisationNumber: req.body.authorisationNumber || null,
 			defaultRate: req.body.defaultRate ? Number(req.body.defaultRate) : null,
 			isVolume: req.body.isVolume ?? true,
+			unitPrice: req.body.unitPrice ? Number(req.body.unitPrice) : null,
 			rei: req.body.rei ? Number(req.body.rei) : null,
 			phi: req.body.phi ? Number(req.body.phi) : null,
+			maxApplications: req.body.maxApplications ? Number(req.body.maxApplications) : null,
+			maxSeasonRate: req.body.maxSeasonRate ? Number(req.body.maxSeasonRate) : null,  // per m² and season
+			nutrients: parseNutrients(req.body),
+			density: req.body.density ? Number(req.body.density) : null,  // kg/L
 			notes: req.body.notes || null
 		};
 
@@ -164,7 +209,10 @@ router.post('/update', validate([
 				_id: new ObjectId(req.body._id),
 				accountId: account._id
 			},
-			{ $set: updateFields },
+			{
+				$set: updateFields,
+				$unset: { activeIngredient: '' }
+			},
 			{ returnDocument: 'after' }
 		);
 
@@ -191,7 +239,7 @@ router.delete('/delete', validate([
 		}
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -207,6 +255,11 @@ router.delete('/delete', validate([
 			return res.status(404).json(fail('PRODUCT_NOT_FOUND'));
 		}
 
+		await getDb().collection(STOCK_COLLECTION).deleteMany({
+			accountId: account._id,
+			productId: new ObjectId(req.query._id)
+		});
+
 		res.json(ok({ deleted: req.query._id }));
 	} catch (err) {
 		console.error('[product/delete]', err);
@@ -0,0 +1,145 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const router = express.Router();
+const { getDb } = require('../../utils/db');
+const { ok, fail } = require('../../utils/response');
+const { validate } = require('../../middleware/validation');
+const { requirePermission } = require('../../middleware/permissions');
+const { COLLECTION_NAME, refreshProductStock } = require('../../utils/stock');
+const { ObjectId } = require('mongodb');
+
+const MAX_LEDGER_ENTRIES = 200;
+
+// Quantities and prices are in the product's base unit (L or kg)
+const purchaseRules = [
+	body('productId')
+		.exists({ checkNull: true }).withMessage('stock.productIdRequired')
+		.isMongoId().withMessage('stock.productIdInvalid'),
+	body('quantity')
+		.exists({ checkNull: true }).withMessage('stock.quantityRequired')
+		.isFloat({ gt: 0 }).withMessage('stock.quantityInvalid')
+		.toFloat(),
+	body('date')
+		.optional({ nullable: true, checkFalsy: true })
+		.isISO8601().withMessage('stock.dateInvalid'),
+	body('lotNumber')
+		.optional({ nullable: true, checkFalsy: true })
+		.isLength({ max: 50 }).withMessage('stock.lotNumberTooLong')
+		.trim(),
+	body('supplier')
+		.optional({ nullable: true, checkFalsy: true })
+		.isLength({ max: 100 }).withMessage('stock.supplierTooLong')
+		.trim(),
+	body('price')
+		.optional({ nullable: true, checkFalsy: true })
+		.isFloat({ min: 0 }).withMessage('stock.priceInvalid')
+		.toFloat(),
+	body('expiryDate')
+		.optional({ nullable: true, checkFalsy: true })
+		.isISO8601().withMessage('stock.expiryDateInvalid'),
+	body('notes')
+		.optional({ nullable: true, checkFalsy: true })
+		.isLength({ max: 500 }).withMessage('stock.notesTooLong')
+		.trim()
+];
+
+// GET /stock?productId=... - Ledger of a product, newest first
+router.get('/', validate([
+	query('productId')
+		.exists().withMessage('stock.productIdRequired')
+		.isMongoId().withMessage('stock.productIdInvalid')
+]), async (req, res) => {
+	try {
+		const accountId = new ObjectId(req.farmId);
+
+		const entries = await getDb().collection(COLLECTION_NAME)
+			.find({ accountId, productId: new ObjectId(req.query.productId) })
+			.sort({ date: -1, createdAt: -1 })
+			.limit(MAX_LEDGER_ENTRIES)
+			.toArray();
+
+		res.json(ok(entries));
+	} catch (err) {
+		console.error('[stock]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /stock/purchase - Add a purchase to a product's stock
+router.post('/purchase', requirePermission('products.write'), validate(purchaseRules), async (req, res) => {
+	try {
+		const account = await getDb().collection('Accounts').findOne({
+			_id: new ObjectId(req.farmId)
+		});
+
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		const product = await getDb().collection('Products').findOne(
+			{ _id: new ObjectId(req.body.productId), accountId: account._id },
+			{ projection: { _id: 1 } }
+		);
+
+		if (!product) {
+			return res.status(404).json(fail('PRODUCT_NOT_FOUND'));
+		}
+
+		const entry = {
+			_id: new ObjectId(),
+			accountId: account._id,
+			productId: product._id,
+			type: 'purchase',
+			quantity: req.body.quantity,
+			date: req.body.date ? new Date(req.body.date) : new Date(),
+			lotNumber: req.body.lotNumber || null,
+			supplier: req.body.supplier || null,
+			price: req.body.price ?? null,
+			expiryDate: req.body.expiryDate ? new Date(req.body.expiryDate) : null,
+			notes: req.body.notes || null,
+			createdAt: new Date()
+		};
+
+		await getDb().collection(COLLECTION_NAME).insertOne(entry);
+		await refreshProductStock(req, account._id, [product._id]);
+
+		res.json(ok(entry, req.updates));
+	} catch (err) {
+		console.error('[stock/purchase]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// DELETE /stock/entry?_id=... - Remove a purchase (usage entries follow their job)
+router.delete('/entry', requirePermission('products.write'), validate([
+	query('_id')
+		.exists().withMessage('stock.idRequired')
+		.isMongoId().withMessage('stock.idInvalid')
+]), async (req, res) => {
+	try {
+		const accountId = new ObjectId(req.farmId);
+
+		const entry = await getDb().collection(COLLECTION_NAME).findOne({
+			_id: new ObjectId(req.query._id),
+			accountId
+		});
+
+		if (!entry) {
+			return res.status(404).json(fail('STOCK_ENTRY_NOT_FOUND'));
+		}
+
+		if (entry.type !== 'purchase') {
+			return res.status(409).json(fail('STOCK_ENTRY_FROM_JOB'));
+		}
+
+		await getDb().collection(COLLECTION_NAME).deleteOne({ _id: entry._id });
+		await refreshProductStock(req, accountId, [entry.productId]);
+
+		res.json(ok({ deleted: req.query._id }, req.updates));
+	} catch (err) {
+		console.error('[stock/entry]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
@@ -11,11 +11,15 @@ const notesValidation = body('notes')
 	.isLength({ max: 500 }).withMessage('notes.tooLong')
 	.trim();
 
+const hourlyRateValidation = body('hourlyRate')
+	.optional({ nullable: true, checkFalsy: true })
+	.isFloat({ min: 0 }).withMessage('equipment.hourlyRateInvalid');
+
 // POST /tool/add - Create a new tool
-router.post('/add', validate([notesValidation]), async (req, res) => {
+router.post('/add', validate([notesValidation, hourlyRateValidation]), async (req, res) => {
 	try {
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -30,6 +34,7 @@ router.post('/add', validate([notesValidation]), async (req, res) => {
 			brand: req.body.brand || null,
 			model: req.body.model || null,
 			powerOnTime: 0,  // seconds
+			hourlyRate: req.body.hourlyRate ? Number(req.body.hourlyRate) : null,  // per hour of powerOnTime
 			notes: req.body.notes || null
 		};
 
@@ -43,14 +48,14 @@ router.post('/add', validate([notesValidation]), async (req, res) => {
 });
 
 // POST /tool/update - Update an existing tool
-router.post('/update', validate([notesValidation]), async (req, res) => {
+router.post('/update', validate([notesValidation, hourlyRateValidation]), async (req, res) => {
 	try {
 		if (!req.body._id || !ObjectId.isValid(req.body._id)) {
 			return res.status(400).json(fail('INVALID_ID'));
 		}
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -62,6 +67,7 @@ router.post('/update', validate([notesValidation]), async (req, res) => {
 			type: req.body.type || null,
 			brand: req.body.brand || null,
 			model: req.body.model || null,
+			hourlyRate: req.body.hourlyRate ? Number(req.body.hourlyRate) : null,
 			notes: req.body.notes || null
 		};
 
@@ -97,7 +103,7 @@ router.delete('/delete', validate([
 		}
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -4,6 +4,7 @@ const path = require('path');
 const fs = require('fs');
 const sessionHandler = require('../middleware/sessionHandler');
 const trackUpdates = require('../middleware/trackUpdates');
+const { requirePermission } = require('../middleware/permissions');
 
 // ============================================
 // PUBLIC ROUTES (no auth)
@@ -13,8 +14,11 @@ router.use('/login', require('./auth/login'));
 router.use('/register', require('./auth/register'));
 router.use('/signout', require('./auth/signout'));
 router.use('/phoneVerify', require('./auth/phoneVerify'));
+router.use('/restoreAccount', require('./auth/restoreAccount'));
 router.use('/checkUsername', require('./auth/checkUsername'));
 router.use('/auth/verifyEmail', require('./auth/verifyEmail'));
+router.use('/auth/passwordReset', require('./auth/passwordReset'));
+router.use('/auth/twoFactor', require('./auth/twoFactor'));
 
 // Report download uses signed URLs for auth, not session
 router.use('/report/download', require('./report/download'));
@@ -29,17 +33,22 @@ router.use(trackUpdates);
 router.use('/getAccountData', require('./account/getData'));
 router.use('/deleteAccount', require('./account/delete'));
 router.use('/firstSetup', require('./account/firstSetup'));
+router.use('/members', require('./account/members'));
 
 // Farm data
-router.use('/addField', require('./farm/addField'));
-router.use('/editField', require('./farm/editField'));
-router.use('/editFieldPoints', require('./farm/editFieldPoints'));
+router.use('/addField', requirePermission('fields.write'), require('./farm/addField'));
+router.use('/importFields', requirePermission('fields.write'), require('./farm/importFields'));
+router.use('/exportFields', require('./farm/exportFields'));
+router.use('/editField', requirePermission('fields.write'), require('./farm/editField'));
+router.use('/editFieldPoints', requirePermission('fields.write'), require('./farm/editFieldPoints'));
+router.use('/deleteField', requirePermission('fields.write'), require('./farm/deleteField'));
 
 // Equipment
-router.use('/machine', require('./farm/machine'));
-router.use('/attachment', require('./farm/attachment'));
-router.use('/tool', require('./farm/tool'));
-router.use('/product', require('./farm/product'));
+router.use('/machine', requirePermission('equipment.write'), require('./farm/machine'));
+router.use('/attachment', requirePermission('equipment.write'), require('./farm/attachment'));
+router.use('/tool', requirePermission('equipment.write'), require('./farm/tool'));
+router.use('/product', requirePermission('products.write'), require('./farm/product'));
+router.use('/stock', require('./farm/stock'));
 
 // Jobs
 router.use('/job', require('./job/index'));
@@ -48,12 +57,18 @@ router.use('/jobTemplates', require('./job/jobTemplate')); // Alias for GET /job
 
 // Other
 router.use('/cultivation', require('./cultivation'));
+router.use('/costs', require('./costs'));
+router.use('/substances', require('./substances'));
+router.use('/nutrients', require('./nutrients'));
+router.use('/report/subscriptions', require('./report/subscriptions'));
 router.use('/report', require('./report'));
 router.use('/data', require('./data'));
 
 // Settings
 router.use('/settings/email', require('./settings/email'));
 router.use('/settings/preferences', require('./settings/preferences'));
+router.use('/settings/sessions', require('./settings/sessions'));
+router.use('/settings/twoFactor', require('./settings/twoFactor'));
 
 
 // Static report files
@@ -7,7 +7,7 @@ const { ObjectId } = require('mongodb');
 
 
 router.post('/', (req, res) => {
-	getDb().collection("Accounts").findOne({ _id: new ObjectId(req.session.accountId) }, { projection: {} }
+	getDb().collection("Accounts").findOne({ _id: new ObjectId(req.farmId) }, { projection: {} }
 	).then((result) => {
 		if (result === null) res.json(fail('SIGNED_OUT'))
 		else {
@@ -15,7 +15,7 @@ router.post('/', (req, res) => {
 			req.body.type = "CUSTOM"
 
 			return getDb().collection('Accounts').findOneAndUpdate(
-				{ _id: new ObjectId(req.session.accountId) },
+				{ _id: new ObjectId(req.farmId) },
 				{ $push: { 'content.farmData.jobTemplates': req.body } },
 				{ returnDocument: 'after', }
 			)
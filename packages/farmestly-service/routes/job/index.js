@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../../middleware/permissions');
 	
 
-router.post('/add', require('./add'));
+router.post('/add', requirePermission('templates.write'), require('./add'));
+router.use('/taskdata', require('./taskData'));
+router.use('/planned', require('./planned'));
 router.use('/', require('./record'));
 
 
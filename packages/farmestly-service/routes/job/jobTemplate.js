@@ -7,9 +7,10 @@ const router = express.Router();
 const { getDb } = require('../../utils/db');
 const { ok, fail } = require('../../utils/response');
 const { validate } = require('../../middleware/validation');
+const { requirePermission } = require('../../middleware/permissions');
 const { ObjectId } = require('mongodb');
 
-const VALID_TEMPLATE_TYPES = ['sow', 'harvest', 'spray', 'irrigate', 'custom'];
+const VALID_TEMPLATE_TYPES = ['sow', 'harvest', 'spray', 'irrigate', 'fertilize', 'custom'];
 
 // Validation rules for template creation/update
 const templateRules = [
@@ -143,10 +144,10 @@ async function ensureIndexes() {
 }
 
 // POST /jobTemplate - Create a new template
-router.post('/', validate(templateRules), async (req, res) => {
+router.post('/', requirePermission('templates.write'), validate(templateRules), async (req, res) => {
 	try {
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -193,7 +194,7 @@ router.post('/', validate(templateRules), async (req, res) => {
 router.get('/all', async (req, res) => {
 	try {
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -213,7 +214,7 @@ router.get('/all', async (req, res) => {
 });
 
 // PUT /jobTemplate/:id - Update a template
-router.put('/:id', validate([
+router.put('/:id', requirePermission('templates.write'), validate([
 	param('id')
 		.exists().withMessage('template.idRequired')
 		.custom((value) => ObjectId.isValid(value)).withMessage('template.idInvalid'),
@@ -223,7 +224,7 @@ router.put('/:id', validate([
 		const templateId = req.params.id;
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -281,7 +282,7 @@ router.put('/:id', validate([
 });
 
 // DELETE /jobTemplate/:id - Delete a template
-router.delete('/:id', validate([
+router.delete('/:id', requirePermission('templates.write'), validate([
 	param('id')
 		.exists().withMessage('template.idRequired')
 		.custom((value) => ObjectId.isValid(value)).withMessage('template.idInvalid')
@@ -290,7 +291,7 @@ router.delete('/:id', validate([
 		const templateId = req.params.id;
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
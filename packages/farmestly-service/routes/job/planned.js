@@ -0,0 +1,305 @@
+// routes/job/planned.js
+// Planned jobs: work scheduled ahead of time for one or more fields. A planned
+// job is marked done field by field as the recordings started from it sync
+// through POST /job/record, and as a whole once every field has a record.
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const { getDb } = require('../../utils/db');
+const { ok, fail } = require('../../utils/response');
+const { validate } = require('../../middleware/validation');
+const { requirePermission, hasPermission } = require('../../middleware/permissions');
+const { ObjectId } = require('mongodb');
+
+const COLLECTION_NAME = 'PlannedJobs';
+
+const VALID_JOB_TYPES = ['sow', 'harvest', 'spray', 'irrigate', 'fertilize', 'custom'];
+const PLANNED_STATUSES = ['planned', 'done'];
+const MAX_FIELDS = 100;
+const MAX_DONE_LISTED = 100;
+
+const plannedJobRules = [
+	body('type')
+		.exists({ checkNull: true }).withMessage('plannedJob.typeRequired')
+		.isIn(VALID_JOB_TYPES).withMessage('plannedJob.typeInvalid'),
+	body('fieldIds')
+		.isArray({ min: 1, max: MAX_FIELDS }).withMessage('plannedJob.fieldIdsRequired'),
+	body('fieldIds.*')
+		.isMongoId().withMessage('plannedJob.fieldIdInvalid'),
+	body('templateId')
+		.if(body('type').equals('custom'))
+		.notEmpty().withMessage('plannedJob.templateRequired'),
+	body('templateId')
+		.optional({ nullable: true, checkFalsy: true })
+		.isMongoId().withMessage('plannedJob.templateIdInvalid'),
+	body('dueDate')
+		.exists({ checkNull: true }).withMessage('plannedJob.dueDateRequired')
+		.isISO8601().withMessage('plannedJob.dueDateInvalid'),
+	body('assigneeId')
+		.optional({ nullable: true, checkFalsy: true })
+		.isMongoId().withMessage('plannedJob.assigneeInvalid'),
+	body('notes')
+		.optional({ nullable: true, checkFalsy: true })
+		.isLength({ max: 500 }).withMessage('plannedJob.notesTooLong')
+		.trim()
+];
+
+const idRules = [
+	param('id')
+		.isMongoId().withMessage('plannedJob.idInvalid')
+];
+
+// Initialize collection index (call during app startup)
+async function ensureIndexes() {
+	try {
+		await getDb().collection(COLLECTION_NAME).createIndex(
+			{ accountId: 1, status: 1, dueDate: 1 },
+			{ background: true }
+		);
+		console.log('PlannedJobs indexes created');
+	} catch (err) {
+		console.error('Error creating PlannedJobs indexes:', err);
+	}
+}
+
+/**
+ * Resolve the assignee of a planned job to { accountId, username }. Only the
+ * farm owner and active members whose role may record jobs can be assigned.
+ * @returns {Promise<Object|null|undefined>} null when unassigned, undefined when not assignable
+ */
+async function resolveAssignee(farmId, assigneeId) {
+	if (!assigneeId) return null;
+
+	const accountId = new ObjectId(assigneeId);
+	if (!accountId.equals(farmId)) {
+		const membership = await getDb().collection('FarmMembers').findOne(
+			{ farmId, accountId, status: 'active' },
+			{ projection: { role: 1 } }
+		);
+		if (!membership || !hasPermission(membership.role, 'jobs.record')) return undefined;
+	}
+
+	const account = await getDb().collection('Accounts').findOne(
+		{ _id: accountId },
+		{ projection: { 'metadata.username': 1 } }
+	);
+	if (!account) return undefined;
+
+	return { accountId, username: account.metadata.username };
+}
+
+/**
+ * Check the fields and template of a planned job against the farm and build
+ * the stored references. Responds and returns null when something is missing.
+ */
+async function buildPlannedJob(req, res, farmId) {
+	const fieldIds = [...new Set(req.body.fieldIds)];
+	const fieldCount = await getDb().collection('Fields').countDocuments({
+		_id: { $in: fieldIds.map(id => new ObjectId(id)) },
+		accountId: farmId
+	});
+	if (fieldCount !== fieldIds.length) {
+		res.status(404).json(fail('FIELD_NOT_FOUND'));
+		return null;
+	}
+
+	let template = null;
+	if (req.body.templateId) {
+		const templateDoc = await getDb().collection('JobTemplates').findOne(
+			{ _id: new ObjectId(req.body.templateId), accountId: farmId },
+			{ projection: { name: 1, type: 1 } }
+		);
+		if (!templateDoc) {
+			res.status(404).json(fail('TEMPLATE_NOT_FOUND'));
+			return null;
+		}
+		if (templateDoc.type !== req.body.type) {
+			res.status(400).json(fail('TEMPLATE_TYPE_MISMATCH'));
+			return null;
+		}
+		template = { id: templateDoc._id.toString(), name: templateDoc.name };
+	}
+
+	const assignee = await resolveAssignee(farmId, req.body.assigneeId);
+	if (assignee === undefined) {
+		res.status(404).json(fail('MEMBER_NOT_FOUND'));
+		return null;
+	}
+
+	return {
+		type: req.body.type,
+		fieldIds,
+		template,
+		dueDate: new Date(req.body.dueDate),
+		assignee,
+		notes: req.body.notes || ''
+	};
+}
+
+/**
+ * Mark the field of a synced job record as done on the planned job it was
+ * started from. The planned job is done once all of its fields are.
+ * Called by POST /job/record after the job is inserted.
+ * @param {Object} req - Express request (for update tracking)
+ * @param {ObjectId} accountId - Farm account id
+ * @param {Object} job - Inserted jobs document carrying plannedJobId
+ */
+async function completePlannedJobField(req, accountId, job) {
+	if (!job.plannedJobId || !ObjectId.isValid(job.plannedJobId)) return;
+
+	const plannedJob = await getDb().collection(COLLECTION_NAME).findOneAndUpdate(
+		{ _id: new ObjectId(job.plannedJobId), accountId, fieldIds: String(job.fieldId) },
+		{
+			$addToSet: { completedFieldIds: String(job.fieldId), jobIds: job._id },
+			$set: { updatedAt: new Date() }
+		},
+		{ returnDocument: 'after' }
+	);
+	if (!plannedJob) return;
+
+	const update = {
+		_id: plannedJob._id,
+		completedFieldIds: plannedJob.completedFieldIds,
+		status: plannedJob.status,
+		completedAt: plannedJob.completedAt || null
+	};
+
+	if (plannedJob.status === 'planned' &&
+		plannedJob.fieldIds.every(id => plannedJob.completedFieldIds.includes(id))) {
+		update.status = 'done';
+		update.completedAt = new Date();
+		await getDb().collection(COLLECTION_NAME).updateOne(
+			{ _id: plannedJob._id },
+			{ $set: { status: update.status, completedAt: update.completedAt } }
+		);
+	}
+
+	req.trackUpdate('plannedJobs', update);
+}
+
+// GET /job/planned?status=planned|done - Planned jobs, earliest due first.
+// Done jobs are listed most recently completed first.
+router.get('/', validate([
+	query('status')
+		.optional()
+		.isIn(PLANNED_STATUSES).withMessage('plannedJob.statusInvalid')
+]), async (req, res) => {
+	try {
+		const status = req.query.status || 'planned';
+		const cursor = getDb().collection(COLLECTION_NAME)
+			.find({ accountId: new ObjectId(req.farmId), status });
+
+		const plannedJobs = status === 'done'
+			? await cursor.sort({ completedAt: -1 }).limit(MAX_DONE_LISTED).toArray()
+			: await cursor.sort({ dueDate: 1 }).toArray();
+
+		res.json(ok(plannedJobs));
+	} catch (err) {
+		console.error('[job/planned/list]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /job/planned - Schedule a job
+router.post('/', requirePermission('jobs.plan'), validate(plannedJobRules), async (req, res) => {
+	try {
+		const farmId = new ObjectId(req.farmId);
+
+		const planned = await buildPlannedJob(req, res, farmId);
+		if (!planned) return;
+
+		const creator = await getDb().collection('Accounts').findOne(
+			{ _id: new ObjectId(req.memberId) },
+			{ projection: { 'metadata.username': 1 } }
+		);
+
+		const plannedJobDoc = {
+			accountId: farmId,
+			...planned,
+			status: 'planned',
+			completedFieldIds: [],
+			jobIds: [],
+			createdBy: {
+				accountId: new ObjectId(req.memberId),
+				username: creator?.metadata?.username || null
+			},
+			completedAt: null,
+			createdAt: new Date(),
+			updatedAt: new Date()
+		};
+
+		const result = await getDb().collection(COLLECTION_NAME).insertOne(plannedJobDoc);
+
+		res.json(ok({ ...plannedJobDoc, _id: result.insertedId }));
+	} catch (err) {
+		console.error('[job/planned/create]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// PUT /job/planned/:id - Reschedule or reassign a planned job
+router.put('/:id', requirePermission('jobs.plan'), validate([...idRules, ...plannedJobRules]), async (req, res) => {
+	try {
+		const farmId = new ObjectId(req.farmId);
+
+		const existing = await getDb().collection(COLLECTION_NAME).findOne({
+			_id: new ObjectId(req.params.id),
+			accountId: farmId
+		});
+
+		if (!existing) {
+			return res.status(404).json(fail('PLANNED_JOB_NOT_FOUND'));
+		}
+
+		const planned = await buildPlannedJob(req, res, farmId);
+		if (!planned) return;
+
+		// Fields that were already recorded stay done
+		const completedFieldIds = (existing.completedFieldIds || []).filter(id => planned.fieldIds.includes(id));
+		const allDone = planned.fieldIds.every(id => completedFieldIds.includes(id));
+
+		const result = await getDb().collection(COLLECTION_NAME).findOneAndUpdate(
+			{ _id: existing._id },
+			{
+				$set: {
+					...planned,
+					completedFieldIds,
+					status: allDone ? 'done' : 'planned',
+					completedAt: allDone ? existing.completedAt || new Date() : null,
+					updatedAt: new Date()
+				}
+			},
+			{ returnDocument: 'after' }
+		);
+
+		res.json(ok(result));
+	} catch (err) {
+		console.error('[job/planned/update]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// DELETE /job/planned/:id - Cancel a planned job. Records made from it are kept.
+router.delete('/:id', requirePermission('jobs.plan'), validate(idRules), async (req, res) => {
+	try {
+		const result = await getDb().collection(COLLECTION_NAME).deleteOne({
+			_id: new ObjectId(req.params.id),
+			accountId: new ObjectId(req.farmId)
+		});
+
+		if (result.deletedCount === 0) {
+			return res.status(404).json(fail('PLANNED_JOB_NOT_FOUND'));
+		}
+
+		res.json(ok({ deleted: req.params.id }));
+	} catch (err) {
+		console.error('[job/planned/delete]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
+module.exports.COLLECTION_NAME = COLLECTION_NAME;
+module.exports.ensureIndexes = ensureIndexes;
+module.exports.completePlannedJobField = completePlannedJobField;
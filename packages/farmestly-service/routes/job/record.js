@@ -5,9 +5,18 @@ const router = express.Router();
 const { getDb } = require('../../utils/db');
 const { ok, fail } = require('../../utils/response');
 const { validate } = require('../../middleware/validation');
+const { requirePermission } = require('../../middleware/permissions');
+const { decodeTrack, computeCoverage, countPathPoints, MAX_TRACK_POINTS } = require('../../shared/geo/trackCoverage');
+const { syncJobStockUsage, removeJobStockUsage, getAppliedProducts } = require('../../utils/stock');
+const { computeJobCost } = require('../../utils/costs');
+const { computeJobSubstances } = require('../../utils/activeSubstances');
+const { computeJobNutrients } = require('../../utils/nutrients');
+const { checkSeasonLimits, LimitStatus } = require('../../utils/seasonLimits');
+const { completePlannedJobField } = require('./planned');
+const { findRecentSprays, getFieldCompliance, refreshFieldCompliance } = require('../../utils/compliance');
 
 // Valid job types
-const VALID_JOB_TYPES = ['sow', 'harvest', 'spray', 'irrigate', 'custom'];
+const VALID_JOB_TYPES = ['sow', 'harvest', 'spray', 'irrigate', 'fertilize', 'custom'];
 
 // Helper function to resolve temp_* cultivation IDs to real ObjectIds
 const resolveCultivationId = async (accountId, cultivationRef) => {
@@ -84,9 +93,186 @@ const updateEquipmentPowerOnTime = async (req, accountId, job, elapsedTimeMs) =>
 	}
 };
 
+// Resolve the working width used for coverage: the attachment's boom, else the machine's
+const resolveWorkingWidth = async (accountId, job) => {
+	const lookups = [
+		['Attachments', job.attachment?.id],
+		['Machines', job.machine?.id]
+	];
+
+	for (const [collection, id] of lookups) {
+		if (!id || !ObjectId.isValid(id)) continue;
+		const doc = await getDb().collection(collection).findOne(
+			{ _id: new ObjectId(id), accountId },
+			{ projection: { boomWidth: 1 } }
+		);
+		if (doc?.boomWidth > 0) return doc.boomWidth;
+	}
+
+	return null;
+};
+
+// Compute covered area and overlap of a recorded GPS track against the field polygon
+const computeJobCoverage = async (accountId, job) => {
+	if (!job.track || !ObjectId.isValid(job.fieldId)) return null;
+
+	const [field, width] = await Promise.all([
+		getDb().collection('Fields').findOne(
+			{ _id: new ObjectId(job.fieldId), accountId },
+			{ projection: { points: 1 } }
+		),
+		resolveWorkingWidth(accountId, job)
+	]);
+
+	if (!field || !width) return null;
+
+	return computeCoverage(decodeTrack(job.track), field.points, width);
+};
+
+// Harvest details accepted on a harvest job. Quantities are stored in base
+// units: mass in kg, volume in L. The sale price is per kg or L.
+const HARVEST_FIELDS = ['isFinal', 'amount', 'unit', 'moisture', 'grade', 'loads', 'destination', 'salePrice'];
+const HARVEST_UNITS = ['kg', 'L'];
+
+const pickHarvestData = (harvest) => {
+	const picked = {};
+	HARVEST_FIELDS.forEach(key => {
+		if (harvest[key] !== undefined) picked[key] = harvest[key];
+	});
+	return picked;
+};
+
+// Roll the harvest details of a completed cultivation up into the cultivation
+// document. Recomputed from all of its harvest jobs so edits stay consistent.
+const rollUpHarvestTotals = async (accountId, cultivationId, fieldId) => {
+	if (!cultivationId || !ObjectId.isValid(cultivationId)) return;
+
+	const cultivation = await getDb().collection('cultivations').findOne(
+		{ _id: new ObjectId(cultivationId), accountId },
+		{ projection: { status: 1 } }
+	);
+	if (!cultivation || cultivation.status !== 'completed') return;
+
+	const [harvests, field] = await Promise.all([
+		getDb().collection('jobs').find(
+			{ accountId, type: 'harvest', 'cultivation.id': String(cultivationId) },
+			{ projection: { 'data.harvest': 1 } }
+		).toArray(),
+		ObjectId.isValid(fieldId)
+			? getDb().collection('Fields').findOne(
+				{ _id: new ObjectId(fieldId), accountId },
+				{ projection: { area: 1 } }
+			)
+			: null
+	]);
+
+	const totals = {
+		harvestCount: harvests.length,
+		mass: 0,
+		volume: 0,
+		loads: 0,
+		moisture: null,
+		destinations: [],
+		area: field?.area ?? null,
+		updatedAt: new Date()
+	};
+
+	// Moisture is averaged over the harvested mass
+	let moistureMass = 0;
+	let moistureSum = 0;
+
+	harvests.forEach(job => {
+		const harvest = job.data?.harvest || {};
+		if (harvest.amount > 0) {
+			if (harvest.unit === 'L') {
+				totals.volume += harvest.amount;
+			} else {
+				totals.mass += harvest.amount;
+				if (harvest.moisture != null) {
+					moistureSum += harvest.moisture * harvest.amount;
+					moistureMass += harvest.amount;
+				}
+			}
+		}
+		totals.loads += harvest.loads || 0;
+		if (harvest.destination && !totals.destinations.includes(harvest.destination)) {
+			totals.destinations.push(harvest.destination);
+		}
+	});
+
+	if (moistureMass > 0) {
+		totals.moisture = Math.round(moistureSum / moistureMass * 10) / 10;
+	}
+
+	await getDb().collection('cultivations').updateOne(
+		{ _id: cultivation._id },
+		{ $set: { harvestTotals: totals } }
+	);
+};
+
 // EPPO code regex: 5-6 uppercase alphanumeric characters
 const EPPO_CODE_REGEX = /^[0-9A-Z]{5,6}$/;
 
+// Target organism and justification of a spray application, kept for the
+// plant protection product register
+const sprayTreatmentRules = [
+	body('data.spray.target')
+		.optional({ nullable: true })
+		.isString().withMessage('spray.targetInvalid')
+		.isLength({ max: 200 }).withMessage('spray.targetTooLong')
+		.trim(),
+	body('data.spray.reason')
+		.optional({ nullable: true })
+		.isString().withMessage('spray.reasonInvalid')
+		.isLength({ max: 500 }).withMessage('spray.reasonTooLong')
+		.trim()
+];
+
+// Fertilizer products applied, at their rate per m² in L or kg
+const fertilizeProductRules = [
+	body('data.fertilize.products')
+		.optional({ nullable: true })
+		.isArray({ max: 10 }).withMessage('fertilize.productsInvalid'),
+	body('data.fertilize.products.*.productId')
+		.isMongoId().withMessage('fertilize.productIdInvalid'),
+	body('data.fertilize.products.*.rate')
+		.isFloat({ gt: 0 }).withMessage('fertilize.productRateInvalid')
+		.toFloat()
+];
+
+// Quantity, quality and destination of a harvest
+const harvestDetailRules = [
+	body('data.harvest.amount')
+		.optional({ nullable: true })
+		.isFloat({ min: 0 }).withMessage('harvest.amountInvalid')
+		.toFloat(),
+	body('data.harvest.unit')
+		.optional({ nullable: true })
+		.isIn(HARVEST_UNITS).withMessage('harvest.unitInvalid'),
+	body('data.harvest.moisture')
+		.optional({ nullable: true })
+		.isFloat({ min: 0, max: 100 }).withMessage('harvest.moistureInvalid')
+		.toFloat(),
+	body('data.harvest.grade')
+		.optional({ nullable: true })
+		.isString().withMessage('harvest.gradeInvalid')
+		.isLength({ max: 50 }).withMessage('harvest.gradeTooLong')
+		.trim(),
+	body('data.harvest.loads')
+		.optional({ nullable: true })
+		.isInt({ min: 0, max: 10000 }).withMessage('harvest.loadsInvalid')
+		.toInt(),
+	body('data.harvest.destination')
+		.optional({ nullable: true })
+		.isString().withMessage('harvest.destinationInvalid')
+		.isLength({ max: 200 }).withMessage('harvest.destinationTooLong')
+		.trim(),
+	body('data.harvest.salePrice')
+		.optional({ nullable: true })
+		.isFloat({ min: 0 }).withMessage('harvest.salePriceInvalid')
+		.toFloat()
+];
+
 // Validation rules for POST /job/record
 const createJobRules = [
 	body('fieldId')
@@ -102,19 +288,44 @@ const createJobRules = [
 		.isInt({ min: 0 }).withMessage('job.elapsedTimeInvalid'),
 	body('status')
 		.equals('completed').withMessage('job.statusMustBeCompleted'),
+	body('plannedJobId')
+		.optional({ nullable: true })
+		.isMongoId().withMessage('job.plannedJobIdInvalid'),
+	body('complianceOverride.reason')
+		.optional({ nullable: true })
+		.isString().withMessage('job.overrideReasonInvalid')
+		.isLength({ max: 500 }).withMessage('job.overrideReasonTooLong')
+		.trim(),
 	body('data.sow.eppoCode')
 		.optional({ nullable: true })
-		.matches(EPPO_CODE_REGEX).withMessage('job.eppoCodeInvalid')
+		.matches(EPPO_CODE_REGEX).withMessage('job.eppoCodeInvalid'),
+	...sprayTreatmentRules,
+	...fertilizeProductRules,
+	...harvestDetailRules,
+	body('track')
+		.optional({ nullable: true })
+		.isObject().withMessage('job.trackInvalid'),
+	body('track.segments')
+		.if(body('track').exists({ checkNull: true }))
+		.isArray({ max: 500 }).withMessage('job.trackInvalid')
+		.bail()
+		.custom(segments => segments.reduce(
+			(total, segment) => total + (typeof segment?.path === 'string' ? countPathPoints(segment.path) : 0), 0
+		) <= MAX_TRACK_POINTS).withMessage('job.trackTooLong'),
+	body('track.segments.*.startedAt')
+		.isISO8601().withMessage('job.trackInvalid'),
+	body('track.segments.*.path')
+		.isString().withMessage('job.trackInvalid')
 ];
 
 // POST /job/record - Create a new job record
-router.post('/record', validate(createJobRules), async (req, res) => {
+router.post('/record', requirePermission('jobs.record'), validate(createJobRules), async (req, res) => {
 	try {
 		const idempotencyKey = req.header('Idempotency-Key');
 		const body = req.body;
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -133,6 +344,14 @@ router.post('/record', validate(createJobRules), async (req, res) => {
 			}
 		}
 
+		// The member performing the job may be someone other than the farm owner
+		const member = req.memberId === req.farmId
+			? account
+			: await getDb().collection('Accounts').findOne(
+				{ _id: new ObjectId(req.memberId) },
+				{ projection: { 'metadata.username': 1 } }
+			);
+
 		// Build job document per API contract
 		const jobDoc = {
 			_id: new ObjectId(),
@@ -144,19 +363,33 @@ router.post('/record', validate(createJobRules), async (req, res) => {
 			attachment: body.attachment || null,
 			tool: body.tool || null,
 			batch: body.batch || null,
+			plannedJobId: body.plannedJobId || null,
 			cultivation: null, // Will be set based on job type
 			startedAt: new Date(body.startedAt),
 			endedAt: body.endedAt ? new Date(body.endedAt) : null,
 			elapsedTime: body.elapsedTime || 0,
 			status: body.status || 'completed',
 			timestamps: body.timestamps || [],
+			track: body.track?.segments?.length ? {
+				segments: body.track.segments.map(segment => ({
+					startedAt: new Date(segment.startedAt),
+					path: segment.path
+				}))
+			} : null,
+			coverage: null,
 			data: {
 				sow: null,
 				harvest: null,
 				spray: null,
-				irrigate: null
+				irrigate: null,
+				fertilize: null
 			},
 			notes: body.notes || '',
+			performedBy: {
+				accountId: new ObjectId(req.memberId),
+				username: member?.metadata?.username || null,
+				role: req.role
+			},
 			idempotencyKey: idempotencyKey || null
 		};
 
@@ -166,7 +399,10 @@ router.post('/record', validate(createJobRules), async (req, res) => {
 				jobDoc.data.sow = body.data.sow;
 			}
 			if (body.type === 'harvest' && body.data.harvest) {
-				jobDoc.data.harvest = body.data.harvest;
+				jobDoc.data.harvest = pickHarvestData(body.data.harvest);
+				if (jobDoc.data.harvest.amount != null && !jobDoc.data.harvest.unit) {
+					jobDoc.data.harvest.unit = 'kg';
+				}
 			}
 			if (body.type === 'spray' && body.data.spray) {
 				jobDoc.data.spray = body.data.spray;
@@ -174,6 +410,9 @@ router.post('/record', validate(createJobRules), async (req, res) => {
 			if (body.type === 'irrigate' && body.data.irrigate) {
 				jobDoc.data.irrigate = body.data.irrigate;
 			}
+			if (body.type === 'fertilize' && body.data.fertilize) {
+				jobDoc.data.fertilize = body.data.fertilize;
+			}
 		}
 
 		let response = { job: null };
@@ -316,10 +555,73 @@ router.post('/record', validate(createJobRules), async (req, res) => {
 			};
 		}
 
+		// Covered area from the GPS track; a malformed track is dropped rather than losing the record
+		try {
+			jobDoc.coverage = await computeJobCoverage(account._id, jobDoc);
+		} catch (trackErr) {
+			console.warn('[job/record] Discarding unreadable track:', trackErr.message);
+			jobDoc.track = null;
+		}
+
+		// Harvests inside an active PHI window are flagged rather than rejected:
+		// records sync after the work is done, so a rejection would lose the harvest.
+		// The reason given on the device when overriding the warning is kept with it.
+		if (jobDoc.type === 'harvest') {
+			const { phi } = await getFieldCompliance(account._id, jobDoc.fieldId, jobDoc.startedAt);
+			if (phi) {
+				const reason = body.complianceOverride?.reason || null;
+				jobDoc.compliance = {
+					phi: {
+						...phi,
+						overrideReason: reason,
+						overriddenBy: reason ? jobDoc.performedBy : null,
+						acknowledged: !!reason
+					}
+				};
+			}
+		}
+
+		// Cost with the rates in force when the job is recorded
+		jobDoc.cost = await computeJobCost(account, jobDoc);
+
+		// Active substance quantities from the product concentrations at this moment
+		if (jobDoc.type === 'spray') {
+			jobDoc.substances = await computeJobSubstances(account._id, jobDoc);
+		}
+
+		// Nutrients per hectare from the fertilizer compositions at this moment
+		if (jobDoc.type === 'fertilize') {
+			jobDoc.nutrients = await computeJobNutrients(account._id, jobDoc);
+		}
+
+		// Sprays over a season limit are flagged like harvests inside PHI, for the
+		// same reason; the device checks the limits before spraying when online.
+		if (jobDoc.type === 'spray' && jobDoc.fieldId) {
+			const exceeded = (await checkSeasonLimits(account._id, {
+				fieldIds: [jobDoc.fieldId],
+				products: getAppliedProducts(jobDoc),
+				at: jobDoc.startedAt
+			})).filter(result => result.status === LimitStatus.EXCEEDED);
+			if (exceeded.length > 0) {
+				jobDoc.compliance = { ...jobDoc.compliance, seasonLimits: exceeded };
+			}
+		}
+
 		// Insert the job
 		await getDb().collection('jobs').insertOne(jobDoc);
 		response.job = jobDoc;
 
+		if (jobDoc.type === 'harvest') {
+			await rollUpHarvestTotals(account._id, jobDoc.cultivation?.id, jobDoc.fieldId);
+		} else if (jobDoc.type === 'spray') {
+			await syncJobStockUsage(req, account._id, jobDoc);
+			await refreshFieldCompliance(req, account._id, jobDoc.fieldId);
+		} else if (jobDoc.type === 'fertilize') {
+			await syncJobStockUsage(req, account._id, jobDoc);
+		}
+
+		await completePlannedJobField(req, account._id, jobDoc);
+
 		// Update equipment powerOnTimeMs
 		if (jobDoc.elapsedTime > 0) {
 			await updateEquipmentPowerOnTime(req, account._id, jobDoc, jobDoc.elapsedTime);
@@ -333,14 +635,17 @@ router.post('/record', validate(createJobRules), async (req, res) => {
 });
 
 // POST /job/record/update - Update an existing job record
-router.post('/record/update', validate([
-	body('_id').exists().withMessage('job.idRequired').isMongoId().withMessage('job.invalidId')
+router.post('/record/update', requirePermission('jobs.edit'), validate([
+	body('_id').exists().withMessage('job.idRequired').isMongoId().withMessage('job.invalidId'),
+	...sprayTreatmentRules,
+	...fertilizeProductRules,
+	...harvestDetailRules
 ]), async (req, res) => {
 	try {
 		const body = req.body;
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -376,12 +681,9 @@ router.post('/record/update', validate([
 		// Handle partial data updates
 		if (body.data) {
 			if (body.data.harvest) {
-				if (body.data.harvest.amount !== undefined) {
-					updateFields['data.harvest.amount'] = body.data.harvest.amount;
-				}
-				if (body.data.harvest.isFinal !== undefined) {
-					updateFields['data.harvest.isFinal'] = body.data.harvest.isFinal;
-				}
+				Object.entries(pickHarvestData(body.data.harvest)).forEach(([key, value]) => {
+					updateFields[`data.harvest.${key}`] = value;
+				});
 			}
 			if (body.data.sow) {
 				Object.keys(body.data.sow).forEach(key => {
@@ -398,6 +700,11 @@ router.post('/record/update', validate([
 					updateFields[`data.irrigate.${key}`] = body.data.irrigate[key];
 				});
 			}
+			if (body.data.fertilize) {
+				Object.keys(body.data.fertilize).forEach(key => {
+					updateFields[`data.fertilize.${key}`] = body.data.fertilize[key];
+				});
+			}
 		}
 
 		// Detect isFinalHarvest state change for harvest jobs
@@ -423,6 +730,84 @@ router.post('/record/update', validate([
 			return res.status(404).send(fail('RECORD_NOT_FOUND'));
 		}
 
+		// Re-cost when the time worked or the inputs applied changed
+		if (body.elapsedTime !== undefined || body.data?.spray || body.data?.irrigate || body.data?.fertilize) {
+			updatedJob.cost = await computeJobCost(account, updatedJob);
+			await getDb().collection('jobs').updateOne(
+				{ _id: updatedJob._id },
+				{ $set: { cost: updatedJob.cost } }
+			);
+		}
+
+		if (updatedJob.type === 'spray' && body.data?.spray) {
+			updatedJob.substances = await computeJobSubstances(account._id, updatedJob);
+			await getDb().collection('jobs').updateOne(
+				{ _id: updatedJob._id },
+				{ $set: { substances: updatedJob.substances } }
+			);
+		}
+
+		// Season limits are checked again against the other sprays of the season
+		if (updatedJob.type === 'spray' && updatedJob.fieldId && (body.data?.spray || body.startedAt !== undefined)) {
+			const exceeded = (await checkSeasonLimits(account._id, {
+				fieldIds: [updatedJob.fieldId],
+				products: getAppliedProducts(updatedJob),
+				at: updatedJob.startedAt,
+				excludeJobId: updatedJob._id
+			})).filter(result => result.status === LimitStatus.EXCEEDED);
+
+			if (exceeded.length > 0) {
+				updatedJob.compliance = { ...updatedJob.compliance, seasonLimits: exceeded };
+				await getDb().collection('jobs').updateOne(
+					{ _id: updatedJob._id },
+					{ $set: { 'compliance.seasonLimits': exceeded } }
+				);
+			} else if (updatedJob.compliance?.seasonLimits) {
+				delete updatedJob.compliance.seasonLimits;
+				await getDb().collection('jobs').updateOne(
+					{ _id: updatedJob._id },
+					{ $unset: { 'compliance.seasonLimits': '' } }
+				);
+			}
+		}
+
+		if (updatedJob.type === 'fertilize' && body.data?.fertilize) {
+			updatedJob.nutrients = await computeJobNutrients(account._id, updatedJob);
+			await getDb().collection('jobs').updateOne(
+				{ _id: updatedJob._id },
+				{ $set: { nutrients: updatedJob.nutrients } }
+			);
+		}
+
+		// A harvest moved in time can enter or leave a PHI window. The override
+		// given on the device when the harvest was recorded is kept.
+		if (updatedJob.type === 'harvest' && body.startedAt !== undefined) {
+			const { phi } = await getFieldCompliance(account._id, updatedJob.fieldId, updatedJob.startedAt);
+			const previous = existingJob.compliance?.phi;
+
+			if (phi) {
+				updatedJob.compliance = {
+					...updatedJob.compliance,
+					phi: {
+						...phi,
+						overrideReason: previous?.overrideReason || null,
+						overriddenBy: previous?.overriddenBy || null,
+						acknowledged: !!previous?.overrideReason
+					}
+				};
+				await getDb().collection('jobs').updateOne(
+					{ _id: updatedJob._id },
+					{ $set: { 'compliance.phi': updatedJob.compliance.phi } }
+				);
+			} else if (previous) {
+				delete updatedJob.compliance.phi;
+				await getDb().collection('jobs').updateOne(
+					{ _id: updatedJob._id },
+					{ $unset: { 'compliance.phi': '' } }
+				);
+			}
+		}
+
 		let response = { job: updatedJob };
 
 		// Handle cultivation state changes for harvest jobs
@@ -461,7 +846,7 @@ router.post('/record/update', validate([
 						{ _id: new ObjectId(cultId), accountId: account._id },
 						{
 							$set: { status: 'active' },
-							$unset: { endTime: '', endJobId: '' }
+							$unset: { endTime: '', endJobId: '', harvestTotals: '' }
 						},
 						{ returnDocument: 'after' }
 					);
@@ -494,6 +879,15 @@ router.post('/record/update', validate([
 			}
 		}
 
+		if (existingJob.type === 'harvest') {
+			await rollUpHarvestTotals(account._id, existingJob.cultivation?.id, existingJob.fieldId);
+		} else if (existingJob.type === 'spray') {
+			await syncJobStockUsage(req, account._id, updatedJob);
+			await refreshFieldCompliance(req, account._id, existingJob.fieldId);
+		} else if (existingJob.type === 'fertilize') {
+			await syncJobStockUsage(req, account._id, updatedJob);
+		}
+
 		// Update equipment powerOnTimeMs with delta
 		if (elapsedTimeDelta !== 0) {
 			await updateEquipmentPowerOnTime(req, account._id, existingJob, elapsedTimeDelta);
@@ -507,14 +901,14 @@ router.post('/record/update', validate([
 });
 
 // DELETE /job/record/:_id - Delete a job record
-router.delete('/record/:_id', validate([
+router.delete('/record/:_id', requirePermission('jobs.edit'), validate([
 	param('_id').isMongoId().withMessage('job.invalidId')
 ]), async (req, res) => {
 	try {
 		const jobId = req.params._id;
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -583,7 +977,7 @@ router.delete('/record/:_id', validate([
 					{ _id: new ObjectId(cultId), accountId: account._id },
 					{
 						$set: { status: 'active' },
-						$unset: { endTime: '', endJobId: '' }
+						$unset: { endTime: '', endJobId: '', harvestTotals: '' }
 					},
 					{ returnDocument: 'after' }
 				);
@@ -622,6 +1016,15 @@ router.delete('/record/:_id', validate([
 		// Delete the job
 		await getDb().collection('jobs').deleteOne({ _id: job._id });
 
+		if (job.type === 'harvest') {
+			await rollUpHarvestTotals(account._id, job.cultivation?.id, job.fieldId);
+		} else if (job.type === 'spray') {
+			await removeJobStockUsage(req, account._id, job._id);
+			await refreshFieldCompliance(req, account._id, job.fieldId);
+		} else if (job.type === 'fertilize') {
+			await removeJobStockUsage(req, account._id, job._id);
+		}
+
 		res.json(ok(response, req.updates));
 	} catch (err) {
 		console.error('Error deleting job record:', err);
@@ -636,7 +1039,7 @@ router.get('/record/check', validate([
 ]), async (req, res) => {
 	try {
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -667,7 +1070,7 @@ router.get('/record/:_id', validate([
 		const jobId = req.params._id;
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -711,7 +1114,7 @@ router.get('/record/:_id', validate([
 router.get('/records', async (req, res) => {
 	try {
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -770,8 +1173,9 @@ router.get('/records', async (req, res) => {
 		const totalCount = await getDb().collection('jobs').countDocuments(query);
 		const totalPages = Math.ceil(totalCount / limit);
 
+		// GPS tracks are only returned with a single record
 		const records = await getDb().collection('jobs')
-			.find(query)
+			.find(query, { projection: { track: 0 } })
 			.sort({ startedAt: -1 })
 			.skip(skip)
 			.limit(limit)
@@ -800,7 +1204,7 @@ router.get('/records/batch/:batchId', async (req, res) => {
 		const batchId = req.params.batchId;
 
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -811,7 +1215,7 @@ router.get('/records/batch/:batchId', async (req, res) => {
 			.find({
 				accountId: account._id,
 				'batch.id': batchId
-			})
+			}, { projection: { track: 0 } })
 			.sort({
 				'data.spray.batch.fieldIndex': 1,
 				'data.irrigate.batch.fieldIndex': 1
@@ -859,7 +1263,7 @@ router.get('/records/batch/:batchId', async (req, res) => {
 router.get('/recent-sprays', async (req, res) => {
 	try {
 		const account = await getDb().collection('Accounts').findOne({
-			_id: new ObjectId(req.session.accountId)
+			_id: new ObjectId(req.farmId)
 		});
 
 		if (!account) {
@@ -873,26 +1277,15 @@ router.get('/recent-sprays', async (req, res) => {
 
 		const fieldIds = fieldIdsParam.split(',').map(id => id.trim());
 
-		let sinceDate;
+		let sinceDate = null;
 		if (req.query.since) {
 			sinceDate = new Date(req.query.since);
 			if (isNaN(sinceDate.getTime())) {
 				return res.status(400).send(fail('INVALID_SINCE_DATE'));
 			}
-		} else {
-			sinceDate = new Date();
-			sinceDate.setDate(sinceDate.getDate() - 90);
 		}
 
-		const sprayJobs = await getDb().collection('jobs')
-			.find({
-				accountId: account._id,
-				type: 'spray',
-				fieldId: { $in: fieldIds },
-				endedAt: { $gte: sinceDate }
-			})
-			.sort({ endedAt: -1 })
-			.toArray();
+		const sprayJobs = await findRecentSprays(account._id, fieldIds, sinceDate);
 
 		res.json(ok(sprayJobs));
 	} catch (err) {
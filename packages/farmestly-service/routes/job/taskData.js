@@ -0,0 +1,116 @@
+// routes/job/taskData.js
+// ISOXML task data export for ISOBUS terminals
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const { getDb } = require('../../utils/db');
+const { fail } = require('../../utils/response');
+const { validate } = require('../../middleware/validation');
+const { buildTaskDataXml, buildJobTasks, buildTemplateTasks, packTaskData } = require('../../utils/IsoXmlExport');
+const { ObjectId } = require('mongodb');
+
+// Job and template types that translate to ISOBUS tasks
+const TASK_TYPES = ['spray', 'sow'];
+const MAX_TASKS = 500;
+
+const taskDataRules = [
+	body('jobIds')
+		.optional()
+		.isArray({ min: 1, max: MAX_TASKS }).withMessage('taskData.jobIdsInvalid'),
+	body('jobIds.*')
+		.isMongoId().withMessage('job.invalidId'),
+	body('templateId')
+		.optional()
+		.isMongoId().withMessage('taskData.templateIdInvalid'),
+	body('fieldIds')
+		.if(body('templateId').exists())
+		.isArray({ min: 1, max: MAX_TASKS }).withMessage('taskData.fieldIdsRequired'),
+	body('fieldIds.*')
+		.isMongoId().withMessage('field.idInvalid'),
+	body()
+		.custom(value => !!value.jobIds !== !!value.templateId).withMessage('taskData.sourceRequired')
+];
+
+// POST /job/taskdata - Download TASKDATA.XML (zipped) for recorded jobs
+// ({ jobIds }) or for a template planned on fields ({ templateId, fieldIds })
+router.post('/', validate(taskDataRules), async (req, res) => {
+	try {
+		const account = await getDb().collection('Accounts').findOne({
+			_id: new ObjectId(req.farmId)
+		});
+
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		const db = getDb();
+		let jobs = null;
+		let template = null;
+		let fieldIds;
+
+		if (req.body.jobIds) {
+			jobs = await db.collection('jobs')
+				.find({
+					accountId: account._id,
+					_id: { $in: req.body.jobIds.map(id => new ObjectId(id)) },
+					type: { $in: TASK_TYPES }
+				})
+				.sort({ startedAt: 1 })
+				.toArray();
+
+			if (jobs.length === 0) {
+				return res.status(404).json(fail('RECORD_NOT_FOUND'));
+			}
+
+			fieldIds = [...new Set(jobs.map(j => String(j.fieldId)))];
+		} else {
+			template = await db.collection('JobTemplates').findOne({
+				_id: new ObjectId(req.body.templateId),
+				accountId: account._id
+			});
+
+			if (!template || !TASK_TYPES.includes(template.type)) {
+				return res.status(404).json(fail('TEMPLATE_NOT_FOUND'));
+			}
+
+			fieldIds = req.body.fieldIds;
+		}
+
+		const [fields, products, machines, attachments] = await Promise.all([
+			db.collection('Fields').find({
+				accountId: account._id,
+				_id: { $in: fieldIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) }
+			}).toArray(),
+			db.collection('Products').find({ accountId: account._id }).toArray(),
+			db.collection('Machines').find({ accountId: account._id }).toArray(),
+			db.collection('Attachments').find({ accountId: account._id }).toArray()
+		]);
+
+		if (fields.length === 0) {
+			return res.status(404).json(fail('FIELD_NOT_FOUND'));
+		}
+
+		// Jobs whose field no longer exists cannot reference a partfield
+		const knownFieldIds = new Set(fields.map(f => f._id.toString()));
+		const tasks = (jobs ? buildJobTasks(jobs) : buildTemplateTasks(template, fields, products))
+			.filter(task => knownFieldIds.has(task.fieldId));
+
+		const xml = buildTaskDataXml({
+			account,
+			fields,
+			products,
+			equipment: [...machines, ...attachments],
+			tasks
+		});
+
+		res.setHeader('Content-Type', 'application/zip');
+		res.setHeader('Content-Disposition', 'attachment; filename="TASKDATA.zip"');
+		res.send(packTaskData(xml));
+	} catch (err) {
+		console.error('[job/taskdata]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { query } = require('express-validator');
+const router = express.Router();
+const { ok, fail } = require('../utils/response');
+const { validate } = require('../middleware/validation');
+const { getNutrientUse } = require('../utils/nutrients');
+const { ObjectId } = require('mongodb');
+
+// GET /nutrients/use?season=2026&fieldId=... - N, P2O5, K2O and S applied per hectare, per field and season
+router.get('/use', validate([
+	query('season')
+		.optional()
+		.isInt({ min: 2000, max: 2100 }).withMessage('nutrients.seasonInvalid'),
+	query('fieldId')
+		.optional()
+		.isMongoId().withMessage('nutrients.fieldIdInvalid')
+]), async (req, res) => {
+	try {
+		const fields = await getNutrientUse(new ObjectId(req.farmId), {
+			season: req.query.season,
+			fieldId: req.query.fieldId
+		});
+		res.json(ok({ season: req.query.season || null, fields }));
+	} catch (err) {
+		console.error('[nutrients/use]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
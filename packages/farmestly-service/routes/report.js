@@ -3,9 +3,10 @@ const { getDb } = require('../utils/db');
 const router = express.Router();
 const { ok, fail } = require('../utils/response');
 const { ObjectId } = require('mongodb');
-const { ReportJobManager, JobStatus, DeliveryType, MAX_RECORDS_TOTAL, MAX_EMAIL_ATTACHMENT_RECORDS } = require('../utils/ReportJobManager');
+const { ReportJobManager, JobStatus, DeliveryType, ReportFormat, DATA_EXPORT_REPORT_TYPE, getReportRecordType, MAX_RECORDS_TOTAL, MAX_EMAIL_ATTACHMENT_RECORDS } = require('../utils/ReportJobManager');
 const { getStorage } = require('../utils/ReportStorage');
 const { createReportGenerationLimiter } = require('../middleware/rateLimiter');
+const { requirePermission } = require('../middleware/permissions');
 
 // Rate limiter (initialized after Redis is ready)
 let reportGenerationLimiter = null;
@@ -78,13 +79,24 @@ router.get('/precheck', async (req, res) => {
 		}
 
 		const { reportType, dateRange, startDate, endDate } = req.query;
+		const format = req.query.format || ReportFormat.PDF;
 
-		// Build query
+		if (!Object.values(ReportFormat).includes(format)) {
+			return res.status(400).json(fail('INVALID_REPORT_FORMAT'));
+		}
+
+		// Build query against the active farm
 		const query = {
-			accountId: account._id,
+			accountId: new ObjectId(req.farmId),
 			...buildDateQuery(dateRange, startDate, endDate)
 		};
 
+		// CSV and XLSX exports and the register, yield and substance reports only contain one job type
+		const recordType = getReportRecordType(reportType, format);
+		if (recordType) {
+			query.type = recordType;
+		}
+
 		// Count records
 		const count = await getDb().collection('jobs').countDocuments(query);
 
@@ -122,7 +134,7 @@ router.get('/precheck', async (req, res) => {
  * Responds immediately with 202 Accepted and the jobId for polling.
  * Rate limited to prevent abuse.
  */
-router.post('/', applyReportLimiter, async (req, res) => {
+router.post('/', requirePermission('reports.create'), applyReportLimiter, async (req, res) => {
 	try {
 		const account = await getDb()
 			.collection('Accounts')
@@ -140,6 +152,12 @@ router.post('/', applyReportLimiter, async (req, res) => {
 			return res.status(400).json(fail('INVALID_DELIVERY_TYPE'));
 		}
 
+		const format = req.body.format || ReportFormat.PDF;
+
+		if (!Object.values(ReportFormat).includes(format)) {
+			return res.status(400).json(fail('INVALID_REPORT_FORMAT'));
+		}
+
 		// Check if email is required for the delivery type
 		if (delivery === DeliveryType.EMAIL || delivery === DeliveryType.BOTH) {
 			if (!account.metadata.email) {
@@ -154,15 +172,25 @@ router.post('/', applyReportLimiter, async (req, res) => {
 		const jobId = await ReportJobManager.getInstance().createJob(req.session.accountId, {
 			delivery,
 			reportType: req.body.reportType || 'chronological',
+			format,
 			dateRange: req.body.dateRange || 'all',
 			startDate: req.body.startDate,
 			endDate: req.body.endDate
 		});
 
+		// Report on the active farm, delivered to the requesting member
+		const farmAccount = req.farmId === req.session.accountId
+			? account
+			: await getDb().collection('Accounts').findOne({ _id: new ObjectId(req.farmId) });
+
+		if (!farmAccount) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
 		// Kick off processing asynchronously
 		setImmediate(() => {
 			ReportJobManager.getInstance()
-				.processJob(jobId, account)
+				.processJob(jobId, farmAccount, account)
 				.catch(err => console.error('[Report] Background processing error:', err));
 		});
 
@@ -178,6 +206,45 @@ router.post('/', applyReportLimiter, async (req, res) => {
 	}
 });
 
+/**
+ * POST /report/export
+ * Create a full farm data export (ZIP of JSON + CSV files).
+ * Uses the same job lifecycle as PDF reports: poll /report/status/:jobId
+ * and download through the signed URL. Exports are download-only.
+ */
+router.post('/export', requirePermission('data.export'), applyReportLimiter, async (req, res) => {
+	try {
+		const account = await getDb()
+			.collection('Accounts')
+			.findOne({ _id: new ObjectId(req.farmId) });
+
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		const jobId = await ReportJobManager.getInstance().createJob(req.session.accountId, {
+			delivery: DeliveryType.DOWNLOAD,
+			reportType: DATA_EXPORT_REPORT_TYPE,
+			dateRange: 'all'
+		});
+
+		setImmediate(() => {
+			ReportJobManager.getInstance()
+				.processJob(jobId, account)
+				.catch(err => console.error('[Report] Background export error:', err));
+		});
+
+		res.status(202).json(ok({
+			jobId,
+			message: 'Data export started'
+		}));
+
+	} catch (err) {
+		console.error('[Report] Create export error:', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
 /**
  * GET /report/status/:jobId
  * Poll for job status.
@@ -250,6 +317,7 @@ router.get('/latest', async (req, res) => {
 				createdAt: job.createdAt,
 				downloadUrl: freshUrl,
 				reportType: job.reportType,
+				format: job.format || ReportFormat.PDF,
 				dateRange: job.dateRange
 			}
 		}));
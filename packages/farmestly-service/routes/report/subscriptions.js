@@ -0,0 +1,307 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+const { getDb } = require('../../utils/db');
+const { ok, fail } = require('../../utils/response');
+const { validate } = require('../../middleware/validation');
+const { requirePermission } = require('../../middleware/permissions');
+const { ObjectId } = require('mongodb');
+const { ReportFormat, PPP_REGISTER_REPORT_TYPE, YIELD_REPORT_TYPE, COST_REPORT_TYPE, SUBSTANCE_USE_REPORT_TYPE } = require('../../utils/ReportJobManager');
+const { ReportScheduler, Frequency, getNextRunAt } = require('../../utils/ReportScheduler');
+const { createReportSubscriptionLimiter } = require('../../middleware/rateLimiter');
+
+const MAX_SUBSCRIPTIONS_PER_FARM = parseInt(process.env.REPORT_SUBSCRIPTIONS_MAX, 10) || 10;
+const MAX_RECIPIENTS = 5;
+
+const REPORT_TYPES = ['all', 'chronological', 'field', 'machine', 'job_type', 'attachment', 'tool', PPP_REGISTER_REPORT_TYPE, YIELD_REPORT_TYPE, COST_REPORT_TYPE, SUBSTANCE_USE_REPORT_TYPE];
+
+// Rate limiter (initialized after Redis is ready)
+let subscriptionLimiter = null;
+
+/**
+ * Initialize rate limiters - call after Redis is connected
+ */
+function initializeLimiters() {
+	try {
+		subscriptionLimiter = createReportSubscriptionLimiter();
+		console.log('[ReportSubscriptions] Rate limiters initialized');
+	} catch (err) {
+		console.warn('[ReportSubscriptions] Rate limiters not initialized (Redis not ready):', err.message);
+	}
+}
+
+/**
+ * Middleware to apply rate limiter if initialized
+ */
+function applySubscriptionLimiter(req, res, next) {
+	if (subscriptionLimiter) {
+		return subscriptionLimiter(req, res, next);
+	}
+	next();
+}
+
+async function ensureIndexes() {
+	await ReportScheduler.getInstance().ensureIndexes();
+}
+
+const subscriptionRules = [
+	body('name')
+		.exists({ checkNull: true }).withMessage('reportSubscription.nameRequired')
+		.isString().withMessage('reportSubscription.nameRequired')
+		.trim()
+		.isLength({ min: 1, max: 100 }).withMessage('reportSubscription.nameInvalid'),
+	body('reportType')
+		.optional({ nullable: true })
+		.isIn(REPORT_TYPES).withMessage('reportSubscription.reportTypeInvalid'),
+	body('format')
+		.optional({ nullable: true })
+		.isIn(Object.values(ReportFormat)).withMessage('reportSubscription.formatInvalid'),
+	body('frequency')
+		.exists({ checkNull: true }).withMessage('reportSubscription.frequencyRequired')
+		.isIn(Object.values(Frequency)).withMessage('reportSubscription.frequencyInvalid'),
+	body('recipients')
+		.isArray({ min: 1, max: MAX_RECIPIENTS }).withMessage('reportSubscription.recipientsInvalid'),
+	body('recipients.*')
+		.isEmail().withMessage('reportSubscription.recipientEmailInvalid')
+		.normalizeEmail(),
+	body('enabled')
+		.optional({ nullable: true })
+		.isBoolean().withMessage('reportSubscription.enabledInvalid')
+];
+
+const idRules = [
+	param('id')
+		.custom((value) => ObjectId.isValid(value)).withMessage('reportSubscription.idInvalid')
+];
+
+/**
+ * Strip recipient verification tokens before returning a subscription.
+ */
+function toResponse(subscription) {
+	return {
+		_id: subscription._id,
+		name: subscription.name,
+		reportType: subscription.reportType,
+		format: subscription.format,
+		frequency: subscription.frequency,
+		enabled: subscription.enabled,
+		recipients: subscription.recipients.map(r => ({
+			email: r.email,
+			verified: r.verified
+		})),
+		nextRunAt: subscription.nextRunAt,
+		lastRun: subscription.lastRun || null,
+		createdAt: subscription.createdAt,
+		updatedAt: subscription.updatedAt
+	};
+}
+
+/**
+ * Build the recipient list, keeping the verification state of addresses
+ * that were already on the subscription.
+ */
+function mergeRecipients(emails, existing, creator) {
+	const unique = [...new Set(emails)];
+	const scheduler = ReportScheduler.getInstance();
+
+	return unique.map(email => {
+		const current = existing.find(r => r.email === email);
+		if (current && (current.verified || current.verification)) {
+			return current;
+		}
+		return scheduler.createRecipient(email, creator);
+	});
+}
+
+async function loadAccounts(req) {
+	const accounts = getDb().collection('Accounts');
+	const account = await accounts.findOne({ _id: new ObjectId(req.farmId) });
+	if (!account) return {};
+
+	const creator = req.session.accountId === req.farmId
+		? account
+		: await accounts.findOne({ _id: new ObjectId(req.session.accountId) });
+
+	return { account, creator };
+}
+
+/**
+ * Email every recipient holding a verification token that was not already sent.
+ */
+async function sendPendingVerifications(subscription, previous, account) {
+	const farmName = account.content?.farmData?.farmName || '';
+	const scheduler = ReportScheduler.getInstance();
+	const sentTokens = new Set(previous.map(r => r.verification?.token).filter(Boolean));
+
+	for (const recipient of subscription.recipients) {
+		if (!recipient.verification || sentTokens.has(recipient.verification.token)) continue;
+		await scheduler.sendRecipientVerification(subscription, recipient, farmName);
+	}
+}
+
+// GET /report/subscriptions - List the farm's report subscriptions
+router.get('/', async (req, res) => {
+	try {
+		const subscriptions = await getDb().collection('reportSubscriptions')
+			.find({ accountId: new ObjectId(req.farmId) })
+			.sort({ createdAt: 1 })
+			.toArray();
+
+		res.json(ok(subscriptions.map(toResponse)));
+	} catch (err) {
+		console.error('[report/subscriptions/list]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /report/subscriptions - Create a subscription
+router.post('/', requirePermission('reports.create'), applySubscriptionLimiter, validate(subscriptionRules), async (req, res) => {
+	try {
+		const { account, creator } = await loadAccounts(req);
+		if (!account || !creator) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		const count = await getDb().collection('reportSubscriptions')
+			.countDocuments({ accountId: account._id });
+		if (count >= MAX_SUBSCRIPTIONS_PER_FARM) {
+			return res.status(400).json(fail('TOO_MANY_SUBSCRIPTIONS'));
+		}
+
+		const now = new Date();
+		const subscription = {
+			_id: new ObjectId(),
+			accountId: account._id,
+			createdBy: creator._id,
+			name: req.body.name,
+			reportType: req.body.reportType || 'chronological',
+			format: req.body.format || ReportFormat.PDF,
+			frequency: req.body.frequency,
+			enabled: req.body.enabled ?? true,
+			recipients: mergeRecipients(req.body.recipients, [], creator),
+			nextRunAt: getNextRunAt(req.body.frequency, now),
+			lastRun: null,
+			createdAt: now,
+			updatedAt: now
+		};
+
+		await getDb().collection('reportSubscriptions').insertOne(subscription);
+		await sendPendingVerifications(subscription, [], account);
+
+		res.json(ok(toResponse(subscription)));
+	} catch (err) {
+		console.error('[report/subscriptions/create]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// PUT /report/subscriptions/:id - Update a subscription
+router.put('/:id', requirePermission('reports.create'), applySubscriptionLimiter, validate([...idRules, ...subscriptionRules]), async (req, res) => {
+	try {
+		const { account, creator } = await loadAccounts(req);
+		if (!account || !creator) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		const existing = await getDb().collection('reportSubscriptions').findOne({
+			_id: new ObjectId(req.params.id),
+			accountId: account._id
+		});
+		if (!existing) {
+			return res.status(404).json(fail('SUBSCRIPTION_NOT_FOUND'));
+		}
+
+		const now = new Date();
+		const enabled = req.body.enabled ?? existing.enabled;
+
+		// A new frequency, or re-enabling after a missed run, starts from the next period
+		let nextRunAt = existing.nextRunAt;
+		if (req.body.frequency !== existing.frequency || (enabled && existing.nextRunAt <= now)) {
+			nextRunAt = getNextRunAt(req.body.frequency, now);
+		}
+
+		const updateFields = {
+			name: req.body.name,
+			reportType: req.body.reportType || existing.reportType,
+			format: req.body.format || existing.format,
+			frequency: req.body.frequency,
+			enabled,
+			recipients: mergeRecipients(req.body.recipients, existing.recipients, creator),
+			nextRunAt,
+			updatedAt: now
+		};
+
+		const result = await getDb().collection('reportSubscriptions').findOneAndUpdate(
+			{ _id: existing._id },
+			{ $set: updateFields },
+			{ returnDocument: 'after' }
+		);
+
+		await sendPendingVerifications(result, existing.recipients, account);
+
+		res.json(ok(toResponse(result)));
+	} catch (err) {
+		console.error('[report/subscriptions/update]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /report/subscriptions/:id/resend - Re-send confirmation to unverified recipients
+router.post('/:id/resend', requirePermission('reports.create'), applySubscriptionLimiter, validate(idRules), async (req, res) => {
+	try {
+		const { account, creator } = await loadAccounts(req);
+		if (!account || !creator) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		const existing = await getDb().collection('reportSubscriptions').findOne({
+			_id: new ObjectId(req.params.id),
+			accountId: account._id
+		});
+		if (!existing) {
+			return res.status(404).json(fail('SUBSCRIPTION_NOT_FOUND'));
+		}
+
+		// Fresh tokens for every address that is still unverified
+		const scheduler = ReportScheduler.getInstance();
+		const recipients = existing.recipients.map(r =>
+			r.verified ? r : scheduler.createRecipient(r.email, creator)
+		);
+
+		const result = await getDb().collection('reportSubscriptions').findOneAndUpdate(
+			{ _id: existing._id },
+			{ $set: { recipients, updatedAt: new Date() } },
+			{ returnDocument: 'after' }
+		);
+
+		await sendPendingVerifications(result, [], account);
+
+		res.json(ok(toResponse(result)));
+	} catch (err) {
+		console.error('[report/subscriptions/resend]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// DELETE /report/subscriptions/:id - Delete a subscription
+router.delete('/:id', requirePermission('reports.create'), validate(idRules), async (req, res) => {
+	try {
+		const result = await getDb().collection('reportSubscriptions').deleteOne({
+			_id: new ObjectId(req.params.id),
+			accountId: new ObjectId(req.farmId)
+		});
+
+		if (result.deletedCount === 0) {
+			return res.status(404).json(fail('SUBSCRIPTION_NOT_FOUND'));
+		}
+
+		res.json(ok({ deleted: req.params.id }));
+	} catch (err) {
+		console.error('[report/subscriptions/delete]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
+module.exports.initializeLimiters = initializeLimiters;
+module.exports.ensureIndexes = ensureIndexes;
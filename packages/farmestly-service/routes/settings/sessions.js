@@ -0,0 +1,61 @@
+// routes/settings/sessions.js
+// The signed-in sessions of the account and the devices they are on, with
+// remote sign-out of one session or of every session but the current one.
+
+const express = require('express');
+const { param } = require('express-validator');
+const router = express.Router();
+const { ok, fail } = require('../../utils/response');
+const { validate } = require('../../middleware/validation');
+const {
+	getPublicSessionId,
+	listAccountSessions,
+	destroyAccountSession,
+	destroyAccountSessions
+} = require('../../utils/sessions');
+
+// GET /settings/sessions - Sessions of the signed-in account, most recently used first
+router.get('/', async (req, res) => {
+	try {
+		const sessions = await listAccountSessions(req.memberId, req.sessionID);
+		res.json(ok({ sessions }));
+	} catch (err) {
+		console.error('[settings/sessions]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// DELETE /settings/sessions - Sign out every other session
+router.delete('/', async (req, res) => {
+	try {
+		const count = await destroyAccountSessions(req.memberId, req.sessionID);
+		res.json(ok({ count }));
+	} catch (err) {
+		console.error('[settings/sessions]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// DELETE /settings/sessions/:id - Sign out one session; the current one signs out through /signout
+router.delete('/:id', validate([
+	param('id')
+		.isHexadecimal().withMessage('sessions.idInvalid')
+		.isLength({ min: 24, max: 24 }).withMessage('sessions.idInvalid')
+]), async (req, res) => {
+	try {
+		if (req.params.id === getPublicSessionId(req.sessionID)) {
+			return res.status(400).json(fail('CURRENT_SESSION'));
+		}
+
+		const destroyed = await destroyAccountSession(req.memberId, req.params.id);
+		if (!destroyed) {
+			return res.status(404).json(fail('SESSION_NOT_FOUND'));
+		}
+		res.json(ok());
+	} catch (err) {
+		console.error('[settings/sessions]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,315 @@
+// routes/settings/twoFactor.js
+// Two-factor enrollment for password accounts: setting up an authenticator
+// app, recovery codes, an optional phone for SMS codes, and turning it off.
+// Phone accounts already sign in with an SMS code and have no password.
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { body } = require('express-validator');
+const { ObjectId } = require('mongodb');
+const { phone: parsePhone } = require('phone');
+const router = express.Router();
+const { getDb } = require('../../utils/db');
+const { ok, fail } = require('../../utils/response');
+const { validate } = require('../../middleware/validation');
+const { createReauthLimiter } = require('../../middleware/rateLimiter');
+const { destroyAccountSessions } = require('../../utils/sessions');
+const {
+	generateSecret,
+	getOtpauthUrl,
+	verifyTotp,
+	generateRecoveryCodes
+} = require('../../utils/twoFactor');
+const { requestVerificationCode, checkVerificationCode, NO_PASSWORD } = require('../auth/phoneVerify');
+
+// Rate limiter (initialized after Redis is ready)
+let reauthLimiter = null;
+
+/**
+ * Initialize rate limiters - call after Redis is connected
+ */
+function initializeLimiters() {
+	try {
+		reauthLimiter = createReauthLimiter();
+		console.log('[TwoFactorSettings] Rate limiters initialized');
+	} catch (err) {
+		console.warn('[TwoFactorSettings] Rate limiters not initialized (Redis not ready):', err.message);
+	}
+}
+
+/**
+ * Middleware to apply rate limiter if initialized
+ */
+function applyReauthLimiter(req, res, next) {
+	if (reauthLimiter) {
+		return reauthLimiter(req, res, next);
+	}
+	next();
+}
+
+const maskPhone = (phoneNumber) => `•••••${phoneNumber.slice(-4)}`;
+
+const passwordRule = body('password')
+	.isString().withMessage('password.required')
+	.notEmpty().withMessage('password.empty');
+
+const codeRule = body('code')
+	.isString().withMessage('twoFactor.codeRequired')
+	.trim()
+	.notEmpty().withMessage('twoFactor.codeRequired')
+	.isLength({ max: 32 }).withMessage('twoFactor.codeInvalid');
+
+async function findAccount(req) {
+	return getDb().collection('Accounts').findOne({ _id: new ObjectId(req.memberId) });
+}
+
+/**
+ * Confirm the password of a password account before a two-factor change.
+ * Responds and returns false when it does not match.
+ */
+async function checkPassword(account, password, res) {
+	const matches = await bcrypt.compare(password, account.metadata.password);
+	if (!matches) {
+		res.status(401).json(fail('LOGIN_INCORRECT'));
+		return false;
+	}
+	return true;
+}
+
+// GET /settings/twoFactor - Two-factor status of the signed-in account
+router.get('/', async (req, res) => {
+	try {
+		const account = await findAccount(req);
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+
+		const twoFactor = account.metadata.twoFactor || {};
+		res.json(ok({
+			available: account.metadata.password !== NO_PASSWORD,
+			enabled: twoFactor.enabled === true,
+			enabledAt: twoFactor.enabledAt || null,
+			recoveryCodesLeft: twoFactor.enabled ? (twoFactor.recoveryCodes || []).length : 0,
+			phone: twoFactor.phone ? maskPhone(twoFactor.phone) : null
+		}));
+	} catch (err) {
+		console.error('[settings/twoFactor]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /settings/twoFactor/setup - Start enrollment with a new authenticator secret
+router.post('/setup', async (req, res) => {
+	try {
+		const account = await findAccount(req);
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+		if (account.metadata.password === NO_PASSWORD) {
+			return res.status(400).json(fail('PHONE_ACCOUNT'));
+		}
+		if (account.metadata.twoFactor?.enabled) {
+			return res.status(400).json(fail('TWO_FACTOR_ENABLED'));
+		}
+
+		const secret = generateSecret();
+		await getDb().collection('Accounts').updateOne(
+			{ _id: account._id },
+			{ $set: { 'metadata.twoFactorSetup': { secret, createdAt: new Date() } } }
+		);
+
+		res.json(ok({
+			secret,
+			otpauthUrl: getOtpauthUrl(secret, account.metadata.username)
+		}));
+	} catch (err) {
+		console.error('[settings/twoFactor/setup]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /settings/twoFactor/enable - Finish enrollment with a code from the authenticator app
+//
+// Returns the recovery codes; they are not shown again. Every other session of
+// the account is signed out so it has to sign in with the second factor.
+router.post('/enable', applyReauthLimiter, validate([codeRule]), async (req, res) => {
+	try {
+		const account = await findAccount(req);
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+		if (account.metadata.twoFactor?.enabled) {
+			return res.status(400).json(fail('TWO_FACTOR_ENABLED'));
+		}
+
+		const secret = account.metadata.twoFactorSetup?.secret;
+		if (!secret) {
+			return res.status(400).json(fail('NO_PENDING_SETUP'));
+		}
+
+		const step = verifyTotp(secret, req.body.code);
+		if (step === null) {
+			return res.status(401).json(fail('INVALID_CODE'));
+		}
+
+		const { codes, hashes } = generateRecoveryCodes();
+		const result = await getDb().collection('Accounts').updateOne(
+			{ _id: account._id, 'metadata.twoFactorSetup.secret': secret },
+			{
+				$set: {
+					'metadata.twoFactor': {
+						enabled: true,
+						secret,
+						enabledAt: new Date(),
+						lastStep: step,
+						recoveryCodes: hashes,
+						phone: null
+					}
+				},
+				$unset: { 'metadata.twoFactorSetup': '' }
+			}
+		);
+		if (result.modifiedCount === 0) {
+			return res.status(400).json(fail('NO_PENDING_SETUP'));
+		}
+
+		await destroyAccountSessions(req.memberId, req.sessionID);
+		res.json(ok({ recoveryCodes: codes }));
+	} catch (err) {
+		console.error('[settings/twoFactor/enable]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /settings/twoFactor/recoveryCodes - Replace the recovery codes, confirmed with the password
+router.post('/recoveryCodes', applyReauthLimiter, validate([passwordRule]), async (req, res) => {
+	try {
+		const account = await findAccount(req);
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+		if (!account.metadata.twoFactor?.enabled) {
+			return res.status(400).json(fail('TWO_FACTOR_DISABLED'));
+		}
+		if (!(await checkPassword(account, req.body.password, res))) return;
+
+		const { codes, hashes } = generateRecoveryCodes();
+		await getDb().collection('Accounts').updateOne(
+			{ _id: account._id },
+			{ $set: { 'metadata.twoFactor.recoveryCodes': hashes } }
+		);
+
+		res.json(ok({ recoveryCodes: codes }));
+	} catch (err) {
+		console.error('[settings/twoFactor/recoveryCodes]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /settings/twoFactor/disable - Turn two-factor off, confirmed with the password
+router.post('/disable', applyReauthLimiter, validate([passwordRule]), async (req, res) => {
+	try {
+		const account = await findAccount(req);
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+		if (!account.metadata.twoFactor?.enabled) {
+			return res.status(400).json(fail('TWO_FACTOR_DISABLED'));
+		}
+		if (!(await checkPassword(account, req.body.password, res))) return;
+
+		await getDb().collection('Accounts').updateOne(
+			{ _id: account._id },
+			{ $unset: { 'metadata.twoFactor': '', 'metadata.twoFactorSetup': '' } }
+		);
+
+		res.json(ok());
+	} catch (err) {
+		console.error('[settings/twoFactor/disable]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /settings/twoFactor/phone - Send an SMS code to a phone to receive login codes on
+//
+// Body: { phoneNumber, countryCode, password }. The number is saved once the
+// code is confirmed with /phone/verify.
+router.post('/phone', applyReauthLimiter, validate([
+	passwordRule,
+	body('phoneNumber')
+		.isString().withMessage('phone.required')
+		.notEmpty().withMessage('phone.required')
+]), async (req, res) => {
+	try {
+		const account = await findAccount(req);
+		if (!account) {
+			return res.status(401).json(fail('SIGNED_OUT'));
+		}
+		if (!account.metadata.twoFactor?.enabled) {
+			return res.status(400).json(fail('TWO_FACTOR_DISABLED'));
+		}
+
+		const parsed = parsePhone(req.body.phoneNumber, { country: req.body.countryCode });
+		if (!parsed.isValid) {
+			return res.status(400).json(fail('INVALID_PHONE_FORMAT'));
+		}
+		if (!(await checkPassword(account, req.body.password, res))) return;
+
+		await requestVerificationCode(parsed.phoneNumber);
+		req.session.twoFactorPhone = parsed.phoneNumber;
+		res.json(ok({ phone: maskPhone(parsed.phoneNumber) }));
+	} catch (err) {
+		console.error('[settings/twoFactor/phone]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /settings/twoFactor/phone/verify - Save the phone once its SMS code is confirmed
+router.post('/phone/verify', applyReauthLimiter, validate([
+	body('verificationCode')
+		.isString().withMessage('auth.verificationCodeRequired')
+		.notEmpty().withMessage('auth.verificationCodeRequired')
+]), async (req, res) => {
+	try {
+		const phoneNumber = req.session.twoFactorPhone;
+		if (!phoneNumber) {
+			return res.status(400).json(fail('NO_PENDING_CODE'));
+		}
+
+		const status = await checkVerificationCode(phoneNumber, req.body.verificationCode);
+		if (status === 'invalid') return res.status(400).json(fail('INVALID_CODE_FORMAT'));
+		if (status === 'rejected') return res.status(401).json(fail('REJECTED'));
+		if (status === 'expired') return res.status(401).json(fail('EXPIRED'));
+
+		const result = await getDb().collection('Accounts').updateOne(
+			{ _id: new ObjectId(req.memberId), 'metadata.twoFactor.enabled': true },
+			{ $set: { 'metadata.twoFactor.phone': phoneNumber } }
+		);
+		delete req.session.twoFactorPhone;
+
+		if (result.matchedCount === 0) {
+			return res.status(400).json(fail('TWO_FACTOR_DISABLED'));
+		}
+		res.json(ok({ phone: maskPhone(phoneNumber) }));
+	} catch (err) {
+		console.error('[settings/twoFactor/phone/verify]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// DELETE /settings/twoFactor/phone - Stop sending login codes by SMS
+router.delete('/phone', async (req, res) => {
+	try {
+		await getDb().collection('Accounts').updateOne(
+			{ _id: new ObjectId(req.memberId), 'metadata.twoFactor.enabled': true },
+			{ $set: { 'metadata.twoFactor.phone': null } }
+		);
+		res.json(ok());
+	} catch (err) {
+		console.error('[settings/twoFactor/phone]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
+module.exports.initializeLimiters = initializeLimiters;
@@ -0,0 +1,50 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const router = express.Router();
+const { ok, fail } = require('../utils/response');
+const { validate } = require('../middleware/validation');
+const { getSubstanceUse } = require('../utils/activeSubstances');
+const { checkSeasonLimits } = require('../utils/seasonLimits');
+const { ObjectId } = require('mongodb');
+
+// GET /substances/use?season=2026 - Active substances applied per season, farm-wide and per field
+router.get('/use', validate([
+	query('season')
+		.optional()
+		.isInt({ min: 2000, max: 2100 }).withMessage('substances.seasonInvalid')
+]), async (req, res) => {
+	try {
+		const substances = await getSubstanceUse(new ObjectId(req.farmId), { season: req.query.season });
+		res.json(ok({ season: req.query.season || null, substances }));
+	} catch (err) {
+		console.error('[substances/use]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+// POST /substances/check - Season limits a planned spray would reach or exceed on its fields
+router.post('/check', validate([
+	body('fieldIds')
+		.isArray({ min: 1 }).withMessage('substances.fieldIdsRequired'),
+	body('fieldIds.*')
+		.isMongoId().withMessage('substances.fieldIdInvalid'),
+	body('products')
+		.isArray({ min: 1 }).withMessage('substances.productsRequired'),
+	body('products.*.productId')
+		.isMongoId().withMessage('substances.productIdInvalid'),
+	body('products.*.rate')
+		.isFloat({ gt: 0 }).withMessage('substances.rateInvalid')
+]), async (req, res) => {
+	try {
+		const results = await checkSeasonLimits(new ObjectId(req.farmId), {
+			fieldIds: req.body.fieldIds,
+			products: req.body.products.map(p => ({ productId: p.productId, rate: Number(p.rate) }))
+		});
+		res.json(ok({ results }));
+	} catch (err) {
+		console.error('[substances/check]', err);
+		res.status(500).json(fail('INTERNAL_ERROR'));
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+// shared/geo/geojson.js
+// Conversions between field documents and GeoJSON (RFC 7946)
+
+/**
+ * Whether a closed ring of [x, y] positions winds clockwise
+ * (negative signed area in a y-up coordinate system).
+ * @param {Array<Array<number>>} ring
+ * @returns {boolean}
+ */
+function isClockwise(ring) {
+	let sum = 0;
+	for (let i = 0; i < ring.length - 1; i++) {
+		sum += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+	}
+	return sum > 0;
+}
+
+/**
+ * Convert field points ({ latitude, longitude }) to a closed ring of
+ * [longitude, latitude] positions.
+ * @param {Array<{latitude: number, longitude: number}>} points
+ * @param {boolean} [clockwise=false] - Winding of the returned ring
+ * @returns {Array<Array<number>>|null} - Ring, or null without enough points
+ */
+function pointsToRing(points, clockwise = false) {
+	if (!Array.isArray(points) || points.length < 3) return null;
+
+	const ring = points.map(p => [p.longitude, p.latitude]);
+	const first = ring[0];
+	const last = ring[ring.length - 1];
+	if (first[0] !== last[0] || first[1] !== last[1]) {
+		ring.push([first[0], first[1]]);
+	}
+
+	if (isClockwise(ring) !== clockwise) ring.reverse();
+	return ring;
+}
+
+/**
+ * Convert field points to a GeoJSON Polygon. The exterior ring is
+ * counterclockwise, as RFC 7946 requires.
+ * @param {Array<{latitude: number, longitude: number}>} points
+ * @returns {Object|null} - Polygon geometry, or null without enough points
+ */
+function pointsToPolygon(points) {
+	const ring = pointsToRing(points);
+	return ring ? { type: 'Polygon', coordinates: [ring] } : null;
+}
+
+/**
+ * Build a FeatureCollection with one Polygon feature per field.
+ * @param {Array<Object>} fields - Fields documents
+ * @returns {Object} - GeoJSON FeatureCollection
+ */
+function fieldsToFeatureCollection(fields) {
+	return {
+		type: 'FeatureCollection',
+		features: fields.map(field => ({
+			type: 'Feature',
+			id: field._id.toString(),
+			geometry: pointsToPolygon(field.points),
+			properties: {
+				name: field.name,
+				fieldLegalNumber: field.fieldLegalNumber || null,
+				area: field.area,
+				farmingType: field.farmingType || null,
+				crop: field.currentCultivation?.crop || null,
+				color: field.color || null
+			}
+		}))
+	};
+}
+
+module.exports = {
+	isClockwise,
+	pointsToRing,
+	pointsToPolygon,
+	fieldsToFeatureCollection
+};
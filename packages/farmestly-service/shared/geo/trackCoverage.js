@@ -0,0 +1,277 @@
+// shared/geo/trackCoverage.js
+// GPS tracks recorded during jobs: decoding of the compact track format and
+// the area covered by an implement of a given working width.
+
+const EARTH_RADIUS_M = 6371000;
+const DEG = Math.PI / 180;
+
+// Coordinates are stored with 5 decimals (~1 m), times in whole seconds
+const COORD_FACTOR = 1e5;
+
+// Grid used to rasterise the swath; cells get larger on big fields and on
+// long tracks, so the work per record stays bounded
+const MAX_GRID_CELLS = 400000;
+const MAX_CELL_VISITS = 5000000;
+const MIN_CELL_SIZE_M = 0.5;
+
+// Points accepted in one job track, over all its segments
+const MAX_TRACK_POINTS = 50000;
+
+// Jumps longer than this are treated as lost GPS signal, not as treated ground
+const MAX_GAP_M = 100;
+
+/**
+ * Decode one segment path. Each point is three zigzag-encoded deltas in the
+ * Google polyline alphabet: latitude, longitude (1e-5°) and time (s).
+ * @param {string} path
+ * @param {Date} startedAt - Time of the first point
+ * @returns {Array<{latitude: number, longitude: number, time: Date}>}
+ */
+function decodePath(path, startedAt) {
+	const points = [];
+	const values = [0, 0, 0];
+	let index = 0;
+	let component = 0;
+	let shift = 0;
+	let result = 0;
+
+	while (index < path.length) {
+		const byte = path.charCodeAt(index++) - 63;
+		if (byte < 0 || byte > 63) throw new Error('Invalid track encoding');
+
+		result |= (byte & 0x1f) << shift;
+		shift += 5;
+		if (byte >= 0x20) continue;
+
+		values[component] += (result & 1) ? ~(result >> 1) : (result >> 1);
+		result = 0;
+		shift = 0;
+		component++;
+
+		if (component === 3) {
+			points.push({
+				latitude: values[0] / COORD_FACTOR,
+				longitude: values[1] / COORD_FACTOR,
+				time: new Date(startedAt.getTime() + values[2] * 1000)
+			});
+			component = 0;
+		}
+	}
+
+	if (component !== 0 || shift !== 0) throw new Error('Invalid track encoding');
+	return points;
+}
+
+/**
+ * Count the points in an encoded path without decoding it: every point ends
+ * with three terminating bytes, one per value.
+ * @param {string} path
+ * @returns {number}
+ */
+function countPathPoints(path) {
+	let values = 0;
+	for (let index = 0; index < path.length; index++) {
+		if (path.charCodeAt(index) - 63 < 0x20) values++;
+	}
+	return Math.floor(values / 3);
+}
+
+/**
+ * Decode a job track ({ segments: [{ startedAt, path }] }). A new segment
+ * starts every time the recording is resumed after a pause.
+ * @param {Object} track
+ * @returns {Array<Array<{latitude: number, longitude: number, time: Date}>>}
+ */
+function decodeTrack(track) {
+	return (track?.segments || []).map(segment => decodePath(segment.path, new Date(segment.startedAt)));
+}
+
+/**
+ * Local equirectangular projection to metres around an origin.
+ * Accurate enough over the extent of a single field.
+ */
+function createProjection(origin) {
+	const kx = Math.cos(origin.latitude * DEG) * EARTH_RADIUS_M * DEG;
+	const ky = EARTH_RADIUS_M * DEG;
+	return (p) => [(p.longitude - origin.longitude) * kx, (p.latitude - origin.latitude) * ky];
+}
+
+/**
+ * Smallest cell size for which scanning the bounding box of every track piece
+ * stays within about MAX_CELL_VISITS. A piece spanning a × b metres, swath
+ * included, visits up to (a / s + 1)(b / s + 1) cells of size s.
+ */
+function scanCellSize(pieces, width) {
+	let area = 0;
+	let perimeter = 0;
+	for (const [dx, dy] of pieces) {
+		const a = Math.abs(dx) + width;
+		const b = Math.abs(dy) + width;
+		area += a * b;
+		perimeter += a + b;
+	}
+	return (perimeter + Math.sqrt(perimeter * perimeter + 4 * MAX_CELL_VISITS * area)) / (2 * MAX_CELL_VISITS);
+}
+
+/**
+ * Mark grid cells whose centre lies inside the polygon, one scanline per row.
+ */
+function rasterisePolygon(ring, grid) {
+	const inside = new Uint8Array(grid.cols * grid.rows);
+
+	for (let row = 0; row < grid.rows; row++) {
+		const y = grid.minY + (row + 0.5) * grid.cellSize;
+		const crossings = [];
+
+		for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+			const [xi, yi] = ring[i];
+			const [xj, yj] = ring[j];
+			if ((yi > y) !== (yj > y)) {
+				crossings.push(xi + (y - yi) / (yj - yi) * (xj - xi));
+			}
+		}
+
+		crossings.sort((a, b) => a - b);
+		for (let k = 0; k + 1 < crossings.length; k += 2) {
+			const start = Math.max(0, Math.ceil((crossings[k] - grid.minX) / grid.cellSize - 0.5));
+			const end = Math.min(grid.cols - 1, Math.floor((crossings[k + 1] - grid.minX) / grid.cellSize - 0.5));
+			for (let col = start; col <= end; col++) {
+				inside[row * grid.cols + col] = 1;
+			}
+		}
+	}
+
+	return inside;
+}
+
+/**
+ * Estimate how much of a field a track covered.
+ *
+ * The swath along the track is rasterised onto a grid over the field. A cell
+ * counts as treated again (overlap) only when the implement comes back to it
+ * after having travelled more than one working width away, so consecutive
+ * GPS fixes along the same pass are not counted twice.
+ *
+ * @param {Array<Array<{latitude: number, longitude: number}>>} segments - From decodeTrack
+ * @param {Array<{latitude: number, longitude: number}>} fieldPoints - Field polygon
+ * @param {number} width - Working width of the implement in metres
+ * @returns {Object|null} Areas in m², or null when the inputs are unusable
+ */
+function computeCoverage(segments, fieldPoints, width) {
+	if (!Array.isArray(fieldPoints) || fieldPoints.length < 3 || !(width > 0)) return null;
+
+	const project = createProjection(fieldPoints[0]);
+	const ring = fieldPoints.map(project);
+	const half = width / 2;
+
+	let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+	for (const [x, y] of ring) {
+		minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+		minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+	}
+	// Keep a swath-wide margin to measure treatment outside the boundary
+	minX -= half; minY -= half; maxX += half; maxY += half;
+
+	const tracks = segments.map(segment => segment.map(project));
+	const pieces = [];
+	for (const projected of tracks) {
+		for (let i = 1; i < projected.length; i++) {
+			const dx = projected[i][0] - projected[i - 1][0];
+			const dy = projected[i][1] - projected[i - 1][1];
+			const length = Math.hypot(dx, dy);
+			if (length > 0 && length <= MAX_GAP_M) pieces.push([dx, dy]);
+		}
+	}
+
+	const cellSize = Math.max(
+		MIN_CELL_SIZE_M,
+		Math.sqrt((maxX - minX) * (maxY - minY) / MAX_GRID_CELLS),
+		scanCellSize(pieces, width)
+	);
+	const grid = {
+		minX,
+		minY,
+		cellSize,
+		cols: Math.ceil((maxX - minX) / cellSize),
+		rows: Math.ceil((maxY - minY) / cellSize)
+	};
+
+	const inside = rasterisePolygon(ring, grid);
+	const passes = new Uint8Array(grid.cols * grid.rows);
+	const lastSeenAt = new Float64Array(grid.cols * grid.rows).fill(-Infinity);
+
+	let distance = 0;
+	let pointCount = 0;
+
+	for (const projected of tracks) {
+		pointCount += projected.length;
+
+		for (let i = 1; i < projected.length; i++) {
+			const [ax, ay] = projected[i - 1];
+			const [bx, by] = projected[i];
+			const dx = bx - ax;
+			const dy = by - ay;
+			const length = Math.hypot(dx, dy);
+
+			if (length === 0 || length > MAX_GAP_M) continue;
+
+			const colStart = Math.max(0, Math.floor((Math.min(ax, bx) - half - minX) / cellSize));
+			const colEnd = Math.min(grid.cols - 1, Math.floor((Math.max(ax, bx) + half - minX) / cellSize));
+			const rowStart = Math.max(0, Math.floor((Math.min(ay, by) - half - minY) / cellSize));
+			const rowEnd = Math.min(grid.rows - 1, Math.floor((Math.max(ay, by) + half - minY) / cellSize));
+
+			for (let row = rowStart; row <= rowEnd; row++) {
+				const cy = minY + (row + 0.5) * cellSize;
+				for (let col = colStart; col <= colEnd; col++) {
+					const cx = minX + (col + 0.5) * cellSize;
+
+					// Distance from the cell centre to the piece of track
+					const t = Math.max(0, Math.min(1, ((cx - ax) * dx + (cy - ay) * dy) / (length * length)));
+					if (Math.hypot(cx - (ax + t * dx), cy - (ay + t * dy)) > half) continue;
+
+					const cell = row * grid.cols + col;
+					const travelled = distance + t * length;
+					if (travelled - lastSeenAt[cell] > width && passes[cell] < 255) {
+						passes[cell]++;
+					}
+					lastSeenAt[cell] = Math.max(lastSeenAt[cell], travelled);
+				}
+			}
+
+			distance += length;
+		}
+	}
+
+	let fieldCells = 0, coveredCells = 0, overlapCells = 0, outsideCells = 0;
+	for (let cell = 0; cell < passes.length; cell++) {
+		if (inside[cell]) {
+			fieldCells++;
+			if (passes[cell] >= 1) coveredCells++;
+			if (passes[cell] >= 2) overlapCells++;
+		} else if (passes[cell] >= 1) {
+			outsideCells++;
+		}
+	}
+
+	const cellArea = cellSize * cellSize;
+	const percent = (cells) => fieldCells ? Math.round(cells / fieldCells * 1000) / 10 : 0;
+
+	return {
+		width,
+		distance: Math.round(distance),
+		pointCount,
+		coveredArea: Math.round(coveredCells * cellArea),
+		overlapArea: Math.round(overlapCells * cellArea),
+		outsideArea: Math.round(outsideCells * cellArea),
+		coveragePercent: percent(coveredCells),
+		overlapPercent: percent(overlapCells),
+		resolution: Math.round(cellSize * 100) / 100
+	};
+}
+
+module.exports = {
+	MAX_TRACK_POINTS,
+	countPathPoints,
+	decodeTrack,
+	computeCoverage
+};
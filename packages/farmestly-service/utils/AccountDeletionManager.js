@@ -0,0 +1,117 @@
+// utils/AccountDeletionManager.js
+// Purges accounts whose deletion grace period has passed, together with
+// every piece of farm data stored for them.
+
+const { getDb } = require('./db');
+const { getStorage } = require('./ReportStorage');
+const EmailQueue = require('./EmailQueue');
+const { destroyAccountSessions } = require('./sessions');
+
+// Collections whose documents belong to a farm through `accountId`
+const FARM_COLLECTIONS = [
+	'Fields',
+	'Machines',
+	'Attachments',
+	'Tools',
+	'Products',
+	'StockEntries',
+	'JobTemplates',
+	'PlannedJobs',
+	'jobs',
+	'cultivations',
+	'reportSubscriptions'
+];
+
+/**
+ * Singleton that runs the background purge of deleted accounts.
+ */
+class AccountDeletionManager {
+	static _instance = null;
+
+	static getInstance() {
+		if (!AccountDeletionManager._instance) {
+			AccountDeletionManager._instance = new AccountDeletionManager();
+		}
+		return AccountDeletionManager._instance;
+	}
+
+	/**
+	 * Purge every account whose grace period has ended.
+	 * @returns {Promise<{purged: number, failed: number}>}
+	 */
+	async purgeDueAccounts() {
+		const accounts = await getDb().collection('Accounts')
+			.find({ 'metadata.deletion.purgeAfter': { $lte: new Date() } })
+			.toArray();
+
+		let purged = 0;
+		let failed = 0;
+
+		for (const account of accounts) {
+			try {
+				await this.purgeAccount(account);
+				purged++;
+			} catch (err) {
+				// Leave the account marked so the next run retries it
+				console.error('[AccountDeletionManager] Failed to purge account:', account._id, err);
+				failed++;
+			}
+		}
+
+		return { purged, failed };
+	}
+
+	/**
+	 * Remove an account and all data stored for it. The Accounts document is
+	 * deleted last so a partial failure is retried on the next run.
+	 * @param {Object} account - Accounts document
+	 */
+	async purgeAccount(account) {
+		const db = getDb();
+		const accountId = account._id;
+
+		for (const name of FARM_COLLECTIONS) {
+			await db.collection(name).deleteMany({ accountId });
+		}
+
+		await this._purgeReports(accountId);
+		await this._purgeQueuedEmails(account);
+
+		// Memberships of this farm and of other farms this account joined
+		await db.collection('FarmMembers').deleteMany({
+			$or: [{ farmId: accountId }, { accountId }]
+		});
+
+		await destroyAccountSessions(accountId.toString());
+		await db.collection('Accounts').deleteOne({ _id: accountId });
+
+		console.log('[AccountDeletionManager] Purged account', accountId.toString());
+	}
+
+	async _purgeReports(accountId) {
+		const storage = getStorage();
+		const jobs = await getDb().collection('reportJobs')
+			.find({ accountId, 'result.downloadKey': { $exists: true } })
+			.toArray();
+
+		for (const job of jobs) {
+			await storage.delete(job.result.downloadKey);
+			await storage.delete(job.result.downloadKey + '.meta.json');
+		}
+
+		await getDb().collection('reportJobs').deleteMany({ accountId });
+	}
+
+	async _purgeQueuedEmails(account) {
+		const addresses = [
+			account.metadata?.email,
+			account.metadata?.emailVerification?.pendingEmail
+		].filter(Boolean);
+
+		for (const address of new Set(addresses)) {
+			await EmailQueue.getInstance().removeByRecipient(address);
+		}
+	}
+}
+
+module.exports = AccountDeletionManager;
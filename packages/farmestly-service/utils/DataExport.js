@@ -0,0 +1,288 @@
+// utils/DataExport.js
+// Builds the full farm data export (GDPR data portability) as a ZIP archive
+// of JSON and CSV files.
+
+const AdmZip = require('adm-zip');
+const { getDb } = require('./db');
+const { toCsv } = require('./csv');
+const { getActiveIngredients } = require('./activeSubstances');
+const { fieldsToFeatureCollection } = require('../shared/geo/geojson');
+
+const EXPORT_FORMAT_VERSION = 1;
+
+const id = (doc) => doc._id?.toString();
+
+// One value per active substance of a product, separated by "; "
+const listIngredients = (product, value) => {
+	const values = getActiveIngredients(product).map(value);
+	return values.some(v => v != null) ? values.map(v => v ?? '-').join('; ') : null;
+};
+
+// CSV column definitions. JSON files always contain the complete documents;
+// CSV files flatten the fields that are useful in a spreadsheet.
+const FIELD_COLUMNS = [
+	{ header: 'id', value: id },
+	{ header: 'name', value: f => f.name },
+	{ header: 'fieldLegalNumber', value: f => f.fieldLegalNumber },
+	{ header: 'area_m2', value: f => f.area },
+	{ header: 'farmingType', value: f => f.farmingType },
+	{ header: 'currentCrop', value: f => f.currentCultivation?.crop },
+	{ header: 'archived', value: f => f.archived === true }
+];
+
+const MACHINE_COLUMNS = [
+	{ header: 'id', value: id },
+	{ header: 'name', value: m => m.name },
+	{ header: 'make', value: m => m.make },
+	{ header: 'licenceNo', value: m => m.licenceNo },
+	{ header: 'usedFor', value: m => m.usedFor },
+	{ header: 'powerOnTime_s', value: m => m.powerOnTime },
+	{ header: 'hourlyRate', value: m => m.hourlyRate },
+	{ header: 'tankCapacity', value: m => m.tankCapacity },
+	{ header: 'boomWidth', value: m => m.boomWidth },
+	{ header: 'defaultCarrierRate', value: m => m.defaultCarrierRate },
+	{ header: 'notes', value: m => m.notes }
+];
+
+const ATTACHMENT_COLUMNS = [
+	{ header: 'id', value: id },
+	{ header: 'name', value: a => a.name },
+	{ header: 'make', value: a => a.make },
+	{ header: 'type', value: a => a.type },
+	{ header: 'usedFor', value: a => a.usedFor },
+	{ header: 'powerOnTime_s', value: a => a.powerOnTime },
+	{ header: 'hourlyRate', value: a => a.hourlyRate },
+	{ header: 'tankCapacity', value: a => a.tankCapacity },
+	{ header: 'boomWidth', value: a => a.boomWidth },
+	{ header: 'defaultCarrierRate', value: a => a.defaultCarrierRate },
+	{ header: 'notes', value: a => a.notes }
+];
+
+const TOOL_COLUMNS = [
+	{ header: 'id', value: id },
+	{ header: 'name', value: t => t.name },
+	{ header: 'type', value: t => t.type },
+	{ header: 'brand', value: t => t.brand },
+	{ header: 'model', value: t => t.model },
+	{ header: 'powerOnTime_s', value: t => t.powerOnTime },
+	{ header: 'hourlyRate', value: t => t.hourlyRate },
+	{ header: 'notes', value: t => t.notes }
+];
+
+const PRODUCT_COLUMNS = [
+	{ header: 'id', value: id },
+	{ header: 'name', value: p => p.name },
+	{ header: 'type', value: p => p.type?.name },
+	{ header: 'activeIngredient', value: p => listIngredients(p, ai => ai.name) },
+	{ header: 'activeIngredientCas', value: p => listIngredients(p, ai => ai.cas) },
+	{ header: 'activeIngredientConcentration', value: p => listIngredients(p, ai => ai.concentration ? `${ai.concentration} ${ai.concentrationUnit}` : null) },
+	{ header: 'activeIngredientStatus', value: p => listIngredients(p, ai => ai.approval?.status) },
+	{ header: 'activeIngredientSeasonLimit_g_ha', value: p => listIngredients(p, ai => ai.seasonLimit) },
+	{ header: 'authorisationNumber', value: p => p.authorisationNumber },
+	{ header: 'defaultRate', value: p => p.defaultRate },
+	{ header: 'isVolume', value: p => p.isVolume },
+	{ header: 'unitPrice', value: p => p.unitPrice },
+	{ header: 'rei_h', value: p => p.rei },
+	{ header: 'phi_d', value: p => p.phi },
+	{ header: 'maxApplications', value: p => p.maxApplications },
+	{ header: 'maxSeasonRate', value: p => p.maxSeasonRate },
+	{ header: 'stockOnHand', value: p => p.stock?.onHand },
+	{ header: 'notes', value: p => p.notes }
+];
+
+const STOCK_COLUMNS = [
+	{ header: 'id', value: id },
+	{ header: 'productId', value: e => e.productId },
+	{ header: 'type', value: e => e.type },
+	{ header: 'date', value: e => e.date },
+	{ header: 'quantity', value: e => e.quantity },
+	{ header: 'lotNumber', value: e => e.lotNumber },
+	{ header: 'supplier', value: e => e.supplier },
+	{ header: 'price', value: e => e.price },
+	{ header: 'expiryDate', value: e => e.expiryDate },
+	{ header: 'jobId', value: e => e.jobId },
+	{ header: 'fieldId', value: e => e.fieldId },
+	{ header: 'notes', value: e => e.notes }
+];
+
+const TEMPLATE_COLUMNS = [
+	{ header: 'id', value: id },
+	{ header: 'type', value: t => t.type },
+	{ header: 'name', value: t => t.name },
+	{ header: 'machineId', value: t => t.machineId },
+	{ header: 'attachmentId', value: t => t.attachmentId },
+	{ header: 'toolId', value: t => t.toolId },
+	{ header: 'productIds', value: t => (t.sprayConfig?.products || []).map(p => p.id).join(';') },
+	{ header: 'createdAt', value: t => t.createdAt }
+];
+
+const PLANNED_JOB_COLUMNS = [
+	{ header: 'id', value: id },
+	{ header: 'type', value: p => p.type },
+	{ header: 'template', value: p => p.template?.name },
+	{ header: 'fieldIds', value: p => (p.fieldIds || []).join(';') },
+	{ header: 'completedFieldIds', value: p => (p.completedFieldIds || []).join(';') },
+	{ header: 'dueDate', value: p => p.dueDate },
+	{ header: 'assignee', value: p => p.assignee?.username },
+	{ header: 'status', value: p => p.status },
+	{ header: 'completedAt', value: p => p.completedAt },
+	{ header: 'notes', value: p => p.notes }
+];
+
+const CULTIVATION_COLUMNS = [
+	{ header: 'id', value: id },
+	{ header: 'fieldId', value: c => c.fieldId },
+	{ header: 'crop', value: c => c.crop },
+	{ header: 'variety', value: c => c.variety },
+	{ header: 'eppoCode', value: c => c.eppoCode },
+	{ header: 'lotNumber', value: c => c.lotNumber },
+	{ header: 'seedManufacturer', value: c => c.seedManufacturer },
+	{ header: 'status', value: c => c.status },
+	{ header: 'bbchStage', value: c => c.bbchStage },
+	{ header: 'startTime', value: c => c.startTime },
+	{ header: 'endTime', value: c => c.endTime },
+	{ header: 'harvestedKg', value: c => c.harvestTotals?.mass },
+	{ header: 'harvestedL', value: c => c.harvestTotals?.volume }
+];
+
+const BBCH_COLUMNS = [
+	{ header: 'cultivationId', value: h => h.cultivationId },
+	{ header: 'stage', value: h => h.stage },
+	{ header: 'timestamp', value: h => h.timestamp }
+];
+
+const JOB_COLUMNS = [
+	{ header: 'id', value: id },
+	{ header: 'type', value: j => j.type },
+	{ header: 'fieldId', value: j => j.fieldId },
+	{ header: 'cultivationId', value: j => j.cultivation?.id },
+	{ header: 'crop', value: j => j.cultivation?.crop },
+	{ header: 'machine', value: j => j.machine?.name },
+	{ header: 'attachment', value: j => j.attachment?.name },
+	{ header: 'tool', value: j => j.tool?.name },
+	{ header: 'startedAt', value: j => j.startedAt },
+	{ header: 'endedAt', value: j => j.endedAt },
+	{ header: 'elapsedTime', value: j => j.elapsedTime },
+	{ header: 'status', value: j => j.status },
+	{ header: 'performedBy', value: j => j.performedBy?.username },
+	{ header: 'cost', value: j => j.cost?.total },
+	{ header: 'phiUntil', value: j => j.compliance?.phi?.endDate },
+	{ header: 'phiOverrideReason', value: j => j.compliance?.phi?.overrideReason },
+	{ header: 'seasonLimitsExceeded', value: j => (j.compliance?.seasonLimits || []).map(l => l.name).join('; ') || null },
+	{ header: 'notes', value: j => j.notes },
+	{ header: 'data', value: j => j.data?.[j.type] || null }
+];
+
+/**
+ * Remove credentials and one-time tokens from the account before export.
+ * @param {Object} account - Accounts document
+ */
+function sanitizeAccount(account) {
+	const {
+		password, emailVerification, latestSession, passwordReset, twoFactor, twoFactorSetup, ...metadata
+	} = account.metadata || {};
+
+	return {
+		_id: account._id,
+		metadata: {
+			...metadata,
+			emailPending: emailVerification?.pendingEmail || null,
+			twoFactor: twoFactor?.enabled
+				? { enabled: true, enabledAt: twoFactor.enabledAt, phone: twoFactor.phone || null }
+				: null
+		},
+		content: account.content || {}
+	};
+}
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+/**
+ * Collect every document stored for a farm and pack it into a ZIP.
+ *
+ * @param {Object} account - Accounts document owning the farm
+ * @returns {Promise<{buffer: Buffer, counts: Object}>}
+ */
+async function buildFarmExport(account) {
+	const db = getDb();
+	const accountId = account._id;
+	const byAccount = (name) => db.collection(name).find({ accountId }).toArray();
+
+	const [fields, machines, attachments, tools, products, stockEntries, templates, plannedJobs, cultivations, jobs] = await Promise.all([
+		byAccount('Fields'),
+		byAccount('Machines'),
+		byAccount('Attachments'),
+		byAccount('Tools'),
+		byAccount('Products'),
+		db.collection('StockEntries').find({ accountId }).sort({ date: 1 }).toArray(),
+		byAccount('JobTemplates'),
+		db.collection('PlannedJobs').find({ accountId }).sort({ dueDate: 1 }).toArray(),
+		byAccount('cultivations'),
+		db.collection('jobs').find({ accountId }).sort({ startedAt: 1 }).toArray()
+	]);
+
+	const bbchHistory = cultivations.flatMap(c =>
+		(c.bbchHistory || []).map(h => ({ cultivationId: id(c), ...h }))
+	);
+
+	const counts = {
+		fields: fields.length,
+		machines: machines.length,
+		attachments: attachments.length,
+		tools: tools.length,
+		products: products.length,
+		stockEntries: stockEntries.length,
+		templates: templates.length,
+		plannedJobs: plannedJobs.length,
+		cultivations: cultivations.length,
+		jobs: jobs.length
+	};
+
+	const zip = new AdmZip();
+	const add = (name, text) => zip.addFile(name, Buffer.from(text, 'utf8'));
+
+	add('manifest.json', toJson({
+		formatVersion: EXPORT_FORMAT_VERSION,
+		exportedAt: new Date(),
+		farmName: account.content?.farmData?.farmName || null,
+		units: { area: 'm2', powerOnTime: 's' },
+		counts
+	}));
+
+	add('account.json', toJson(sanitizeAccount(account)));
+
+	add('fields.geojson', toJson(fieldsToFeatureCollection(fields)));
+	add('fields.json', toJson(fields));
+	add('fields.csv', toCsv(fields, FIELD_COLUMNS));
+
+	add('equipment/machines.json', toJson(machines));
+	add('equipment/machines.csv', toCsv(machines, MACHINE_COLUMNS));
+	add('equipment/attachments.json', toJson(attachments));
+	add('equipment/attachments.csv', toCsv(attachments, ATTACHMENT_COLUMNS));
+	add('equipment/tools.json', toJson(tools));
+	add('equipment/tools.csv', toCsv(tools, TOOL_COLUMNS));
+
+	add('products.json', toJson(products));
+	add('products.csv', toCsv(products, PRODUCT_COLUMNS));
+	add('stock_ledger.json', toJson(stockEntries));
+	add('stock_ledger.csv', toCsv(stockEntries, STOCK_COLUMNS));
+
+	add('templates.json', toJson(templates));
+	add('templates.csv', toCsv(templates, TEMPLATE_COLUMNS));
+	add('planned_jobs.json', toJson(plannedJobs));
+	add('planned_jobs.csv', toCsv(plannedJobs, PLANNED_JOB_COLUMNS));
+
+	add('cultivations.json', toJson(cultivations));
+	add('cultivations.csv', toCsv(cultivations, CULTIVATION_COLUMNS));
+	add('cultivation_bbch_history.csv', toCsv(bbchHistory, BBCH_COLUMNS));
+
+	add('jobs.json', toJson(jobs));
+	add('jobs.csv', toCsv(jobs, JOB_COLUMNS));
+
+	return { buffer: zip.toBuffer(), counts };
+}
+
+module.exports = {
+	buildFarmExport,
+	EXPORT_FORMAT_VERSION
+};
@@ -134,6 +134,11 @@ module.exports = class MongoDBStore {
 			.then(result => result.deletedCount);
 	}
 
+	removeByRecipient(address) {
+		return this._collection.deleteMany({ to: address })
+			.then(result => result.deletedCount);
+	}
+
 	retryFailed() {
 		return this._collection.updateMany(
 			{
@@ -222,6 +222,46 @@ module.exports = class RedisStore {
 		return Promise.resolve(0);
 	}
 
+	removeByRecipient(address) {
+		return new Promise((resolve, reject) => {
+			this._client.keys(`${this._keyPrefix}email:*`, (err, keys) => {
+				if (err) return reject(err);
+				if (!keys || keys.length === 0) return resolve(0);
+
+				const multi = this._client.multi();
+				keys.forEach(key => multi.get(key));
+
+				multi.exec((err, results) => {
+					if (err) return reject(err);
+
+					const removeMulti = this._client.multi();
+					let removed = 0;
+
+					results.forEach((result, index) => {
+						if (!result || !result[1]) return;
+						try {
+							const email = JSON.parse(result[1]);
+							if (email.to === address) {
+								removeMulti.del(keys[index]);
+								removeMulti.zrem(`${this._keyPrefix}pending`, email.id);
+								removed++;
+							}
+						} catch (e) {
+							// Invalid data
+						}
+					});
+
+					if (removed === 0) return resolve(0);
+
+					removeMulti.exec((err) => {
+						if (err) reject(err);
+						else resolve(removed);
+					});
+				});
+			});
+		});
+	}
+
 	retryEmail(emailId) {
 		return new Promise((resolve, reject) => {
 			const key = `${this._keyPrefix}email:${emailId}`;
@@ -551,6 +551,19 @@ class EmailQueue {
 				return { success: true };
 			});
 	}
+	/**
+	 * Remove every stored email addressed to a recipient, whatever its status
+	 * @param {string} address - Recipient email address
+	 * @returns {Promise<number>} Number of emails removed
+	 * @throws {Error} If queue not initialized
+	 */
+	removeByRecipient(address) {
+		if (!this._isInitialized) {
+			return Promise.reject(new Error('EmailQueue not initialized'));
+		}
+
+		return this._store.removeByRecipient(address);
+	}
 }
 
 module.exports = EmailQueue;
\ No newline at end of file
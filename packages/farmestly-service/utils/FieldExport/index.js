@@ -0,0 +1,57 @@
+// utils/FieldExport/index.js
+// Writes Fields in GIS formats (GeoJSON, KML, zipped Shapefile), WGS84
+
+const { fieldsToFeatureCollection } = require('../../shared/geo/geojson');
+const fieldsToKml = require('./kml');
+const fieldsToShapefileZip = require('./shapefile');
+
+const EXPORT_FORMATS = {
+	geojson: { extension: 'geojson', contentType: 'application/geo+json' },
+	kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml' },
+	shp: { extension: 'zip', contentType: 'application/zip' }
+};
+
+/**
+ * Attributes written for each field in every format.
+ * @param {Object} field - Fields document
+ */
+function fieldProperties(field) {
+	return {
+		id: field._id.toString(),
+		name: field.name,
+		fieldLegalNumber: field.fieldLegalNumber || null,
+		area: field.area,
+		farmingType: field.farmingType || null,
+		crop: field.currentCultivation?.crop || null
+	};
+}
+
+/**
+ * @param {Array<Object>} fields - Fields documents
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {string} name - Document / layer name
+ * @returns {{buffer: Buffer, contentType: string, extension: string}}
+ */
+function exportFields(fields, format, name) {
+	const { extension, contentType } = EXPORT_FORMATS[format];
+	let buffer;
+
+	switch (format) {
+		case 'kml':
+			buffer = fieldsToKml(fields, fieldProperties, name);
+			break;
+		case 'shp':
+			buffer = fieldsToShapefileZip(fields, fieldProperties, name);
+			break;
+		case 'geojson':
+		default:
+			buffer = Buffer.from(JSON.stringify(fieldsToFeatureCollection(fields), null, 2), 'utf8');
+	}
+
+	return { buffer, contentType, extension };
+}
+
+module.exports = {
+	exportFields,
+	EXPORT_FORMATS
+};
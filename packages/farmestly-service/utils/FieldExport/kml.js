@@ -0,0 +1,78 @@
+// utils/FieldExport/kml.js
+// Writes fields as a KML 2.2 document
+
+const { pointsToRing } = require('../../shared/geo/geojson');
+
+const escapeXml = (value) => String(value)
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;')
+	.replace(/'/g, '&apos;');
+
+/**
+ * Convert a "#RRGGBB" colour to KML's aabbggrr notation.
+ * @param {string} color
+ * @param {string} alpha - Two hex digits
+ * @returns {string}
+ */
+function kmlColor(color, alpha) {
+	const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+	if (!match) return `${alpha}6b6bff`;
+	return `${alpha}${match[3]}${match[2]}${match[1]}`.toLowerCase();
+}
+
+function placemark(field, properties) {
+	const ring = pointsToRing(field.points);
+	if (!ring) return null;
+
+	const data = Object.entries(properties)
+		.filter(([, value]) => value !== null && value !== undefined)
+		.map(([name, value]) => `				<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`)
+		.join('\n');
+
+	return [
+		'		<Placemark>',
+		`			<name>${escapeXml(field.name)}</name>`,
+		'			<Style>',
+		`				<LineStyle><color>${kmlColor(field.color, 'ff')}</color><width>2</width></LineStyle>`,
+		`				<PolyStyle><color>${kmlColor(field.color, '66')}</color></PolyStyle>`,
+		'			</Style>',
+		'			<ExtendedData>',
+		data,
+		'			</ExtendedData>',
+		'			<Polygon>',
+		'				<outerBoundaryIs><LinearRing><coordinates>',
+		`					${ring.map(([lng, lat]) => `${lng},${lat},0`).join(' ')}`,
+		'				</coordinates></LinearRing></outerBoundaryIs>',
+		'			</Polygon>',
+		'		</Placemark>'
+	].join('\n');
+}
+
+/**
+ * @param {Array<Object>} fields - Fields documents
+ * @param {function(Object): Object} getProperties - Attributes written per field
+ * @param {string} documentName
+ * @returns {Buffer}
+ */
+function fieldsToKml(fields, getProperties, documentName) {
+	const placemarks = fields
+		.map(field => placemark(field, getProperties(field)))
+		.filter(Boolean);
+
+	const xml = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<kml xmlns="http://www.opengis.net/kml/2.2">',
+		'	<Document>',
+		`		<name>${escapeXml(documentName)}</name>`,
+		...placemarks,
+		'	</Document>',
+		'</kml>',
+		''
+	].join('\n');
+
+	return Buffer.from(xml, 'utf8');
+}
+
+module.exports = fieldsToKml;
@@ -0,0 +1,185 @@
+// utils/FieldExport/shapefile.js
+// Writes fields as a zipped ESRI Shapefile (polygon layer, WGS84, UTF-8 attributes)
+
+const AdmZip = require('adm-zip');
+const { pointsToRing } = require('../../shared/geo/geojson');
+
+const SHAPE_POLYGON = 5;
+const HEADER_BYTES = 100;
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+/**
+ * Shared .shp/.shx main file header.
+ * @param {number} fileBytes - Total file length in bytes
+ * @param {Array<number>} bbox - [xmin, ymin, xmax, ymax]
+ */
+function mainHeader(fileBytes, bbox) {
+	const header = Buffer.alloc(HEADER_BYTES);
+	header.writeInt32BE(9994, 0);
+	header.writeInt32BE(fileBytes / 2, 24);
+	header.writeInt32LE(1000, 28);
+	header.writeInt32LE(SHAPE_POLYGON, 32);
+	bbox.forEach((value, i) => header.writeDoubleLE(value, 36 + i * 8));
+	return header;
+}
+
+function ringBbox(ring) {
+	const xs = ring.map(p => p[0]);
+	const ys = ring.map(p => p[1]);
+	return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+/**
+ * Build the .shp and .shx files for single-ring polygons.
+ * Exterior rings are clockwise, as the Shapefile specification requires.
+ * @param {Array<Array<Array<number>>>} rings
+ * @returns {{shp: Buffer, shx: Buffer}}
+ */
+function writeGeometry(rings) {
+	const records = [];
+	const index = [];
+	let offset = HEADER_BYTES;
+
+	rings.forEach((ring, i) => {
+		const contentBytes = 4 + 32 + 4 + 4 + 4 + ring.length * 16;
+		const record = Buffer.alloc(8 + contentBytes);
+
+		record.writeInt32BE(i + 1, 0);
+		record.writeInt32BE(contentBytes / 2, 4);
+
+		let pos = 8;
+		record.writeInt32LE(SHAPE_POLYGON, pos); pos += 4;
+		for (const value of ringBbox(ring)) {
+			record.writeDoubleLE(value, pos); pos += 8;
+		}
+		record.writeInt32LE(1, pos); pos += 4;
+		record.writeInt32LE(ring.length, pos); pos += 4;
+		record.writeInt32LE(0, pos); pos += 4;
+		for (const [x, y] of ring) {
+			record.writeDoubleLE(x, pos);
+			record.writeDoubleLE(y, pos + 8);
+			pos += 16;
+		}
+
+		const entry = Buffer.alloc(8);
+		entry.writeInt32BE(offset / 2, 0);
+		entry.writeInt32BE(contentBytes / 2, 4);
+
+		records.push(record);
+		index.push(entry);
+		offset += record.length;
+	});
+
+	const all = rings.flat();
+	const bbox = all.length ? ringBbox(all) : [0, 0, 0, 0];
+
+	return {
+		shp: Buffer.concat([mainHeader(offset, bbox), ...records]),
+		shx: Buffer.concat([mainHeader(HEADER_BYTES + index.length * 8, bbox), ...index])
+	};
+}
+
+/**
+ * Encode a string as UTF-8 no longer than maxBytes, without splitting a character.
+ */
+function truncateUtf8(value, maxBytes) {
+	let str = value === null || value === undefined ? '' : String(value);
+	let buffer = Buffer.from(str, 'utf8');
+	while (buffer.length > maxBytes) {
+		str = str.slice(0, -1);
+		buffer = Buffer.from(str, 'utf8');
+	}
+	return buffer;
+}
+
+/**
+ * Build a dBASE III table.
+ * @param {Array<{name: string, type: 'C'|'N', length: number, decimals?: number}>} columns
+ *   Column names are at most 10 characters
+ * @param {Array<Array<*>>} rows - Values in column order
+ * @returns {Buffer}
+ */
+function writeDbf(columns, rows) {
+	const headerBytes = 32 + columns.length * 32 + 1;
+	const recordBytes = 1 + columns.reduce((sum, c) => sum + c.length, 0);
+	const dbf = Buffer.alloc(headerBytes + rows.length * recordBytes + 1, 0x20);
+
+	const now = new Date();
+	dbf.fill(0, 0, headerBytes);
+	dbf.writeUInt8(0x03, 0);
+	dbf.writeUInt8(now.getFullYear() - 1900, 1);
+	dbf.writeUInt8(now.getMonth() + 1, 2);
+	dbf.writeUInt8(now.getDate(), 3);
+	dbf.writeUInt32LE(rows.length, 4);
+	dbf.writeUInt16LE(headerBytes, 8);
+	dbf.writeUInt16LE(recordBytes, 10);
+
+	columns.forEach((column, i) => {
+		const pos = 32 + i * 32;
+		dbf.write(column.name, pos, 10, 'ascii');
+		dbf.write(column.type, pos + 11, 1, 'ascii');
+		dbf.writeUInt8(column.length, pos + 16);
+		dbf.writeUInt8(column.decimals || 0, pos + 17);
+	});
+	dbf.writeUInt8(0x0d, headerBytes - 1);
+
+	rows.forEach((row, r) => {
+		let pos = headerBytes + r * recordBytes + 1;
+		columns.forEach((column, i) => {
+			const value = row[i];
+			if (column.type === 'N') {
+				const text = Number.isFinite(value) ? value.toFixed(column.decimals || 0) : '';
+				dbf.write(text.padStart(column.length).slice(-column.length), pos, column.length, 'ascii');
+			} else {
+				truncateUtf8(value, column.length).copy(dbf, pos);
+			}
+			pos += column.length;
+		});
+	});
+	dbf.writeUInt8(0x1a, dbf.length - 1);
+
+	return dbf;
+}
+
+const COLUMNS = [
+	{ name: 'NAME', type: 'C', length: 100, value: p => p.name },
+	{ name: 'LEGAL_NO', type: 'C', length: 30, value: p => p.fieldLegalNumber },
+	{ name: 'AREA_M2', type: 'N', length: 14, decimals: 2, value: p => p.area },
+	{ name: 'AREA_HA', type: 'N', length: 12, decimals: 4, value: p => (Number.isFinite(p.area) ? p.area / 10000 : null) },
+	{ name: 'FARMING', type: 'C', length: 30, value: p => p.farmingType },
+	{ name: 'CROP', type: 'C', length: 80, value: p => p.crop },
+	{ name: 'FIELD_ID', type: 'C', length: 24, value: p => p.id }
+];
+
+/**
+ * @param {Array<Object>} fields - Fields documents
+ * @param {function(Object): Object} getProperties - Attributes written per field
+ * @param {string} layerName - Base name of the files inside the archive
+ * @returns {Buffer} - ZIP archive
+ */
+function fieldsToShapefileZip(fields, getProperties, layerName) {
+	const rings = [];
+	const rows = [];
+
+	for (const field of fields) {
+		const ring = pointsToRing(field.points, true);
+		if (!ring) continue;
+
+		const properties = getProperties(field);
+		rings.push(ring);
+		rows.push(COLUMNS.map(c => c.value(properties)));
+	}
+
+	const { shp, shx } = writeGeometry(rings);
+	const zip = new AdmZip();
+	zip.addFile(`${layerName}.shp`, shp);
+	zip.addFile(`${layerName}.shx`, shx);
+	zip.addFile(`${layerName}.dbf`, writeDbf(COLUMNS, rows));
+	zip.addFile(`${layerName}.prj`, Buffer.from(WGS84_PRJ, 'ascii'));
+	zip.addFile(`${layerName}.cpg`, Buffer.from('UTF-8', 'ascii'));
+
+	return zip.toBuffer();
+}
+
+module.exports = fieldsToShapefileZip;
@@ -0,0 +1,31 @@
+// utils/FieldImport/errors.js
+// Errors raised while parsing an import file carry a response code the
+// route can hand straight back to the client.
+
+const IMPORT_ERROR_CODES = [
+	'UNSUPPORTED_FILE_TYPE',
+	'INVALID_FILE',
+	'FILE_TOO_LARGE',
+	'SHAPEFILE_INCOMPLETE',
+	'UNKNOWN_PROJECTION',
+	'UNSUPPORTED_PROJECTION',
+	'INVALID_GEOMETRY',
+	'NO_POLYGONS_FOUND',
+	'TOO_MANY_FEATURES'
+];
+
+function importError(code) {
+	const err = new Error(code);
+	err.code = code;
+	return err;
+}
+
+function isImportError(err) {
+	return IMPORT_ERROR_CODES.includes(err?.code);
+}
+
+module.exports = {
+	IMPORT_ERROR_CODES,
+	importError,
+	isImportError
+};
@@ -0,0 +1,70 @@
+// utils/FieldImport/geojson.js
+// Reads polygons out of a GeoJSON document
+
+const { importError } = require('./errors');
+
+/**
+ * Collect Polygon/MultiPolygon geometries from any GeoJSON object.
+ * Each polygon is returned as its list of rings, outer ring first.
+ * @param {Object} geometry
+ * @returns {Array<Array<Array<Array<number>>>>}
+ */
+function geometryPolygons(geometry) {
+	if (!geometry) return [];
+
+	switch (geometry.type) {
+		case 'Polygon':
+			return [geometry.coordinates];
+		case 'MultiPolygon':
+			return geometry.coordinates;
+		case 'GeometryCollection':
+			return (geometry.geometries || []).flatMap(geometryPolygons);
+		default:
+			return [];
+	}
+}
+
+/**
+ * @param {Object} geojson - Parsed GeoJSON (FeatureCollection, Feature or geometry)
+ * @returns {Array<{properties: Object, polygons: Array}>}
+ */
+function featuresFromGeoJson(geojson) {
+	switch (geojson?.type) {
+		case 'FeatureCollection':
+			return (geojson.features || []).flatMap(featuresFromGeoJson);
+		case 'Feature':
+			return [{
+				properties: geojson.properties || {},
+				polygons: geometryPolygons(geojson.geometry)
+			}];
+		default:
+			return [{ properties: {}, polygons: geometryPolygons(geojson) }];
+	}
+}
+
+/**
+ * Parse a GeoJSON file. RFC 7946 files are WGS84; older files may declare
+ * a projected CRS through the `crs` member.
+ * @param {Buffer} buffer
+ * @returns {{features: Array, crs: string|null}}
+ */
+function parseGeoJson(buffer) {
+	let geojson;
+	try {
+		// Strip a UTF-8 BOM, which JSON.parse rejects
+		geojson = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+	} catch (err) {
+		throw importError('INVALID_FILE');
+	}
+
+	if (!geojson || typeof geojson !== 'object' || !geojson.type) {
+		throw importError('INVALID_FILE');
+	}
+
+	return {
+		features: featuresFromGeoJson(geojson),
+		crs: geojson.crs?.properties?.name || null
+	};
+}
+
+module.exports = parseGeoJson;
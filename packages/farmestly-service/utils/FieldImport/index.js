@@ -0,0 +1,158 @@
+// utils/FieldImport/index.js
+// Turns an uploaded GeoJSON, KML or zipped Shapefile into field candidates
+// (WGS84 points, area, name, legal number) for preview before import.
+
+const calculatePolygonArea = require('../../shared/geo/calculatePolygonArea');
+const parseGeoJson = require('./geojson');
+const parseKml = require('./kml');
+const parseShapefileZip = require('./shapefile');
+const { createTransform } = require('./projection');
+const { importError, isImportError, IMPORT_ERROR_CODES } = require('./errors');
+
+const MAX_IMPORT_FEATURES = parseInt(process.env.FIELD_IMPORT_MAX_FEATURES, 10) || 500;
+
+const PARSERS = {
+	geojson: parseGeoJson,
+	json: parseGeoJson,
+	kml: parseKml,
+	zip: parseShapefileZip
+};
+
+const SUPPORTED_EXTENSIONS = Object.keys(PARSERS);
+
+// Attribute names tried, case-insensitively, when the caller does not say
+// which attribute holds the field name or the land registry parcel number.
+const NAME_ATTRIBUTES = ['name', 'fieldname', 'field_name', 'title', 'label', 'onoma', 'description'];
+const LEGAL_NUMBER_ATTRIBUTES = [
+	'fieldlegalnumber', 'kaek', 'atak', 'agrotemaxio', 'parcel_id', 'parcelid',
+	'parcel_no', 'parcelno', 'parcel', 'cadastral', 'legal_number', 'legalnumber', 'legal_no'
+];
+
+/**
+ * Find the attribute key to use for a value: the requested one if present,
+ * otherwise the first known candidate found in the features.
+ * @param {Array<string>} keys - Attribute keys present in the file
+ * @param {string|undefined} requested
+ * @param {Array<string>} candidates
+ * @returns {string|null}
+ */
+function pickAttribute(keys, requested, candidates) {
+	if (requested) return keys.includes(requested) ? requested : null;
+
+	for (const candidate of candidates) {
+		const match = keys.find(key => key.toLowerCase() === candidate);
+		if (match) return match;
+	}
+	return null;
+}
+
+/**
+ * Convert a ring of [x, y] positions to field points, dropping the closing
+ * position and consecutive duplicates. Anything that is not a pair of
+ * numbers means the file is malformed.
+ */
+function ringToPoints(ring, transform) {
+	if (!Array.isArray(ring)) throw importError('INVALID_FILE');
+	const points = [];
+
+	for (const position of ring) {
+		if (!Array.isArray(position) || position.length < 2 || !position.slice(0, 2).every(Number.isFinite)) {
+			throw importError('INVALID_FILE');
+		}
+
+		const [longitude, latitude] = transform(position);
+		const prev = points[points.length - 1];
+		if (prev && prev.latitude === latitude && prev.longitude === longitude) continue;
+		points.push({ latitude, longitude });
+	}
+
+	const first = points[0];
+	const last = points[points.length - 1];
+	if (points.length > 1 && first.latitude === last.latitude && first.longitude === last.longitude) {
+		points.pop();
+	}
+
+	return points;
+}
+
+function attributeValue(properties, key) {
+	if (!key) return null;
+	const value = properties[key];
+	if (value === null || value === undefined) return null;
+	return String(value).trim() || null;
+}
+
+/**
+ * Parse an uploaded file into field candidates.
+ *
+ * @param {Object} file - File entry produced by formdataHandler
+ * @param {Object} [options]
+ * @param {string} [options.nameAttribute] - Attribute holding the field name
+ * @param {string} [options.legalNumberAttribute] - Attribute holding the parcel number
+ * @returns {Promise<{fields: Array, attributeKeys: Array<string>, nameAttribute: string|null, legalNumberAttribute: string|null, skipped: number}>}
+ */
+async function parseFieldFile(file, options = {}) {
+	const extension = (file.extension || '').toLowerCase();
+	const parse = PARSERS[extension];
+	if (!parse) throw importError('UNSUPPORTED_FILE_TYPE');
+
+	const { features, crs } = await parse(file._data);
+	if (features.length > MAX_IMPORT_FEATURES) throw importError('TOO_MANY_FEATURES');
+
+	const transform = createTransform(crs);
+
+	const attributeKeys = [...new Set(features.flatMap(f => Object.keys(f.properties)))];
+	const nameAttribute = pickAttribute(attributeKeys, options.nameAttribute, NAME_ATTRIBUTES);
+	const legalNumberAttribute = pickAttribute(attributeKeys, options.legalNumberAttribute, LEGAL_NUMBER_ATTRIBUTES);
+
+	const baseName = (file.originalFilename || 'Field').replace(/\.[^.]+$/, '');
+	const fields = [];
+	let skipped = 0;
+
+	features.forEach((feature, featureIndex) => {
+		if (feature.polygons.length === 0) {
+			skipped++;
+			return;
+		}
+
+		const name = attributeValue(feature.properties, nameAttribute) || `${baseName} ${featureIndex + 1}`;
+		const rawLegalNumber = attributeValue(feature.properties, legalNumberAttribute);
+		const legalNumberValid = !rawLegalNumber || /^\d+$/.test(rawLegalNumber);
+		const multipart = feature.polygons.length > 1;
+
+		feature.polygons.forEach((rings, partIndex) => {
+			const points = ringToPoints(rings[0] || [], transform);
+			if (points.length < 3) {
+				skipped++;
+				return;
+			}
+
+			const warnings = [];
+			if (rings.length > 1) warnings.push('HOLES_IGNORED');
+			if (multipart) warnings.push('MULTIPART_SPLIT');
+			if (!legalNumberValid) warnings.push('LEGAL_NUMBER_INVALID');
+
+			fields.push({
+				name: multipart ? `${name} (${partIndex + 1})` : name,
+				fieldLegalNumber: legalNumberValid ? rawLegalNumber : null,
+				points,
+				area: calculatePolygonArea(points),
+				attributes: feature.properties,
+				warnings
+			});
+		});
+	});
+
+	if (fields.length === 0) throw importError('NO_POLYGONS_FOUND');
+	if (fields.length > MAX_IMPORT_FEATURES) throw importError('TOO_MANY_FEATURES');
+
+	return { fields, attributeKeys, nameAttribute, legalNumberAttribute, skipped };
+}
+
+module.exports = {
+	parseFieldFile,
+	isImportError,
+	IMPORT_ERROR_CODES,
+	SUPPORTED_EXTENSIONS,
+	MAX_IMPORT_FEATURES
+};
@@ -0,0 +1,103 @@
+// utils/FieldImport/kml.js
+// Reads Placemark polygons out of a KML document
+
+const sax = require('sax');
+const { importError } = require('./errors');
+
+/**
+ * Parse a KML <coordinates> text block ("lng,lat[,alt] lng,lat[,alt] ...").
+ * @param {string} text
+ * @returns {Array<Array<number>>}
+ */
+function parseCoordinates(text) {
+	return text.trim().split(/\s+/)
+		.map(tuple => tuple.split(',').map(Number))
+		.filter(pos => pos.length >= 2 && Number.isFinite(pos[0]) && Number.isFinite(pos[1]))
+		.map(([lng, lat]) => [lng, lat]);
+}
+
+/**
+ * Parse a KML file. KML coordinates are always WGS84.
+ * @param {Buffer} buffer
+ * @returns {Promise<{features: Array, crs: null}>}
+ */
+function parseKml(buffer) {
+	return new Promise((resolve, reject) => {
+		const parser = sax.createStream(false, { trim: true, lowercase: true });
+		const features = [];
+		const stack = [];
+		let placemark = null;
+		let polygon = null;
+		let dataName = null;
+		let textBuffer = '';
+
+		parser.on('opentag', node => {
+			stack.push(node.name);
+			textBuffer = '';
+
+			switch (node.name) {
+				case 'placemark':
+					placemark = { properties: {}, polygons: [] };
+					break;
+				case 'polygon':
+					if (placemark) polygon = [];
+					break;
+				case 'data':
+				case 'simpledata':
+					dataName = node.attributes.name || null;
+					break;
+			}
+		});
+
+		parser.on('text', t => { textBuffer += t; });
+		parser.on('cdata', t => { textBuffer += t; });
+
+		parser.on('closetag', name => {
+			stack.pop();
+			const parent = stack[stack.length - 1];
+
+			if (placemark) {
+				switch (name) {
+					case 'name':
+						if (parent === 'placemark') placemark.properties.name = textBuffer;
+						break;
+					case 'value':
+						if (parent === 'data' && dataName) placemark.properties[dataName] = textBuffer;
+						break;
+					case 'simpledata':
+						if (dataName) placemark.properties[dataName] = textBuffer;
+						break;
+					case 'coordinates':
+						if (polygon && stack.includes('outerboundaryis')) {
+							polygon.unshift(parseCoordinates(textBuffer));
+						} else if (polygon && stack.includes('innerboundaryis')) {
+							polygon.push(parseCoordinates(textBuffer));
+						}
+						break;
+					case 'polygon':
+						if (polygon?.length) placemark.polygons.push(polygon);
+						polygon = null;
+						break;
+					case 'placemark':
+						features.push(placemark);
+						placemark = null;
+						break;
+				}
+			}
+
+			textBuffer = '';
+		});
+
+		parser.on('end', () => {
+			resolve({ features, crs: null });
+		});
+
+		parser.on('error', () => {
+			reject(importError('INVALID_FILE'));
+		});
+
+		parser.end(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+	});
+}
+
+module.exports = parseKml;
@@ -0,0 +1,84 @@
+// utils/FieldImport/projection.js
+// Reprojection of imported coordinates to WGS84 (EPSG:4326)
+
+const proj4 = require('proj4');
+const { importError } = require('./errors');
+
+// Projections farm parcel data commonly arrives in that proj4 does not ship
+// with. EPSG:2100 (GGRS87 / Greek Grid) is what OPEKEPE/IACS exports use.
+proj4.defs([
+	['EPSG:2100', '+proj=tmerc +lat_0=0 +lon_0=24 +k=0.9996 +x_0=500000 +y_0=0 +ellps=GRS80 +towgs84=-199.87,74.79,246.62,0,0,0,0 +units=m +no_defs'],
+	['EPSG:4258', '+proj=longlat +ellps=GRS80 +no_defs'],
+	['EPSG:3035', '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +units=m +no_defs']
+]);
+
+const WGS84 = 'EPSG:4326';
+
+/**
+ * Resolve a CRS identifier from a GeoJSON `crs` member, an EPSG code
+ * or a .prj WKT string to a proj4 definition.
+ * @param {string} crs
+ * @returns {string|null} - Definition usable by proj4, or null for WGS84
+ */
+function resolveCrs(crs) {
+	if (!crs) return null;
+	const value = String(crs).trim();
+
+	// "EPSG:2100", "urn:ogc:def:crs:EPSG::2100", "http://www.opengis.net/def/crs/EPSG/0/2100"
+	const epsg = value.match(/EPSG(?::+|\/0\/)(\d+)$/i);
+	if (epsg) {
+		const code = `EPSG:${epsg[1]}`;
+		if (code === WGS84) return null;
+		if (!proj4.defs(code)) throw importError('UNSUPPORTED_PROJECTION');
+		return code;
+	}
+
+	if (/CRS84$/i.test(value)) return null;
+
+	// WKT from a Shapefile .prj
+	if (/^(PROJCS|GEOGCS|PROJCRS|GEOGCRS)\[/i.test(value)) {
+		if (/^GEOGCS\["(GCS_)?WGS[ _]?(19)?84"/i.test(value)) return null;
+		try {
+			proj4(value, WGS84);
+			return value;
+		} catch (err) {
+			throw importError('UNSUPPORTED_PROJECTION');
+		}
+	}
+
+	throw importError('UNSUPPORTED_PROJECTION');
+}
+
+/**
+ * Build a function converting [x, y] positions in the source CRS to
+ * [longitude, latitude]. Positions without a known CRS must already be
+ * geographic; anything out of range is rejected rather than guessed.
+ * @param {string|null} crs - Value accepted by resolveCrs
+ * @returns {function(Array<number>): Array<number>}
+ */
+function createTransform(crs) {
+	const source = resolveCrs(crs);
+
+	if (!source) {
+		return ([x, y]) => {
+			if (!Number.isFinite(x) || !Number.isFinite(y) || Math.abs(x) > 180 || Math.abs(y) > 90) {
+				throw importError('UNKNOWN_PROJECTION');
+			}
+			return [x, y];
+		};
+	}
+
+	const converter = proj4(source, WGS84);
+	return ([x, y]) => {
+		const [lng, lat] = converter.forward([x, y]);
+		if (!Number.isFinite(lng) || !Number.isFinite(lat)) {
+			throw importError('INVALID_GEOMETRY');
+		}
+		return [lng, lat];
+	};
+}
+
+module.exports = {
+	createTransform,
+	resolveCrs
+};
@@ -0,0 +1,90 @@
+// utils/FieldImport/shapefile.js
+// Reads polygons out of a zipped ESRI Shapefile (.shp + .dbf, optional .prj/.cpg)
+
+const path = require('path');
+const AdmZip = require('adm-zip');
+const shapefile = require('shapefile');
+const { importError } = require('./errors');
+
+// Uncompressed size allowed for the layer files together, so a small archive
+// cannot expand into an unbounded amount of memory
+const MAX_UNZIPPED_SIZE = parseInt(process.env.FIELD_IMPORT_MAX_UNZIPPED_SIZE, 10) || 100 * 1024 * 1024;
+
+/**
+ * Group the archive entries by layer (basename without extension),
+ * ignoring macOS resource forks. Sizes are checked from the entry headers
+ * before anything is extracted.
+ * @param {AdmZip} zip
+ * @returns {Map<string, Object<string, Buffer>>}
+ */
+function collectLayers(zip) {
+	const layers = new Map();
+	let totalSize = 0;
+
+	for (const entry of zip.getEntries()) {
+		if (entry.isDirectory || entry.entryName.includes('__MACOSX')) continue;
+
+		const ext = path.extname(entry.entryName).toLowerCase().slice(1);
+		if (!['shp', 'dbf', 'prj', 'cpg'].includes(ext)) continue;
+
+		totalSize += entry.header.size;
+		if (totalSize > MAX_UNZIPPED_SIZE) throw importError('FILE_TOO_LARGE');
+
+		const layerName = entry.entryName.slice(0, -(ext.length + 1));
+		if (!layers.has(layerName)) layers.set(layerName, {});
+		layers.get(layerName)[ext] = entry.getData();
+	}
+
+	return layers;
+}
+
+/**
+ * Parse a zipped Shapefile. Every layer in the archive must share one
+ * projection, taken from its .prj.
+ * @param {Buffer} buffer
+ * @returns {Promise<{features: Array, crs: string|null}>}
+ */
+async function parseShapefileZip(buffer) {
+	let zip;
+	try {
+		zip = new AdmZip(buffer);
+	} catch (err) {
+		throw importError('INVALID_FILE');
+	}
+
+	const layers = [...collectLayers(zip).values()].filter(layer => layer.shp);
+	if (layers.length === 0) throw importError('SHAPEFILE_INCOMPLETE');
+
+	const features = [];
+	let crs = null;
+
+	for (const layer of layers) {
+		if (!layer.dbf) throw importError('SHAPEFILE_INCOMPLETE');
+
+		const prj = layer.prj ? layer.prj.toString('utf8').trim() : null;
+		if (crs && prj && prj !== crs) throw importError('UNSUPPORTED_PROJECTION');
+		crs = crs || prj;
+
+		let collection;
+		try {
+			collection = await shapefile.read(layer.shp, layer.dbf, {
+				encoding: layer.cpg ? layer.cpg.toString('utf8').trim() : 'utf-8'
+			});
+		} catch (err) {
+			throw importError('INVALID_FILE');
+		}
+
+		for (const feature of collection.features) {
+			const geometry = feature.geometry;
+			let polygons = [];
+			if (geometry?.type === 'Polygon') polygons = [geometry.coordinates];
+			if (geometry?.type === 'MultiPolygon') polygons = geometry.coordinates;
+
+			features.push({ properties: feature.properties || {}, polygons });
+		}
+	}
+
+	return { features, crs };
+}
+
+module.exports = parseShapefileZip;
@@ -0,0 +1,365 @@
+// utils/IsoXmlExport.js
+// Builds ISO 11783-10 (ISOXML) task data from recorded jobs or job templates.
+// The archive holds TASKDATA/TASKDATA.XML, which ISOBUS terminals import
+// from the root of a USB stick.
+
+const AdmZip = require('adm-zip');
+
+const VERSION_MAJOR = 4;
+const VERSION_MINOR = 2;
+const SOFTWARE_MANUFACTURER = 'Farmestly';
+const SOFTWARE_VERSION = '1.0';
+
+// Task status (TSK.G)
+const TASK_STATUS_PLANNED = 1;
+const TASK_STATUS_COMPLETED = 4;
+
+// Time type (TIM.D)
+const TIME_TYPE_EFFECTIVE = 4;
+
+// Data dictionary identifiers (ISO 11783-11) for setpoint application rates.
+// Stored rates are L/m² and kg/m²; ISOXML uses mm³/m² and mg/m².
+const DDI_SETPOINT_VOLUME_PER_AREA = 0x0001;
+const DDI_SETPOINT_MASS_PER_AREA = 0x0006;
+const RATE_SCALE = 1e6;
+
+const escapeXml = (value) => String(value)
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;');
+
+const ddiHex = (ddi) => ddi.toString(16).toUpperCase().padStart(4, '0');
+
+/**
+ * Serialize an element. Attributes with null/undefined values are omitted.
+ * @param {string} tag - ISOXML element code (e.g. 'PFD')
+ * @param {Object} attrs - Attribute letter → value
+ * @param {Array<string>} [children] - Serialized child elements
+ * @param {number} [depth]
+ * @returns {string}
+ */
+function element(tag, attrs, children = [], depth = 1) {
+	const indent = '\t'.repeat(depth);
+	const attrText = Object.entries(attrs)
+		.filter(([, value]) => value !== null && value !== undefined && value !== '')
+		.map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+		.join('');
+
+	if (children.length === 0) {
+		return `${indent}<${tag}${attrText}/>`;
+	}
+	return `${indent}<${tag}${attrText}>\n${children.join('\n')}\n${indent}</${tag}>`;
+}
+
+/**
+ * Allocates ISOXML object ids (PFD1, PFD2, ...) and remembers which
+ * source document each id was given to.
+ */
+class IdRegistry {
+	constructor() {
+		this._counters = {};
+		this._ids = new Map();
+	}
+
+	get(prefix, key) {
+		const mapKey = `${prefix}:${key}`;
+		if (!this._ids.has(mapKey)) {
+			this._counters[prefix] = (this._counters[prefix] || 0) + 1;
+			this._ids.set(mapKey, `${prefix}${this._counters[prefix]}`);
+		}
+		return this._ids.get(mapKey);
+	}
+
+	has(prefix, key) {
+		return this._ids.has(`${prefix}:${key}`);
+	}
+}
+
+const designator = (value, fallback) => String(value || fallback).slice(0, 32);
+
+/**
+ * Partfield with its boundary polygon.
+ * Points are written as PNT C=north (latitude), D=east (longitude).
+ */
+function partfieldElement(field, ids, refs) {
+	const points = (field.points || []).map(p =>
+		element('PNT', { A: 2, C: p.latitude.toFixed(9), D: p.longitude.toFixed(9) }, [], 4)
+	);
+	if (points.length > 0) {
+		// Close the ring; ISOXML polygons repeat the first point
+		points.push(points[0]);
+	}
+
+	const boundary = points.length > 3
+		? [element('PLN', { A: 1, B: designator(field.name, 'Boundary') }, [
+			element('LSG', { A: 1 }, points, 3)
+		], 2)]
+		: [];
+
+	return element('PFD', {
+		A: ids.get('PFD', field._id.toString()),
+		B: field.fieldLegalNumber || null,
+		C: designator(field.name, 'Field'),
+		D: Math.round(field.area || 0),
+		E: refs.customerId,
+		F: refs.farmId
+	}, boundary);
+}
+
+/**
+ * Device with the single root device element ISOXML requires. The client
+ * NAME is unknown to farm software, so it is left at zero and the terminal
+ * matches the implement by designator.
+ */
+function deviceElement(equipment, ids) {
+	const id = ids.get('DVC', equipment._id.toString());
+	const name = designator([equipment.make, equipment.name].filter(Boolean).join(' '), 'Device');
+
+	return element('DVC', {
+		A: id,
+		B: name,
+		D: '0000000000000000',
+		E: equipment.licenceNo || null,
+		F: '00000000000000',
+		G: 'FF000000000000'
+	}, [
+		element('DET', { A: `DET${id.slice(3)}`, B: 0, C: 1, D: name, E: 0, F: 0 }, [], 2)
+	]);
+}
+
+/**
+ * Product rates applied in a task, as { productId, rate (per m²), isVolume }.
+ */
+function sprayRates(products) {
+	return (products || [])
+		.filter(p => p.productId && Number.isFinite(Number(p.rate)) && Number(p.rate) > 0)
+		.map(p => ({ productId: String(p.productId), rate: Number(p.rate), isVolume: p.isVolume !== false }));
+}
+
+/**
+ * Build one TSK element.
+ * @param {Object} task
+ * @param {string} task.key - Unique key for id allocation
+ * @param {string} task.name
+ * @param {number} task.status - TASK_STATUS_*
+ * @param {string} task.partfieldId
+ * @param {Array} task.rates - From sprayRates()
+ * @param {Array<string>} task.productIds - Allocated products without a rate (e.g. seed)
+ * @param {Array<string>} task.deviceIds
+ * @param {string|null} task.workerId
+ * @param {Object|null} task.time - { start, stop, durationS }
+ */
+function taskElement(task, ids, refs) {
+	const children = [];
+
+	if (task.rates.length > 0) {
+		const values = task.rates.map(r => element('PDV', {
+			A: ddiHex(r.isVolume ? DDI_SETPOINT_VOLUME_PER_AREA : DDI_SETPOINT_MASS_PER_AREA),
+			B: Math.round(r.rate * RATE_SCALE),
+			C: ids.get('PDT', r.productId)
+		}, [], 3));
+		children.push(element('TZN', { A: 1, B: 'Default' }, values, 2));
+	}
+
+	for (const productId of [...task.rates.map(r => ids.get('PDT', r.productId)), ...task.productIds]) {
+		children.push(element('PAN', { A: productId }, [], 2));
+	}
+
+	if (task.workerId) {
+		children.push(element('WAN', { A: task.workerId }, [], 2));
+	}
+
+	for (const deviceId of task.deviceIds) {
+		children.push(element('DAN', { A: '0000000000000000', C: deviceId }, [], 2));
+	}
+
+	if (task.time) {
+		children.push(element('TIM', {
+			A: task.time.start.toISOString(),
+			B: task.time.stop ? task.time.stop.toISOString() : null,
+			C: task.time.durationS,
+			D: TIME_TYPE_EFFECTIVE
+		}, [], 2));
+	}
+
+	return element('TSK', {
+		A: ids.get('TSK', task.key),
+		B: designator(task.name, 'Task'),
+		C: refs.customerId,
+		D: refs.farmId,
+		E: task.partfieldId,
+		G: task.status,
+		H: task.rates.length > 0 ? 1 : null
+	}, children);
+}
+
+/**
+ * @param {Object} input
+ * @param {Object} input.account - Farm owner Accounts document
+ * @param {Array<Object>} input.fields - Fields referenced by the tasks
+ * @param {Array<Object>} input.products - Products documents
+ * @param {Array<Object>} input.equipment - Machines and Attachments documents
+ * @param {Array<Object>} input.tasks - Task descriptions, see buildJobTasks/buildTemplateTasks
+ * @returns {string} - TASKDATA.XML content
+ */
+function buildTaskDataXml({ account, fields, products, equipment, tasks }) {
+	const ids = new IdRegistry();
+	const farmName = account.content?.farmData?.farmName || 'Farm';
+	const refs = { customerId: 'CTR1', farmId: 'FRM1' };
+
+	// Allocate ids for everything the tasks reference before writing them
+	const productById = new Map(products.map(p => [p._id.toString(), p]));
+	const equipmentById = new Map(equipment.map(e => [e._id.toString(), e]));
+	const workers = new Map();
+	const seeds = new Map();
+
+	const taskElements = tasks.map(task => {
+		const rates = task.rates.filter(r => productById.has(r.productId));
+		const productIds = [];
+		if (task.seed) {
+			const seedKey = [task.seed.crop, task.seed.variety, task.seed.lotNumber].join('|');
+			seeds.set(seedKey, task.seed);
+			productIds.push(ids.get('PDT', `seed:${seedKey}`));
+		}
+
+		let workerId = null;
+		if (task.worker?.accountId) {
+			const key = task.worker.accountId.toString();
+			workers.set(key, task.worker);
+			workerId = ids.get('WKR', key);
+		}
+
+		return taskElement({
+			...task,
+			rates,
+			productIds,
+			partfieldId: ids.get('PFD', task.fieldId),
+			deviceIds: task.equipmentIds
+				.filter(id => equipmentById.has(id))
+				.map(id => ids.get('DVC', id)),
+			workerId
+		}, ids, refs);
+	});
+
+	const productElements = products
+		.filter(p => ids.has('PDT', p._id.toString()))
+		.map(p => element('PDT', { A: ids.get('PDT', p._id.toString()), B: designator(p.name, 'Product'), F: 1 }));
+
+	const seedElements = [...seeds.entries()].map(([key, seed]) => element('PDT', {
+		A: ids.get('PDT', `seed:${key}`),
+		B: designator([seed.crop, seed.variety].filter(Boolean).join(' '), 'Seed'),
+		F: 1
+	}));
+
+	const workerElements = [...workers.entries()].map(([key, worker]) => element('WKR', {
+		A: ids.get('WKR', key),
+		B: designator(worker.username, 'Operator')
+	}));
+
+	const xml = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<ISO11783_TaskData VersionMajor="${VERSION_MAJOR}" VersionMinor="${VERSION_MINOR}" ManagementSoftwareManufacturer="${SOFTWARE_MANUFACTURER}" ManagementSoftwareVersion="${SOFTWARE_VERSION}" DataTransferOrigin="1">`,
+		element('CTR', { A: refs.customerId, B: designator(farmName, 'Farm') }),
+		element('FRM', { A: refs.farmId, B: designator(farmName, 'Farm'), I: refs.customerId }),
+		...fields
+			.filter(f => ids.has('PFD', f._id.toString()))
+			.map(f => partfieldElement(f, ids, refs)),
+		...productElements,
+		...seedElements,
+		...workerElements,
+		...equipment
+			.filter(e => ids.has('DVC', e._id.toString()))
+			.map(e => deviceElement(e, ids)),
+		...taskElements,
+		'</ISO11783_TaskData>',
+		''
+	];
+
+	return xml.join('\n');
+}
+
+/**
+ * Describe recorded spray and sow jobs as completed tasks.
+ * @param {Array<Object>} jobs - jobs documents
+ * @returns {Array<Object>}
+ */
+function buildJobTasks(jobs) {
+	return jobs.map(job => {
+		const spray = job.type === 'spray' ? job.data?.spray : null;
+		const sow = job.type === 'sow' ? job.data?.sow : null;
+
+		return {
+			key: job._id.toString(),
+			name: job.template?.name || `${job.type} ${job.startedAt.toISOString().slice(0, 10)}`,
+			status: TASK_STATUS_COMPLETED,
+			fieldId: String(job.fieldId),
+			rates: sprayRates(spray?.products),
+			seed: sow ? {
+				crop: job.cultivation?.crop || sow.preferredName,
+				variety: job.cultivation?.variety,
+				lotNumber: sow.lotNumber
+			} : null,
+			equipmentIds: [job.machine?.id, job.attachment?.id].filter(Boolean).map(String),
+			worker: job.performedBy || null,
+			time: {
+				start: job.startedAt,
+				stop: job.endedAt || null,
+				durationS: Math.round((job.elapsedTime || 0) / 1000)
+			}
+		};
+	});
+}
+
+/**
+ * Describe a job template applied to each of the given fields as planned
+ * tasks. Product rates fall back to each product's default rate.
+ * @param {Object} template - JobTemplates document
+ * @param {Array<Object>} fields - Fields documents
+ * @param {Array<Object>} products - Products documents
+ * @returns {Array<Object>}
+ */
+function buildTemplateTasks(template, fields, products) {
+	const productById = new Map(products.map(p => [p._id.toString(), p]));
+
+	const rates = sprayRates((template.sprayConfig?.products || []).map(ref => {
+		const product = productById.get(String(ref.id));
+		return {
+			productId: String(ref.id),
+			rate: ref.overrides?.rate ?? product?.defaultRate,
+			isVolume: product?.isVolume
+		};
+	}));
+
+	return fields.map(field => ({
+		key: `${template._id}:${field._id}`,
+		name: `${template.name} - ${field.name}`,
+		status: TASK_STATUS_PLANNED,
+		fieldId: field._id.toString(),
+		rates,
+		seed: template.type === 'sow' && field.currentCultivation
+			? { crop: field.currentCultivation.crop, variety: field.currentCultivation.variety }
+			: null,
+		equipmentIds: [template.machineId, template.attachmentId].filter(Boolean).map(String),
+		worker: null,
+		time: null
+	}));
+}
+
+/**
+ * Pack TASKDATA.XML into the directory layout terminals expect.
+ * @param {string} xml
+ * @returns {Buffer} - ZIP archive
+ */
+function packTaskData(xml) {
+	const zip = new AdmZip();
+	zip.addFile('TASKDATA/TASKDATA.XML', Buffer.from(xml, 'utf8'));
+	return zip.toBuffer();
+}
+
+module.exports = {
+	buildTaskDataXml,
+	buildJobTasks,
+	buildTemplateTasks,
+	packTaskData
+};
@@ -8,7 +8,10 @@ const { getStorage } = require('./ReportStorage');
 const PuppeteerService = require('./PuppeteerService');
 const EmailQueue = require('./EmailQueue');
 const { generateReportHtml } = require('./ReportTemplates');
+const { buildFarmExport } = require('./DataExport');
+const { buildSprayRows, renderSprayRecords } = require('./SprayRecordExport');
 const { getAccountLocale } = require('./locale');
+const { getCostRates } = require('./costs');
 
 // Collection name for job records
 const COLLECTION_NAME = 'reportJobs';
@@ -17,6 +20,28 @@ const COLLECTION_NAME = 'reportJobs';
 const MAX_RECORDS_TOTAL = 10000;              // Hard cap for any report
 const MAX_EMAIL_ATTACHMENT_RECORDS = 500;     // Max records for PDF email attachment
 
+// Report type for the full farm data export (ZIP instead of PDF)
+const DATA_EXPORT_REPORT_TYPE = 'data_export';
+
+// Report type for the statutory plant protection product application register
+const PPP_REGISTER_REPORT_TYPE = 'ppp_register';
+
+// Report type for harvested quantities and yield per field
+const YIELD_REPORT_TYPE = 'yield';
+
+// Report type for job costs, revenue and gross margin per field and cultivation
+const COST_REPORT_TYPE = 'cost';
+
+// Report type for active substance totals per season and field
+const SUBSTANCE_USE_REPORT_TYPE = 'substance_use';
+
+// Report types that only cover one kind of job record
+const REPORT_RECORD_TYPES = {
+	[PPP_REGISTER_REPORT_TYPE]: 'spray',
+	[YIELD_REPORT_TYPE]: 'harvest',
+	[SUBSTANCE_USE_REPORT_TYPE]: 'spray'
+};
+
 // Job status constants
 const JobStatus = {
 	PENDING: 'pending',
@@ -33,6 +58,32 @@ const DeliveryType = {
 	BOTH: 'both'
 };
 
+// Output formats. PDF renders the grouped report; CSV and XLSX hold one
+// row per product application of spray jobs.
+const ReportFormat = {
+	PDF: 'pdf',
+	CSV: 'csv',
+	XLSX: 'xlsx'
+};
+
+/**
+ * Job record type a report is restricted to, or null for all job types.
+ * Spreadsheet exports always hold spray records.
+ * @param {string} reportType
+ * @param {string} format
+ * @returns {string|null}
+ */
+function getReportRecordType(reportType, format) {
+	if (format && format !== ReportFormat.PDF) return 'spray';
+	return REPORT_RECORD_TYPES[reportType] || null;
+}
+
+const FORMAT_CONTENT_TYPES = {
+	[ReportFormat.PDF]: 'application/pdf',
+	[ReportFormat.CSV]: 'text/csv',
+	[ReportFormat.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
 /**
  * Manages the full lifecycle of report generation jobs.
  * Singleton pattern for consistent access across the application.
@@ -59,6 +110,7 @@ class ReportJobManager {
 		const result = await this._col().updateMany(
 			{
 				accountId: new ObjectId(accountId),
+				subscriptionId: null,
 				status: { $in: [JobStatus.PENDING, JobStatus.PROCESSING] }
 			},
 			{
@@ -119,11 +171,14 @@ class ReportJobManager {
 
 	/**
 	 * Create a new report generation job.
-	 * Cancels any existing pending jobs and deletes old report files for the account first.
+	 * Cancels any existing pending jobs and deletes old report files for the account first,
+	 * unless the job comes from a report subscription (those are email-only and run alongside).
 	 */
 	async createJob(accountId, params) {
-		await this.cancelPendingJobs(accountId);
-		await this.deleteExistingReportFiles(accountId);
+		if (!params.subscriptionId) {
+			await this.cancelPendingJobs(accountId);
+			await this.deleteExistingReportFiles(accountId);
+		}
 
 		const jobId = uuidv4();
 		const job = {
@@ -132,9 +187,11 @@ class ReportJobManager {
 			status: JobStatus.PENDING,
 			delivery: params.delivery || DeliveryType.EMAIL,
 			reportType: params.reportType || 'chronological',
+			format: params.format || ReportFormat.PDF,
 			dateRange: params.dateRange || 'all',
 			startDate: params.startDate || null,
 			endDate: params.endDate || null,
+			subscriptionId: params.subscriptionId || null,
 			result: {},
 			error: null,
 			createdAt: new Date(),
@@ -195,9 +252,14 @@ class ReportJobManager {
 
 	/**
 	 * Process a report generation job.
-	 * This is the core worker that generates the PDF and handles delivery.
+	 * This is the core worker that generates the PDF (or CSV/XLSX) and handles delivery.
+	 * @param {string} jobId
+	 * @param {Object} account - Account owning the farm data being reported on
+	 * @param {Object} [recipient] - Member who requested the report; defaults to the farm account
+	 * @param {Object} [options]
+	 * @param {Array<string>} [options.emailTo] - Addresses to email instead of the recipient's own
 	 */
-	async processJob(jobId, account) {
+	async processJob(jobId, account, recipient = account, options = {}) {
 		try {
 			// Fetch the job and check if cancelled
 			let job = await this.getJob(jobId);
@@ -208,8 +270,20 @@ class ReportJobManager {
 			// Update to processing
 			await this.updateStatus(jobId, JobStatus.PROCESSING);
 
+			if (job.reportType === DATA_EXPORT_REPORT_TYPE) {
+				return await this._processDataExport(job, account);
+			}
+
+			const format = job.format || ReportFormat.PDF;
+
+			// Spreadsheets and the register, yield and substance reports only cover one job type
+			const recordType = getReportRecordType(job.reportType, format);
+
 			// Build query for job records
 			const query = { accountId: account._id };
+			if (recordType) {
+				query.type = recordType;
+			}
 
 			if (job.dateRange !== 'all') {
 				const now = new Date();
@@ -249,7 +323,7 @@ class ReportJobManager {
 				throw new Error('TOO_MANY_RECORDS_FOR_EMAIL');
 			}
 
-			// Determine if we can attach PDF to email
+			// Determine if we can attach the report to email
 			const canAttachToEmail = recordCount <= MAX_EMAIL_ATTACHMENT_RECORDS;
 
 			// Fetch job records (with limit as safety)
@@ -287,27 +361,47 @@ class ReportJobManager {
 			tools.forEach(t => { toolMap[t._id.toString()] = t.name; });
 			products.forEach(p => { productMap[p._id.toString()] = p.name; });
 
-			// Get user's locale for formatting
-			const locale = getAccountLocale(account);
+			// Cultivations are needed for EPPO codes and BBCH stages of spray records
+			// and for the harvest totals of the yield report
+			let cultivations = [];
+			if (recordType) {
+				const cultivationIds = [...new Set(jobRecords.map(j => j.cultivation?.id).filter(id => ObjectId.isValid(id)))];
+				cultivations = await getDb().collection('cultivations')
+					.find({ accountId: account._id, _id: { $in: cultivationIds.map(id => new ObjectId(id)) } })
+					.toArray();
+			}
 
-			// Generate HTML report
+			// Get user's locale for formatting
+			const locale = getAccountLocale(recipient);
 			const farmData = account.content.farmData || {};
-			const html = generateReportHtml({
-				reportType: job.reportType,
-				dateRange: job.dateRange,
-				farmName: farmData.farmName || 'Farm',
-				jobRecords,
-				fieldMap,
-				machineMap,
-				attachmentMap,
-				toolMap,
-				productMap,
-				locale
-			});
 
-			// Generate PDF
-			const pdfBase64 = await PuppeteerService.getInstance().generatePdfBase64(html, { showPageNumbers: true });
-			const pdfBuffer = Buffer.from(pdfBase64, 'base64');
+			let fileBuffer;
+			if (format === ReportFormat.PDF) {
+				// Generate HTML report
+				const html = generateReportHtml({
+					reportType: job.reportType,
+					dateRange: job.dateRange,
+					farmName: farmData.farmName || 'Farm',
+					jobRecords,
+					fieldMap,
+					machineMap,
+					attachmentMap,
+					toolMap,
+					productMap,
+					fieldDocs: Object.fromEntries(fields.map(f => [f._id.toString(), f])),
+					productDocs: Object.fromEntries(products.map(p => [p._id.toString(), p])),
+					cultivationDocs: Object.fromEntries(cultivations.map(c => [c._id.toString(), c])),
+					currency: getCostRates(account).currency,
+					locale
+				});
+
+				// Generate PDF
+				const pdfBase64 = await PuppeteerService.getInstance().generatePdfBase64(html, { showPageNumbers: true });
+				fileBuffer = Buffer.from(pdfBase64, 'base64');
+			} else {
+				const rows = buildSprayRows(jobRecords, { fields, products, cultivations });
+				fileBuffer = renderSprayRecords(rows, format);
+			}
 
 			// Check if cancelled one more time before delivery
 			job = await this.getJob(jobId);
@@ -319,7 +413,7 @@ class ReportJobManager {
 			const farmName = farmData.farmName || 'Farm';
 			const now = new Date();
 			const dateTimeStr = now.toISOString().replace(/[:.]/g, '-').slice(0, -5);
-			const filename = `${farmName.replace(/\s+/g, '_')}_Report_${dateTimeStr}.pdf`;
+			const filename = `${farmName.replace(/\s+/g, '_')}_Report_${dateTimeStr}.${format}`;
 
 			const result = {};
 			const storage = getStorage();
@@ -331,42 +425,54 @@ class ReportJobManager {
 				(job.delivery === DeliveryType.EMAIL && !canAttachToEmail);
 
 			if (needsStorage) {
-				await storage.saveWithMeta(filename, pdfBuffer);
+				await storage.saveWithMeta(filename, fileBuffer);
 				result.downloadUrl = storage.getSignedUrl(filename);
 				result.downloadKey = filename;
 			}
 
 			// Handle email delivery
 			if (job.delivery === DeliveryType.EMAIL || job.delivery === DeliveryType.BOTH) {
-				if (account.metadata.email) {
+				const emailTo = options.emailTo || (recipient.metadata.email ? [recipient.metadata.email] : []);
+
+				if (emailTo.length > 0) {
 					const farmLogo = account.content.farmLogo || null;
+					const emailReportType = format === ReportFormat.PDF ? job.reportType : `spray_records_${format}`;
+
+					// Custom ranges read better as the actual dates
+					const emailPeriod = job.dateRange === 'custom' && job.startDate
+						? `${new Date(job.startDate).toLocaleDateString(locale, { dateStyle: 'medium' })} – ${new Date(job.endDate || now).toLocaleDateString(locale, { dateStyle: 'medium' })}`
+						: job.dateRange;
 
 					if (canAttachToEmail) {
-						// Small report: attach PDF to email
-						const emailHtml = this._buildEmailHtml(farmName, job.reportType, job.dateRange, now, farmLogo, null, locale);
-
-						await EmailQueue.getInstance().queue({
-							to: account.metadata.email,
-							subject: `📊 ${farmName} - Farm Report (${now.toLocaleDateString(locale, { month: 'short', day: 'numeric', year: 'numeric' })})`,
-							html: emailHtml,
-							attachments: [{
-								filename,
-								content: pdfBase64,
-								contentType: 'application/pdf'
-							}],
-							priority: 1
-						});
+						// Small report: attach the file to email
+						const emailHtml = this._buildEmailHtml(farmName, emailReportType, emailPeriod, now, farmLogo, null, locale);
+
+						for (const to of emailTo) {
+							await EmailQueue.getInstance().queue({
+								to,
+								subject: `📊 ${farmName} - Farm Report (${now.toLocaleDateString(locale, { month: 'short', day: 'numeric', year: 'numeric' })})`,
+								html: emailHtml,
+								attachments: [{
+									filename,
+									content: fileBuffer,
+									contentType: FORMAT_CONTENT_TYPES[format]
+								}],
+								priority: 1
+							});
+						}
 					} else {
 						// Large report: send email with download link only
-						const emailHtml = this._buildEmailHtml(farmName, job.reportType, job.dateRange, now, farmLogo, result.downloadUrl, locale);
-
-						await EmailQueue.getInstance().queue({
-							to: account.metadata.email,
-							subject: `📊 ${farmName} - Farm Report (${now.toLocaleDateString(locale, { month: 'short', day: 'numeric', year: 'numeric' })})`,
-							html: emailHtml,
-							attachments: [],
-							priority: 1
-						});
+						const emailHtml = this._buildEmailHtml(farmName, emailReportType, emailPeriod, now, farmLogo, result.downloadUrl, locale);
+
+						for (const to of emailTo) {
+							await EmailQueue.getInstance().queue({
+								to,
+								subject: `📊 ${farmName} - Farm Report (${now.toLocaleDateString(locale, { month: 'short', day: 'numeric', year: 'numeric' })})`,
+								html: emailHtml,
+								attachments: [],
+								priority: 1
+							});
+						}
 					}
 					result.emailSent = true;
 				}
@@ -381,6 +487,37 @@ class ReportJobManager {
 		}
 	}
 
+	/**
+	 * Build the farm data export ZIP and save it for download.
+	 * Exports are never emailed: the archive can be large and holds personal data.
+	 * @param {Object} job - reportJobs document
+	 * @param {Object} account - Account owning the farm data being exported
+	 */
+	async _processDataExport(job, account) {
+		const { buffer, counts } = await buildFarmExport(account);
+
+		// Check if cancelled before saving
+		const current = await this.getJob(job.jobId);
+		if (current.status === JobStatus.CANCELLED) {
+			return;
+		}
+
+		const farmName = account.content?.farmData?.farmName || 'Farm';
+		const dateTimeStr = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+		const filename = `${farmName.replace(/\s+/g, '_')}_Data_Export_${dateTimeStr}.zip`;
+
+		const storage = getStorage();
+		await storage.saveWithMeta(filename, buffer);
+
+		await this.updateStatus(job.jobId, JobStatus.COMPLETED, {
+			result: {
+				downloadUrl: storage.getSignedUrl(filename),
+				downloadKey: filename,
+				counts
+			}
+		});
+	}
+
 	/**
 	 * Build the HTML email body for report delivery.
 	 * @param {string} farmName - Name of the farm
@@ -400,7 +537,13 @@ class ReportJobManager {
 			'machine': 'By Machine',
 			'job_type': 'By Job Type',
 			'attachment': 'By Attachment',
-			'tool': 'By Tool'
+			'tool': 'By Tool',
+			'ppp_register': 'Plant Protection Product Register',
+			'yield': 'Yield by Field',
+			'cost': 'Costs and Gross Margin',
+			'substance_use': 'Active Substances by Season',
+			'spray_records_csv': 'Spray Records (CSV)',
+			'spray_records_xlsx': 'Spray Records (Excel)'
 		};
 
 		const dateRangeLabels = {
@@ -563,7 +706,14 @@ ${downloadButtonHtml}
 module.exports = {
 	ReportJobManager,
 	JobStatus,
+	DATA_EXPORT_REPORT_TYPE,
+	PPP_REGISTER_REPORT_TYPE,
+	YIELD_REPORT_TYPE,
+	COST_REPORT_TYPE,
+	SUBSTANCE_USE_REPORT_TYPE,
+	getReportRecordType,
 	DeliveryType,
+	ReportFormat,
 	MAX_RECORDS_TOTAL,
 	MAX_EMAIL_ATTACHMENT_RECORDS
 };
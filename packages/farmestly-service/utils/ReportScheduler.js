@@ -0,0 +1,344 @@
+// utils/ReportScheduler.js
+// Saved report subscriptions: reports generated on a fixed schedule and
+// emailed to a list of verified recipients.
+
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const EmailQueue = require('./EmailQueue');
+const { escapeHtml } = require('./html');
+const { hasPermission } = require('../middleware/permissions');
+const { ReportJobManager, DeliveryType } = require('./ReportJobManager');
+
+const COLLECTION_NAME = 'reportSubscriptions';
+const WEB_URL = process.env.WEB_URL || 'https://my.farmestly.dev-staging.overpassconnect.com';
+
+// Hour of day (UTC) at which due subscriptions become eligible to run
+const RUN_HOUR_UTC = Number.isInteger(parseInt(process.env.REPORT_SUBSCRIPTION_HOUR_UTC, 10))
+	? parseInt(process.env.REPORT_SUBSCRIPTION_HOUR_UTC, 10)
+	: 5;
+const RECIPIENT_VERIFICATION_EXPIRY_HOURS = parseInt(process.env.REPORT_RECIPIENT_VERIFICATION_EXPIRY_HOURS, 10) || 72;
+
+const Frequency = {
+	WEEKLY: 'weekly',
+	MONTHLY: 'monthly',
+	QUARTERLY: 'quarterly',
+	YEARLY: 'yearly'
+};
+
+/**
+ * Start (00:00 UTC) of the period containing the given date.
+ * Weeks start on Monday.
+ */
+function periodStart(frequency, date) {
+	const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+	switch (frequency) {
+		case Frequency.WEEKLY:
+			d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+			return d;
+		case Frequency.MONTHLY:
+			return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+		case Frequency.QUARTERLY:
+			return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - (d.getUTCMonth() % 3), 1));
+		case Frequency.YEARLY:
+			return new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+		default:
+			throw new Error(`Unknown frequency: ${frequency}`);
+	}
+}
+
+/**
+ * Move a period start by n periods.
+ */
+function shiftPeriod(frequency, start, n) {
+	switch (frequency) {
+		case Frequency.WEEKLY:
+			return new Date(start.getTime() + n * 7 * 24 * 60 * 60 * 1000);
+		case Frequency.MONTHLY:
+			return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + n, 1));
+		case Frequency.QUARTERLY:
+			return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 3 * n, 1));
+		case Frequency.YEARLY:
+			return new Date(Date.UTC(start.getUTCFullYear() + n, 0, 1));
+		default:
+			throw new Error(`Unknown frequency: ${frequency}`);
+	}
+}
+
+/**
+ * First run time after `from`: the start of the next period at RUN_HOUR_UTC.
+ */
+function getNextRunAt(frequency, from = new Date()) {
+	const next = shiftPeriod(frequency, periodStart(frequency, from), 1);
+	next.setUTCHours(RUN_HOUR_UTC);
+	return next;
+}
+
+/**
+ * The period a run reports on: the full period before the one it runs in.
+ */
+function getReportPeriod(frequency, runAt) {
+	const end = periodStart(frequency, runAt);
+	return {
+		startDate: shiftPeriod(frequency, end, -1),
+		endDate: new Date(end.getTime() - 1)
+	};
+}
+
+/**
+ * Build the recipient verification email HTML
+ */
+function buildRecipientVerificationHtml(verificationUrl, farmName, subscriptionName) {
+	return `
+<!DOCTYPE html>
+<html>
+<head>
+	<meta charset="utf-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1.0">
+	<title>Confirm Report Delivery</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; background-color: #fbf2ec;">
+	<table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #fbf2ec;">
+		<tr>
+			<td style="padding: 40px 20px;">
+				<table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto;">
+					<tr>
+						<td style="text-align: center; padding-bottom: 32px;">
+							<img src="${WEB_URL}/assets/farmestly_logo.png" alt="Farmestly" width="180" style="display: block; margin: 0 auto;">
+						</td>
+					</tr>
+				</table>
+				<table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 12px rgba(66, 33, 11, 0.12);">
+					<tr>
+						<td style="padding: 48px 40px;">
+							<h1 style="margin: 0 0 16px; color: #42210B; font-size: 22px; font-weight: 500; text-align: center;">Confirm Report Delivery</h1>
+							<p style="margin: 0 0 24px; color: #A09085; font-size: 15px; line-height: 1.5; text-align: center;">${escapeHtml(farmName)} would like to send you the scheduled report "${escapeHtml(subscriptionName)}" by email. Confirm your address to start receiving it. This link will expire in ${RECIPIENT_VERIFICATION_EXPIRY_HOURS} hours.</p>
+							<table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%">
+								<tr>
+									<td style="padding: 16px 0; text-align: center;">
+										<a href="${verificationUrl}" style="display: inline-block; padding: 12px 32px; background-color: #E37F1B; color: #ffffff; text-decoration: none; font-size: 15px; font-weight: 700; border-radius: 24px;">Confirm Email</a>
+									</td>
+								</tr>
+							</table>
+							<p style="margin: 24px 0 0; color: #A09085; font-size: 13px; line-height: 1.5; text-align: center;">If the button doesn't work, copy and paste this link into your browser:</p>
+							<p style="margin: 8px 0 0; color: #E37F1B; font-size: 13px; word-break: break-all; text-align: center;">${verificationUrl}</p>
+							<p style="margin: 24px 0 0; color: #A09085; font-size: 13px; line-height: 1.5; text-align: center;">If you don't know this farm, you can safely ignore this email and you won't receive any reports.</p>
+						</td>
+					</tr>
+				</table>
+				<table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto;">
+					<tr>
+						<td style="padding: 24px 0; text-align: center;">
+							<p style="margin: 0; color: #A09085; font-size: 12px;">&copy; ${new Date().getFullYear()} Farmestly. All rights reserved.</p>
+						</td>
+					</tr>
+				</table>
+			</td>
+		</tr>
+	</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Singleton that stores report subscriptions and runs the due ones.
+ */
+class ReportScheduler {
+	static _instance = null;
+
+	static getInstance() {
+		if (!ReportScheduler._instance) {
+			ReportScheduler._instance = new ReportScheduler();
+		}
+		return ReportScheduler._instance;
+	}
+
+	_col() {
+		return getDb().collection(COLLECTION_NAME);
+	}
+
+	async ensureIndexes() {
+		try {
+			await this._col().createIndex({ enabled: 1, nextRunAt: 1 }, { background: true });
+			await this._col().createIndex({ accountId: 1 }, { background: true });
+			await this._col().createIndex({ 'recipients.verification.token': 1 }, { background: true, sparse: true });
+			console.log('reportSubscriptions indexes created');
+		} catch (err) {
+			console.error('Error creating reportSubscriptions indexes:', err);
+		}
+	}
+
+	/**
+	 * Build a recipient entry. An address matching the creator's own verified
+	 * email is trusted straight away; anything else needs confirming.
+	 * @param {string} email
+	 * @param {Object} creator - Accounts document of the member creating the subscription
+	 */
+	createRecipient(email, creator) {
+		const isOwnVerified = creator.metadata.emailVerified === true &&
+			creator.metadata.email?.toLowerCase() === email.toLowerCase();
+
+		return {
+			email,
+			verified: isOwnVerified,
+			verification: isOwnVerified ? null : {
+				token: crypto.randomBytes(32).toString('hex'),
+				expiresAt: new Date(Date.now() + RECIPIENT_VERIFICATION_EXPIRY_HOURS * 60 * 60 * 1000)
+			}
+		};
+	}
+
+	/**
+	 * Queue the confirmation email for an unverified recipient.
+	 */
+	async sendRecipientVerification(subscription, recipient, farmName) {
+		if (recipient.verified || !recipient.verification) return;
+
+		const verificationUrl = `${WEB_URL}/emailVerification?token=${recipient.verification.token}&recipient=1`;
+
+		await EmailQueue.getInstance().queue({
+			to: recipient.email,
+			subject: `Confirm report delivery from ${farmName} - Farmestly`,
+			html: buildRecipientVerificationHtml(verificationUrl, farmName, subscription.name),
+			priority: 1,
+			metadata: { type: 'report_recipient_verification' }
+		});
+	}
+
+	/**
+	 * Mark the recipient holding this token as verified.
+	 * @param {string} token
+	 * @returns {Promise<'verified'|'expired'|null>} null when no recipient has the token
+	 */
+	async verifyRecipient(token) {
+		const subscription = await this._col().findOne({ 'recipients.verification.token': token });
+		if (!subscription) return null;
+
+		const recipient = subscription.recipients.find(r => r.verification?.token === token);
+
+		if (new Date() > new Date(recipient.verification.expiresAt)) {
+			await this._col().updateOne(
+				{ _id: subscription._id, 'recipients.verification.token': token },
+				{ $set: { 'recipients.$.verification': null } }
+			);
+			return 'expired';
+		}
+
+		await this._col().updateOne(
+			{ _id: subscription._id, 'recipients.verification.token': token },
+			{ $set: { 'recipients.$.verified': true, 'recipients.$.verification': null } }
+		);
+
+		console.log(`[ReportScheduler] Recipient verified for subscription ${subscription._id}: ${recipient.email}`);
+		return 'verified';
+	}
+
+	/**
+	 * Run every enabled subscription whose next run time has passed.
+	 * Each subscription is claimed by advancing nextRunAt first, so a run
+	 * that overlaps with another instance never sends the same report twice.
+	 * @returns {Promise<{ran: number, failed: number}>}
+	 */
+	async runDueSubscriptions() {
+		const now = new Date();
+		const due = await this._col()
+			.find({ enabled: true, nextRunAt: { $lte: now } })
+			.toArray();
+
+		let ran = 0;
+		let failed = 0;
+
+		for (const subscription of due) {
+			const claimed = await this._col().updateOne(
+				{ _id: subscription._id, nextRunAt: subscription.nextRunAt },
+				{ $set: { nextRunAt: getNextRunAt(subscription.frequency, now) } }
+			);
+			if (claimed.modifiedCount !== 1) continue;
+
+			try {
+				const lastRun = await this.runSubscription(subscription);
+				await this._col().updateOne({ _id: subscription._id }, { $set: { lastRun } });
+				if (lastRun.status === 'failed') failed++;
+				else ran++;
+			} catch (err) {
+				console.error('[ReportScheduler] Subscription run failed:', subscription._id, err);
+				await this._col().updateOne(
+					{ _id: subscription._id },
+					{ $set: { lastRun: { at: new Date(), status: 'failed', error: 'INTERNAL_ERROR' } } }
+				);
+				failed++;
+			}
+		}
+
+		return { ran, failed };
+	}
+
+	/**
+	 * Generate and email one subscription's report for the period before its run time.
+	 * @param {Object} subscription - reportSubscriptions document
+	 * @returns {Promise<Object>} lastRun summary to store on the subscription
+	 */
+	async runSubscription(subscription) {
+		const at = new Date();
+		const emailTo = subscription.recipients.filter(r => r.verified).map(r => r.email);
+
+		if (emailTo.length === 0) {
+			return { at, status: 'skipped', error: 'NO_VERIFIED_RECIPIENTS' };
+		}
+
+		const accounts = getDb().collection('Accounts');
+		const farmAccount = await accounts.findOne({ _id: subscription.accountId });
+		if (!farmAccount) {
+			return { at, status: 'skipped', error: 'FARM_NOT_FOUND' };
+		}
+
+		// The creator must still be allowed to create reports on this farm
+		let creator = farmAccount;
+		if (!subscription.createdBy.equals(subscription.accountId)) {
+			const membership = await getDb().collection('FarmMembers').findOne({
+				farmId: subscription.accountId,
+				accountId: subscription.createdBy,
+				status: 'active'
+			});
+			creator = membership && hasPermission(membership.role, 'reports.create')
+				? await accounts.findOne({ _id: subscription.createdBy })
+				: null;
+		}
+		if (!creator) {
+			return { at, status: 'skipped', error: 'CREATOR_NOT_MEMBER' };
+		}
+
+		const { startDate, endDate } = getReportPeriod(subscription.frequency, subscription.nextRunAt);
+
+		const manager = ReportJobManager.getInstance();
+		const jobId = await manager.createJob(creator._id.toString(), {
+			delivery: DeliveryType.EMAIL,
+			reportType: subscription.reportType,
+			format: subscription.format,
+			dateRange: 'custom',
+			startDate,
+			endDate,
+			subscriptionId: subscription._id
+		});
+
+		await manager.processJob(jobId, farmAccount, creator, { emailTo });
+
+		const job = await manager.getJob(jobId);
+		return {
+			at,
+			jobId,
+			status: job.status,
+			error: job.error || null,
+			startDate,
+			endDate
+		};
+	}
+}
+
+module.exports = {
+	ReportScheduler,
+	Frequency,
+	getNextRunAt,
+	getReportPeriod
+};
@@ -11,6 +11,14 @@ const STORAGE_PATH = process.env.REPORT_STORAGE_PATH || '/var/farmestly/reports'
 const URL_SECRET = process.env.REPORT_URL_SECRET || 'default-secret-change-in-production';
 const EXPIRY_MINUTES = parseInt(process.env.REPORT_EXPIRY_MINUTES, 10) || 30;
 
+// Content types served for stored files, by extension
+const CONTENT_TYPES = {
+	'.pdf': 'application/pdf',
+	'.zip': 'application/zip',
+	'.csv': 'text/csv; charset=utf-8',
+	'.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
 /**
  * Base class defining the storage interface.
  * Concrete implementations must override all methods.
@@ -121,13 +129,16 @@ class FileSystemStorage extends ReportStorage {
 	}
 
 	/**
-	 * Send the PDF file via nginx X-Accel-Redirect.
+	 * Send the stored file via nginx X-Accel-Redirect.
 	 * Nginx serves the file directly, bypassing Node for efficiency.
 	 */
 	sendFile(key, res) {
 		const safeKey = key.replace(/[^a-zA-Z0-9_\-\.]/g, '');
-		res.setHeader('Content-Type', 'application/pdf');
-		res.setHeader('Content-Disposition', `inline; filename="${safeKey.replace(/"/g, '')}"`);
+		const contentType = CONTENT_TYPES[path.extname(safeKey).toLowerCase()] || 'application/octet-stream';
+		// PDFs open in the browser, everything else downloads
+		const disposition = contentType === 'application/pdf' ? 'inline' : 'attachment';
+		res.setHeader('Content-Type', contentType);
+		res.setHeader('Content-Disposition', `${disposition}; filename="${safeKey.replace(/"/g, '')}"`);
 		res.setHeader('X-Accel-Redirect', `/_internal_reports/${safeKey}`);
 		res.end();
 	}
@@ -2,15 +2,10 @@
 
 const { LOGO_BASE64 } = require('../constants');
 const { DEFAULT_LOCALE } = require('./locale');
-
-function escapeHtml(str) {
-	if (!str) return '';
-	return String(str)
-		.replace(/&/g, '&amp;')
-		.replace(/</g, '&lt;')
-		.replace(/>/g, '&gt;')
-		.replace(/"/g, '&quot;');
-}
+const { summariseCosts } = require('./costs');
+const { getActiveIngredients, getGramsPerUnit, summariseSubstanceUse } = require('./activeSubstances');
+const { escapeHtml } = require('./html');
+const { SQ_M_PER_HA } = require('./stock');
 
 /**
  * Format a date using the user's locale.
@@ -197,6 +192,25 @@ const baseStyles = `
         font-weight: 500;
     }
 
+    /* Plant protection product register */
+    table.register {
+        font-size: 8px;
+    }
+    table.register th,
+    table.register td {
+        padding: 4px 4px;
+        vertical-align: top;
+    }
+    .register-sub {
+        display: block;
+        color: ${colors.PRIMARY_LIGHT};
+        font-size: 7px;
+    }
+    table.register tr.register-total td {
+        font-weight: 600;
+        border-top: 1px solid ${colors.PRIMARY};
+    }
+
     /* Footer fixed at bottom of each page when printing via Puppeteer */
     .footer {
         position: fixed;
@@ -219,7 +233,7 @@ const baseStyles = `
     }
 `;
 
-function generateHeader(farmName, dateRange, totalRecords, locale = DEFAULT_LOCALE) {
+function generateHeader(farmName, dateRange, totalRecords, locale = DEFAULT_LOCALE, title = 'Farm Report') {
 	const dateRangeText = {
 		'all': 'All Time',
 		'month': 'Last Month',
@@ -232,7 +246,7 @@ function generateHeader(farmName, dateRange, totalRecords, locale = DEFAULT_LOCA
         <div class="header-row">
             <img src="${LOGO_BASE64}" alt="Farmestly" class="logo" />
             <div class="header-info">
-                <h1>${escapeHtml(farmName)} Farm Report</h1>
+                <h1>${escapeHtml(farmName)} ${escapeHtml(title)}</h1>
                 <div class="meta">
                     ${formatDate(new Date(), locale)} • ${dateRangeText} • ${formatNumber(totalRecords, locale)} records
                 </div>
@@ -300,6 +314,44 @@ function generateSprayDetails(r, maps, locale) {
     `;
 }
 
+/**
+ * Generate detail sub-row for fertilize jobs
+ */
+function generateFertilizeDetails(r, maps, locale) {
+	const fertilizeData = r.data?.fertilize || {};
+
+	const items = [];
+
+	// Products, with rates stored per m²
+	if (fertilizeData.products && fertilizeData.products.length > 0) {
+		const productDetails = fertilizeData.products.map(p => {
+			const productName = p.name || maps.productMap?.[p.productId] || 'Unknown Product';
+			const rate = p.rate != null ? ` @ ${formatNumber(p.rate * 10000, locale, { maximumFractionDigits: 2 })} ${p.isVolume === false ? 'kg' : 'L'}/ha` : '';
+			return escapeHtml(productName) + rate;
+		}).join(', ');
+		items.push(`<span class="detail-item"><strong>Products:</strong> ${productDetails}</span>`);
+	}
+
+	// Nutrients applied, P and K as the oxides given on fertilizer labels
+	const perHa = r.nutrients?.perHa;
+	if (perHa) {
+		items.push(`<span class="detail-item"><strong>N:</strong> ${formatNumber(perHa.n, locale)} kg/ha</span>`);
+		items.push(`<span class="detail-item"><strong>P2O5:</strong> ${formatNumber(perHa.p, locale)} kg/ha</span>`);
+		items.push(`<span class="detail-item"><strong>K2O:</strong> ${formatNumber(perHa.k, locale)} kg/ha</span>`);
+		if (perHa.s > 0) items.push(`<span class="detail-item"><strong>S:</strong> ${formatNumber(perHa.s, locale)} kg/ha</span>`);
+	}
+
+	if (items.length === 0) return '';
+
+	return `
+        <tr class="detail-row">
+            <td colspan="6" class="detail-cell">
+                <div class="detail-items">${items.join('')}</div>
+            </td>
+        </tr>
+    `;
+}
+
 /**
  * Generate detail sub-row for harvest jobs
  */
@@ -307,8 +359,11 @@ function generateHarvestDetails(r, locale) {
 	const harvestData = r.data?.harvest || {};
 
 	const items = [];
-	if (harvestData.yield != null) items.push(`<span class="detail-item"><strong>Yield:</strong> ${formatNumber(harvestData.yield, locale)} kg</span>`);
+	if (harvestData.amount != null) items.push(`<span class="detail-item"><strong>Harvested:</strong> ${formatNumber(harvestData.amount, locale)} ${harvestData.unit === 'L' ? 'L' : 'kg'}</span>`);
 	if (harvestData.moisture != null) items.push(`<span class="detail-item"><strong>Moisture:</strong> ${formatNumber(harvestData.moisture, locale)}%</span>`);
+	if (harvestData.grade) items.push(`<span class="detail-item"><strong>Grade:</strong> ${escapeHtml(harvestData.grade)}</span>`);
+	if (harvestData.loads != null) items.push(`<span class="detail-item"><strong>Loads:</strong> ${formatNumber(harvestData.loads, locale)}</span>`);
+	if (harvestData.destination) items.push(`<span class="detail-item"><strong>Destination:</strong> ${escapeHtml(harvestData.destination)}</span>`);
 
 	if (items.length === 0) return '';
 
@@ -346,6 +401,8 @@ function generateJobTable(records, maps, locale = DEFAULT_LOCALE) {
 			rowHtml += generateSowDetails(r, locale);
 		} else if (r.type === 'spray') {
 			rowHtml += generateSprayDetails(r, maps, locale);
+		} else if (r.type === 'fertilize') {
+			rowHtml += generateFertilizeDetails(r, maps, locale);
 		} else if (r.type === 'harvest') {
 			rowHtml += generateHarvestDetails(r, locale);
 		}
@@ -370,6 +427,375 @@ function generateJobTable(records, maps, locale = DEFAULT_LOCALE) {
     `;
 }
 
+/**
+ * Find the BBCH stage a cultivation was at on a given date, from its stage history.
+ * Cultivations start at stage 0 when sown, so a treatment before the first
+ * recorded change is at stage 0.
+ */
+function getBbchStageAt(cultivation, date) {
+	if (!cultivation || !date) return null;
+	const at = new Date(date).getTime();
+
+	let stage = null;
+	let stageTime = -Infinity;
+	for (const entry of cultivation.bbchHistory || []) {
+		const time = new Date(entry.timestamp).getTime();
+		if (time <= at && time >= stageTime) {
+			stage = entry.stage;
+			stageTime = time;
+		}
+	}
+
+	if (stage === null && cultivation.startTime && new Date(cultivation.startTime).getTime() <= at) {
+		stage = 0;
+	}
+	return stage;
+}
+
+/**
+ * Plant protection product application register (Reg. (EC) 1107/2009 Art. 67).
+ * One row per product applied, in the layout inspectors ask for.
+ */
+function generateRegisterReport(records, maps, locale = DEFAULT_LOCALE) {
+	const sprayRecords = (records || [])
+		.filter(r => r.type === 'spray')
+		.sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+
+	if (sprayRecords.length === 0) {
+		return '<div class="no-data">No spray applications found</div>';
+	}
+
+	const fieldDocs = maps.fieldDocs || {};
+	const productDocs = maps.productDocs || {};
+	const cultivationDocs = maps.cultivationDocs || {};
+	const dash = '-';
+
+	const rows = sprayRecords.flatMap(r => {
+		const spray = r.data?.spray || {};
+		const field = fieldDocs[r.fieldId] || {};
+		const cultivation = cultivationDocs[r.cultivation?.id];
+		const areaHa = Number.isFinite(field.area) ? field.area / SQ_M_PER_HA : null;
+
+		const crop = r.cultivation?.crop
+			? escapeHtml(r.cultivation.crop) + (cultivation?.eppoCode ? ` <span class="register-sub">${escapeHtml(cultivation.eppoCode)}</span>` : '')
+			: dash;
+		const bbchStage = getBbchStageAt(cultivation, r.startedAt);
+		const parcel = escapeHtml(field.name || maps.fieldMap[r.fieldId] || 'Unknown')
+			+ (field.fieldLegalNumber ? ` <span class="register-sub">${escapeHtml(field.fieldLegalNumber)}</span>` : '');
+
+		const applications = spray.products?.length ? spray.products : [null];
+
+		return applications.map(applied => {
+			const product = applied ? (productDocs[applied.productId] || {}) : {};
+			const isVolume = applied?.isVolume ?? product.isVolume ?? true;
+			const rate = Number(applied?.rate);
+			const dose = Number.isFinite(rate)
+				? `${formatNumber(rate * SQ_M_PER_HA, locale, { maximumFractionDigits: 3 })} ${isVolume ? 'L/ha' : 'kg/ha'}`
+				: dash;
+			const total = Number.isFinite(rate) && areaHa !== null
+				? ` <span class="register-sub">${formatNumber(rate * areaHa * SQ_M_PER_HA, locale, { maximumFractionDigits: 2 })} ${isVolume ? 'L' : 'kg'}</span>`
+				: '';
+			const ingredients = getActiveIngredients(product).filter(ingredient => ingredient.name);
+			const substance = ingredients.length > 0
+				? ingredients.map(ingredient => {
+					const gramsPerUnit = getGramsPerUnit(ingredient);
+					const applied = gramsPerUnit !== null && Number.isFinite(rate)
+						? ` <span class="register-sub">${formatNumber(gramsPerUnit * rate * SQ_M_PER_HA, locale, { maximumFractionDigits: 1 })} g/ha</span>`
+						: '';
+					return escapeHtml(ingredient.name)
+						+ (ingredient.cas ? ` <span class="register-sub">CAS ${escapeHtml(ingredient.cas)}</span>` : '')
+						+ applied;
+				}).join('<br>')
+				: dash;
+
+			return `
+        <tr>
+            <td>${formatDate(r.startedAt, locale)}</td>
+            <td>${parcel}</td>
+            <td>${crop}</td>
+            <td>${bbchStage !== null ? String(bbchStage).padStart(2, '0') : dash}</td>
+            <td>${escapeHtml(applied?.name || product.name || dash)}</td>
+            <td>${escapeHtml(applied?.authorisationNumber || product.authorisationNumber || dash)}</td>
+            <td>${substance}</td>
+            <td>${dose}${total}</td>
+            <td>${areaHa !== null ? `${formatNumber(areaHa, locale, { maximumFractionDigits: 2 })} ha` : dash}</td>
+            <td>${escapeHtml(spray.target || dash)}</td>
+            <td>${escapeHtml(spray.reason || dash)}</td>
+            <td>${escapeHtml(r.performedBy?.username || dash)}</td>
+        </tr>`;
+		});
+	}).join('');
+
+	return `
+        <div class="section">
+            <table class="register">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Parcel</th>
+                        <th>Crop (EPPO)</th>
+                        <th>BBCH</th>
+                        <th>Product</th>
+                        <th>Authorisation No.</th>
+                        <th>Active Substance</th>
+                        <th>Dose</th>
+                        <th>Treated Area</th>
+                        <th>Target</th>
+                        <th>Reason</th>
+                        <th>Operator</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Harvested quantities and yield per hectare, one row per field and cultivation.
+ */
+function generateYieldReport(records, maps, locale = DEFAULT_LOCALE) {
+	const harvestRecords = (records || []).filter(r => r.type === 'harvest');
+
+	if (harvestRecords.length === 0) {
+		return '<div class="no-data">No harvests found</div>';
+	}
+
+	const fieldDocs = maps.fieldDocs || {};
+	const dash = '-';
+
+	const groups = new Map();
+	harvestRecords.forEach(r => {
+		const key = `${r.fieldId}|${r.cultivation?.id || ''}`;
+		if (!groups.has(key)) {
+			groups.set(key, {
+				fieldId: r.fieldId,
+				cultivation: r.cultivation,
+				harvests: 0,
+				loads: 0,
+				mass: 0,
+				volume: 0,
+				moistureSum: 0,
+				moistureMass: 0,
+				destinations: new Set(),
+				lastHarvest: null
+			});
+		}
+
+		const group = groups.get(key);
+		const harvest = r.data?.harvest || {};
+		group.harvests++;
+		group.loads += harvest.loads || 0;
+		if (harvest.amount > 0) {
+			if (harvest.unit === 'L') {
+				group.volume += harvest.amount;
+			} else {
+				group.mass += harvest.amount;
+				if (harvest.moisture != null) {
+					group.moistureSum += harvest.moisture * harvest.amount;
+					group.moistureMass += harvest.amount;
+				}
+			}
+		}
+		if (harvest.destination) group.destinations.add(harvest.destination);
+		if (!group.lastHarvest || new Date(r.startedAt) > new Date(group.lastHarvest)) {
+			group.lastHarvest = r.startedAt;
+		}
+	});
+
+	const rows = [...groups.values()]
+		.map(group => ({ ...group, field: fieldDocs[group.fieldId] || {} }))
+		.sort((a, b) => (a.field.name || '').localeCompare(b.field.name || ''))
+		.map(group => {
+			const areaHa = Number.isFinite(group.field.area) ? group.field.area / SQ_M_PER_HA : null;
+			const quantities = [];
+			const yields = [];
+
+			if (group.mass > 0) {
+				quantities.push(`${formatNumber(group.mass, locale, { maximumFractionDigits: 0 })} kg`);
+				if (areaHa) yields.push(`${formatNumber(group.mass / areaHa, locale, { maximumFractionDigits: 0 })} kg/ha`);
+			}
+			if (group.volume > 0) {
+				quantities.push(`${formatNumber(group.volume, locale, { maximumFractionDigits: 0 })} L`);
+				if (areaHa) yields.push(`${formatNumber(group.volume / areaHa, locale, { maximumFractionDigits: 0 })} L/ha`);
+			}
+
+			const crop = group.cultivation?.crop
+				? escapeHtml(group.cultivation.crop) + (group.cultivation.variety ? ` <span class="register-sub">${escapeHtml(group.cultivation.variety)}</span>` : '')
+				: dash;
+			const moisture = group.moistureMass > 0
+				? `${formatNumber(group.moistureSum / group.moistureMass, locale, { maximumFractionDigits: 1 })}%`
+				: dash;
+
+			return `
+        <tr>
+            <td>${escapeHtml(group.field.name || maps.fieldMap[group.fieldId] || 'Unknown')}</td>
+            <td>${areaHa !== null ? `${formatNumber(areaHa, locale, { maximumFractionDigits: 2 })} ha` : dash}</td>
+            <td>${crop}</td>
+            <td>${formatDate(group.lastHarvest, locale)}</td>
+            <td>${formatNumber(group.harvests, locale)}</td>
+            <td>${group.loads ? formatNumber(group.loads, locale) : dash}</td>
+            <td>${quantities.join('<br>') || dash}</td>
+            <td>${yields.join('<br>') || dash}</td>
+            <td>${moisture}</td>
+            <td>${group.destinations.size ? [...group.destinations].map(escapeHtml).join(', ') : dash}</td>
+        </tr>`;
+		}).join('');
+
+	return `
+        <div class="section">
+            <table class="register">
+                <thead>
+                    <tr>
+                        <th>Field</th>
+                        <th>Area</th>
+                        <th>Crop</th>
+                        <th>Last Harvest</th>
+                        <th>Harvests</th>
+                        <th>Loads</th>
+                        <th>Harvested</th>
+                        <th>Yield</th>
+                        <th>Moisture</th>
+                        <th>Destination</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Costs per field and cultivation from the costs stored on each job, with
+ * revenue and gross margin where harvests have a sale price.
+ */
+function generateCostReport(records, maps, locale = DEFAULT_LOCALE, currency = 'EUR') {
+	if (!records || records.length === 0) {
+		return '<div class="no-data">No jobs found</div>';
+	}
+
+	const fieldDocs = maps.fieldDocs || {};
+	const groups = summariseCosts(records, { groupBy: 'cultivation', fieldDocs })
+		.sort((a, b) => (a.fieldName || '').localeCompare(b.fieldName || ''));
+	const dash = '-';
+	const money = (value) => value != null ? formatNumber(value, locale, { style: 'currency', currency }) : dash;
+
+	const totals = { products: 0, machinery: 0, labour: 0, water: 0, total: 0, revenue: null, uncostedJobs: 0 };
+	groups.forEach(group => {
+		['products', 'machinery', 'labour', 'water', 'total', 'uncostedJobs'].forEach(key => { totals[key] += group[key]; });
+		if (group.revenue != null) totals.revenue = (totals.revenue || 0) + group.revenue;
+	});
+
+	const rows = groups.map(group => {
+		const areaHa = group.area ? group.area / SQ_M_PER_HA : null;
+		const crop = group.cultivation?.crop
+			? escapeHtml(group.cultivation.crop) + (group.cultivation.variety ? ` <span class="register-sub">${escapeHtml(group.cultivation.variety)}</span>` : '')
+			: dash;
+		const jobs = formatNumber(group.jobCount, locale)
+			+ (group.uncostedJobs ? ` <span class="register-sub">${formatNumber(group.uncostedJobs, locale)} not costed</span>` : '');
+
+		return `
+        <tr>
+            <td>${escapeHtml(group.fieldName || maps.fieldMap[group.fieldId] || 'Unknown')}</td>
+            <td>${areaHa !== null ? `${formatNumber(areaHa, locale, { maximumFractionDigits: 2 })} ha` : dash}</td>
+            <td>${crop}</td>
+            <td>${jobs}</td>
+            <td>${money(group.products)}</td>
+            <td>${money(group.machinery)}</td>
+            <td>${money(group.labour)}</td>
+            <td>${money(group.water)}</td>
+            <td>${money(group.total)}</td>
+            <td>${areaHa ? money(group.total / areaHa) : dash}</td>
+            <td>${money(group.revenue)}</td>
+            <td>${money(group.grossMargin)}</td>
+        </tr>`;
+	}).join('');
+
+	return `
+        <div class="section">
+            <table class="register">
+                <thead>
+                    <tr>
+                        <th>Field</th>
+                        <th>Area</th>
+                        <th>Crop</th>
+                        <th>Jobs</th>
+                        <th>Products</th>
+                        <th>Machinery</th>
+                        <th>Labour</th>
+                        <th>Water</th>
+                        <th>Total Cost</th>
+                        <th>Cost/ha</th>
+                        <th>Revenue</th>
+                        <th>Gross Margin</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                    <tr class="register-total">
+                        <td colspan="4">Total</td>
+                        <td>${money(totals.products)}</td>
+                        <td>${money(totals.machinery)}</td>
+                        <td>${money(totals.labour)}</td>
+                        <td>${money(totals.water)}</td>
+                        <td>${money(totals.total)}</td>
+                        <td>${dash}</td>
+                        <td>${money(totals.revenue)}</td>
+                        <td>${totals.revenue != null ? money(totals.revenue - totals.total) : dash}</td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Active substances applied per season, with the quantity per hectare on each
+ * field, for checking caps such as the copper limit in organic farming.
+ */
+function generateSubstanceUseReport(records, maps, locale = DEFAULT_LOCALE) {
+	const productsById = new Map(Object.entries(maps.productDocs || {}));
+	const totals = summariseSubstanceUse(records || [], { productsById, fieldDocs: maps.fieldDocs || {} });
+
+	if (totals.length === 0) {
+		return '<div class="no-data">No active substances applied</div>';
+	}
+
+	const dash = '-';
+	const kg = (grams) => `${formatNumber(grams / 1000, locale, { maximumFractionDigits: 3 })} kg`;
+
+	const rows = totals.flatMap(total => total.fields.map((field, i) => `
+        <tr>
+            <td>${i === 0 ? escapeHtml(total.season) : ''}</td>
+            <td>${i === 0 ? escapeHtml(total.name || dash) + (total.cas ? ` <span class="register-sub">CAS ${escapeHtml(total.cas)}</span>` : '') : ''}</td>
+            <td>${escapeHtml(field.fieldName || maps.fieldMap[field.fieldId] || 'Unknown')}</td>
+            <td>${kg(field.gramsPerHa)}/ha</td>
+            <td>${field.grams ? kg(field.grams) : dash}</td>
+        </tr>`).concat(`
+        <tr class="register-total">
+            <td colspan="3">${escapeHtml(total.name || dash)} ${escapeHtml(total.season)}</td>
+            <td>max ${kg(total.maxGramsPerHa)}/ha</td>
+            <td>${kg(total.grams)}</td>
+        </tr>`)).join('');
+
+	return `
+        <div class="section">
+            <table class="register">
+                <thead>
+                    <tr>
+                        <th>Season</th>
+                        <th>Active Substance</th>
+                        <th>Field</th>
+                        <th>Applied per ha</th>
+                        <th>Applied Total</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
 function generateGroupedReport(records, groupKey, groupMap, maps, locale = DEFAULT_LOCALE) {
 	const groups = {};
 
@@ -426,11 +852,28 @@ function generateGroupedReport(records, groupKey, groupMap, maps, locale = DEFAU
 }
 
 function generateReportHtml(data) {
-	const { reportType, dateRange, farmName, jobRecords, fieldMap, machineMap, attachmentMap, toolMap, productMap, locale = DEFAULT_LOCALE } = data;
-	const maps = { fieldMap, machineMap, attachmentMap, toolMap, productMap };
+	const { reportType, dateRange, farmName, jobRecords, fieldMap, machineMap, attachmentMap, toolMap, productMap, fieldDocs, productDocs, cultivationDocs, currency, locale = DEFAULT_LOCALE } = data;
+	const maps = { fieldMap, machineMap, attachmentMap, toolMap, productMap, fieldDocs, productDocs, cultivationDocs };
 
 	let content;
+	let title;
 	switch (reportType) {
+		case 'ppp_register':
+			content = generateRegisterReport(jobRecords, maps, locale);
+			title = 'Plant Protection Product Register';
+			break;
+		case 'yield':
+			content = generateYieldReport(jobRecords, maps, locale);
+			title = 'Yield by Field';
+			break;
+		case 'cost':
+			content = generateCostReport(jobRecords, maps, locale, currency);
+			title = 'Costs and Gross Margin';
+			break;
+		case 'substance_use':
+			content = generateSubstanceUseReport(jobRecords, maps, locale);
+			title = 'Active Substances by Season';
+			break;
 		case 'field':
 			content = generateGroupedReport(jobRecords, 'fieldId', fieldMap, maps, locale);
 			break;
@@ -458,7 +901,7 @@ function generateReportHtml(data) {
             <style>${baseStyles}</style>
         </head>
         <body>
-            ${generateHeader(farmName, dateRange, jobRecords.length, locale)}
+            ${generateHeader(farmName, dateRange, jobRecords.length, locale, title)}
             ${content}
             <div class="footer">
                 Generated by Farmestly • ${new Date().getFullYear()}
@@ -0,0 +1,149 @@
+// utils/SprayRecordExport.js
+// Tabular (CSV / XLSX) spray application records: one row per product
+// applied in a spray job.
+
+const { toCsv } = require('./csv');
+const { toXlsx } = require('./xlsx');
+const { getActiveIngredients, getGramsPerUnit } = require('./activeSubstances');
+const { SQ_M_PER_HA, round } = require('./stock');
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Rates and areas are stored per m² / in m²; spreadsheets get per-hectare values
+const SPRAY_RECORD_COLUMNS = [
+	{ header: 'Start', value: r => r.startedAt, width: 17 },
+	{ header: 'End', value: r => r.endedAt, width: 17 },
+	{ header: 'Duration (h)', value: r => r.durationH },
+	{ header: 'Operator', value: r => r.operator, width: 16 },
+	{ header: 'Field', value: r => r.fieldName, width: 20 },
+	{ header: 'Field legal number', value: r => r.fieldLegalNumber, width: 18 },
+	{ header: 'Area (ha)', value: r => r.areaHa },
+	{ header: 'Crop', value: r => r.crop, width: 16 },
+	{ header: 'Variety', value: r => r.variety, width: 14 },
+	{ header: 'Crop EPPO code', value: r => r.eppoCode },
+	{ header: 'Product', value: r => r.product, width: 22 },
+	{ header: 'Authorisation number', value: r => r.authorisationNumber, width: 18 },
+	{ header: 'Active ingredient', value: r => r.activeIngredient, width: 22 },
+	{ header: 'Active ingredient CAS', value: r => r.cas, width: 16 },
+	{ header: 'Active ingredient applied (g/ha)', value: r => r.activeIngredientApplied, width: 22 },
+	{ header: 'Rate', value: r => r.rate },
+	{ header: 'Rate unit', value: r => r.rateUnit },
+	{ header: 'Total quantity', value: r => r.totalQuantity },
+	{ header: 'Quantity unit', value: r => r.quantityUnit },
+	{ header: 'Carrier rate (L/ha)', value: r => r.carrierRate },
+	{ header: 'Total water (L)', value: r => r.totalWater },
+	{ header: 'REI (h)', value: r => r.rei },
+	{ header: 'PHI (days)', value: r => r.phi },
+	{ header: 'Target', value: r => r.target, width: 20 },
+	{ header: 'Reason', value: r => r.reason, width: 24 },
+	{ header: 'Machine', value: r => r.machine, width: 16 },
+	{ header: 'Attachment', value: r => r.attachment, width: 16 },
+	{ header: 'Notes', value: r => r.notes, width: 30 }
+];
+
+/**
+ * Flatten spray jobs into one row per product application.
+ *
+ * @param {Array<Object>} jobRecords - Spray jobs documents
+ * @param {Object} lookups
+ * @param {Array<Object>} lookups.fields - Fields documents
+ * @param {Array<Object>} lookups.products - Products documents
+ * @param {Array<Object>} lookups.cultivations - cultivations documents
+ * @returns {Array<Object>}
+ */
+function buildSprayRows(jobRecords, { fields, products, cultivations }) {
+	const fieldById = new Map(fields.map(f => [f._id.toString(), f]));
+	const productById = new Map(products.map(p => [p._id.toString(), p]));
+	const cultivationById = new Map(cultivations.map(c => [c._id.toString(), c]));
+
+	const rows = [];
+
+	for (const job of jobRecords) {
+		if (job.type !== 'spray') continue;
+
+		const spray = job.data?.spray || {};
+		const field = fieldById.get(String(job.fieldId));
+		const cultivation = job.cultivation?.id ? cultivationById.get(String(job.cultivation.id)) : null;
+		const areaM2 = Number.isFinite(field?.area) ? field.area : null;
+		const carrierRate = Number(spray.carrierRate);
+
+		const base = {
+			startedAt: job.startedAt ? new Date(job.startedAt) : null,
+			endedAt: job.endedAt ? new Date(job.endedAt) : null,
+			durationH: round((job.elapsedTime || 0) / MS_PER_HOUR, 2),
+			operator: job.performedBy?.username || null,
+			fieldName: field?.name || null,
+			fieldLegalNumber: field?.fieldLegalNumber || null,
+			areaHa: areaM2 !== null ? round(areaM2 / SQ_M_PER_HA, 4) : null,
+			crop: job.cultivation?.crop || null,
+			variety: job.cultivation?.variety || null,
+			eppoCode: cultivation?.eppoCode || null,
+			carrierRate: Number.isFinite(carrierRate) ? round(carrierRate * SQ_M_PER_HA, 2) : null,
+			totalWater: Number.isFinite(carrierRate) && areaM2 !== null ? round(carrierRate * areaM2, 2) : null,
+			machine: job.machine?.name || null,
+			attachment: job.attachment?.name || null,
+			target: spray.target || null,
+			reason: spray.reason || null,
+			notes: job.notes || null
+		};
+
+		const applications = spray.products?.length ? spray.products : [null];
+
+		for (const applied of applications) {
+			if (!applied) {
+				rows.push(base);
+				continue;
+			}
+
+			const product = productById.get(String(applied.productId)) || {};
+			const rate = Number(applied.rate);
+			const isVolume = applied.isVolume ?? product.isVolume ?? true;
+			const unit = isVolume ? 'L' : 'kg';
+			const ingredients = getActiveIngredients(product).filter(ingredient => ingredient.name);
+			const substanceGramsPerHa = ingredients.map(ingredient => {
+				const gramsPerUnit = getGramsPerUnit(ingredient);
+				return gramsPerUnit !== null && Number.isFinite(rate) ? round(gramsPerUnit * rate * SQ_M_PER_HA, 1) : null;
+			});
+
+			rows.push({
+				...base,
+				product: applied.name || product.name || null,
+				authorisationNumber: applied.authorisationNumber || product.authorisationNumber || null,
+				// Products with several substances list them separated by "; "
+				activeIngredient: ingredients.map(ingredient => ingredient.name).join('; ') || null,
+				cas: ingredients.some(ingredient => ingredient.cas) ? ingredients.map(ingredient => ingredient.cas || '-').join('; ') : null,
+				activeIngredientApplied: substanceGramsPerHa.some(value => value !== null) ? substanceGramsPerHa.map(value => value ?? '-').join('; ') : null,
+				rate: Number.isFinite(rate) ? round(rate * SQ_M_PER_HA, 4) : null,
+				rateUnit: `${unit}/ha`,
+				totalQuantity: Number.isFinite(rate) && areaM2 !== null ? round(rate * areaM2, 3) : null,
+				quantityUnit: unit,
+				rei: applied.rei ?? product.rei ?? null,
+				phi: applied.phi ?? product.phi ?? null
+			});
+		}
+	}
+
+	return rows;
+}
+
+/**
+ * Build the spray record table in the requested format.
+ * CSV files start with a UTF-8 BOM so spreadsheet software detects the encoding.
+ *
+ * @param {Array<Object>} rows - From buildSprayRows
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Buffer}
+ */
+function renderSprayRecords(rows, format) {
+	if (format === 'xlsx') {
+		return toXlsx(rows, SPRAY_RECORD_COLUMNS, 'Spray records');
+	}
+
+	return Buffer.from('\uFEFF' + toCsv(rows, SPRAY_RECORD_COLUMNS), 'utf8');
+}
+
+module.exports = {
+	buildSprayRows,
+	renderSprayRecords,
+	SPRAY_RECORD_COLUMNS
+};
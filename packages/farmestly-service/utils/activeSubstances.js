@@ -0,0 +1,256 @@
+// utils/activeSubstances.js
+// Active substances of products and the quantity of each that spray jobs
+// apply. A product lists its substances with their concentration in the
+// formulation; times the product rate (L or kg per m², see utils/stock.js)
+// that gives grams of substance per hectare. The per-season totals are what
+// caps such as the copper limit in organic farming are checked against.
+
+const { getDb } = require('./db');
+const { SQ_M_PER_HA, round, getSeason, seasonRange, toObjectId, resolveTreatedArea, getAppliedProducts } = require('./stock');
+
+// g/L for liquids, g/kg for solids, % (w/v or w/w) for either
+const CONCENTRATION_UNITS = ['g/L', 'g/kg', '%'];
+
+const MAX_ACTIVE_INGREDIENTS = 10;
+
+/**
+ * Active substances of a product. Products saved before a product could list
+ * several substances have a single activeIngredient.
+ * @param {Object} product - Products document
+ * @returns {Array<Object>} [{ provider, id, code, name, cas, concentration, concentrationUnit, seasonLimit, approval }]
+ */
+function getActiveIngredients(product) {
+	if (Array.isArray(product?.activeIngredients)) return product.activeIngredients;
+	return product?.activeIngredient?.name || product?.activeIngredient?.id ? [product.activeIngredient] : [];
+}
+
+/**
+ * Key identifying a substance across products: the IngredientsEU id where
+ * there is one, else the CAS number, else the name.
+ */
+function getSubstanceKey(ingredient) {
+	if (ingredient.provider === 'ingredientseu' && ingredient.id) return `ingredientseu:${ingredient.id}`;
+	if (ingredient.cas) return `cas:${ingredient.cas}`;
+	return `name:${String(ingredient.name || '').trim().toLowerCase()}`;
+}
+
+/**
+ * Grams of substance per L or kg of product. Percentages are taken as 10 g
+ * per L or kg, so a g/kg figure on a liquid assumes a density of 1.
+ * @returns {number|null} null when no concentration was entered
+ */
+function getGramsPerUnit(ingredient) {
+	const concentration = Number(ingredient.concentration);
+	if (!(concentration > 0)) return null;
+	return ingredient.concentrationUnit === '%' ? concentration * 10 : concentration;
+}
+
+/**
+ * Active substances applied by a spray job, with the products they came
+ * from merged per substance.
+ * @param {Object} job - jobs document
+ * @param {Map<string, Object>} productsById - Products documents keyed by id string
+ * @param {number|null} area - Treated area in m²
+ * @returns {Array<Object>} [{ key, name, substanceId, cas, gramsPerHa, grams }]; grams is null without an area
+ */
+function computeAppliedSubstances(job, productsById, area) {
+	const substances = new Map();
+
+	getAppliedProducts(job).forEach(applied => {
+		const product = productsById.get(String(applied.productId));
+		if (!product) return;
+
+		getActiveIngredients(product).forEach(ingredient => {
+			const gramsPerUnit = getGramsPerUnit(ingredient);
+			if (gramsPerUnit === null) return;
+
+			const key = getSubstanceKey(ingredient);
+			if (!substances.has(key)) {
+				substances.set(key, {
+					key,
+					name: ingredient.name || null,
+					substanceId: ingredient.provider === 'ingredientseu' ? ingredient.id : null,
+					cas: ingredient.cas || null,
+					gramsPerHa: 0,
+					grams: area ? 0 : null
+				});
+			}
+
+			const substance = substances.get(key);
+			substance.gramsPerHa += gramsPerUnit * applied.rate * SQ_M_PER_HA;
+			if (area) substance.grams += gramsPerUnit * applied.rate * area;
+		});
+	});
+
+	return [...substances.values()].map(substance => ({
+		...substance,
+		gramsPerHa: round(substance.gramsPerHa),
+		grams: substance.grams !== null ? round(substance.grams) : null
+	}));
+}
+
+/**
+ * Active substances applied by a spray job, from the products as they are now.
+ * Stored on the job as `substances` when it is recorded or edited.
+ * @param {ObjectId} accountId
+ * @param {Object} job - jobs document
+ * @returns {Promise<Array<Object>|null>} null for jobs that are not sprays
+ */
+async function computeJobSubstances(accountId, job) {
+	if (job.type !== 'spray') return null;
+
+	const applied = getAppliedProducts(job);
+	if (applied.length === 0) return [];
+
+	const [area, products] = await Promise.all([
+		resolveTreatedArea(accountId, job),
+		getDb().collection('Products')
+			.find(
+				{ _id: { $in: applied.map(p => toObjectId(p.productId)) }, accountId },
+				{ projection: { activeIngredient: 1, activeIngredients: 1 } }
+			)
+			.toArray()
+	]);
+
+	return computeAppliedSubstances(job, new Map(products.map(p => [String(p._id), p])), area);
+}
+
+/**
+ * Total of each active substance applied per season, farm-wide and per
+ * field. Jobs recorded before substances were tracked are worked out from
+ * the current products.
+ * @param {Array<Object>} jobs - Spray jobs documents
+ * @param {Object} lookups
+ * @param {Map<string, Object>} lookups.productsById - Products documents keyed by id string
+ * @param {Object} lookups.fieldDocs - Fields documents keyed by id string
+ * @returns {Array<Object>} [{ season, key, name, substanceId, cas, grams, maxGramsPerHa, jobCount, fields: [{ fieldId, fieldName, gramsPerHa, grams }] }]
+ *   sorted newest season first, then by name
+ */
+function summariseSubstanceUse(jobs, { productsById, fieldDocs = {} }) {
+	const totals = new Map();
+
+	jobs.forEach(job => {
+		const fieldId = String(job.fieldId);
+		const substances = Array.isArray(job.substances)
+			? job.substances
+			: computeAppliedSubstances(job, productsById, job.coverage?.coveredArea || fieldDocs[fieldId]?.area || null);
+
+		substances.forEach(substance => {
+			const season = getSeason(job);
+			const totalKey = `${season}|${substance.key}`;
+			if (!totals.has(totalKey)) {
+				totals.set(totalKey, {
+					season,
+					key: substance.key,
+					name: substance.name,
+					substanceId: substance.substanceId,
+					cas: substance.cas,
+					grams: 0,
+					jobCount: 0,
+					fields: new Map()
+				});
+			}
+
+			const total = totals.get(totalKey);
+			total.grams += substance.grams || 0;
+			total.jobCount++;
+
+			if (!total.fields.has(fieldId)) {
+				total.fields.set(fieldId, {
+					fieldId,
+					fieldName: fieldDocs[fieldId]?.name || null,
+					gramsPerHa: 0,
+					grams: 0
+				});
+			}
+			const field = total.fields.get(fieldId);
+			field.gramsPerHa += substance.gramsPerHa;
+			field.grams += substance.grams || 0;
+		});
+	});
+
+	return [...totals.values()]
+		.map(({ fields, ...total }) => {
+			const fieldTotals = [...fields.values()]
+				.map(field => ({ ...field, gramsPerHa: round(field.gramsPerHa), grams: round(field.grams) }))
+				.sort((a, b) => (a.fieldName || '').localeCompare(b.fieldName || ''));
+			return {
+				...total,
+				grams: round(total.grams),
+				maxGramsPerHa: Math.max(...fieldTotals.map(field => field.gramsPerHa)),
+				fields: fieldTotals
+			};
+		})
+		.sort((a, b) => b.season.localeCompare(a.season) || (a.name || '').localeCompare(b.name || ''));
+}
+
+/**
+ * Per-season substance totals of an account.
+ * @param {ObjectId} accountId
+ * @param {Object} [options]
+ * @param {string} [options.season] - Year; all seasons when omitted
+ * @returns {Promise<Array<Object>>} See summariseSubstanceUse
+ */
+async function getSubstanceUse(accountId, { season } = {}) {
+	const jobQuery = { accountId, type: 'spray' };
+	if (season) {
+		jobQuery.startedAt = seasonRange(season);
+	}
+
+	const [jobs, products, fields] = await Promise.all([
+		getDb().collection('jobs')
+			.find(jobQuery, { projection: { type: 1, fieldId: 1, startedAt: 1, coverage: 1, substances: 1, 'data.spray.products': 1 } })
+			.toArray(),
+		getDb().collection('Products')
+			.find({ accountId }, { projection: { activeIngredient: 1, activeIngredients: 1 } })
+			.toArray(),
+		getDb().collection('Fields')
+			.find({ accountId }, { projection: { name: 1, area: 1 } })
+			.toArray()
+	]);
+
+	return summariseSubstanceUse(jobs, {
+		productsById: new Map(products.map(p => [String(p._id), p])),
+		fieldDocs: Object.fromEntries(fields.map(f => [f._id.toString(), f]))
+	});
+}
+
+/**
+ * Active substances of a product being saved, from the request body. The
+ * single activeIngredient sent by older app versions is still accepted. A
+ * concentration without a unit is per L or kg of the product's form.
+ * @param {Object} body - Request body
+ * @returns {Array<Object>} [{ provider, id, code, name, cas, concentration, concentrationUnit, seasonLimit }]
+ */
+function parseActiveIngredients(body) {
+	const list = Array.isArray(body.activeIngredients)
+		? body.activeIngredients
+		: (body.activeIngredient ? [body.activeIngredient] : []);
+	const defaultUnit = body.isVolume === false ? 'g/kg' : 'g/L';
+
+	return list
+		.filter(ai => ai && (ai.name || ai.id))
+		.map(ai => ({
+			provider: ai.provider?.trim() || null,                  // 'ingredientseu' or null for custom
+			id: ai.id ? Number(ai.id) : null,                       // EU substance_id
+			code: ai.code?.trim() || null,                          // 2-letter category code
+			name: ai.name?.trim() || null,                          // Substance name
+			cas: ai.cas?.trim() || null,                            // CAS number
+			concentration: ai.concentration ? Number(ai.concentration) : null,
+			concentrationUnit: ai.concentration ? ai.concentrationUnit || defaultUnit : null,
+			seasonLimit: ai.seasonLimit ? Number(ai.seasonLimit) : null   // g/ha per season
+		}));
+}
+
+module.exports = {
+	CONCENTRATION_UNITS,
+	MAX_ACTIVE_INGREDIENTS,
+	getActiveIngredients,
+	getSubstanceKey,
+	getGramsPerUnit,
+	computeAppliedSubstances,
+	computeJobSubstances,
+	summariseSubstanceUse,
+	getSubstanceUse,
+	parseActiveIngredients
+};
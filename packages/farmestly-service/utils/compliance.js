@@ -0,0 +1,123 @@
+// utils/compliance.js
+// Re-entry (REI) and pre-harvest (PHI) intervals of sprayed fields, worked out
+// from the spray jobs stored on the server so every device sees the same
+// status. Product REI is in hours and PHI in days, counted from the end of
+// the spray job.
+
+const { getDb } = require('./db');
+
+// Sprays older than this are not looked at
+const COMPLIANCE_WINDOW_DAYS = 90;
+
+const MS_PER_HOUR = 3600000;
+const MS_PER_DAY = 86400000;
+
+/**
+ * Spray jobs of the given fields that ended since a date, newest first.
+ * @param {ObjectId} accountId
+ * @param {Array<string>} fieldIds
+ * @param {Date} [since] - Defaults to COMPLIANCE_WINDOW_DAYS ago
+ * @returns {Promise<Array<Object>>}
+ */
+async function findRecentSprays(accountId, fieldIds, since = null) {
+	const sinceDate = since || new Date(Date.now() - COMPLIANCE_WINDOW_DAYS * MS_PER_DAY);
+
+	return getDb().collection('jobs')
+		.find({
+			accountId,
+			type: 'spray',
+			fieldId: { $in: fieldIds.map(String) },
+			endedAt: { $gte: sinceDate }
+		})
+		.sort({ endedAt: -1 })
+		.toArray();
+}
+
+/**
+ * Latest-ending REI and PHI windows of a field's sprays that are still open at a
+ * moment. Sprays that ended after that moment are ignored.
+ * @param {Array<Object>} sprays - Spray jobs of one field
+ * @param {Date} [at] - Defaults to now
+ * @returns {Object} { rei, phi }, each null or { endDate, productId, productName, sprayJobId }
+ */
+function computeCompliance(sprays, at = new Date()) {
+	const atMs = at.getTime();
+	const result = { rei: null, phi: null };
+
+	const consider = (key, endMs, job, product) => {
+		if (endMs <= atMs) return;
+		if (result[key] && result[key].endDate.getTime() >= endMs) return;
+		result[key] = {
+			endDate: new Date(endMs),
+			productId: product.productId ? String(product.productId) : null,
+			productName: product.name || null,
+			sprayJobId: job._id
+		};
+	};
+
+	sprays.forEach(job => {
+		const sprayedAt = new Date(job.endedAt || job.startedAt).getTime();
+		if (!(sprayedAt <= atMs)) return;
+
+		(job.data?.spray?.products || []).forEach(product => {
+			if (product.rei > 0) consider('rei', sprayedAt + product.rei * MS_PER_HOUR, job, product);
+			if (product.phi > 0) consider('phi', sprayedAt + product.phi * MS_PER_DAY, job, product);
+		});
+	});
+
+	return result;
+}
+
+/**
+ * Compliance status of several fields, keyed by field id.
+ * @param {ObjectId} accountId
+ * @param {Array<string>} fieldIds
+ * @param {Date} [at] - Defaults to now
+ * @returns {Promise<Object>} { [fieldId]: { rei, phi } }
+ */
+async function getFieldsCompliance(accountId, fieldIds, at = new Date()) {
+	const ids = fieldIds.map(String);
+	const sprays = await findRecentSprays(
+		accountId,
+		ids,
+		new Date(at.getTime() - COMPLIANCE_WINDOW_DAYS * MS_PER_DAY)
+	);
+
+	const byField = {};
+	sprays.forEach(job => {
+		(byField[job.fieldId] = byField[job.fieldId] || []).push(job);
+	});
+
+	return Object.fromEntries(ids.map(id => [id, computeCompliance(byField[id] || [], at)]));
+}
+
+/**
+ * Compliance status of one field.
+ * @returns {Promise<Object>} { rei, phi }
+ */
+async function getFieldCompliance(accountId, fieldId, at = new Date()) {
+	const statuses = await getFieldsCompliance(accountId, [fieldId], at);
+	return statuses[String(fieldId)];
+}
+
+/**
+ * Recompute a field's compliance after its sprays changed and send it to the
+ * client through UPDATES.
+ * @param {Object} req - Express request (for update tracking)
+ * @param {ObjectId} accountId
+ * @param {string} fieldId
+ */
+async function refreshFieldCompliance(req, accountId, fieldId) {
+	if (!fieldId) return;
+	const compliance = await getFieldCompliance(accountId, fieldId);
+	req.trackUpdate('fields', { _id: fieldId, compliance });
+}
+
+module.exports = {
+	COMPLIANCE_WINDOW_DAYS,
+	findRecentSprays,
+	computeCompliance,
+	getFieldsCompliance,
+	getFieldCompliance,
+	refreshFieldCompliance
+};
@@ -0,0 +1,243 @@
+// utils/costs.js
+// Cost accounting. Every job is costed when it is recorded, with the rates in
+// force at that moment, and the stored costs are rolled up per field,
+// cultivation or season next to the revenue of harvests.
+//
+// Rates: Products.unitPrice (per L or kg), Machines/Attachments/Tools.hourlyRate
+// (per hour of powerOnTime), and the farm-wide labour and water rates kept in
+// Accounts.content.farmData.costRates.
+
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const {
+	COLLECTION_NAME: STOCK_COLLECTION,
+	getSeason,
+	toObjectId,
+	resolveTreatedArea,
+	getAppliedProducts
+} = require('./stock');
+
+const DEFAULT_COST_RATES = {
+	currency: 'EUR',
+	labourHourly: null,   // per hour of job time
+	waterPerM3: null      // per m³ of irrigation water
+};
+
+const COST_GROUPINGS = ['field', 'cultivation', 'season'];
+
+const COST_PARTS = ['products', 'machinery', 'labour', 'water'];
+
+const MS_PER_HOUR = 3600000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Farm-wide cost rates of an account, with defaults filled in.
+ * @param {Object} account - Accounts document
+ * @returns {Object} { currency, labourHourly, waterPerM3 }
+ */
+function getCostRates(account) {
+	return { ...DEFAULT_COST_RATES, ...(account?.content?.farmData?.costRates || {}) };
+}
+
+/**
+ * Price per L or kg of each product. Uses the product's unit price, falling
+ * back to its most recent priced stock purchase.
+ * @param {ObjectId} accountId
+ * @param {Array<ObjectId>} productIds
+ * @returns {Promise<Map<string, number>>}
+ */
+async function resolveUnitPrices(accountId, productIds) {
+	const prices = new Map();
+	if (productIds.length === 0) return prices;
+
+	const products = await getDb().collection('Products')
+		.find({ _id: { $in: productIds }, accountId }, { projection: { unitPrice: 1 } })
+		.toArray();
+	products.forEach(p => {
+		if (p.unitPrice != null) prices.set(String(p._id), p.unitPrice);
+	});
+
+	const unpriced = productIds.filter(id => !prices.has(String(id)));
+	for (const productId of unpriced) {
+		const [purchase] = await getDb().collection(STOCK_COLLECTION)
+			.find({ accountId, productId, type: 'purchase', price: { $gt: 0 }, quantity: { $gt: 0 } })
+			.sort({ date: -1 })
+			.limit(1)
+			.toArray();
+		if (purchase) prices.set(String(productId), purchase.price / purchase.quantity);
+	}
+
+	return prices;
+}
+
+/**
+ * Sum of the hourly rates of the equipment used on a job.
+ */
+async function resolveEquipmentHourlyRate(accountId, job) {
+	const lookups = [
+		['Machines', job.machine?.id],
+		['Attachments', job.attachment?.id],
+		['Tools', job.tool?.id]
+	];
+
+	let rate = 0;
+	for (const [collection, id] of lookups) {
+		if (!id || !ObjectId.isValid(id)) continue;
+		const doc = await getDb().collection(collection).findOne(
+			{ _id: new ObjectId(id), accountId },
+			{ projection: { hourlyRate: 1 } }
+		);
+		rate += doc?.hourlyRate || 0;
+	}
+	return rate;
+}
+
+/**
+ * Cost of a job from the current rates: applied products, equipment hours,
+ * labour hours and irrigation water.
+ * @param {Object} account - Accounts document of the farm
+ * @param {Object} job - jobs document
+ * @returns {Promise<Object>} { products, machinery, labour, water, total, currency, computedAt }
+ */
+async function computeJobCost(account, job) {
+	const accountId = account._id;
+	const rates = getCostRates(account);
+	const hours = (job.elapsedTime || 0) / MS_PER_HOUR;
+
+	const cost = {
+		products: 0,
+		machinery: 0,
+		labour: 0,
+		water: 0,
+		total: 0,
+		currency: rates.currency,
+		computedAt: new Date()
+	};
+
+	const applied = getAppliedProducts(job);
+	if (applied.length > 0) {
+		const [area, prices] = await Promise.all([
+			resolveTreatedArea(accountId, job),
+			resolveUnitPrices(accountId, [...new Set(applied.map(p => String(p.productId)))].map(toObjectId))
+		]);
+		if (area) {
+			applied.forEach(p => {
+				const price = prices.get(String(p.productId));
+				if (price) cost.products += p.rate * area * price;
+			});
+		}
+	}
+
+	if (hours > 0) {
+		cost.machinery = hours * await resolveEquipmentHourlyRate(accountId, job);
+		cost.labour = hours * (rates.labourHourly || 0);
+
+		const litersPerHour = job.type === 'irrigate' ? job.data?.irrigate?.litersPerHour : null;
+		if (litersPerHour > 0) {
+			cost.water = hours * litersPerHour / 1000 * (rates.waterPerM3 || 0);
+		}
+	}
+
+	COST_PARTS.forEach(part => { cost[part] = roundMoney(cost[part]); });
+	cost.total = roundMoney(COST_PARTS.reduce((sum, part) => sum + cost[part], 0));
+
+	return cost;
+}
+
+/**
+ * Revenue of a harvest job: harvested amount times its sale price (both per kg or L).
+ * @param {Object} job - jobs document
+ * @returns {number|null} null when the job has no priced harvest
+ */
+function getHarvestRevenue(job) {
+	const harvest = job.type === 'harvest' ? job.data?.harvest : null;
+	if (!harvest || !(harvest.amount > 0) || harvest.salePrice == null) return null;
+	return harvest.amount * harvest.salePrice;
+}
+
+// Jobs outside any cultivation are kept per field so they still show up
+const getGroupKey = (job, groupBy) => {
+	switch (groupBy) {
+		case 'season':
+			return getSeason(job);
+		case 'cultivation':
+			return job.cultivation?.id ? `cultivation:${job.cultivation.id}` : `field:${job.fieldId}`;
+		default:
+			return String(job.fieldId);
+	}
+};
+
+/**
+ * Roll the stored job costs up into groups, with revenue and gross margin
+ * from priced harvests. Jobs recorded before costing existed are counted as
+ * uncosted rather than guessed.
+ * @param {Array<Object>} jobs - jobs documents
+ * @param {Object} options
+ * @param {string} options.groupBy - One of COST_GROUPINGS
+ * @param {Object} options.fieldDocs - Fields documents keyed by id string
+ * @returns {Array<Object>} Groups sorted by season, then field name
+ */
+function summariseCosts(jobs, { groupBy = 'field', fieldDocs = {} } = {}) {
+	const groups = new Map();
+
+	jobs.forEach(job => {
+		const key = getGroupKey(job, groupBy);
+		if (!groups.has(key)) {
+			groups.set(key, {
+				key,
+				fieldId: groupBy === 'season' ? null : String(job.fieldId),
+				cultivation: groupBy === 'cultivation' ? job.cultivation || null : null,
+				season: groupBy === 'season' ? key : null,
+				fieldIds: new Set(),
+				jobCount: 0,
+				uncostedJobs: 0,
+				products: 0,
+				machinery: 0,
+				labour: 0,
+				water: 0,
+				total: 0,
+				revenue: null
+			});
+		}
+
+		const group = groups.get(key);
+		group.jobCount++;
+		group.fieldIds.add(String(job.fieldId));
+
+		if (job.cost) {
+			COST_PARTS.forEach(part => { group[part] += job.cost[part] || 0; });
+			group.total += job.cost.total || 0;
+		} else {
+			group.uncostedJobs++;
+		}
+
+		const revenue = getHarvestRevenue(job);
+		if (revenue != null) group.revenue = (group.revenue || 0) + revenue;
+	});
+
+	return [...groups.values()]
+		.map(({ fieldIds, ...group }) => {
+			const area = [...fieldIds].reduce((sum, id) => sum + (fieldDocs[id]?.area || 0), 0);
+			COST_PARTS.forEach(part => { group[part] = roundMoney(group[part]); });
+			group.total = roundMoney(group.total);
+			group.revenue = group.revenue != null ? roundMoney(group.revenue) : null;
+			return {
+				...group,
+				fieldName: group.fieldId ? fieldDocs[group.fieldId]?.name || null : null,
+				area: area > 0 ? area : null,
+				grossMargin: group.revenue != null ? roundMoney(group.revenue - group.total) : null
+			};
+		})
+		.sort((a, b) => (b.season || '').localeCompare(a.season || '') ||
+			(a.fieldName || '').localeCompare(b.fieldName || ''));
+}
+
+module.exports = {
+	DEFAULT_COST_RATES,
+	COST_GROUPINGS,
+	getCostRates,
+	computeJobCost,
+	getHarvestRevenue,
+	summariseCosts
+};
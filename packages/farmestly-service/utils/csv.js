@@ -0,0 +1,54 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV writer for data exports
+
+// Spreadsheets evaluate cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a single value for a CSV cell.
+ * Dates are written as ISO strings, objects as JSON. Text that a spreadsheet
+ * would read as a formula is prefixed with a quote; numbers are left as they are.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+	if (value === null || value === undefined) return '';
+
+	let str;
+	if (value instanceof Date) {
+		str = value.toISOString();
+	} else if (typeof value === 'object') {
+		str = JSON.stringify(value);
+	} else if (typeof value === 'string') {
+		str = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+	} else {
+		str = String(value);
+	}
+
+	if (/[",\r\n]/.test(str)) {
+		return `"${str.replace(/"/g, '""')}"`;
+	}
+	return str;
+}
+
+/**
+ * Build a CSV document from rows.
+ *
+ * @param {Array<Object>} rows - Source records
+ * @param {Array<{header: string, value: function(Object): *}>} columns - Column definitions
+ * @returns {string} - CSV text with a header row and CRLF line endings
+ */
+function toCsv(rows, columns) {
+	const lines = [columns.map(c => escapeCsvValue(c.header)).join(',')];
+
+	for (const row of rows) {
+		lines.push(columns.map(c => escapeCsvValue(c.value(row))).join(','));
+	}
+
+	return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+	escapeCsvValue,
+	toCsv
+};
@@ -0,0 +1,36 @@
+// utils/dataService.js
+// Client for the data-service (EPPO and IngredientsEU lookups).
+
+const DATA_SERVICE_URL = process.env.DATA_SERVICE_URL || process.env.EPPO_SERVICE_URL || 'http://127.0.0.1:4000';
+
+/**
+ * GET a data-service endpoint.
+ * @param {string} provider - 'eppo' or 'ingredientseu'
+ * @param {string} path - Path below the provider, e.g. '/substance/123'
+ * @param {Object} [query]
+ * @returns {Promise<Object>} Parsed JSON body
+ * @throws {Error} DATA_SERVICE_UNAVAILABLE when unreachable or not 2xx (with the HTTP status, if any)
+ */
+async function fetchFromDataService(provider, path, query = {}) {
+	const queryString = new URLSearchParams(query).toString();
+	const url = `${DATA_SERVICE_URL}/${provider}${path}${queryString ? '?' + queryString : ''}`;
+
+	let response;
+	try {
+		response = await fetch(url);
+	} catch (fetchError) {
+		console.error(`Data service connection error (${provider}):`, fetchError.message);
+		throw new Error('DATA_SERVICE_UNAVAILABLE');
+	}
+
+	if (!response.ok) {
+		console.error(`Data service returned error (${provider}):`, response.status);
+		const error = new Error('DATA_SERVICE_UNAVAILABLE');
+		error.status = response.status;
+		throw error;
+	}
+
+	return response.json();
+}
+
+module.exports = { fetchFromDataService };
@@ -0,0 +1,194 @@
+// utils/devices.js
+// Devices an account signs in from. The app sends X-Device-Id (a random id it
+// keeps for the install), X-Device-Name and X-Device-Platform with every
+// request; browsers send none of these and are told apart by a random id kept
+// in a long-lived cookie, set when they sign in.
+// Each session keeps the device it was signed in on, so it can be shown in the
+// session list, and each account keeps its recent devices so that a sign-in
+// from an unknown one can be reported by email.
+
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const EmailQueue = require('./EmailQueue');
+const { escapeHtml } = require('./html');
+
+const WEB_URL = process.env.WEB_URL || 'https://my.farmestly.dev-staging.overpassconnect.com';
+
+// Devices remembered per account, oldest dropped first
+const MAX_KNOWN_DEVICES = 20;
+
+const DEVICE_COOKIE = 'farmestly.device';
+const DEVICE_COOKIE_OPTIONS = {
+	maxAge: 400 * 24 * 60 * 60 * 1000,
+	httpOnly: true,
+	sameSite: 'none',
+	secure: true
+};
+const WEB_DEVICE_PREFIX = 'web:';
+
+const clean = (value, maxLength) => {
+	if (typeof value !== 'string') return null;
+	const trimmed = value.replace(/[\u0000-\u001f\u007f]/g, '').trim();
+	return trimmed ? trimmed.slice(0, maxLength) : null;
+};
+
+/**
+ * The device a request comes from. A browser without a device cookie yet is
+ * given a new id, which signIn stores in the cookie.
+ * @param {Object} req - Express request
+ * @returns {Object} { deviceId, name, platform }
+ */
+function describeDevice(req) {
+	const deviceId = clean(req.get('X-Device-Id'), 64);
+	if (deviceId) {
+		return {
+			deviceId,
+			name: clean(req.get('X-Device-Name'), 100),
+			platform: clean(req.get('X-Device-Platform'), 20)
+		};
+	}
+
+	const cookie = req.cookies?.[DEVICE_COOKIE];
+	const browserId = /^[0-9a-f]{32}$/.test(cookie) ? cookie : crypto.randomBytes(16).toString('hex');
+	return {
+		deviceId: WEB_DEVICE_PREFIX + browserId,
+		name: clean(req.get('X-Device-Name'), 100) || 'Web browser',
+		platform: 'web'
+	};
+}
+
+/**
+ * Build the new device sign-in email HTML
+ * @param {Object} device - { name, platform, ip }
+ * @param {string} username - Account username
+ * @param {Date} at - Time of the sign-in
+ * @returns {string} HTML email content
+ */
+function buildNewDeviceEmailHtml(device, username, at) {
+	const deviceName = [device.name, device.platform].filter(Boolean).join(' · ') || 'Unknown device';
+	return `
+<!DOCTYPE html>
+<html>
+<head>
+	<meta charset="utf-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1.0">
+	<title>New Sign-in to Your Account</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; background-color: #fbf2ec;">
+	<table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #fbf2ec;">
+		<tr>
+			<td style="padding: 40px 20px;">
+				<!-- Logo -->
+				<table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto;">
+					<tr>
+						<td style="text-align: center; padding-bottom: 32px;">
+							<img src="${WEB_URL}/assets/farmestly_logo.png" alt="Farmestly" width="180" style="display: block; margin: 0 auto;">
+						</td>
+					</tr>
+				</table>
+				<!-- Card -->
+				<table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 12px rgba(66, 33, 11, 0.12);">
+					<tr>
+						<td style="padding: 48px 40px;">
+							<h1 style="margin: 0 0 16px; color: #42210B; font-size: 22px; font-weight: 500; text-align: center;">New Sign-in to Your Account</h1>
+							<p style="margin: 0 0 24px; color: #A09085; font-size: 15px; line-height: 1.5; text-align: center;">The Farmestly account <strong>${escapeHtml(username)}</strong> was just signed in on a device it has not been used on before.</p>
+							<table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #fbf2ec; border-radius: 8px;">
+								<tr>
+									<td style="padding: 16px 24px; color: #42210B; font-size: 14px; line-height: 1.8;">
+										<strong>Device:</strong> ${escapeHtml(deviceName)}<br>
+										<strong>IP address:</strong> ${escapeHtml(device.ip || 'Unknown')}<br>
+										<strong>Time:</strong> ${escapeHtml(at.toUTCString())}
+									</td>
+								</tr>
+							</table>
+							<p style="margin: 24px 0 0; color: #A09085; font-size: 13px; line-height: 1.5; text-align: center;">If this was you, you can ignore this email. If not, sign out this device under Settings &rsaquo; Devices in the Farmestly app and change your password.</p>
+						</td>
+					</tr>
+				</table>
+				<!-- Footer -->
+				<table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto;">
+					<tr>
+						<td style="padding: 24px 0; text-align: center;">
+							<p style="margin: 0; color: #A09085; font-size: 12px;">&copy; ${new Date().getFullYear()} Farmestly. All rights reserved.</p>
+						</td>
+					</tr>
+				</table>
+			</td>
+		</tr>
+	</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Remember the device on the account and send a security email when it is
+ * new. The first device of an account is not reported, nor are accounts
+ * without a verified email.
+ * @param {string} accountId
+ * @param {Object} device - { deviceId, name, platform, ip }
+ */
+async function recordDevice(accountId, device) {
+	const accounts = getDb().collection('Accounts');
+	const _id = new ObjectId(accountId);
+	const now = new Date();
+
+	const known = await accounts.updateOne(
+		{ _id, 'metadata.knownDevices.deviceId': device.deviceId },
+		{ $set: { 'metadata.knownDevices.$.lastSeenAt': now, 'metadata.knownDevices.$.name': device.name } }
+	);
+	if (known.matchedCount > 0) return;
+
+	const account = await accounts.findOneAndUpdate(
+		{ _id },
+		{
+			$push: {
+				'metadata.knownDevices': {
+					$each: [{ deviceId: device.deviceId, name: device.name, platform: device.platform, firstSeenAt: now, lastSeenAt: now }],
+					$slice: -MAX_KNOWN_DEVICES
+				}
+			}
+		},
+		{ returnDocument: 'before', projection: { 'metadata.username': 1, 'metadata.email': 1, 'metadata.emailVerified': 1, 'metadata.knownDevices': 1 } }
+	);
+
+	const hadDevices = Array.isArray(account?.metadata?.knownDevices) && account.metadata.knownDevices.length > 0;
+	if (!hadDevices || !account.metadata.email || account.metadata.emailVerified !== true) return;
+
+	await EmailQueue.getInstance().queue({
+		to: account.metadata.email,
+		subject: 'New sign-in to your Farmestly account',
+		html: buildNewDeviceEmailHtml(device, account.metadata.username, now),
+		priority: 1,
+		metadata: { type: 'new_device_signin' }
+	});
+}
+
+/**
+ * Sign the request's session in to an account and note the device it is on.
+ * Browsers get their device cookie (re)set so they are recognised next time.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} accountId
+ */
+function signIn(req, res, accountId) {
+	const device = { ...describeDevice(req), ip: req.ip || null };
+
+	if (device.deviceId.startsWith(WEB_DEVICE_PREFIX)) {
+		res.cookie(DEVICE_COOKIE, device.deviceId.slice(WEB_DEVICE_PREFIX.length), DEVICE_COOKIE_OPTIONS);
+	}
+
+	req.session.accountId = accountId;
+	req.session.device = { ...device, signedInAt: new Date() };
+
+	recordDevice(accountId, device).catch(err => {
+		console.error('[devices] Failed to record device:', err);
+	});
+}
+
+module.exports = {
+	describeDevice,
+	recordDevice,
+	signIn
+};
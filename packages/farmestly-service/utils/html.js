@@ -0,0 +1,18 @@
+// utils/html.js
+// Helpers for the HTML built for reports and emails
+
+/**
+ * Escape text for use in HTML element content and quoted attributes.
+ * @param {*} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+	if (!str) return '';
+	return String(str)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+module.exports = { escapeHtml };
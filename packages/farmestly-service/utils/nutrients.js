@@ -0,0 +1,226 @@
+// utils/nutrients.js
+// Plant nutrients of fertilizer products and the quantity of each that
+// fertilize jobs apply. A product lists its composition as on the label, in
+// percent by weight: N, P as P2O5, K as K2O, S and micronutrients. Liquids
+// are converted to kg with their density; times the product rate (L or kg
+// per m², see utils/stock.js) that gives kg of nutrient per hectare. The
+// per-season totals per field are what nitrate directive action programmes
+// set their N limits against.
+
+const { getDb } = require('./db');
+const { SQ_M_PER_HA, round, getSeason, seasonRange, toObjectId, resolveTreatedArea, getAppliedProducts } = require('./stock');
+
+// Main nutrients: n (N), p (P2O5), k (K2O), s (S)
+const MAIN_NUTRIENTS = ['n', 'p', 'k', 's'];
+
+// Micronutrients of Regulation (EU) 2019/1009
+const MICRONUTRIENTS = ['B', 'Co', 'Cu', 'Fe', 'Mn', 'Mo', 'Zn'];
+
+const emptyTotals = () => Object.fromEntries(MAIN_NUTRIENTS.map(key => [key, 0]));
+
+const roundTotals = (totals) => Object.fromEntries(MAIN_NUTRIENTS.map(key => [key, round(totals[key])]));
+
+/**
+ * kg per L or kg of product. A liquid without a density is taken as 1 kg/L.
+ * @param {Object} product - Products document
+ * @returns {number}
+ */
+function getKgPerUnit(product) {
+	if (product.isVolume === false) return 1;
+	return Number(product.density) > 0 ? Number(product.density) : 1;
+}
+
+/**
+ * Nutrients applied by a fertilize job.
+ * @param {Object} job - jobs document
+ * @param {Map<string, Object>} productsById - Products documents keyed by id string
+ * @param {number|null} area - Treated area in m²
+ * @returns {Object} { perHa: { n, p, k, s }, total: { n, p, k, s }|null, micronutrients: [{ element, perHa, total }] }
+ *   in kg per hectare and kg; total is null without an area
+ */
+function computeAppliedNutrients(job, productsById, area) {
+	const perHa = emptyTotals();
+	const micronutrients = new Map();
+
+	getAppliedProducts(job).forEach(applied => {
+		const product = productsById.get(String(applied.productId));
+		if (!product?.nutrients) return;
+
+		const kgPerHa = applied.rate * SQ_M_PER_HA * getKgPerUnit(product);
+
+		MAIN_NUTRIENTS.forEach(key => {
+			const percent = Number(product.nutrients[key]);
+			if (percent > 0) perHa[key] += kgPerHa * percent / 100;
+		});
+
+		(product.nutrients.micronutrients || []).forEach(({ element, percent }) => {
+			if (!(Number(percent) > 0)) return;
+			micronutrients.set(element, (micronutrients.get(element) || 0) + kgPerHa * Number(percent) / 100);
+		});
+	});
+
+	const toTotal = (value) => round(value * area / SQ_M_PER_HA);
+
+	return {
+		perHa: roundTotals(perHa),
+		total: area ? Object.fromEntries(MAIN_NUTRIENTS.map(key => [key, toTotal(perHa[key])])) : null,
+		micronutrients: [...micronutrients.entries()].map(([element, value]) => ({
+			element,
+			perHa: round(value),
+			total: area ? toTotal(value) : null
+		}))
+	};
+}
+
+/**
+ * Nutrients applied by a fertilize job, from the products as they are now.
+ * Stored on the job as `nutrients` when it is recorded or edited.
+ * @param {ObjectId} accountId
+ * @param {Object} job - jobs document
+ * @returns {Promise<Object|null>} See computeAppliedNutrients; null for jobs that are not fertilize jobs
+ */
+async function computeJobNutrients(accountId, job) {
+	if (job.type !== 'fertilize') return null;
+
+	const applied = getAppliedProducts(job);
+	if (applied.length === 0) return computeAppliedNutrients(job, new Map(), null);
+
+	const [area, products] = await Promise.all([
+		resolveTreatedArea(accountId, job),
+		getDb().collection('Products')
+			.find(
+				{ _id: { $in: applied.map(p => toObjectId(p.productId)) }, accountId },
+				{ projection: { isVolume: 1, density: 1, nutrients: 1 } }
+			)
+			.toArray()
+	]);
+
+	return computeAppliedNutrients(job, new Map(products.map(p => [String(p._id), p])), area);
+}
+
+/**
+ * Nutrients applied per season and field. Jobs without stored nutrients are
+ * worked out from the current products.
+ * @param {Array<Object>} jobs - Fertilize jobs documents
+ * @param {Object} lookups
+ * @param {Map<string, Object>} lookups.productsById - Products documents keyed by id string
+ * @param {Object} lookups.fieldDocs - Fields documents keyed by id string
+ * @returns {Array<Object>} [{ season, fieldId, fieldName, jobCount, perHa: { n, p, k, s }, total: { n, p, k, s }, micronutrients: [{ element, perHa, total }] }]
+ *   sorted newest season first, then by field name
+ */
+function summariseNutrientUse(jobs, { productsById, fieldDocs = {} }) {
+	const totals = new Map();
+
+	jobs.forEach(job => {
+		const fieldId = String(job.fieldId);
+		const nutrients = job.nutrients || computeAppliedNutrients(
+			job,
+			productsById,
+			job.coverage?.coveredArea || fieldDocs[fieldId]?.area || null
+		);
+
+		const season = getSeason(job);
+		const totalKey = `${season}|${fieldId}`;
+		if (!totals.has(totalKey)) {
+			totals.set(totalKey, {
+				season,
+				fieldId,
+				fieldName: fieldDocs[fieldId]?.name || null,
+				jobCount: 0,
+				perHa: emptyTotals(),
+				total: emptyTotals(),
+				micronutrients: new Map()
+			});
+		}
+
+		const total = totals.get(totalKey);
+		total.jobCount++;
+		MAIN_NUTRIENTS.forEach(key => {
+			total.perHa[key] += nutrients.perHa?.[key] || 0;
+			total.total[key] += nutrients.total?.[key] || 0;
+		});
+		(nutrients.micronutrients || []).forEach(({ element, perHa, total: applied }) => {
+			const micronutrient = total.micronutrients.get(element) || { element, perHa: 0, total: 0 };
+			micronutrient.perHa += perHa || 0;
+			micronutrient.total += applied || 0;
+			total.micronutrients.set(element, micronutrient);
+		});
+	});
+
+	return [...totals.values()]
+		.map(total => ({
+			...total,
+			perHa: roundTotals(total.perHa),
+			total: roundTotals(total.total),
+			micronutrients: [...total.micronutrients.values()]
+				.map(m => ({ element: m.element, perHa: round(m.perHa), total: round(m.total) }))
+				.sort((a, b) => a.element.localeCompare(b.element))
+		}))
+		.sort((a, b) => b.season.localeCompare(a.season) || (a.fieldName || '').localeCompare(b.fieldName || ''));
+}
+
+/**
+ * Per-season nutrient totals per field of an account.
+ * @param {ObjectId} accountId
+ * @param {Object} [options]
+ * @param {string} [options.season] - Year; all seasons when omitted
+ * @param {string} [options.fieldId] - One field; all fields when omitted
+ * @returns {Promise<Array<Object>>} See summariseNutrientUse
+ */
+async function getNutrientUse(accountId, { season, fieldId } = {}) {
+	const jobQuery = { accountId, type: 'fertilize' };
+	if (season) {
+		jobQuery.startedAt = seasonRange(season);
+	}
+	if (fieldId) {
+		jobQuery.fieldId = fieldId;
+	}
+
+	const [jobs, products, fields] = await Promise.all([
+		getDb().collection('jobs')
+			.find(jobQuery, { projection: { type: 1, fieldId: 1, startedAt: 1, coverage: 1, nutrients: 1, 'data.fertilize.products': 1 } })
+			.toArray(),
+		getDb().collection('Products')
+			.find({ accountId, nutrients: { $ne: null } }, { projection: { isVolume: 1, density: 1, nutrients: 1 } })
+			.toArray(),
+		getDb().collection('Fields')
+			.find({ accountId }, { projection: { name: 1, area: 1 } })
+			.toArray()
+	]);
+
+	return summariseNutrientUse(jobs, {
+		productsById: new Map(products.map(p => [String(p._id), p])),
+		fieldDocs: Object.fromEntries(fields.map(f => [f._id.toString(), f]))
+	});
+}
+
+/**
+ * Composition of a product being saved, from the request body.
+ * @param {Object} body - Request body
+ * @returns {Object|null} { n, p, k, s, micronutrients: [{ element, percent }] }, null when nothing was entered
+ */
+function parseNutrients(body) {
+	const nutrients = body.nutrients;
+	if (!nutrients) return null;
+
+	const parsed = Object.fromEntries(MAIN_NUTRIENTS.map(key => [
+		key,
+		Number(nutrients[key]) > 0 ? Number(nutrients[key]) : 0
+	]));
+	parsed.micronutrients = (Array.isArray(nutrients.micronutrients) ? nutrients.micronutrients : [])
+		.filter(m => m && MICRONUTRIENTS.includes(m.element) && Number(m.percent) > 0)
+		.map(m => ({ element: m.element, percent: Number(m.percent) }));
+
+	const isEmpty = MAIN_NUTRIENTS.every(key => parsed[key] === 0) && parsed.micronutrients.length === 0;
+	return isEmpty ? null : parsed;
+}
+
+module.exports = {
+	MAIN_NUTRIENTS,
+	MICRONUTRIENTS,
+	computeAppliedNutrients,
+	computeJobNutrients,
+	summariseNutrientUse,
+	getNutrientUse,
+	parseNutrients
+};
@@ -0,0 +1,198 @@
+// utils/seasonLimits.js
+// Season limits from product labels: the number of applications of a product
+// per field and season, the total product dose per field and season, and the
+// total of an active substance per hectare and season (e.g. copper 4 kg/ha in
+// organic farming). Running totals come from the spray jobs recorded on the
+// server; a season is a calendar year, as in the cost summaries.
+//
+// Limits live on Products: maxApplications, maxSeasonRate (L or kg per m², like
+// the product rate) and activeIngredients[].seasonLimit (g/ha). A substance
+// listed by several products is held to the strictest of their limits.
+
+const { getDb } = require('./db');
+const { round, seasonRange, toObjectId, getAppliedProducts } = require('./stock');
+const { getActiveIngredients, getSubstanceKey, computeAppliedSubstances } = require('./activeSubstances');
+
+// Share of a dose limit from which a spray is reported as near the limit
+const LIMIT_WARNING_SHARE = 0.9;
+
+const LimitStatus = {
+	EXCEEDED: 'exceeded',
+	NEAR: 'near'
+};
+
+/**
+ * Limits set on the farm's products, with substance limits merged by substance.
+ * @param {Array<Object>} products - Products documents
+ * @returns {Object} { products: Map<productId, product>, substances: Map<key, { name, limit }> }
+ */
+function collectLimits(products) {
+	const substances = new Map();
+
+	products.forEach(product => {
+		getActiveIngredients(product).forEach(ingredient => {
+			if (!(ingredient.seasonLimit > 0)) return;
+			const key = getSubstanceKey(ingredient);
+			const current = substances.get(key);
+			if (!current || ingredient.seasonLimit < current.limit) {
+				substances.set(key, { name: ingredient.name, limit: ingredient.seasonLimit });
+			}
+		});
+	});
+
+	return {
+		products: new Map(products.map(p => [String(p._id), p])),
+		substances
+	};
+}
+
+/**
+ * Running totals of each field's season from its recorded spray jobs.
+ * @param {Array<Object>} jobs - Spray jobs of the season
+ * @param {Map<string, Object>} productsById
+ * @param {Object} fieldDocs - Fields documents keyed by id string
+ * @returns {Map<string, Object>} fieldId -> { applications: Map, rates: Map, substances: Map }
+ */
+function sumSeasonTotals(jobs, productsById, fieldDocs) {
+	const totals = new Map();
+
+	jobs.forEach(job => {
+		const fieldId = String(job.fieldId);
+		if (!totals.has(fieldId)) {
+			totals.set(fieldId, { applications: new Map(), rates: new Map(), substances: new Map() });
+		}
+		const field = totals.get(fieldId);
+
+		const applied = getAppliedProducts(job);
+		new Set(applied.map(p => String(p.productId))).forEach(productId => {
+			field.applications.set(productId, (field.applications.get(productId) || 0) + 1);
+		});
+		applied.forEach(p => {
+			const productId = String(p.productId);
+			field.rates.set(productId, (field.rates.get(productId) || 0) + p.rate);
+		});
+
+		const substances = Array.isArray(job.substances)
+			? job.substances
+			: computeAppliedSubstances(job, productsById, fieldDocs[fieldId]?.area || null);
+		substances.forEach(substance => {
+			field.substances.set(substance.key, (field.substances.get(substance.key) || 0) + substance.gramsPerHa);
+		});
+	});
+
+	return totals;
+}
+
+/**
+ * Check a spray against the season limits of its products and substances on
+ * each field it covers.
+ * @param {ObjectId} accountId
+ * @param {Object} spray
+ * @param {Array<string>} spray.fieldIds
+ * @param {Array<Object>} spray.products - [{ productId, rate }], rate in L or kg per m²
+ * @param {Date} [spray.at] - Date of the spray, defaults to now
+ * @param {ObjectId} [spray.excludeJobId] - Job left out of the running totals (when re-checking it)
+ * @returns {Promise<Array<Object>>} [{ fieldId, fieldName, kind, productId, name, limit, used, planned, status }]
+ *   kind is 'applications', 'productRate' or 'substance'; only limits reached or near are listed
+ */
+async function checkSeasonLimits(accountId, { fieldIds, products, at = new Date(), excludeJobId = null }) {
+	const ids = [...new Set(fieldIds.map(String))];
+	const planned = products.filter(p => toObjectId(p.productId) && p.rate > 0);
+	if (ids.length === 0 || planned.length === 0) return [];
+
+	const jobQuery = { accountId, type: 'spray', fieldId: { $in: ids }, startedAt: seasonRange(at.getFullYear()) };
+	if (excludeJobId) jobQuery._id = { $ne: excludeJobId };
+
+	const [productDocs, jobs, fields] = await Promise.all([
+		getDb().collection('Products')
+			.find(
+				{ accountId },
+				{ projection: { name: 1, isVolume: 1, maxApplications: 1, maxSeasonRate: 1, activeIngredient: 1, activeIngredients: 1 } }
+			)
+			.toArray(),
+		getDb().collection('jobs')
+			.find(jobQuery, { projection: { type: 1, fieldId: 1, substances: 1, 'data.spray.products': 1 } })
+			.toArray(),
+		getDb().collection('Fields')
+			.find({ _id: { $in: ids.map(toObjectId).filter(Boolean) }, accountId }, { projection: { name: 1, area: 1 } })
+			.toArray()
+	]);
+
+	const limits = collectLimits(productDocs);
+	const fieldDocs = Object.fromEntries(fields.map(f => [f._id.toString(), f]));
+	const totals = sumSeasonTotals(jobs, limits.products, fieldDocs);
+	const plannedSubstances = computeAppliedSubstances(
+		{ type: 'spray', data: { spray: { products: planned } } },
+		limits.products,
+		null
+	);
+
+	// A product listed twice in one spray is still one application
+	const plannedRates = new Map();
+	planned.forEach(p => {
+		const productId = String(p.productId);
+		plannedRates.set(productId, (plannedRates.get(productId) || 0) + p.rate);
+	});
+
+	const results = [];
+	const report = (fieldId, entry, limit, used, plannedAmount, isCount) => {
+		const after = used + plannedAmount;
+		let status = null;
+		if (after > limit + 1e-9) {
+			status = LimitStatus.EXCEEDED;
+		} else if (isCount ? after === limit : after >= limit * LIMIT_WARNING_SHARE) {
+			status = LimitStatus.NEAR;
+		}
+		if (!status) return;
+
+		results.push({
+			fieldId,
+			fieldName: fieldDocs[fieldId]?.name || null,
+			...entry,
+			limit,
+			used: round(used, 6),
+			planned: round(plannedAmount, 6),
+			status
+		});
+	};
+
+	ids.forEach(fieldId => {
+		const field = totals.get(fieldId) || { applications: new Map(), rates: new Map(), substances: new Map() };
+
+		plannedRates.forEach((rate, productId) => {
+			const product = limits.products.get(productId);
+			if (!product) return;
+
+			const entry = { productId, name: product.name };
+			if (product.maxApplications > 0) {
+				report(fieldId, { ...entry, kind: 'applications' }, product.maxApplications, field.applications.get(productId) || 0, 1, true);
+			}
+			if (product.maxSeasonRate > 0) {
+				report(fieldId, { ...entry, kind: 'productRate', isVolume: product.isVolume ?? true }, product.maxSeasonRate, field.rates.get(productId) || 0, rate, false);
+			}
+		});
+
+		plannedSubstances.forEach(substance => {
+			const limit = limits.substances.get(substance.key);
+			if (!limit) return;
+			report(
+				fieldId,
+				{ kind: 'substance', productId: null, key: substance.key, name: substance.name || limit.name },
+				limit.limit,
+				field.substances.get(substance.key) || 0,
+				substance.gramsPerHa,
+				false
+			);
+		});
+	});
+
+	return results;
+}
+
+module.exports = {
+	LIMIT_WARNING_SHARE,
+	LimitStatus,
+	collectLimits,
+	sumSeasonTotals,
+	checkSeasonLimits
+};
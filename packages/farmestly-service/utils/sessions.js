@@ -0,0 +1,137 @@
+// utils/sessions.js
+// Helpers for the express-session documents stored by connect-mongo
+
+const crypto = require('crypto');
+const { getDb } = require('./db');
+
+const COLLECTION_NAME = 'sessions';
+
+// Sessions roll: every request pushes their expiry this far ahead
+const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Build a query matching every stored session that holds an account's id.
+ * connect-mongo serializes the session to a JSON string by default, so the
+ * accountId is matched inside that string as well as on a plain object.
+ * The string match also finds sessions that only hold the id in a pending
+ * twoFactorChallenge; isSignedInTo tells them apart.
+ * @param {string} accountId
+ */
+function accountSessionsQuery(accountId) {
+	const id = String(accountId);
+	return {
+		$or: [
+			{ session: { $regex: `"accountId":"${id}"` } },
+			{ 'session.accountId': id }
+		]
+	};
+}
+
+const parseSession = (doc) => {
+	if (typeof doc.session !== 'string') return doc.session || {};
+	try {
+		return JSON.parse(doc.session);
+	} catch {
+		return {};
+	}
+};
+
+// Signed in to the account, not just waiting on its second factor
+const isSignedInTo = (doc, accountId) => String(parseSession(doc).accountId) === String(accountId);
+
+/**
+ * Sessions signed in to an account. Half signed-in sessions, with the id only
+ * in a twoFactorChallenge, are left out.
+ * @param {string} accountId
+ * @returns {Promise<Array<Object>>} Session documents
+ */
+async function findAccountSessions(accountId) {
+	const docs = await getDb().collection(COLLECTION_NAME)
+		.find(accountSessionsQuery(accountId))
+		.toArray();
+
+	return docs.filter(doc => isSignedInTo(doc, accountId));
+}
+
+/**
+ * Delete every session belonging to an account, optionally keeping one.
+ * Sessions waiting on the second factor for the account go too, so a password
+ * checked before a change cannot be used to finish signing in.
+ * @param {string} accountId
+ * @param {string|null} [exceptSessionId] - Session id to keep (usually req.sessionID)
+ * @returns {Promise<number>} Number of signed-in sessions removed
+ */
+async function destroyAccountSessions(accountId, exceptSessionId = null) {
+	const query = accountSessionsQuery(accountId);
+	if (exceptSessionId) {
+		query._id = { $ne: exceptSessionId };
+	}
+
+	const docs = await getDb().collection(COLLECTION_NAME).find(query).toArray();
+	if (docs.length === 0) return 0;
+
+	await getDb().collection(COLLECTION_NAME).deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+	return docs.filter(doc => isSignedInTo(doc, accountId)).length;
+}
+
+/**
+ * Id under which a session is shown to its owner. The session id itself is
+ * the cookie secret, so it never leaves the server.
+ * @param {string} sessionId
+ */
+function getPublicSessionId(sessionId) {
+	return crypto.createHash('sha256').update(String(sessionId)).digest('hex').slice(0, 24);
+}
+
+/**
+ * Signed-in sessions of an account, most recently used first. The last use is
+ * worked out from the expiry, which every request moves forward.
+ * @param {string} accountId
+ * @param {string} currentSessionId - req.sessionID, flagged as current
+ * @returns {Promise<Array<Object>>} [{ id, current, device: { name, platform }, ip, signedInAt, lastSeenAt }]
+ */
+async function listAccountSessions(accountId, currentSessionId) {
+	const docs = await findAccountSessions(accountId);
+
+	return docs
+		.map(doc => {
+			const device = parseSession(doc).device || {};
+			return {
+				id: getPublicSessionId(doc._id),
+				current: doc._id === currentSessionId,
+				device: {
+					name: device.name || null,
+					platform: device.platform || null
+				},
+				ip: device.ip || null,
+				signedInAt: device.signedInAt || null,
+				lastSeenAt: doc.expires ? new Date(new Date(doc.expires).getTime() - SESSION_TTL_SECONDS * 1000) : null
+			};
+		})
+		.sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0));
+}
+
+/**
+ * Delete one session of an account by the id listAccountSessions gave it.
+ * @param {string} accountId
+ * @param {string} publicId
+ * @returns {Promise<boolean>} false when no such session exists
+ */
+async function destroyAccountSession(accountId, publicId) {
+	const docs = await findAccountSessions(accountId);
+
+	const match = docs.find(doc => getPublicSessionId(doc._id) === publicId);
+	if (!match) return false;
+
+	await getDb().collection(COLLECTION_NAME).deleteOne({ _id: match._id });
+	return true;
+}
+
+module.exports = {
+	SESSION_TTL_SECONDS,
+	accountSessionsQuery,
+	destroyAccountSessions,
+	getPublicSessionId,
+	listAccountSessions,
+	destroyAccountSession
+};
@@ -0,0 +1,229 @@
+// utils/stock.js
+// Product stock ledger: purchases add to a product's stock, spray and
+// fertilize jobs take their applied quantity off it. Quantities are in the
+// product's base unit (L for liquids, kg for solids), matching the per-m²
+// product rates.
+// Entry types: 'purchase' (entered by hand) and 'usage' (booked from jobs).
+
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+
+const COLLECTION_NAME = 'StockEntries';
+
+const SQ_M_PER_HA = 10000;
+
+const round = (value, digits = 3) => {
+	const factor = 10 ** digits;
+	return Math.round(value * factor) / factor;
+};
+
+const toObjectId = (value) => {
+	if (value instanceof ObjectId) return value;
+	return value && ObjectId.isValid(String(value)) ? new ObjectId(String(value)) : null;
+};
+
+// Lots are used up earliest expiry first, undated lots last
+const byExpiry = (a, b) => {
+	if (!a.expiryDate !== !b.expiryDate) return a.expiryDate ? -1 : 1;
+	if (a.expiryDate && b.expiryDate && a.expiryDate - b.expiryDate !== 0) {
+		return a.expiryDate - b.expiryDate;
+	}
+	return a.date - b.date;
+};
+
+/**
+ * Build a product's stock summary from its ledger entries.
+ * @param {Array<Object>} entries - StockEntries documents of one product
+ * @returns {Object|null} { onHand, lots, updatedAt }, null when nothing was ever purchased
+ */
+function summariseStock(entries) {
+	const purchases = entries.filter(entry => entry.type === 'purchase').sort(byExpiry);
+	if (purchases.length === 0) return null;
+
+	let used = -entries
+		.filter(entry => entry.type === 'usage')
+		.reduce((sum, entry) => sum + entry.quantity, 0);
+
+	const lots = [];
+	for (const purchase of purchases) {
+		const taken = Math.min(purchase.quantity, Math.max(0, used));
+		used -= taken;
+		const remaining = round(purchase.quantity - taken);
+		if (remaining > 0) {
+			lots.push({
+				entryId: purchase._id,
+				lotNumber: purchase.lotNumber || null,
+				supplier: purchase.supplier || null,
+				expiryDate: purchase.expiryDate || null,
+				remaining
+			});
+		}
+	}
+
+	return {
+		onHand: round(entries.reduce((sum, entry) => sum + entry.quantity, 0)),
+		lots,
+		updatedAt: new Date()
+	};
+}
+
+/**
+ * Recompute the stock summary stored on products from their ledger and
+ * track the change for the client.
+ * @param {Object} req - Request with trackUpdate (from trackUpdates middleware)
+ * @param {ObjectId} accountId
+ * @param {Array<ObjectId|string>} productIds
+ */
+async function refreshProductStock(req, accountId, productIds) {
+	const ids = [...new Set(productIds.map(String))].map(toObjectId).filter(Boolean);
+
+	for (const productId of ids) {
+		const entries = await getDb().collection(COLLECTION_NAME)
+			.find({ accountId, productId })
+			.toArray();
+		const stock = summariseStock(entries);
+
+		const result = await getDb().collection('Products').updateOne(
+			{ _id: productId, accountId },
+			{ $set: { stock } }
+		);
+		if (result.matchedCount > 0) {
+			req.trackUpdate('products', { _id: productId, stock });
+		}
+	}
+}
+
+/**
+ * Replace the usage entries of a job and refresh the affected products.
+ */
+async function replaceJobUsage(req, accountId, jobId, entries) {
+	const collection = getDb().collection(COLLECTION_NAME);
+	const previous = await collection
+		.find({ accountId, jobId, type: 'usage' }, { projection: { productId: 1 } })
+		.toArray();
+
+	if (previous.length === 0 && entries.length === 0) return;
+
+	await collection.deleteMany({ accountId, jobId, type: 'usage' });
+	if (entries.length > 0) {
+		await collection.insertMany(entries);
+	}
+
+	await refreshProductStock(req, accountId, [
+		...previous.map(entry => entry.productId),
+		...entries.map(entry => entry.productId)
+	]);
+}
+
+/**
+ * Area treated by a job in m²: the GPS-covered area when the job has one,
+ * otherwise the area of its field.
+ * @param {ObjectId} accountId
+ * @param {Object} job - jobs document
+ * @returns {Promise<number|null>}
+ */
+async function resolveTreatedArea(accountId, job) {
+	if (job.coverage?.coveredArea > 0) return job.coverage.coveredArea;
+	if (!ObjectId.isValid(String(job.fieldId))) return null;
+
+	const field = await getDb().collection('Fields').findOne(
+		{ _id: new ObjectId(String(job.fieldId)), accountId },
+		{ projection: { area: 1 } }
+	);
+	return field?.area > 0 ? field.area : null;
+}
+
+/**
+ * Products applied by a spray or fertilize job that have a usable product id
+ * and rate.
+ * @param {Object} job - jobs document
+ * @returns {Array<Object>}
+ */
+function getAppliedProducts(job) {
+	const products = job.type === 'spray' || job.type === 'fertilize'
+		? (job.data?.[job.type]?.products || [])
+		: [];
+	return products.filter(p => toObjectId(p.productId) && p.rate > 0);
+}
+
+// A season is a calendar year, kept as a string like '2025'
+const getSeason = (job) => String(new Date(job.startedAt).getFullYear());
+
+/**
+ * Date range of a season, for a query on startedAt.
+ * @param {string|number} season - Year
+ * @returns {Object} { $gte, $lt }
+ */
+const seasonRange = (season) => ({
+	$gte: new Date(Number(season), 0, 1),
+	$lt: new Date(Number(season) + 1, 0, 1)
+});
+
+/**
+ * Book the products applied by a spray or fertilize job against stock.
+ * Quantity is the product rate (per m²) times the treated area. Products
+ * that have never been purchased are not stock-tracked and are skipped. Safe
+ * to call again after the job was edited; its earlier usage entries are
+ * replaced.
+ * @param {Object} req - Request with trackUpdate
+ * @param {ObjectId} accountId
+ * @param {Object} job - jobs document
+ */
+async function syncJobStockUsage(req, accountId, job) {
+	const applied = getAppliedProducts(job);
+	const area = applied.length > 0 ? await resolveTreatedArea(accountId, job) : null;
+
+	let entries = [];
+	if (area) {
+		const tracked = await getDb().collection('Products')
+			.find(
+				{ _id: { $in: applied.map(p => toObjectId(p.productId)) }, accountId, stock: { $ne: null } },
+				{ projection: { _id: 1 } }
+			)
+			.toArray();
+		const trackedIds = new Set(tracked.map(p => String(p._id)));
+
+		const date = job.endedAt || job.startedAt || new Date();
+		entries = applied
+			.filter(p => trackedIds.has(String(p.productId)))
+			.map(p => ({
+				_id: new ObjectId(),
+				accountId,
+				productId: toObjectId(p.productId),
+				type: 'usage',
+				quantity: -round(p.rate * area),
+				date,
+				jobId: job._id,
+				fieldId: job.fieldId,
+				area,
+				createdAt: new Date()
+			}));
+	}
+
+	await replaceJobUsage(req, accountId, job._id, entries);
+}
+
+/**
+ * Return the stock used by a deleted job.
+ * @param {Object} req - Request with trackUpdate
+ * @param {ObjectId} accountId
+ * @param {ObjectId} jobId
+ */
+async function removeJobStockUsage(req, accountId, jobId) {
+	await replaceJobUsage(req, accountId, jobId, []);
+}
+
+module.exports = {
+	COLLECTION_NAME,
+	SQ_M_PER_HA,
+	round,
+	getSeason,
+	seasonRange,
+	toObjectId,
+	summariseStock,
+	resolveTreatedArea,
+	getAppliedProducts,
+	refreshProductStock,
+	syncJobStockUsage,
+	removeJobStockUsage
+};
@@ -0,0 +1,204 @@
+// utils/substances.js
+// EU approval status of the active substances of saved products, looked up in
+// the IngredientsEU data of the data-service. The status is stored on each of
+// the product's activeIngredients as approval and refreshed nightly, after
+// the weekly data-service rebuild has had a chance to pick up new decisions.
+
+const { getDb } = require('./db');
+const { fetchFromDataService } = require('./dataService');
+const { getActiveIngredients } = require('./activeSubstances');
+
+const ApprovalStatus = {
+	APPROVED: 'approved',
+	NOT_APPROVED: 'notApproved',
+	EXPIRED: 'expired',
+	UNKNOWN: 'unknown'
+};
+
+// Statuses that warrant a warning before spraying
+const WARNING_STATUSES = [ApprovalStatus.NOT_APPROVED, ApprovalStatus.EXPIRED];
+
+/**
+ * Parse an IngredientsEU date. The source uses dd/mm/yyyy; ISO dates are
+ * accepted too.
+ * @returns {Date|null}
+ */
+function parseSubstanceDate(value) {
+	if (!value || typeof value !== 'string') return null;
+
+	const match = value.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+	const date = match
+		? new Date(Date.UTC(Number(match[3]), Number(match[2]) - 1, Number(match[1])))
+		: new Date(value);
+
+	return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Approval status of an IngredientsEU substance row.
+ * @param {Object|null} substance - Row from the substances table
+ * @param {Date} [at] - Defaults to now
+ * @returns {Object} { status, substanceStatus, approvalDate, expiryDate, candidateForSubstitution, checkedAt }
+ */
+function buildApproval(substance, at = new Date()) {
+	if (!substance) {
+		return {
+			status: ApprovalStatus.UNKNOWN,
+			substanceStatus: null,
+			approvalDate: null,
+			expiryDate: null,
+			candidateForSubstitution: false,
+			checkedAt: at
+		};
+	}
+
+	const approvalDate = parseSubstanceDate(substance.approval_date);
+	const expiryDate = parseSubstanceDate(substance.expiry_date);
+
+	let status = ApprovalStatus.APPROVED;
+	if (substance.substance_status !== 'Approved') {
+		status = ApprovalStatus.NOT_APPROVED;
+	} else if (expiryDate && expiryDate < at) {
+		status = ApprovalStatus.EXPIRED;
+	}
+
+	return {
+		status,
+		substanceStatus: substance.substance_status || null,
+		approvalDate,
+		expiryDate,
+		candidateForSubstitution: /^(yes|y|true|1)$/i.test(String(substance.candidate_for_substitution || '').trim()),
+		checkedAt: at
+	};
+}
+
+/**
+ * Look up the approval status of a product's active ingredient. Only
+ * substances picked from IngredientsEU can be checked.
+ * @param {Object|null} activeIngredient - { provider, id, code, name, cas }
+ * @returns {Promise<Object|null>} Approval, or null when it cannot be checked
+ * @throws {Error} DATA_SERVICE_UNAVAILABLE
+ */
+async function lookupApproval(activeIngredient) {
+	if (activeIngredient?.provider !== 'ingredientseu' || !activeIngredient.id) return null;
+
+	let substance = null;
+	try {
+		const data = await fetchFromDataService('ingredientseu', `/substance/${activeIngredient.id}`);
+		substance = data.substance || null;
+	} catch (err) {
+		// Substances dropped from the dataset come back as 404
+		if (err.status !== 404) throw err;
+	}
+
+	return buildApproval(substance);
+}
+
+/**
+ * Add the approval status to an activeIngredient being saved. A data-service
+ * outage does not block saving; the nightly check fills the status in later.
+ * @returns {Promise<Object|null>} activeIngredient with approval
+ */
+async function withApproval(activeIngredient) {
+	if (!activeIngredient) return null;
+
+	try {
+		return { ...activeIngredient, approval: await lookupApproval(activeIngredient) };
+	} catch (err) {
+		console.error('[substances] Approval lookup failed:', err.message);
+		return { ...activeIngredient, approval: null };
+	}
+}
+
+/**
+ * Add the approval status to each active substance of a product being saved.
+ * @param {Array<Object>} activeIngredients
+ * @returns {Promise<Array<Object>>}
+ */
+async function withApprovals(activeIngredients) {
+	const result = [];
+	for (const activeIngredient of activeIngredients) {
+		result.push(await withApproval(activeIngredient));
+	}
+	return result;
+}
+
+const isCheckable = (activeIngredient) => activeIngredient.provider === 'ingredientseu' && !!activeIngredient.id;
+
+/**
+ * Re-check every saved product with an IngredientsEU active substance. Each
+ * substance is looked up once, however many products use it. Products still
+ * holding a single activeIngredient are moved to activeIngredients on the way.
+ * @returns {Promise<Object>} { checked, updated, failed } - products counted;
+ *   updated when a status changed, failed when any of its lookups failed
+ */
+async function recheckProductApprovals() {
+	const products = getDb().collection('Products');
+	const saved = await products
+		.find(
+			{
+				$or: [
+					{ activeIngredients: { $elemMatch: { provider: 'ingredientseu', id: { $ne: null } } } },
+					{ 'activeIngredient.provider': 'ingredientseu', 'activeIngredient.id': { $ne: null } }
+				]
+			},
+			{ projection: { activeIngredient: 1, activeIngredients: 1 } }
+		)
+		.toArray();
+
+	// Substance id -> approval, or null when the lookup failed
+	const approvals = new Map();
+	for (const product of saved) {
+		for (const activeIngredient of getActiveIngredients(product).filter(isCheckable)) {
+			if (approvals.has(activeIngredient.id)) continue;
+			try {
+				approvals.set(activeIngredient.id, await lookupApproval(activeIngredient));
+			} catch (err) {
+				approvals.set(activeIngredient.id, null);
+			}
+		}
+	}
+
+	const result = { checked: 0, updated: 0, failed: 0 };
+	const writes = [];
+
+	saved.forEach(product => {
+		const current = getActiveIngredients(product);
+		const next = current.map(activeIngredient => {
+			const approval = isCheckable(activeIngredient) ? approvals.get(activeIngredient.id) : null;
+			return approval ? { ...activeIngredient, approval } : activeIngredient;
+		});
+
+		if (current.some(activeIngredient => isCheckable(activeIngredient) && !approvals.get(activeIngredient.id))) {
+			result.failed++;
+		} else {
+			result.checked++;
+		}
+		if (next.some((activeIngredient, i) => activeIngredient.approval?.status !== current[i].approval?.status)) {
+			result.updated++;
+		}
+
+		writes.push({
+			updateOne: {
+				filter: { _id: product._id },
+				update: { $set: { activeIngredients: next }, $unset: { activeIngredient: '' } }
+			}
+		});
+	});
+
+	if (writes.length > 0) {
+		await products.bulkWrite(writes, { ordered: false });
+	}
+
+	return result;
+}
+
+module.exports = {
+	ApprovalStatus,
+	WARNING_STATUSES,
+	buildApproval,
+	lookupApproval,
+	withApproval,
+	withApprovals,
+	recheckProductApprovals
+};
@@ -0,0 +1,190 @@
+// utils/twoFactor.js
+// Second factor for password logins: time-based one-time passwords (RFC 6238,
+// the codes shown by authenticator apps) and single-use recovery codes. Only
+// hashes of recovery codes are stored.
+//
+// An account with two-factor enabled holds
+//   metadata.twoFactor = { enabled, secret, enabledAt, lastStep, recoveryCodes, phone }
+// lastStep is the time step of the last accepted code, so a code cannot be
+// used twice; phone is an optional verified number for SMS codes.
+
+const crypto = require('crypto');
+const { getDb } = require('./db');
+
+const ISSUER = 'Farmestly';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps either side of now that are accepted, for clock drift
+const WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+// No 0/O, 1/I/L: recovery codes are typed from paper
+const RECOVERY_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+	let bits = 0;
+	let value = 0;
+	let output = '';
+	for (const byte of buffer) {
+		value = (value << 8) | byte;
+		bits += 8;
+		while (bits >= 5) {
+			output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+			bits -= 5;
+		}
+	}
+	if (bits > 0) {
+		output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+	}
+	return output;
+}
+
+function base32Decode(str) {
+	const clean = str.toUpperCase().replace(/[\s=]/g, '');
+	let bits = 0;
+	let value = 0;
+	const bytes = [];
+	for (const char of clean) {
+		const index = BASE32_ALPHABET.indexOf(char);
+		if (index === -1) throw new Error('Invalid base32 character');
+		value = (value << 5) | index;
+		bits += 5;
+		if (bits >= 8) {
+			bytes.push((value >>> (bits - 8)) & 255);
+			bits -= 8;
+		}
+	}
+	return Buffer.from(bytes);
+}
+
+/**
+ * New TOTP secret, base32 as authenticator apps expect it
+ * @returns {string}
+ */
+function generateSecret() {
+	return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * otpauth:// link that adds the secret to an authenticator app
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the app next to the issuer
+ */
+function getOtpauthUrl(secret, accountName) {
+	const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+	const params = new URLSearchParams({
+		secret,
+		issuer: ISSUER,
+		algorithm: 'SHA1',
+		digits: String(DIGITS),
+		period: String(STEP_SECONDS)
+	});
+	return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function generateCode(key, step) {
+	const counter = Buffer.alloc(8);
+	counter.writeBigUInt64BE(BigInt(step));
+	const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+	const offset = hmac[hmac.length - 1] & 0xf;
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+	return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code from an authenticator app.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Date} [at] - Time to check against, defaults to now
+ * @returns {number|null} Time step the code belongs to, null when it does not match
+ */
+function verifyTotp(secret, code, at = new Date()) {
+	const normalized = typeof code === 'string' ? code.replace(/\s/g, '') : '';
+	if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+	const key = base32Decode(secret);
+	const current = Math.floor(at.getTime() / 1000 / STEP_SECONDS);
+	for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+		const expected = generateCode(key, step);
+		if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+			return step;
+		}
+	}
+	return null;
+}
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Hash of a recovery code as stored; dashes, spaces and case are ignored
+ * @param {string} code
+ */
+function hashRecoveryCode(code) {
+	return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * New set of recovery codes, e.g. "k7mq-x2rt"
+ * @returns {Object} { codes, hashes }
+ */
+function generateRecoveryCodes() {
+	const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+		const chars = Array.from(crypto.randomBytes(8), byte => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]).join('');
+		return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+	});
+	return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Accept an authenticator code for an account with two-factor enabled. A code
+ * is accepted once; reusing it, or an older one, fails.
+ * @param {Object} account - Accounts document
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function acceptTotpCode(account, code) {
+	const step = verifyTotp(account.metadata.twoFactor.secret, code);
+	if (step === null) return false;
+
+	const result = await getDb().collection('Accounts').updateOne(
+		{
+			_id: account._id,
+			'metadata.twoFactor.enabled': true,
+			$or: [
+				{ 'metadata.twoFactor.lastStep': null },
+				{ 'metadata.twoFactor.lastStep': { $lt: step } }
+			]
+		},
+		{ $set: { 'metadata.twoFactor.lastStep': step } }
+	);
+	return result.modifiedCount > 0;
+}
+
+/**
+ * Use up a recovery code of an account.
+ * @param {ObjectId} accountId
+ * @param {string} code
+ * @returns {Promise<number|null>} Recovery codes left, null when the code is not valid
+ */
+async function useRecoveryCode(accountId, code) {
+	const hash = hashRecoveryCode(code);
+	const account = await getDb().collection('Accounts').findOneAndUpdate(
+		{ _id: accountId, 'metadata.twoFactor.enabled': true, 'metadata.twoFactor.recoveryCodes': hash },
+		{ $pull: { 'metadata.twoFactor.recoveryCodes': hash } },
+		{ returnDocument: 'after', projection: { 'metadata.twoFactor.recoveryCodes': 1 } }
+	);
+	return account ? account.metadata.twoFactor.recoveryCodes.length : null;
+}
+
+module.exports = {
+	RECOVERY_CODE_COUNT,
+	generateSecret,
+	getOtpauthUrl,
+	verifyTotp,
+	hashRecoveryCode,
+	generateRecoveryCodes,
+	acceptTotpCode,
+	useRecoveryCode
+};
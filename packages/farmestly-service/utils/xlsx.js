@@ -0,0 +1,144 @@
+// utils/xlsx.js
+// Minimal single-sheet Office Open XML (XLSX) writer for tabular exports.
+// Takes the same column definitions as utils/csv.js.
+
+const AdmZip = require('adm-zip');
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+// Cell styles: 0 = default, 1 = bold header, 2 = date and time
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+</styleSheet>`;
+
+// Excel stores dates as days since 1899-12-30
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const escapeXml = (value) => String(value)
+	// Control characters are not allowed in XML 1.0
+	.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;');
+
+/**
+ * Convert a zero-based column index to its letter reference (0 → A, 27 → AB).
+ */
+function columnLetter(index) {
+	let letters = '';
+	for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+		letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+	}
+	return letters;
+}
+
+/**
+ * Serialize one cell. Numbers, booleans and dates keep their type so
+ * spreadsheets can sum and sort them; everything else is an inline string.
+ */
+function cell(ref, value, style = 0) {
+	const s = style ? ` s="${style}"` : '';
+
+	if (value === null || value === undefined || value === '') return '';
+	if (value instanceof Date) {
+		if (isNaN(value.getTime())) return '';
+		return `<c r="${ref}" s="${STYLE_DATE}"><v>${(value.getTime() - EXCEL_EPOCH_MS) / MS_PER_DAY}</v></c>`;
+	}
+	if (typeof value === 'number') {
+		return Number.isFinite(value) ? `<c r="${ref}"${s}><v>${value}</v></c>` : '';
+	}
+	if (typeof value === 'boolean') {
+		return `<c r="${ref}" t="b"${s}><v>${value ? 1 : 0}</v></c>`;
+	}
+
+	const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+	return `<c r="${ref}" t="inlineStr"${s}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+/**
+ * Build an XLSX workbook with a single sheet.
+ *
+ * @param {Array<Object>} rows - Source records
+ * @param {Array<{header: string, value: function(Object): *, width?: number}>} columns - Column definitions
+ * @param {string} [sheetName]
+ * @returns {Buffer}
+ */
+function toXlsx(rows, columns, sheetName = 'Sheet1') {
+	const lastRef = `${columnLetter(columns.length - 1)}${rows.length + 1}`;
+
+	const headerRow = `<row r="1">${columns.map((c, i) => cell(`${columnLetter(i)}1`, c.header, STYLE_HEADER)).join('')}</row>`;
+	const dataRows = rows.map((row, r) => {
+		const rowNumber = r + 2;
+		const cells = columns.map((c, i) => cell(`${columnLetter(i)}${rowNumber}`, c.value(row))).join('');
+		return `<row r="${rowNumber}">${cells}</row>`;
+	});
+
+	const cols = columns
+		.map((c, i) => `<col min="${i + 1}" max="${i + 1}" width="${c.width || Math.max(10, c.header.length + 2)}" customWidth="1"/>`)
+		.join('');
+
+	const sheetXml = [
+		'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+		'<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+		'<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>',
+		`<cols>${cols}</cols>`,
+		`<sheetData>${headerRow}${dataRows.join('')}</sheetData>`,
+		`<autoFilter ref="A1:${lastRef}"/>`,
+		'</worksheet>'
+	].join('\n');
+
+	// Sheet names are limited to 31 characters and may not contain []:*?/\
+	const safeSheetName = escapeXml(sheetName.replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 31));
+	const workbookXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`;
+
+	const zip = new AdmZip();
+	const add = (name, text) => zip.addFile(name, Buffer.from(text, 'utf8'));
+	add('[Content_Types].xml', CONTENT_TYPES_XML);
+	add('_rels/.rels', ROOT_RELS_XML);
+	add('xl/workbook.xml', workbookXml);
+	add('xl/_rels/workbook.xml.rels', WORKBOOK_RELS_XML);
+	add('xl/styles.xml', STYLES_XML);
+	add('xl/worksheets/sheet1.xml', sheetXml);
+
+	return zip.toBuffer();
+}
+
+module.exports = {
+	toXlsx
+};
@@ -1,6 +1,14 @@
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import HomePage from './HomePage';
 import EmailVerificationPage from './EmailVerificationPage';
+import ResetPasswordPage from './ResetPasswordPage';
+import LoginPage from './LoginPage';
+import Dashboard from './Dashboard';
+import FieldsPage from './FieldsPage';
+import JobsPage from './JobsPage';
+import JobDetailPage from './JobDetailPage';
+import CatalogPage from './CatalogPage';
+import ReportsPage from './ReportsPage';
 import '../global.css';
 
 function App() {
@@ -9,6 +17,15 @@ function App() {
 			<Routes>
 				<Route path="/" element={<HomePage />} />
 				<Route path="/emailVerification" element={<EmailVerificationPage />} />
+				<Route path="/resetPassword" element={<ResetPasswordPage />} />
+				<Route path="/login" element={<LoginPage />} />
+				<Route path="/dashboard" element={<Dashboard />}>
+					<Route index element={<FieldsPage />} />
+					<Route path="jobs" element={<JobsPage />} />
+					<Route path="jobs/:id" element={<JobDetailPage />} />
+					<Route path="catalog" element={<CatalogPage />} />
+					<Route path="reports" element={<ReportsPage />} />
+				</Route>
 			</Routes>
 		</BrowserRouter>
 	);
@@ -0,0 +1,152 @@
+import { useState } from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { formatRate } from '../../globals/format';
+import * as g from '../../global.module.css';
+import * as styles from './CatalogPage.module.css';
+
+const formatHours = (seconds) => seconds ? `${(seconds / 3600).toFixed(1)} h` : '-';
+
+function formatSprayer(item) {
+	if (item.usedFor !== 'spray') return '-';
+	return [
+		item.tankCapacity ? `${item.tankCapacity} L tank` : null,
+		item.boomWidth ? `${item.boomWidth} m boom` : null
+	].filter(Boolean).join(' · ') || 'Sprayer';
+}
+
+// Products saved by older app versions hold a single activeIngredient
+function formatSubstances(product) {
+	const substances = product.activeIngredients?.length
+		? product.activeIngredients
+		: (product.activeIngredient ? [product.activeIngredient] : []);
+	if (substances.length === 0) return '-';
+
+	return substances
+		.map(substance => substance.concentration
+			? `${substance.name} ${substance.concentration} ${substance.concentrationUnit || ''}`.trim()
+			: substance.name)
+		.filter(Boolean)
+		.join(', ') || '-';
+}
+
+// N-P-K grade of fertilizers as printed on the bag
+function formatGrade(product) {
+	const nutrients = product.nutrients;
+	if (!nutrients) return '-';
+	return ['n', 'p', 'k'].map(key => nutrients[key] || 0).join('-');
+}
+
+const TABS = [
+	{
+		key: 'machines',
+		label: 'Machines',
+		empty: 'No machines yet.',
+		columns: [
+			['Name', item => item.name],
+			['Make', item => item.make],
+			['Licence No.', item => item.licenceNo],
+			['Sprayer', formatSprayer],
+			['Hours', item => formatHours(item.powerOnTime)],
+			['Notes', item => item.notes]
+		]
+	},
+	{
+		key: 'attachments',
+		label: 'Attachments',
+		empty: 'No attachments yet.',
+		columns: [
+			['Name', item => item.name],
+			['Make', item => item.make],
+			['Type', item => item.type],
+			['Sprayer', formatSprayer],
+			['Hours', item => formatHours(item.powerOnTime)],
+			['Notes', item => item.notes]
+		]
+	},
+	{
+		key: 'tools',
+		label: 'Tools',
+		empty: 'No tools yet.',
+		columns: [
+			['Name', item => item.name],
+			['Type', item => item.type],
+			['Brand', item => item.brand],
+			['Model', item => item.model],
+			['Notes', item => item.notes]
+		]
+	},
+	{
+		key: 'products',
+		label: 'Products',
+		empty: 'No products yet.',
+		columns: [
+			['Name', item => item.name],
+			['Type', item => item.type?.name],
+			['Active substances', formatSubstances],
+			['N-P-K', formatGrade],
+			['Authorisation', item => item.authorisationNumber],
+			['Default rate', item => item.defaultRate ? formatRate(item.defaultRate, item.isVolume !== false) : null],
+			['REI', item => item.rei ? `${item.rei} hours` : null],
+			['PHI', item => item.phi ? `${item.phi} days` : null]
+		]
+	}
+];
+
+/**
+ * Equipment and product catalogues of the farm, as kept in the app
+ */
+function CatalogPage() {
+	const { farm } = useOutletContext();
+	const [activeTab, setActiveTab] = useState(TABS[0].key);
+
+	const tab = TABS.find(t => t.key === activeTab);
+	const items = [...(farm[tab.key] || [])].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+	return (
+		<div>
+			<div className={styles.pageHeader}>
+				<h1 className={g.titleLarge}>Equipment & Products</h1>
+				<p className={g.textSmall}>Equipment and products are added and edited in the Farmestly app.</p>
+			</div>
+
+			<div className={styles.tabs}>
+				{TABS.map(t => (
+					<button
+						key={t.key}
+						type="button"
+						className={`${styles.tab} ${t.key === activeTab ? styles.tabActive : ''}`}
+						onClick={() => setActiveTab(t.key)}
+					>
+						{t.label}
+						<span className={styles.tabCount}>{(farm[t.key] || []).length}</span>
+					</button>
+				))}
+			</div>
+
+			{items.length === 0 ? (
+				<p className={`${g.textSmall} ${styles.empty}`}>{tab.empty}</p>
+			) : (
+				<div className={g.tableContainer}>
+					<table className={g.table}>
+						<thead>
+							<tr>
+								{tab.columns.map(([label]) => <th key={label}>{label}</th>)}
+							</tr>
+						</thead>
+						<tbody>
+							{items.map(item => (
+								<tr key={item._id}>
+									{tab.columns.map(([label, render]) => (
+										<td key={label}>{render(item) || '-'}</td>
+									))}
+								</tr>
+							))}
+						</tbody>
+					</table>
+				</div>
+			)}
+		</div>
+	);
+}
+
+export default CatalogPage;
@@ -0,0 +1,106 @@
+import { useState, useEffect, useCallback } from 'react';
+import { NavLink, Outlet, useNavigate } from 'react-router-dom';
+import { api, getErrorMessage } from '../../globals/api';
+import * as g from '../../global.module.css';
+import * as styles from './Dashboard.module.css';
+
+const NAV_ITEMS = [
+	{ to: '/dashboard', label: 'Fields', end: true },
+	{ to: '/dashboard/jobs', label: 'Job Records' },
+	{ to: '/dashboard/catalog', label: 'Equipment & Products' },
+	{ to: '/dashboard/reports', label: 'Reports' }
+];
+
+/**
+ * Signed-in layout of the dashboard. Loads the account and the active farm
+ * from /getAccountData and hands them to the pages as outlet context
+ * ({ account, farm, reload }). Without a session it goes to the login page.
+ */
+function Dashboard() {
+	const navigate = useNavigate();
+	const [accountData, setAccountData] = useState(null);
+	const [error, setError] = useState('');
+
+	const load = useCallback(async () => {
+		setError('');
+		const result = await api('/getAccountData');
+		if (result.ok) {
+			setAccountData(result.data);
+		} else if (result.status === 401) {
+			navigate('/login', { replace: true });
+		} else {
+			setError(getErrorMessage(result.code));
+		}
+	}, [navigate]);
+
+	useEffect(() => {
+		load();
+	}, [load]);
+
+	const handleSignOut = async () => {
+		await api('/signout', { method: 'POST' });
+		navigate('/login', { replace: true });
+	};
+
+	if (error) {
+		return (
+			<div className={styles.centered}>
+				<p className={g.text}>{error}</p>
+				<button type="button" className={`${g.btn} ${g.btnOutline}`} onClick={load}>
+					Try Again
+				</button>
+			</div>
+		);
+	}
+
+	if (!accountData) {
+		return (
+			<div className={styles.centered}>
+				<div className={g.spinner}></div>
+			</div>
+		);
+	}
+
+	const { account, farm } = accountData;
+
+	return (
+		<div className={styles.layout}>
+			<header className={styles.header}>
+				<div className={styles.brand}>
+					<img
+						src="/assets/farmestly_logo.png"
+						alt="Farmestly"
+						className={styles.logo}
+						onError={(e) => { e.target.style.display = 'none'; }}
+					/>
+					<span className={styles.farmName}>{farm.name || 'My Farm'}</span>
+				</div>
+				<div className={styles.account}>
+					<span className={g.textSmall}>{account.username}</span>
+					<button type="button" className={`${g.btn} ${g.btnGhost}`} onClick={handleSignOut}>
+						Sign Out
+					</button>
+				</div>
+			</header>
+
+			<nav className={styles.nav}>
+				{NAV_ITEMS.map(item => (
+					<NavLink
+						key={item.to}
+						to={item.to}
+						end={item.end}
+						className={({ isActive }) => `${styles.navLink} ${isActive ? styles.navLinkActive : ''}`}
+					>
+						{item.label}
+					</NavLink>
+				))}
+			</nav>
+
+			<main className={styles.content}>
+				<Outlet context={{ account, farm, reload: load }} />
+			</main>
+		</div>
+	);
+}
+
+export default Dashboard;
@@ -12,6 +12,8 @@ function isMobileDevice() {
 function EmailVerificationPage() {
 	const [searchParams] = useSearchParams();
 	const token = searchParams.get('token');
+	// Report subscription recipients don't necessarily have the app
+	const isRecipient = searchParams.get('recipient') === '1';
 
 	const [status, setStatus] = useState('loading');
 	const [message, setMessage] = useState('');
@@ -45,7 +47,7 @@ function EmailVerificationPage() {
 				setStatus('success');
 				setMessage('Your email has been verified successfully!');
 
-				if (isMobileDevice()) {
+				if (isMobileDevice() && !isRecipient) {
 					setTimeout(() => {
 						tryOpenApp('success');
 					}, 1500);
@@ -108,7 +110,11 @@ function EmailVerificationPage() {
 							{message}
 						</p>
 
-						{isMobile ? (
+						{isRecipient ? (
+							<p className={`${g.textSmall} ${styles.desktopNote}`}>
+								You will now receive the scheduled reports by email. You can close this page.
+							</p>
+						) : isMobile ? (
 							<>
 								<div className={g.buttonStack}>
 									<button
@@ -143,7 +149,11 @@ function EmailVerificationPage() {
 							{message}
 						</p>
 
-						{isMobile ? (
+						{isRecipient ? (
+							<p className={`${g.textSmall} ${styles.desktopNote}`}>
+								Ask the farm that sent you this link to send a new one.
+							</p>
+						) : isMobile ? (
 							<>
 								<div className={g.buttonStack}>
 									<button
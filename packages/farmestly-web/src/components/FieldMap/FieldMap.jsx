@@ -0,0 +1,84 @@
+import { useEffect, useRef } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { formatCultivation } from '../../globals/format';
+import * as styles from './FieldMap.module.css';
+
+const TILE_URL = process.env.REACT_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+const SELECTED_COLOR = '#E37F1B';
+const DEFAULT_COLOR = '#42210B';
+
+// Field points are stored as { latitude, longitude }, as the app draws them
+const toLatLngs = (points) => (points || []).map(point => [point.latitude, point.longitude]);
+
+const hasShape = (field) => Array.isArray(field.points) && field.points.length >= 3;
+
+function buildTooltip(field) {
+	const container = document.createElement('div');
+	const name = document.createElement('strong');
+	name.textContent = field.name;
+	const cultivation = document.createElement('div');
+	cultivation.textContent = field.currentCultivation ? formatCultivation(field.currentCultivation) : 'No cultivation';
+	container.append(name, cultivation);
+	return container;
+}
+
+/**
+ * Map of field polygons. Clicking a field selects it; the selected field is
+ * highlighted and zoomed to, otherwise the map fits all fields.
+ */
+function FieldMap({ fields, selectedFieldId = null, onSelectField }) {
+	const containerRef = useRef(null);
+	const mapRef = useRef(null);
+	const layerRef = useRef(null);
+	const onSelectRef = useRef(onSelectField);
+	onSelectRef.current = onSelectField;
+
+	useEffect(() => {
+		const map = L.map(containerRef.current);
+		L.tileLayer(TILE_URL, { maxZoom: 19, attribution: TILE_ATTRIBUTION }).addTo(map);
+		layerRef.current = L.featureGroup().addTo(map);
+		mapRef.current = map;
+
+		return () => {
+			map.remove();
+			mapRef.current = null;
+			layerRef.current = null;
+		};
+	}, []);
+
+	useEffect(() => {
+		const layer = layerRef.current;
+		layer.clearLayers();
+
+		fields.filter(hasShape).forEach(field => {
+			const selected = field._id === selectedFieldId;
+			const polygon = L.polygon(toLatLngs(field.points), {
+				color: selected ? SELECTED_COLOR : (field.color || DEFAULT_COLOR),
+				weight: selected ? 3 : 2,
+				fillColor: field.color || SELECTED_COLOR,
+				fillOpacity: selected ? 0.45 : 0.25
+			});
+			polygon.bindTooltip(buildTooltip(field), { sticky: true });
+			polygon.on('click', () => onSelectRef.current?.(field._id));
+			polygon.addTo(layer);
+		});
+
+		const selectedField = fields.find(field => field._id === selectedFieldId && hasShape(field));
+		const bounds = selectedField
+			? L.latLngBounds(toLatLngs(selectedField.points))
+			: layer.getBounds();
+
+		if (bounds.isValid()) {
+			mapRef.current.fitBounds(bounds, { padding: [24, 24], maxZoom: 18 });
+		} else {
+			mapRef.current.setView([20, 0], 2);
+		}
+	}, [fields, selectedFieldId]);
+
+	return <div ref={containerRef} className={styles.map}></div>;
+}
+
+export default FieldMap;
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { Link, useOutletContext } from 'react-router-dom';
+import FieldMap from '../FieldMap';
+import { formatArea, formatCultivation, formatDate, formatDateTime } from '../../globals/format';
+import * as g from '../../global.module.css';
+import * as styles from './FieldsPage.module.css';
+
+// REI and PHI windows come from getAccountData and are still open when their end is ahead
+const isOpen = (window) => window && new Date(window.endDate) > new Date();
+
+/**
+ * Field map with the current cultivation and spray intervals of each field
+ */
+function FieldsPage() {
+	const { farm } = useOutletContext();
+	const fields = farm.fields || [];
+	const [selectedFieldId, setSelectedFieldId] = useState(null);
+
+	const selectedField = fields.find(field => field._id === selectedFieldId) || null;
+	const activeFields = fields.filter(field => field.currentCultivation).length;
+
+	const toggleField = (fieldId) => {
+		setSelectedFieldId(prev => prev === fieldId ? null : fieldId);
+	};
+
+	return (
+		<div>
+			<div className={styles.pageHeader}>
+				<h1 className={g.titleLarge}>Fields</h1>
+				<p className={g.textSmall}>
+					{fields.length} fields · {activeFields} cultivated · {formatArea(farm.totalArea)}
+				</p>
+			</div>
+
+			<div className={styles.columns}>
+				<div className={styles.mapColumn}>
+					<FieldMap
+						fields={fields}
+						selectedFieldId={selectedFieldId}
+						onSelectField={toggleField}
+					/>
+				</div>
+
+				<div className={styles.listColumn}>
+					{selectedField && (
+						<div className={`${g.cardWhite} ${styles.details}`}>
+							<h2 className={g.sectionTitle}>{selectedField.name}</h2>
+							<dl className={styles.detailList}>
+								<dt>Area</dt>
+								<dd>{formatArea(selectedField.area)}</dd>
+								<dt>Cultivation</dt>
+								<dd>{formatCultivation(selectedField.currentCultivation)}</dd>
+								{selectedField.currentCultivation && (
+									<>
+										<dt>Since</dt>
+										<dd>{formatDate(selectedField.currentCultivation.startTime)}</dd>
+									</>
+								)}
+								{selectedField.farmingType && (
+									<>
+										<dt>Farming</dt>
+										<dd>{selectedField.farmingType}</dd>
+									</>
+								)}
+								{isOpen(selectedField.compliance?.rei) && (
+									<>
+										<dt>Re-entry</dt>
+										<dd>Not before {formatDateTime(selectedField.compliance.rei.endDate)}</dd>
+									</>
+								)}
+								{isOpen(selectedField.compliance?.phi) && (
+									<>
+										<dt>Harvest</dt>
+										<dd>Not before {formatDate(selectedField.compliance.phi.endDate)}</dd>
+									</>
+								)}
+							</dl>
+							<Link
+								className={`${g.btn} ${g.btnOutline} ${g.btnFullWidth}`}
+								to={`/dashboard/jobs?fieldId=${encodeURIComponent(selectedField._id)}`}
+							>
+								View Job Records
+							</Link>
+						</div>
+					)}
+
+					{fields.length === 0 ? (
+						<p className={g.textSmall}>No fields yet. Fields are drawn in the Farmestly app.</p>
+					) : (
+						<ul className={styles.fieldList}>
+							{fields.map(field => (
+								<li key={field._id}>
+									<button
+										type="button"
+										className={`${styles.fieldItem} ${field._id === selectedFieldId ? styles.fieldItemActive : ''}`}
+										onClick={() => toggleField(field._id)}
+									>
+										<span className={styles.fieldColor} style={{ backgroundColor: field.color || '#E37F1B' }}></span>
+										<span className={styles.fieldText}>
+											<span className={styles.fieldName}>{field.name}</span>
+											<span className={g.textSmall}>
+												{formatArea(field.area)} · {formatCultivation(field.currentCultivation)}
+											</span>
+										</span>
+										{(isOpen(field.compliance?.rei) || isOpen(field.compliance?.phi)) && (
+											<span className={`${g.badge} ${g.badgeWarning}`}>
+												{isOpen(field.compliance?.rei) ? 'REI' : 'PHI'}
+											</span>
+										)}
+									</button>
+								</li>
+							))}
+						</ul>
+					)}
+				</div>
+			</div>
+		</div>
+	);
+}
+
+export default FieldsPage;
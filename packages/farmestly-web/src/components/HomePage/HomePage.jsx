@@ -1,4 +1,5 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 import * as g from '../../global.module.css';
 import * as styles from './HomePage.module.css';
 
@@ -16,6 +17,9 @@ function HomePage() {
 				<p className={`${g.subtitle} ${styles.messageText}`}>
 					Download the Farmestly app to manage your farm.
 				</p>
+				<Link className={`${g.btn} ${g.btnOutline}`} to="/login">
+					Sign In to the Dashboard
+				</Link>
 			</div>
 
 			<footer className={styles.footer}>
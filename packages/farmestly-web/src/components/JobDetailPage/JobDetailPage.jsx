@@ -0,0 +1,325 @@
+import { useState, useEffect } from 'react';
+import { Link, useOutletContext, useParams } from 'react-router-dom';
+import FieldMap from '../FieldMap';
+import { api, getErrorMessage } from '../../globals/api';
+import {
+	getJobTypeLabel,
+	formatArea,
+	formatRate,
+	formatCultivation,
+	formatDate,
+	formatDateTime,
+	formatDuration
+} from '../../globals/format';
+import * as g from '../../global.module.css';
+import * as styles from './JobDetailPage.module.css';
+
+// Empty values are left out of the detail lists
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+function Details({ rows }) {
+	const shown = rows.filter(([, value]) => hasValue(value));
+	if (shown.length === 0) return null;
+
+	return (
+		<dl className={styles.detailList}>
+			{shown.map(([label, value]) => (
+				<div key={label} className={styles.detailRow}>
+					<dt>{label}</dt>
+					<dd>{value}</dd>
+				</div>
+			))}
+		</dl>
+	);
+}
+
+function Section({ title, children }) {
+	return (
+		<section className={`${g.cardWhite} ${styles.section}`}>
+			<h2 className={g.sectionTitle}>{title}</h2>
+			{children}
+		</section>
+	);
+}
+
+function SowDetails({ job }) {
+	const sow = job.data?.sow || {};
+	return (
+		<Section title="Sowing">
+			<Details rows={[
+				['Crop', job.cultivation?.crop || sow.crop],
+				['Variety', sow.variety || job.cultivation?.variety],
+				['EPPO code', sow.eppoCode],
+				['Seed details', sow.seedDetails]
+			]} />
+		</Section>
+	);
+}
+
+function HarvestDetails({ job }) {
+	const harvest = job.data?.harvest || {};
+	const unit = harvest.unit || 'kg';
+	return (
+		<Section title="Harvest">
+			<Details rows={[
+				['Harvested', hasValue(harvest.amount) ? `${harvest.amount} ${unit}` : null],
+				['Moisture', hasValue(harvest.moisture) ? `${harvest.moisture}%` : null],
+				['Loads', harvest.loads],
+				['Grade', harvest.grade],
+				['Destination', harvest.destination],
+				['Sale price', hasValue(harvest.salePrice) ? `${harvest.salePrice} per ${unit}` : null],
+				['Final harvest', harvest.isFinal ? 'Yes' : 'No']
+			]} />
+		</Section>
+	);
+}
+
+function SprayDetails({ job }) {
+	const spray = job.data?.spray || {};
+	const products = spray.products || [];
+	const complianceInfo = spray.complianceInfo;
+
+	return (
+		<Section title="Spraying">
+			<Details rows={[
+				['Target', spray.target],
+				['Reason', spray.reason],
+				['Carrier rate', hasValue(spray.carrierRate) ? formatRate(spray.carrierRate, true) : null],
+				['Total water', hasValue(spray.totalWater) ? `${spray.totalWater} L` : null],
+				['Sprayed area', spray.coveredArea ? formatArea(spray.coveredArea) : null],
+				['Re-entry until', complianceInfo?.maxREI > 0 ? formatDateTime(complianceInfo.reentryDate) : null],
+				['Harvest not before', complianceInfo?.maxPHI > 0 ? formatDate(complianceInfo.harvestDate) : null]
+			]} />
+
+			{products.length > 0 && (
+				<div className={`${g.tableContainer} ${styles.productTable}`}>
+					<table className={g.table}>
+						<thead>
+							<tr>
+								<th>Product</th>
+								<th>Rate</th>
+								<th>REI</th>
+								<th>PHI</th>
+							</tr>
+						</thead>
+						<tbody>
+							{products.map((product, index) => (
+								<tr key={product.productId || index}>
+									<td>{product.name || '-'}</td>
+									<td>{formatRate(product.rate, product.isVolume !== false)}</td>
+									<td>{product.rei ? `${product.rei} hours` : '-'}</td>
+									<td>{product.phi ? `${product.phi} days` : '-'}</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				</div>
+			)}
+		</Section>
+	);
+}
+
+function IrrigationDetails({ job }) {
+	const irrigate = job.data?.irrigate || {};
+	return (
+		<Section title="Irrigation">
+			<Details rows={[
+				['Irrigator', irrigate.irrigatorName],
+				['Flow', hasValue(irrigate.litersPerHour) ? `${irrigate.litersPerHour} L/hour` : null],
+				['Water applied', hasValue(irrigate.waterAppliedLiters) ? `${irrigate.waterAppliedLiters} L` : null]
+			]} />
+		</Section>
+	);
+}
+
+// Main nutrients stored on fertilize jobs, in kg/ha
+const NUTRIENTS = [
+	['n', 'N'],
+	['p', 'P₂O₅'],
+	['k', 'K₂O'],
+	['s', 'S']
+];
+
+function FertilizeDetails({ job }) {
+	const products = job.data?.fertilize?.products || [];
+	const perHa = job.nutrients?.perHa;
+
+	return (
+		<Section title="Fertilizing">
+			{perHa && (
+				<Details rows={NUTRIENTS.map(([key, label]) => [label, `${(perHa[key] || 0).toFixed(2)} kg/ha`])} />
+			)}
+
+			{products.length > 0 && (
+				<div className={`${g.tableContainer} ${styles.productTable}`}>
+					<table className={g.table}>
+						<thead>
+							<tr>
+								<th>Product</th>
+								<th>Rate</th>
+							</tr>
+						</thead>
+						<tbody>
+							{products.map((product, index) => (
+								<tr key={product.productId || index}>
+									<td>{product.name || '-'}</td>
+									<td>{formatRate(product.rate, product.isVolume !== false)}</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				</div>
+			)}
+		</Section>
+	);
+}
+
+const TYPE_DETAILS = {
+	sow: SowDetails,
+	harvest: HarvestDetails,
+	spray: SprayDetails,
+	irrigate: IrrigationDetails,
+	fertilize: FertilizeDetails
+};
+
+/**
+ * One job record with its field, equipment and the data of its job type
+ */
+function JobDetailPage() {
+	const { id } = useParams();
+	const { farm } = useOutletContext();
+
+	const [job, setJob] = useState(null);
+	const [error, setError] = useState('');
+
+	useEffect(() => {
+		let cancelled = false;
+
+		const load = async () => {
+			setJob(null);
+			setError('');
+			const result = await api(`/job/record/${encodeURIComponent(id)}`);
+			if (cancelled) return;
+
+			if (result.ok) {
+				setJob(result.data);
+			} else {
+				setError(getErrorMessage(result.code === 'INVALID' ? 'RECORD_NOT_FOUND' : result.code));
+			}
+		};
+
+		load();
+		return () => { cancelled = true; };
+	}, [id]);
+
+	const backLink = (
+		<Link className={styles.backLink} to="/dashboard/jobs">&larr; Job Records</Link>
+	);
+
+	if (error) {
+		return (
+			<div>
+				{backLink}
+				<p className={g.errorText}>{error}</p>
+			</div>
+		);
+	}
+
+	if (!job) {
+		return (
+			<div className={styles.loading}>
+				<div className={g.spinner}></div>
+			</div>
+		);
+	}
+
+	// The map needs the field's shape, which only the farm data has
+	const mapField = (farm.fields || []).find(field => field._id === job.fieldId);
+	const TypeDetails = TYPE_DETAILS[job.type];
+	const compliance = job.compliance || {};
+
+	return (
+		<div>
+			{backLink}
+
+			<div className={styles.pageHeader}>
+				<h1 className={g.titleLarge}>
+					{getJobTypeLabel(job.type)}
+					{job.field && <span className={g.textMuted}> · {job.field.name}</span>}
+				</h1>
+				<p className={g.textSmall}>{formatDateTime(job.startedAt)}</p>
+			</div>
+
+			{compliance.phi && (
+				<div className={`${g.noteContainer} ${styles.warning}`}>
+					<p className={g.text}>
+						Harvested during the pre-harvest interval of {compliance.phi.productName || 'a sprayed product'} (until {formatDateTime(compliance.phi.endDate)}).
+						{compliance.phi.overrideReason ? ` Reason: ${compliance.phi.overrideReason}` : ' No reason was given.'}
+					</p>
+				</div>
+			)}
+			{compliance.seasonLimits?.length > 0 && (
+				<div className={`${g.noteContainer} ${styles.warning}`}>
+					<p className={g.text}>
+						Sprayed over the season limit of {compliance.seasonLimits.map(limit => limit.name).join(', ')} on this field.
+					</p>
+				</div>
+			)}
+
+			<div className={styles.columns}>
+				<div className={styles.sections}>
+					<Section title="Overview">
+						<Details rows={[
+							['Field', job.field ? `${job.field.name} (${formatArea(job.field.area)})` : null],
+							['Cultivation', job.cultivation ? formatCultivation(job.cultivation) : null],
+							['Template', job.template?.name],
+							['Started', formatDateTime(job.startedAt)],
+							['Ended', job.endedAt ? formatDateTime(job.endedAt) : null],
+							['Duration', formatDuration(job.elapsedTime)],
+							['Status', job.status],
+							['Performed by', job.performedBy?.username]
+						]} />
+					</Section>
+
+					{(job.machine || job.attachment || job.tool) && (
+						<Section title="Equipment">
+							<Details rows={[
+								['Machine', job.machine ? [job.machine.name, job.machine.make].filter(Boolean).join(' · ') : null],
+								['Attachment', job.attachment?.name],
+								['Tool', job.tool?.name]
+							]} />
+						</Section>
+					)}
+
+					{TypeDetails && <TypeDetails job={job} />}
+
+					{job.coverage && (
+						<Section title="GPS Coverage">
+							<Details rows={[
+								['Covered', `${formatArea(job.coverage.coveredArea)} (${job.coverage.coveragePercent}%)`],
+								['Overlap', `${formatArea(job.coverage.overlapArea)} (${job.coverage.overlapPercent}%)`],
+								['Outside field', formatArea(job.coverage.outsideArea)],
+								['Distance', `${(job.coverage.distance / 1000).toFixed(2)} km`],
+								['Working width', `${job.coverage.width} m`]
+							]} />
+						</Section>
+					)}
+
+					{job.notes && (
+						<Section title="Notes">
+							<p className={`${g.text} ${styles.notes}`}>{job.notes}</p>
+						</Section>
+					)}
+				</div>
+
+				{mapField && (
+					<div className={styles.mapColumn}>
+						<FieldMap fields={[mapField]} selectedFieldId={mapField._id} />
+					</div>
+				)}
+			</div>
+		</div>
+	);
+}
+
+export default JobDetailPage;
@@ -0,0 +1,275 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useOutletContext, useSearchParams } from 'react-router-dom';
+import { api, getErrorMessage } from '../../globals/api';
+import { JOB_TYPES, getJobTypeLabel, formatCultivation, formatDateTime, formatDuration } from '../../globals/format';
+import * as g from '../../global.module.css';
+import * as styles from './JobsPage.module.css';
+
+const PAGE_SIZE = 25;
+
+// Filters kept in the address so a filtered list can be linked to and returned to
+const FILTER_KEYS = ['type', 'fieldId', 'cultivationId', 'templateId', 'dateFrom', 'dateTo', 'search'];
+
+// Date inputs give whole days; the API compares against startedAt
+const startOfDay = (date) => date ? new Date(`${date}T00:00:00`).toISOString() : undefined;
+const endOfDay = (date) => date ? new Date(`${date}T23:59:59.999`).toISOString() : undefined;
+
+/**
+ * Job records of the farm with the filters of GET /job/records
+ */
+function JobsPage() {
+	const { farm } = useOutletContext();
+	const navigate = useNavigate();
+	const [searchParams, setSearchParams] = useSearchParams();
+
+	const [records, setRecords] = useState([]);
+	const [pagination, setPagination] = useState(null);
+	const [isLoading, setIsLoading] = useState(true);
+	const [error, setError] = useState('');
+	const [searchText, setSearchText] = useState(searchParams.get('search') || '');
+
+	const filters = Object.fromEntries(FILTER_KEYS.map(key => [key, searchParams.get(key) || '']));
+	const page = parseInt(searchParams.get('page'), 10) || 1;
+
+	const fields = farm.fields || [];
+	const templates = farm.jobTemplates || [];
+	const fieldNames = Object.fromEntries(fields.map(field => [field._id, field.name]));
+
+	// Cultivations to filter by are the current ones of the farm's fields
+	const cultivations = fields
+		.filter(field => field.currentCultivation && (!filters.fieldId || field._id === filters.fieldId))
+		.map(field => ({ id: field.currentCultivation.id, label: `${field.name}: ${formatCultivation(field.currentCultivation)}` }));
+
+	useEffect(() => {
+		let cancelled = false;
+
+		const load = async () => {
+			setIsLoading(true);
+			setError('');
+			const result = await api('/job/records', {
+				query: {
+					page,
+					limit: PAGE_SIZE,
+					type: filters.type,
+					fieldId: filters.fieldId,
+					cultivationId: filters.cultivationId,
+					templateId: filters.templateId,
+					dateFrom: startOfDay(filters.dateFrom),
+					dateTo: endOfDay(filters.dateTo),
+					search: filters.search
+				}
+			});
+			if (cancelled) return;
+
+			if (result.ok) {
+				setRecords(result.data?.records || []);
+				setPagination(result.data?.pagination || null);
+			} else {
+				setRecords([]);
+				setPagination(null);
+				setError(getErrorMessage(result.code));
+			}
+			setIsLoading(false);
+		};
+
+		load();
+		return () => { cancelled = true; };
+	}, [searchParams]);
+
+	const updateFilters = (changes) => {
+		setSearchParams(prev => {
+			const next = new URLSearchParams(prev);
+			Object.entries(changes).forEach(([key, value]) => {
+				if (value) next.set(key, value);
+				else next.delete(key);
+			});
+			// Any filter change starts again from the first page
+			if (!('page' in changes)) next.delete('page');
+			return next;
+		});
+	};
+
+	const handleFieldChange = (fieldId) => {
+		const keepCultivation = fields.some(field => field._id === fieldId && field.currentCultivation?.id === filters.cultivationId);
+		updateFilters({ fieldId, cultivationId: keepCultivation ? filters.cultivationId : '' });
+	};
+
+	const handleSearch = (e) => {
+		e.preventDefault();
+		updateFilters({ search: searchText.trim() });
+	};
+
+	const clearFilters = () => {
+		setSearchText('');
+		setSearchParams({});
+	};
+
+	const hasFilters = FILTER_KEYS.some(key => filters[key]);
+
+	return (
+		<div>
+			<div className={styles.pageHeader}>
+				<h1 className={g.titleLarge}>Job Records</h1>
+				{pagination && (
+					<p className={g.textSmall}>{pagination.totalJobs} records</p>
+				)}
+			</div>
+
+			<div className={`${g.cardWhite} ${styles.filters}`}>
+				<label className={styles.filter}>
+					<span className={styles.filterLabel}>Type</span>
+					<select className={styles.select} value={filters.type} onChange={(e) => updateFilters({ type: e.target.value })}>
+						<option value="">All types</option>
+						{Object.entries(JOB_TYPES).map(([type, label]) => (
+							<option key={type} value={type}>{label}</option>
+						))}
+					</select>
+				</label>
+
+				<label className={styles.filter}>
+					<span className={styles.filterLabel}>Field</span>
+					<select className={styles.select} value={filters.fieldId} onChange={(e) => handleFieldChange(e.target.value)}>
+						<option value="">All fields</option>
+						{fields.map(field => (
+							<option key={field._id} value={field._id}>{field.name}</option>
+						))}
+					</select>
+				</label>
+
+				<label className={styles.filter}>
+					<span className={styles.filterLabel}>Cultivation</span>
+					<select className={styles.select} value={filters.cultivationId} onChange={(e) => updateFilters({ cultivationId: e.target.value })}>
+						<option value="">All cultivations</option>
+						{filters.cultivationId && !cultivations.some(c => c.id === filters.cultivationId) && (
+							<option value={filters.cultivationId}>Selected cultivation</option>
+						)}
+						{cultivations.map(cultivation => (
+							<option key={cultivation.id} value={cultivation.id}>{cultivation.label}</option>
+						))}
+					</select>
+				</label>
+
+				<label className={styles.filter}>
+					<span className={styles.filterLabel}>Template</span>
+					<select className={styles.select} value={filters.templateId} onChange={(e) => updateFilters({ templateId: e.target.value })}>
+						<option value="">All templates</option>
+						{templates.map(template => (
+							<option key={template._id} value={template._id}>{template.name}</option>
+						))}
+					</select>
+				</label>
+
+				<label className={styles.filter}>
+					<span className={styles.filterLabel}>From</span>
+					<input
+						type="date"
+						className={styles.select}
+						value={filters.dateFrom}
+						max={filters.dateTo || undefined}
+						onChange={(e) => updateFilters({ dateFrom: e.target.value })}
+					/>
+				</label>
+
+				<label className={styles.filter}>
+					<span className={styles.filterLabel}>To</span>
+					<input
+						type="date"
+						className={styles.select}
+						value={filters.dateTo}
+						min={filters.dateFrom || undefined}
+						onChange={(e) => updateFilters({ dateTo: e.target.value })}
+					/>
+				</label>
+
+				<form className={`${styles.filter} ${styles.searchFilter}`} onSubmit={handleSearch}>
+					<span className={styles.filterLabel}>Search</span>
+					<input
+						type="search"
+						className={styles.select}
+						value={searchText}
+						placeholder="Notes, crop or variety"
+						onChange={(e) => setSearchText(e.target.value)}
+						onBlur={() => searchText.trim() !== filters.search && updateFilters({ search: searchText.trim() })}
+					/>
+				</form>
+
+				{hasFilters && (
+					<button type="button" className={`${g.btn} ${g.btnGhost} ${styles.clearButton}`} onClick={clearFilters}>
+						Clear Filters
+					</button>
+				)}
+			</div>
+
+			{error ? (
+				<p className={g.errorText}>{error}</p>
+			) : isLoading ? (
+				<div className={styles.loading}>
+					<div className={g.spinner}></div>
+				</div>
+			) : records.length === 0 ? (
+				<p className={`${g.textSmall} ${styles.empty}`}>
+					{hasFilters ? 'No job records match these filters.' : 'No job records yet.'}
+				</p>
+			) : (
+				<div className={g.tableContainer}>
+					<table className={g.table}>
+						<thead>
+							<tr>
+								<th>Started</th>
+								<th>Type</th>
+								<th>Field</th>
+								<th>Cultivation</th>
+								<th>Template</th>
+								<th>Duration</th>
+								<th>Performed By</th>
+							</tr>
+						</thead>
+						<tbody>
+							{records.map(record => (
+								<tr
+									key={record._id}
+									className={g.tableRowClickable}
+									onClick={() => navigate(`/dashboard/jobs/${record._id}`)}
+								>
+									<td>{formatDateTime(record.startedAt)}</td>
+									<td><span className={g.badge}>{getJobTypeLabel(record.type)}</span></td>
+									<td>{fieldNames[record.fieldId] || '-'}</td>
+									<td>{formatCultivation(record.cultivation)}</td>
+									<td>{record.template?.name || '-'}</td>
+									<td>{formatDuration(record.elapsedTime)}</td>
+									<td>{record.performedBy?.username || '-'}</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				</div>
+			)}
+
+			{pagination && pagination.totalPages > 1 && (
+				<div className={styles.pagination}>
+					<button
+						type="button"
+						className={`${g.btn} ${g.btnOutline}`}
+						disabled={!pagination.hasPrevPage || isLoading}
+						onClick={() => updateFilters({ page: String(page - 1) })}
+					>
+						Previous
+					</button>
+					<span className={g.textSmall}>
+						Page {pagination.currentPage} of {pagination.totalPages}
+					</span>
+					<button
+						type="button"
+						className={`${g.btn} ${g.btnOutline}`}
+						disabled={!pagination.hasNextPage || isLoading}
+						onClick={() => updateFilters({ page: String(page + 1) })}
+					>
+						Next
+					</button>
+				</div>
+			)}
+		</div>
+	);
+}
+
+export default JobsPage;
@@ -0,0 +1,265 @@
+import { useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { api, getErrorMessage } from '../../globals/api';
+import * as g from '../../global.module.css';
+import * as styles from './LoginPage.module.css';
+
+const METHOD_LABELS = {
+	totp: 'Authenticator app',
+	recovery: 'Recovery code',
+	sms: 'SMS code'
+};
+
+const METHOD_HINTS = {
+	totp: 'Enter the 6-digit code shown in your authenticator app.',
+	recovery: 'Enter one of the recovery codes you saved when you turned on two-factor authentication. Each code works once.',
+	sms: 'We will send a 6-digit code to the phone you added for sign-in codes.'
+};
+
+/**
+ * Dashboard sign-in for password accounts. When the account has two-factor
+ * authentication, /login leaves a challenge that is completed here with a
+ * code from the authenticator app, a recovery code or an SMS code.
+ */
+function LoginPage() {
+	const navigate = useNavigate();
+
+	// password | twoFactor
+	const [step, setStep] = useState('password');
+	const [formError, setFormError] = useState('');
+	const [isSubmitting, setIsSubmitting] = useState(false);
+
+	const [username, setUsername] = useState('');
+	const [password, setPassword] = useState('');
+
+	const [methods, setMethods] = useState([]);
+	const [method, setMethod] = useState('totp');
+	const [phone, setPhone] = useState('');
+	const [smsSent, setSmsSent] = useState(false);
+	const [code, setCode] = useState('');
+
+	const startOver = (message) => {
+		setStep('password');
+		setPassword('');
+		setCode('');
+		setSmsSent(false);
+		setFormError(message);
+	};
+
+	const handleLogin = async (e) => {
+		e.preventDefault();
+		if (!username.trim() || !password || isSubmitting) return;
+
+		setIsSubmitting(true);
+		setFormError('');
+		const result = await api('/login', {
+			method: 'POST',
+			body: { username: username.trim(), password }
+		});
+		setIsSubmitting(false);
+
+		if (!result.ok) {
+			setFormError(getErrorMessage(result.code));
+			return;
+		}
+
+		if (result.data?.twoFactorRequired) {
+			setMethods(result.data.methods || ['totp', 'recovery']);
+			setPhone(result.data.phone || '');
+			setMethod('totp');
+			setCode('');
+			setStep('twoFactor');
+			return;
+		}
+
+		navigate('/dashboard', { replace: true });
+	};
+
+	const handleSendSms = async () => {
+		if (isSubmitting) return;
+
+		setIsSubmitting(true);
+		setFormError('');
+		const result = await api('/auth/twoFactor/sms', { method: 'POST' });
+		setIsSubmitting(false);
+
+		if (result.ok) {
+			setSmsSent(true);
+			setPhone(result.data?.phone || phone);
+		} else if (result.code === 'NO_CHALLENGE' || result.code === 'CHALLENGE_EXPIRED') {
+			startOver(getErrorMessage(result.code));
+		} else {
+			setFormError(getErrorMessage(result.code));
+		}
+	};
+
+	const handleVerify = async (e) => {
+		e.preventDefault();
+		if (!code.trim() || isSubmitting) return;
+
+		setIsSubmitting(true);
+		setFormError('');
+		const result = await api('/auth/twoFactor/verify', {
+			method: 'POST',
+			body: { method, code: code.trim() }
+		});
+		setIsSubmitting(false);
+
+		if (result.ok) {
+			navigate('/dashboard', { replace: true });
+		} else if (result.code === 'NO_CHALLENGE' || result.code === 'CHALLENGE_EXPIRED' || result.code === 'ACCOUNT_PENDING_DELETION') {
+			startOver(getErrorMessage(result.code));
+		} else {
+			setFormError(getErrorMessage(result.code));
+		}
+	};
+
+	const selectMethod = (nextMethod) => {
+		setMethod(nextMethod);
+		setCode('');
+		setFormError('');
+	};
+
+	return (
+		<div className={styles.pageContainer}>
+			<img
+				src="/assets/farmestly_logo.png"
+				alt="Farmestly"
+				className={styles.logo}
+				onError={(e) => { e.target.style.display = 'none'; }}
+			/>
+
+			<div className={styles.loginCard}>
+				{step === 'password' && (
+					<>
+						<h1 className={styles.title}>Sign In</h1>
+						<p className={`${g.subtitle} ${styles.messageText}`}>
+							Sign in to view your farm records.
+						</p>
+						<form className={styles.form} onSubmit={handleLogin}>
+							<div className={g.inputContainer}>
+								<label className={g.inputLabel} htmlFor="username">Username</label>
+								<input
+									id="username"
+									className={g.input}
+									value={username}
+									onChange={(e) => setUsername(e.target.value)}
+									autoComplete="username"
+									autoCapitalize="none"
+								/>
+							</div>
+							<div className={g.inputContainer}>
+								<label className={g.inputLabel} htmlFor="password">Password</label>
+								<input
+									id="password"
+									type="password"
+									className={`${g.input} ${formError ? g.inputError : ''}`}
+									value={password}
+									onChange={(e) => setPassword(e.target.value)}
+									autoComplete="current-password"
+									maxLength={64}
+								/>
+								{formError && <p className={g.errorText}>{formError}</p>}
+							</div>
+							<button
+								type="submit"
+								className={`${g.btn} ${g.btnFilled} ${g.btnFullWidth}`}
+								disabled={!username.trim() || !password || isSubmitting}
+							>
+								{isSubmitting ? 'Signing In...' : 'Sign In'}
+							</button>
+						</form>
+						<Link className={styles.link} to="/resetPassword">Forgot your password?</Link>
+						<p className={`${g.textSmall} ${styles.note}`}>
+							Accounts that sign in with a phone number use the Farmestly app.
+						</p>
+					</>
+				)}
+
+				{step === 'twoFactor' && (
+					<>
+						<h1 className={styles.title}>Two-Factor Authentication</h1>
+						<p className={`${g.subtitle} ${styles.messageText}`}>
+							{METHOD_HINTS[method]}
+						</p>
+
+						{methods.length > 1 && (
+							<div className={styles.methods}>
+								{methods.map(m => (
+									<button
+										key={m}
+										type="button"
+										className={`${styles.methodButton} ${m === method ? styles.methodButtonActive : ''}`}
+										onClick={() => selectMethod(m)}
+									>
+										{METHOD_LABELS[m] || m}
+									</button>
+								))}
+							</div>
+						)}
+
+						{method === 'sms' && !smsSent ? (
+							<div className={styles.form}>
+								{formError && <p className={`${g.errorText} ${styles.formError}`}>{formError}</p>}
+								<button
+									type="button"
+									className={`${g.btn} ${g.btnFilled} ${g.btnFullWidth}`}
+									onClick={handleSendSms}
+									disabled={isSubmitting}
+								>
+									{isSubmitting ? 'Sending...' : `Send Code to ${phone || 'Your Phone'}`}
+								</button>
+							</div>
+						) : (
+							<form className={styles.form} onSubmit={handleVerify}>
+								<div className={g.inputContainer}>
+									<label className={g.inputLabel} htmlFor="code">
+										{method === 'recovery' ? 'Recovery Code' : 'Code'}
+									</label>
+									<input
+										id="code"
+										className={`${g.input} ${formError ? g.inputError : ''}`}
+										value={code}
+										onChange={(e) => setCode(e.target.value)}
+										inputMode={method === 'recovery' ? 'text' : 'numeric'}
+										autoComplete="one-time-code"
+										autoCapitalize="none"
+										maxLength={method === 'recovery' ? 32 : 6}
+									/>
+									{formError && <p className={g.errorText}>{formError}</p>}
+								</div>
+								<button
+									type="submit"
+									className={`${g.btn} ${g.btnFilled} ${g.btnFullWidth}`}
+									disabled={!code.trim() || isSubmitting}
+								>
+									{isSubmitting ? 'Checking...' : 'Verify'}
+								</button>
+								{method === 'sms' && (
+									<button
+										type="button"
+										className={`${g.btn} ${g.btnGhost} ${g.btnFullWidth} ${styles.secondaryButton}`}
+										onClick={handleSendSms}
+										disabled={isSubmitting}
+									>
+										Send a New Code
+									</button>
+								)}
+							</form>
+						)}
+
+						<button type="button" className={styles.linkButton} onClick={() => startOver('')}>
+							Use a different account
+						</button>
+					</>
+				)}
+			</div>
+
+			<footer className={styles.footer}>
+				&copy; {new Date().getFullYear()} Farmestly. All rights reserved.
+			</footer>
+		</div>
+	);
+}
+
+export default LoginPage;
@@ -0,0 +1,353 @@
+import { useState, useEffect } from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { api, getErrorMessage, API_BASE } from '../../globals/api';
+import { formatDateTime } from '../../globals/format';
+import * as g from '../../global.module.css';
+import * as styles from './ReportsPage.module.css';
+
+const POLL_INTERVAL = 2000;
+
+const FORMATS = [
+	{ id: 'pdf', label: 'PDF Report' },
+	{ id: 'csv', label: 'Spray Records (CSV)' },
+	{ id: 'xlsx', label: 'Spray Records (Excel)' }
+];
+
+// Grouping only applies to PDF reports
+const REPORT_TYPES = [
+	{ id: 'all', label: 'All Job Records' },
+	{ id: 'field', label: 'Group by Field' },
+	{ id: 'job_type', label: 'Group by Job Type' },
+	{ id: 'machine', label: 'Group by Machine' },
+	{ id: 'attachment', label: 'Group by Attachment' },
+	{ id: 'ppp_register', label: 'Plant Protection Register' },
+	{ id: 'yield', label: 'Yield by Field' },
+	{ id: 'cost', label: 'Costs and Gross Margin' },
+	{ id: 'substance_use', label: 'Active Substances by Season' }
+];
+
+const DATE_RANGES = [
+	{ id: 'all', label: 'All Time' },
+	{ id: 'month', label: 'Last Month' },
+	{ id: 'quarter', label: 'Last Quarter' },
+	{ id: 'year', label: 'Last Year' },
+	{ id: 'custom', label: 'Custom Range' }
+];
+
+const DELIVERY_METHODS = [
+	{ id: 'download', label: 'Download Only' },
+	{ id: 'email', label: 'Email Only' },
+	{ id: 'both', label: 'Email & Download' }
+];
+
+const REPORT_ERRORS = {
+	EMAIL_REQUIRED: 'Add an email address in the Farmestly app to receive reports by email.',
+	EMAIL_NOT_VERIFIED: 'Verify your email address to receive reports by email.',
+	REPORT_FAILED: 'The report could not be created. Please try again.'
+};
+
+const getReportError = (code) => REPORT_ERRORS[code] || getErrorMessage(code);
+
+const isDeliveryAvailable = (delivery, precheck) => {
+	if (!precheck) return true;
+	if (delivery === 'email') return precheck.canEmail;
+	if (delivery === 'download') return precheck.canDownload;
+	return precheck.canEmail && precheck.canDownload;
+};
+
+const todayInput = () => new Date().toISOString().slice(0, 10);
+
+const monthAgoInput = () => {
+	const date = new Date();
+	date.setMonth(date.getMonth() - 1);
+	return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Report generation. The report is created in the background by POST /report
+ * and /report/status is polled until it can be downloaded or has been emailed.
+ */
+function ReportsPage() {
+	const { account } = useOutletContext();
+
+	const [format, setFormat] = useState('pdf');
+	const [reportType, setReportType] = useState('all');
+	const [dateRange, setDateRange] = useState('all');
+	const [startDate, setStartDate] = useState(monthAgoInput);
+	const [endDate, setEndDate] = useState(todayInput);
+	const [delivery, setDelivery] = useState('download');
+
+	const [precheck, setPrecheck] = useState(null);
+	const [isSubmitting, setIsSubmitting] = useState(false);
+	const [jobId, setJobId] = useState(null);
+	// null | { status: 'processing' } | { status: 'completed', downloadUrl, emailSent } | { status: 'failed', error }
+	const [job, setJob] = useState(null);
+	const [latestReport, setLatestReport] = useState(null);
+
+	const isCustom = dateRange === 'custom';
+	const customRangeInvalid = isCustom && (!startDate || !endDate || startDate > endDate);
+
+	const buildParams = () => ({
+		reportType,
+		format,
+		dateRange,
+		startDate: isCustom && startDate ? new Date(`${startDate}T00:00:00`).toISOString() : undefined,
+		endDate: isCustom && endDate ? new Date(`${endDate}T23:59:59.999`).toISOString() : undefined
+	});
+
+	const loadLatest = async () => {
+		const result = await api('/report/latest');
+		setLatestReport(result.ok ? result.data?.report || null : null);
+	};
+
+	useEffect(() => {
+		loadLatest();
+	}, []);
+
+	// Which deliveries are possible for the current choice
+	useEffect(() => {
+		if (customRangeInvalid) return;
+		let cancelled = false;
+
+		const check = async () => {
+			const result = await api('/report/precheck', { query: buildParams() });
+			if (cancelled) return;
+
+			// When the check fails the options stay open and POST /report decides
+			const next = result.ok ? result.data : null;
+			setPrecheck(next);
+			if (next && !isDeliveryAvailable(delivery, next)) {
+				const available = DELIVERY_METHODS.find(method => isDeliveryAvailable(method.id, next));
+				if (available) setDelivery(available.id);
+			}
+		};
+
+		check();
+		return () => { cancelled = true; };
+	}, [format, reportType, dateRange, startDate, endDate]);
+
+	// Poll the running report until it finishes
+	useEffect(() => {
+		if (!jobId) return;
+		let timer = null;
+		let stopped = false;
+
+		const poll = async () => {
+			const result = await api(`/report/status/${encodeURIComponent(jobId)}`);
+			if (stopped) return;
+
+			// Connection problems are retried on the next poll
+			if (!result.ok && result.code === 'NETWORK_ERROR') {
+				timer = setTimeout(poll, POLL_INTERVAL);
+				return;
+			}
+
+			const status = result.data?.status;
+			if (!result.ok || status === 'failed') {
+				setJob({ status: 'failed', error: result.ok ? (result.data.error || 'REPORT_FAILED') : result.code });
+				setJobId(null);
+			} else if (status === 'completed') {
+				setJob({
+					status: 'completed',
+					downloadUrl: result.data.result?.downloadUrl || null,
+					emailSent: result.data.result?.emailSent || false
+				});
+				setJobId(null);
+				loadLatest();
+			} else if (status === 'cancelled') {
+				setJob(null);
+				setJobId(null);
+			} else {
+				timer = setTimeout(poll, POLL_INTERVAL);
+			}
+		};
+
+		poll();
+		return () => {
+			stopped = true;
+			clearTimeout(timer);
+		};
+	}, [jobId]);
+
+	const handleGenerate = async (e) => {
+		e.preventDefault();
+		if (isSubmitting || jobId || customRangeInvalid) return;
+
+		setIsSubmitting(true);
+		setJob(null);
+		const result = await api('/report', {
+			method: 'POST',
+			body: { ...buildParams(), delivery }
+		});
+		setIsSubmitting(false);
+
+		if (result.ok && result.data?.jobId) {
+			setJob({ status: 'processing' });
+			setJobId(result.data.jobId);
+		} else {
+			setJob({ status: 'failed', error: result.code });
+		}
+	};
+
+	const nothingToReport = precheck && !precheck.canEmail && !precheck.canDownload && !precheck.emailNotVerified;
+	const isRunning = isSubmitting || !!jobId;
+
+	return (
+		<div>
+			<div className={styles.pageHeader}>
+				<h1 className={g.titleLarge}>Reports</h1>
+				<p className={g.textSmall}>Create a report of your job records to download or receive by email.</p>
+			</div>
+
+			<div className={styles.columns}>
+				<form className={`${g.cardWhite} ${styles.form}`} onSubmit={handleGenerate}>
+					<fieldset className={styles.group}>
+						<legend className={g.sectionTitle}>File Format</legend>
+						{FORMATS.map(option => (
+							<label key={option.id} className={styles.option}>
+								<input
+									type="radio"
+									name="format"
+									checked={format === option.id}
+									onChange={() => setFormat(option.id)}
+								/>
+								{option.label}
+							</label>
+						))}
+						{format !== 'pdf' && (
+							<p className={g.sectionDescription}>
+								Spreadsheet exports contain one row per product applied in spray jobs, ready for spray register submissions.
+							</p>
+						)}
+					</fieldset>
+
+					{format === 'pdf' && (
+						<fieldset className={styles.group}>
+							<legend className={g.sectionTitle}>Report Type</legend>
+							<select className={styles.select} value={reportType} onChange={(e) => setReportType(e.target.value)}>
+								{REPORT_TYPES.map(option => (
+									<option key={option.id} value={option.id}>{option.label}</option>
+								))}
+							</select>
+						</fieldset>
+					)}
+
+					<fieldset className={styles.group}>
+						<legend className={g.sectionTitle}>Date Range</legend>
+						<select className={styles.select} value={dateRange} onChange={(e) => setDateRange(e.target.value)}>
+							{DATE_RANGES.map(option => (
+								<option key={option.id} value={option.id}>{option.label}</option>
+							))}
+						</select>
+						{isCustom && (
+							<div className={styles.dateInputs}>
+								<label className={styles.dateInput}>
+									<span className={g.textSmall}>From</span>
+									<input type="date" className={styles.select} value={startDate} max={endDate || undefined} onChange={(e) => setStartDate(e.target.value)} />
+								</label>
+								<label className={styles.dateInput}>
+									<span className={g.textSmall}>To</span>
+									<input type="date" className={styles.select} value={endDate} min={startDate || undefined} onChange={(e) => setEndDate(e.target.value)} />
+								</label>
+							</div>
+						)}
+					</fieldset>
+
+					<fieldset className={styles.group}>
+						<legend className={g.sectionTitle}>Delivery</legend>
+						{DELIVERY_METHODS.map(option => (
+							<label
+								key={option.id}
+								className={`${styles.option} ${isDeliveryAvailable(option.id, precheck) ? '' : styles.optionDisabled}`}
+							>
+								<input
+									type="radio"
+									name="delivery"
+									checked={delivery === option.id}
+									disabled={!isDeliveryAvailable(option.id, precheck)}
+									onChange={() => setDelivery(option.id)}
+								/>
+								{option.label}
+							</label>
+						))}
+						{precheck?.emailNotVerified && (
+							<p className={g.sectionDescription}>
+								Verify {account.email || 'your email address'} to receive reports by email.
+							</p>
+						)}
+					</fieldset>
+
+					{nothingToReport && (
+						<p className={g.errorText}>
+							There are no job records to report in this period, or too many for one report. Choose a different period.
+						</p>
+					)}
+
+					<button
+						type="submit"
+						className={`${g.btn} ${g.btnFilled} ${g.btnFullWidth}`}
+						disabled={isRunning || customRangeInvalid || nothingToReport || !isDeliveryAvailable(delivery, precheck)}
+					>
+						{isRunning ? 'Creating Report...' : 'Create Report'}
+					</button>
+				</form>
+
+				<div className={styles.status}>
+					{job?.status === 'processing' && (
+						<div className={`${g.cardWhite} ${styles.statusCard}`}>
+							<div className={g.spinner}></div>
+							<p className={g.text}>Your report is being created. This can take a minute.</p>
+						</div>
+					)}
+
+					{job?.status === 'completed' && (
+						<div className={`${g.cardWhite} ${styles.statusCard}`}>
+							<h2 className={g.sectionTitle}>Report Ready</h2>
+							{job.emailSent && (
+								<p className={g.text}>The report has been sent to {account.email || 'your email'}.</p>
+							)}
+							{job.downloadUrl && (
+								<a
+									className={`${g.btn} ${g.btnFilled}`}
+									href={`${API_BASE}${job.downloadUrl}`}
+									target="_blank"
+									rel="noopener noreferrer"
+								>
+									Download Report
+								</a>
+							)}
+						</div>
+					)}
+
+					{job?.status === 'failed' && (
+						<div className={`${g.cardWhite} ${styles.statusCard}`}>
+							<p className={g.errorText}>{getReportError(job.error)}</p>
+						</div>
+					)}
+
+					{latestReport && (
+						<div className={`${g.cardWhite} ${styles.statusCard}`}>
+							<h2 className={g.sectionTitle}>Your Last Report</h2>
+							<p className={g.textSmall}>
+								{(REPORT_TYPES.find(type => type.id === latestReport.reportType)?.label) || 'Report'}
+								{' · '}{latestReport.format?.toUpperCase()}
+								{' · '}{(DATE_RANGES.find(range => range.id === latestReport.dateRange)?.label) || 'All Time'}
+							</p>
+							<p className={g.textSmall}>Created {formatDateTime(latestReport.createdAt)}</p>
+							<a
+								className={`${g.btn} ${g.btnOutline}`}
+								href={`${API_BASE}${latestReport.downloadUrl}`}
+								target="_blank"
+								rel="noopener noreferrer"
+							>
+								Download
+							</a>
+						</div>
+					)}
+				</div>
+			</div>
+		</div>
+	);
+}
+
+export default ReportsPage;
@@ -0,0 +1,313 @@
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import * as g from '../../global.module.css';
+import * as styles from './ResetPasswordPage.module.css';
+
+const API_BASE = process.env.REACT_API_URL || 'https://api.farmestly.dev-staging.overpassconnect.com';
+
+const ERROR_MESSAGES = {
+	RESET_TOKEN_NOT_FOUND: 'This reset link has already been used or is invalid.',
+	RESET_TOKEN_EXPIRED: 'This reset link has expired.',
+	INVALID_CODE_FORMAT: 'The code should be the 6 digits from the SMS.',
+	REJECTED: 'This code is not correct, or has not been sent to this account. Check the username and the code.',
+	EXPIRED: 'This code has expired. Please request a new one.',
+	RATE_LIMITED: 'Too many attempts. Please wait a few minutes and try again.',
+	INVALID: 'The password cannot be empty, contain spaces or be longer than 64 characters.'
+};
+
+const getErrorMessage = (code) => ERROR_MESSAGES[code] || 'Something went wrong. Please try again later.';
+
+async function post(path, payload) {
+	const response = await fetch(`${API_BASE}${path}`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify(payload)
+	});
+	const json = await response.json().catch(() => null);
+	return {
+		ok: response.ok,
+		code: json?.HEADERS?.STATUS_CODE || (response.status === 429 ? 'RATE_LIMITED' : 'UNKNOWN'),
+		data: json?.PAYLOAD
+	};
+}
+
+/**
+ * Password reset for password accounts.
+ * With ?token= (the link from the reset email) it asks for the new password.
+ * Without it a reset is requested by username. The server does not say whether
+ * the account exists or how the reset was sent, so the page says where to look
+ * and lets an SMS code be entered here with the new password.
+ */
+function ResetPasswordPage() {
+	const [searchParams] = useSearchParams();
+	const token = searchParams.get('token');
+
+	// checking | request | sent | newPassword | success | error
+	const [step, setStep] = useState(token ? 'checking' : 'request');
+	const [message, setMessage] = useState('');
+	const [formError, setFormError] = useState('');
+	const [isSubmitting, setIsSubmitting] = useState(false);
+
+	const [username, setUsername] = useState('');
+	const [verificationCode, setVerificationCode] = useState('');
+	const [password, setPassword] = useState('');
+	const [passwordConfirm, setPasswordConfirm] = useState('');
+	const tokenChecked = useRef(false);
+
+	useEffect(() => {
+		if (!token || tokenChecked.current) {
+			return;
+		}
+		tokenChecked.current = true;
+
+		checkToken(token);
+	}, [token]);
+
+	const checkToken = async (resetToken) => {
+		try {
+			const response = await fetch(`${API_BASE}/auth/passwordReset/verify?token=${encodeURIComponent(resetToken)}`);
+			const json = await response.json().catch(() => null);
+
+			if (response.ok) {
+				setUsername(json?.PAYLOAD?.username || '');
+				setStep('newPassword');
+			} else {
+				setStep('error');
+				setMessage(getErrorMessage(json?.HEADERS?.STATUS_CODE || (response.status === 410 ? 'RESET_TOKEN_EXPIRED' : 'RESET_TOKEN_NOT_FOUND')));
+			}
+		} catch (err) {
+			setStep('error');
+			setMessage('Unable to check the reset link. Please check your connection and try again.');
+		}
+	};
+
+	const handleRequest = async (e) => {
+		e.preventDefault();
+		if (!username.trim() || isSubmitting) return;
+
+		setIsSubmitting(true);
+		setFormError('');
+		try {
+			const result = await post('/auth/passwordReset/request', { username: username.trim() });
+			if (result.ok) {
+				setStep('sent');
+			} else {
+				setFormError(getErrorMessage(result.code));
+			}
+		} catch (err) {
+			setFormError('Unable to reach Farmestly. Please check your connection and try again.');
+		}
+		setIsSubmitting(false);
+	};
+
+	const handleConfirm = async (e) => {
+		e.preventDefault();
+		if (isSubmitting) return;
+
+		if (password !== passwordConfirm) {
+			setFormError('The passwords do not match.');
+			return;
+		}
+
+		setIsSubmitting(true);
+		setFormError('');
+		try {
+			const result = await post('/auth/passwordReset/confirm', token
+				? { token, password }
+				: { username: username.trim(), verificationCode: verificationCode.trim(), password });
+
+			if (result.ok) {
+				setStep('success');
+			} else if (token && (result.code === 'RESET_TOKEN_NOT_FOUND' || result.code === 'RESET_TOKEN_EXPIRED')) {
+				setStep('error');
+				setMessage(getErrorMessage(result.code));
+			} else {
+				setFormError(getErrorMessage(result.code));
+			}
+		} catch (err) {
+			setFormError('Unable to reach Farmestly. Please check your connection and try again.');
+		}
+		setIsSubmitting(false);
+	};
+
+	return (
+		<div className={styles.pageContainer}>
+			<img
+				src="/assets/farmestly_logo.png"
+				alt="Farmestly"
+				className={styles.logo}
+				onError={(e) => { e.target.style.display = 'none'; }}
+			/>
+
+			<div className={styles.resetCard}>
+				{step === 'checking' && (
+					<>
+						<div className={styles.iconPending}>
+							<div className={g.spinner}></div>
+						</div>
+						<h1 className={styles.title}>Checking Link</h1>
+						<p className={`${g.subtitle} ${styles.messageText}`}>
+							Please wait while we check your reset link...
+						</p>
+					</>
+				)}
+
+				{step === 'request' && (
+					<>
+						<h1 className={styles.title}>Forgot Your Password?</h1>
+						<p className={`${g.subtitle} ${styles.messageText}`}>
+							Enter your username. We will send a reset link to your verified email, or a code to the phone you use for two-factor authentication.
+						</p>
+						<form className={styles.form} onSubmit={handleRequest}>
+							<div className={g.inputContainer}>
+								<label className={g.inputLabel} htmlFor="username">Username</label>
+								<input
+									id="username"
+									className={`${g.input} ${formError ? g.inputError : ''}`}
+									value={username}
+									onChange={(e) => setUsername(e.target.value)}
+									autoComplete="username"
+									autoCapitalize="none"
+								/>
+								{formError && <p className={g.errorText}>{formError}</p>}
+							</div>
+							<button
+								type="submit"
+								className={`${g.btn} ${g.btnFilled} ${g.btnFullWidth}`}
+								disabled={!username.trim() || isSubmitting}
+							>
+								{isSubmitting ? 'Sending...' : 'Send Reset'}
+							</button>
+						</form>
+					</>
+				)}
+
+				{step === 'sent' && (
+					<>
+						<div className={styles.iconSuccess}>
+							<svg className={styles.iconSvg} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3">
+								<polyline points="20 6 9 17 4 12"></polyline>
+							</svg>
+						</div>
+						<h1 className={styles.title}>Check Your Email or Phone</h1>
+						<p className={`${g.subtitle} ${styles.messageText}`}>
+							If <strong>{username.trim()}</strong> has a verified email, a reset link has been sent to it. The link can be used once and expires soon.
+							Otherwise, if it has a phone set up for two-factor authentication, a code has been sent to it by SMS.
+						</p>
+						<div className={g.buttonStack}>
+							<button
+								type="button"
+								className={`${g.btn} ${g.btnOutline} ${g.btnFullWidth}`}
+								onClick={() => setStep('newPassword')}
+							>
+								Enter SMS Code
+							</button>
+						</div>
+					</>
+				)}
+
+				{step === 'newPassword' && (
+					<>
+						<h1 className={styles.title}>Choose a New Password</h1>
+						<p className={`${g.subtitle} ${styles.messageText}`}>
+							{token
+								? <>Set a new password for <strong>{username}</strong>. You will be signed out on all devices.</>
+								: <>Enter the code we sent by SMS and your new password. You will be signed out on all devices.</>}
+						</p>
+						<form className={styles.form} onSubmit={handleConfirm}>
+							{!token && (
+								<div className={g.inputContainer}>
+									<label className={g.inputLabel} htmlFor="verificationCode">Code</label>
+									<input
+										id="verificationCode"
+										className={g.input}
+										value={verificationCode}
+										onChange={(e) => setVerificationCode(e.target.value)}
+										inputMode="numeric"
+										autoComplete="one-time-code"
+										maxLength={6}
+									/>
+								</div>
+							)}
+							<div className={g.inputContainer}>
+								<label className={g.inputLabel} htmlFor="password">New Password</label>
+								<input
+									id="password"
+									type="password"
+									className={g.input}
+									value={password}
+									onChange={(e) => setPassword(e.target.value)}
+									autoComplete="new-password"
+									maxLength={64}
+								/>
+							</div>
+							<div className={g.inputContainer}>
+								<label className={g.inputLabel} htmlFor="passwordConfirm">Repeat New Password</label>
+								<input
+									id="passwordConfirm"
+									type="password"
+									className={`${g.input} ${formError ? g.inputError : ''}`}
+									value={passwordConfirm}
+									onChange={(e) => setPasswordConfirm(e.target.value)}
+									autoComplete="new-password"
+									maxLength={64}
+								/>
+								{formError && <p className={g.errorText}>{formError}</p>}
+							</div>
+							<button
+								type="submit"
+								className={`${g.btn} ${g.btnFilled} ${g.btnFullWidth}`}
+								disabled={!password || !passwordConfirm || (!token && !verificationCode.trim()) || isSubmitting}
+							>
+								{isSubmitting ? 'Saving...' : 'Set Password'}
+							</button>
+						</form>
+					</>
+				)}
+
+				{step === 'success' && (
+					<>
+						<div className={styles.iconSuccess}>
+							<svg className={styles.iconSvg} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3">
+								<polyline points="20 6 9 17 4 12"></polyline>
+							</svg>
+						</div>
+						<h1 className={styles.title}>Password Changed</h1>
+						<p className={`${g.subtitle} ${styles.messageText}`}>
+							Your password has been changed and all devices have been signed out.
+						</p>
+						<p className={`${g.textSmall} ${styles.desktopNote}`}>
+							You can now sign in with your new password.
+						</p>
+					</>
+				)}
+
+				{step === 'error' && (
+					<>
+						<div className={styles.iconError}>
+							<svg className={styles.iconSvg} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3">
+								<line x1="18" y1="6" x2="6" y2="18"></line>
+								<line x1="6" y1="6" x2="18" y2="18"></line>
+							</svg>
+						</div>
+						<h1 className={styles.title}>Reset Failed</h1>
+						<p className={`${g.subtitle} ${styles.messageText}`}>
+							{message}
+						</p>
+						<div className={g.buttonStack}>
+							<a className={`${g.btn} ${g.btnOutline} ${g.btnFullWidth}`} href="/resetPassword">
+								Request a New Reset
+							</a>
+						</div>
+					</>
+				)}
+			</div>
+
+			<footer className={styles.footer}>
+				&copy; {new Date().getFullYear()} Farmestly. All rights reserved.
+			</footer>
+		</div>
+	);
+}
+
+export default ResetPasswordPage;
@@ -0,0 +1,68 @@
+// Requests to the Farmestly API with the session cookie, as the app makes them.
+// Responses come back as { ok, status, code, data } from the
+// { HEADERS: { STATUS_CODE }, PAYLOAD } envelope.
+
+export const API_BASE = process.env.REACT_API_URL || 'https://api.farmestly.dev-staging.overpassconnect.com';
+
+const ERROR_MESSAGES = {
+	LOGIN_INCORRECT: 'The username or password is not correct.',
+	INVALID: 'Please check the values you entered.',
+	ACCOUNT_PENDING_DELETION: 'This account is scheduled for deletion. Open the Farmestly app to restore it.',
+	NO_CHALLENGE: 'Your sign-in has timed out. Please enter your password again.',
+	CHALLENGE_EXPIRED: 'Your sign-in has timed out. Please enter your password again.',
+	INVALID_CODE: 'This code is not correct.',
+	INVALID_CODE_FORMAT: 'The code should be the 6 digits from the SMS.',
+	NO_PENDING_CODE: 'Send a code by SMS first.',
+	NO_TWO_FACTOR_PHONE: 'This account has no phone for sign-in codes.',
+	REJECTED: 'This code is not correct.',
+	EXPIRED: 'This code has expired. Please request a new one.',
+	RECORD_NOT_FOUND: 'This job record does not exist or was deleted.',
+	JOB_NOT_FOUND: 'This report could not be found.',
+	INVALID_REPORT_FORMAT: 'This report cannot be created in the selected format.',
+	FORBIDDEN: 'Your role on this farm does not allow this.',
+	RATE_LIMITED: 'Too many attempts. Please wait a few minutes and try again.',
+	NETWORK_ERROR: 'Unable to reach Farmestly. Please check your connection and try again.'
+};
+
+export const getErrorMessage = (code) => ERROR_MESSAGES[code] || 'Something went wrong. Please try again later.';
+
+/**
+ * Call the API with the session cookie.
+ * @param {string} path - Path below API_BASE, e.g. '/job/records'
+ * @param {Object} [options]
+ * @param {string} [options.method] - Defaults to GET
+ * @param {Object} [options.body] - Sent as JSON
+ * @param {Object} [options.query] - Query parameters; empty values are left out
+ * @returns {Promise<Object>} { ok, status, code, data }
+ */
+export async function api(path, { method = 'GET', body, query } = {}) {
+	let url = `${API_BASE}${path}`;
+	if (query) {
+		const params = new URLSearchParams();
+		Object.entries(query).forEach(([key, value]) => {
+			if (value !== undefined && value !== null && value !== '') {
+				params.append(key, value);
+			}
+		});
+		const queryString = params.toString();
+		if (queryString) url += `?${queryString}`;
+	}
+
+	try {
+		const response = await fetch(url, {
+			method,
+			credentials: 'include',
+			headers: body ? { 'Content-Type': 'application/json' } : undefined,
+			body: body ? JSON.stringify(body) : undefined
+		});
+		const json = await response.json().catch(() => null);
+		return {
+			ok: response.ok,
+			status: response.status,
+			code: json?.HEADERS?.STATUS_CODE || (response.status === 429 ? 'RATE_LIMITED' : 'UNKNOWN'),
+			data: json?.PAYLOAD
+		};
+	} catch (err) {
+		return { ok: false, status: 0, code: 'NETWORK_ERROR', data: null };
+	}
+}
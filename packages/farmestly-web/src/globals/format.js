@@ -0,0 +1,43 @@
+// Display helpers shared by the dashboard pages
+
+export const JOB_TYPES = {
+	sow: 'Sowing',
+	harvest: 'Harvest',
+	spray: 'Spraying',
+	irrigate: 'Irrigation',
+	fertilize: 'Fertilizing',
+	custom: 'Custom'
+};
+
+export const getJobTypeLabel = (type) => JOB_TYPES[type] || type || '-';
+
+export const formatDate = (date) => date ? new Date(date).toLocaleDateString() : '-';
+
+export const formatDateTime = (date) => date ? new Date(date).toLocaleString() : '-';
+
+/**
+ * Field areas are stored in square meters
+ */
+export const formatArea = (squareMeters) => `${((squareMeters || 0) / 10000).toFixed(2)} ha`;
+
+/**
+ * Product and carrier rates are stored per square meter, in L or kg
+ */
+export const formatRate = (perSquareMeter, isVolume = true) => perSquareMeter == null || isNaN(perSquareMeter)
+	? '-'
+	: `${(perSquareMeter * 10000).toFixed(2)} ${isVolume ? 'L' : 'kg'}/ha`;
+
+/**
+ * @param {number} ms - Elapsed time in milliseconds
+ */
+export function formatDuration(ms) {
+	if (!ms || ms < 0) return '-';
+	const totalMinutes = Math.round(ms / 60000);
+	const hours = Math.floor(totalMinutes / 60);
+	const minutes = totalMinutes % 60;
+	return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+export const formatCultivation = (cultivation) => cultivation
+	? [cultivation.crop, cultivation.variety].filter(Boolean).join(' · ') || '-'
+	: '-';